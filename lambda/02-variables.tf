@@ -58,4 +58,248 @@ variable "notification_email" {
   type        = string
   default     = "admin@example.com"
   description = "Email address for invoice processing notifications"
-}
\ No newline at end of file
+}
+
+variable "reconciliation_tolerance" {
+  type        = number
+  default     = 0.05
+  description = "Absolute difference allowed between the extracted total and the line-item sum before an invoice is flagged"
+}
+
+variable "reconciliation_tolerance_percent" {
+  type        = number
+  default     = 0.5
+  description = "Relative difference (percent of the expected total) allowed before an invoice is flagged; the larger tolerance applies"
+}
+
+variable "textract_mode" {
+  type        = string
+  default     = "auto"
+  description = "Textract API selection: sync (AnalyzeDocument), async (StartDocumentAnalysis) or auto (async for PDF/TIFF)"
+
+  validation {
+    condition     = contains(["sync", "async", "auto"], var.textract_mode)
+    error_message = "textract_mode must be one of: sync, async, auto."
+  }
+}
+
+variable "ocr_provider" {
+  type        = string
+  default     = "textract"
+  description = "OCR backend used by the Textract processors: textract, textract-sync, textract-async, textract-expense or local"
+
+  validation {
+    condition     = contains(["textract", "textract-sync", "textract-async", "textract-expense", "local"], var.ocr_provider)
+    error_message = "ocr_provider must be one of: textract, textract-sync, textract-async, textract-expense, local."
+  }
+}
+
+variable "normalization_config" {
+  type = object({
+    defaultLocale = optional(string, "en-US")
+    vendors = optional(map(object({
+      locale    = optional(string)
+      dateOrder = optional(string)
+    })), {})
+  })
+  default     = {}
+  description = "Locale used to read ambiguous dates (03/04/25) and amounts (1.234) per vendor; vendor keys are lower-case vendor names"
+}
+
+variable "vendor_templates_source" {
+  type        = string
+  default     = "dynamodb"
+  description = "Where the Textract processors read vendor extraction templates from: dynamodb, s3 (templates/ in the processed bucket) or none"
+
+  validation {
+    condition     = contains(["dynamodb", "s3", "none"], var.vendor_templates_source)
+    error_message = "vendor_templates_source must be one of: dynamodb, s3, none."
+  }
+}
+
+variable "review_confidence_thresholds" {
+  type = map(number)
+  default = {
+    invoiceNumber = 80
+    totalAmount   = 80
+    vendorName    = 60
+    invoiceDate   = 50
+  }
+  description = "Minimum extraction confidence (0-100) per field; invoices below any threshold wait in the review queue"
+}
+
+variable "review_claim_seconds" {
+  type        = number
+  default     = 900
+  description = "How long a reviewer's claim on a review item lasts before it returns to the queue"
+}
+
+variable "idempotency_retention_days" {
+  type        = number
+  default     = 400
+  description = "How long stored documents and invoice fingerprints are remembered for duplicate detection"
+
+  validation {
+    condition     = var.idempotency_retention_days >= 1
+    error_message = "idempotency_retention_days must be at least 1."
+  }
+}
+
+variable "duplicate_detection" {
+  type = object({
+    lookback_days       = optional(number, 90)
+    max_edit_distance   = optional(number, 2)
+    date_tolerance_days = optional(number, 3)
+  })
+  default     = {}
+  description = "Near-duplicate check: how far back to compare a vendor's invoices, how many invoice-number edits and how many days between invoice dates still count as the same invoice"
+}
+
+variable "party_fuzzy_threshold" {
+  type        = number
+  default     = 0.88
+  description = "Minimum name similarity (0-1) for an extracted vendor to match a registry entry it does not match exactly"
+
+  validation {
+    condition     = var.party_fuzzy_threshold > 0 && var.party_fuzzy_threshold <= 1
+    error_message = "party_fuzzy_threshold must be greater than 0 and at most 1."
+  }
+}
+
+variable "invoice_db_capacity" {
+  type = object({
+    min = optional(number, 0.5)
+    max = optional(number, 4)
+  })
+  default     = {}
+  description = "Aurora Serverless v2 capacity range (ACUs) for the reporting database"
+}
+
+variable "validation_rules_source" {
+  type        = string
+  default     = "s3"
+  description = "Where validate-invoice reads per-customer and per-vendor rule sets from: s3 (validation-rules/ in the processed bucket, uploaded from ./validation-rules) or none"
+
+  validation {
+    condition     = contains(["s3", "none"], var.validation_rules_source)
+    error_message = "validation_rules_source must be one of: s3, none."
+  }
+}
+
+variable "po_match_tolerances" {
+  type = object({
+    amountPercent         = optional(number, 1)
+    amountMinor           = optional(number, 100)
+    unitPricePercent      = optional(number, 2)
+    quantity              = optional(number, 0)
+    vendorSimilarity      = optional(number, 0.88)
+    descriptionSimilarity = optional(number, 0.6)
+  })
+  default     = {}
+  description = "How far an invoice may differ from its purchase order and goods receipts and still match: amount over the order (percent, with a floor in minor units), unit price (percent), quantity (units), and the vendor and line description similarity (0-1)"
+}
+
+variable "notification_from_address" {
+  type        = string
+  default     = "invoices@example.com"
+  description = "Sender of notification emails; SES sends a verification email to this address on the first apply"
+}
+
+variable "notification_default_locale" {
+  type        = string
+  default     = "en-US"
+  description = "Locale of notification emails when neither the invoice nor the customer record has one (templates exist for en, de and fr)"
+}
+
+variable "notification_subscribers" {
+  type = list(object({
+    id         = string
+    channel    = string
+    target     = optional(string)
+    recipients = optional(list(string))
+    events     = optional(list(string), ["*"])
+    minAmount  = optional(number)
+    currency   = optional(string)
+    headers    = optional(map(string))
+    retry = optional(object({
+      attempts    = optional(number, 3)
+      baseDelayMs = optional(number, 200)
+    }))
+  }))
+  default     = []
+  sensitive   = true
+  description = "Who receives which pipeline notifications: each subscriber names a channel (email, slack, teams, webhook or sns), its target (webhook URL or topic ARN) or email recipients, the event types it wants and optionally a minimum invoice amount. Empty sends every event to the notification SNS topic"
+
+  validation {
+    condition     = alltrue([for subscriber in var.notification_subscribers : contains(["email", "slack", "teams", "webhook", "sns"], subscriber.channel)])
+    error_message = "Each notification subscriber channel must be one of: email, slack, teams, webhook, sns."
+  }
+}
+
+variable "webhook_max_attempts" {
+  type        = number
+  default     = 8
+  description = "Attempts at a webhook delivery before it is dead-lettered"
+
+  validation {
+    condition     = var.webhook_max_attempts >= 1
+    error_message = "webhook_max_attempts must be at least 1."
+  }
+}
+
+variable "webhook_retry_base_seconds" {
+  type        = number
+  default     = 30
+  description = "Delay before the first webhook retry; it doubles with every attempt, up to the 15 minutes SQS allows"
+}
+
+variable "webhook_delivery_retention_days" {
+  type        = number
+  default     = 30
+  description = "How long delivered webhook deliveries are kept; dead letters are kept until replayed"
+}
+
+variable "ingestion_batch_size" {
+  type        = number
+  default     = 10
+  description = "Upload notifications textract-processor takes from the ingestion queue per invocation"
+
+  validation {
+    condition     = var.ingestion_batch_size >= 1 && var.ingestion_batch_size <= 10
+    error_message = "ingestion_batch_size must be between 1 and 10."
+  }
+}
+
+variable "ingestion_batching_window_seconds" {
+  type        = number
+  default     = 5
+  description = "How long the ingestion queue waits to fill a batch before invoking textract-processor"
+}
+
+variable "ingestion_concurrency" {
+  type        = number
+  default     = 4
+  description = "Documents of a batch textract-processor analyzes at the same time"
+
+  validation {
+    condition     = var.ingestion_concurrency >= 1
+    error_message = "ingestion_concurrency must be at least 1."
+  }
+}
+
+variable "dead_letter_retention_days" {
+  type        = number
+  default     = 30
+  description = "How long resolved and discarded dead letters are kept; open ones are kept until settled"
+}
+
+variable "extraction_poll_seconds" {
+  type        = number
+  default     = 10
+  description = "How often the extraction workflow checks on a multi-page Textract job"
+
+  validation {
+    condition     = var.extraction_poll_seconds >= 1
+    error_message = "extraction_poll_seconds must be at least 1."
+  }
+}
@@ -67,7 +67,8 @@ resource "aws_iam_role_policy" "lambda_role_policy" {
           "textract:AnalyzeDocument",
           "textract:DetectDocumentText",
           "textract:StartDocumentAnalysis",
-          "textract:GetDocumentAnalysis"
+          "textract:GetDocumentAnalysis",
+          "textract:AnalyzeExpense"
         ]
         Effect   = "Allow"
         Resource = "*"
@@ -121,32 +122,97 @@ resource "aws_iam_role_policy_attachment" "lambda_basic_execution" {
 # Archive Lambda functions
 data "archive_file" "validate_invoice_zip" {
   type        = "zip"
-  source_file = "${path.module}/script/validate-invoice.js"
   output_path = "${path.module}/script/validate-invoice.zip"
+
+  source {
+    content  = file("${path.module}/script/validate-invoice.js")
+    filename = "validate-invoice.js"
+  }
+
+  # Shared modules under script/lib are bundled alongside the handler
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
 }
 
 data "archive_file" "process_invoice_zip" {
   type        = "zip"
-  source_file = "${path.module}/script/process-invoice.js"
   output_path = "${path.module}/script/process-invoice.zip"
+
+  source {
+    content  = file("${path.module}/script/process-invoice.js")
+    filename = "process-invoice.js"
+  }
+
+  # Shared modules under script/lib are bundled alongside the handler
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
 }
 
 data "archive_file" "send_notification_zip" {
   type        = "zip"
-  source_file = "${path.module}/script/send-notification.js"
   output_path = "${path.module}/script/send-notification.zip"
+
+  source {
+    content  = file("${path.module}/script/send-notification.js")
+    filename = "send-notification.js"
+  }
+
+  # Shared modules under script/lib are bundled alongside the handler
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
 }
 
 data "archive_file" "textract_processor_zip" {
   type        = "zip"
-  source_file = "${path.module}/script/textract-processor.js"
   output_path = "${path.module}/script/textract-processor.zip"
+
+  source {
+    content  = file("${path.module}/script/textract-processor.js")
+    filename = "textract-processor.js"
+  }
+
+  # Shared modules under script/lib are bundled alongside the handler
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
 }
 
 data "archive_file" "store_extracted_data_zip" {
   type        = "zip"
-  source_file = "${path.module}/script/store-extracted-data.js"
   output_path = "${path.module}/script/store-extracted-data.zip"
+
+  source {
+    content  = file("${path.module}/script/store-extracted-data.js")
+    filename = "store-extracted-data.js"
+  }
+
+  # Shared modules under script/lib are bundled alongside the handler
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
 }
 
 # Lambda Functions
@@ -161,8 +227,16 @@ resource "aws_lambda_function" "validate_invoice" {
 
   environment {
     variables = {
-      ENVIRONMENT = "production"
-      LOG_LEVEL   = "info"
+      ENVIRONMENT             = "production"
+      LOG_LEVEL               = "info"
+      NORMALIZATION_CONFIG    = jsonencode(var.normalization_config)
+      VALIDATION_RULES_SOURCE = var.validation_rules_source
+      VALIDATION_RULES_BUCKET = aws_s3_bucket.processed_invoice_bucket.bucket
+      VALIDATION_RULES_PREFIX = "validation-rules/"
+
+      WEBHOOK_QUEUE_URL           = aws_sqs_queue.webhook_deliveries.url
+      WEBHOOK_SUBSCRIPTIONS_TABLE = aws_dynamodb_table.webhook_subscriptions.name
+      WEBHOOK_DELIVERIES_TABLE    = aws_dynamodb_table.webhook_deliveries.name
     }
   }
 
@@ -187,6 +261,14 @@ resource "aws_lambda_function" "process_invoice" {
       ENVIRONMENT         = "production"
       LOG_LEVEL           = "info"
       DYNAMODB_TABLE_NAME = aws_dynamodb_table.lambda_dynamodb.name
+
+      INVOICE_DB_CLUSTER_ARN = aws_rds_cluster.lambda_aurora_mysql.arn
+      INVOICE_DB_SECRET_ARN  = aws_secretsmanager_secret.invoice_db_credentials.arn
+      INVOICE_DB_NAME        = aws_rds_cluster.lambda_aurora_mysql.database_name
+
+      WEBHOOK_QUEUE_URL           = aws_sqs_queue.webhook_deliveries.url
+      WEBHOOK_SUBSCRIPTIONS_TABLE = aws_dynamodb_table.webhook_subscriptions.name
+      WEBHOOK_DELIVERIES_TABLE    = aws_dynamodb_table.webhook_deliveries.name
     }
   }
 
@@ -210,6 +292,14 @@ resource "aws_lambda_function" "send_notification" {
     variables = {
       ENVIRONMENT = "production"
       LOG_LEVEL   = "info"
+
+      EMAIL_TRANSPORT             = "ses"
+      NOTIFICATION_FROM_ADDRESS   = aws_ses_email_identity.notification_sender.email
+      NOTIFICATION_OPS_RECIPIENTS = var.notification_email
+      NOTIFICATION_DEFAULT_LOCALE = var.notification_default_locale
+      PARTY_REGISTRY_TABLE        = aws_dynamodb_table.party_registry.name
+
+      NOTIFICATION_SUBSCRIBERS = local.notification_subscribers_json
     }
   }
 
@@ -236,6 +326,31 @@ resource "aws_lambda_function" "textract_processor" {
       LOG_LEVEL           = "info"
       SNS_TOPIC_ARN       = aws_sns_topic.invoice_processing_notifications.arn
       STORAGE_LAMBDA_NAME = "store-extracted-data"
+
+      EXTRACTION_STATE_MACHINE_ARN = aws_sfn_state_machine.invoice_extraction.arn
+
+      INGESTION_CONCURRENCY  = var.ingestion_concurrency
+      INGESTION_MAX_RECEIVES = local.ingestion_max_receives
+
+      RECONCILIATION_TOLERANCE         = var.reconciliation_tolerance
+      RECONCILIATION_TOLERANCE_PERCENT = var.reconciliation_tolerance_percent
+      NORMALIZATION_CONFIG             = jsonencode(var.normalization_config)
+
+      OCR_PROVIDER           = var.ocr_provider
+      TEXTRACT_MODE          = var.textract_mode
+      TEXTRACT_SNS_TOPIC_ARN = aws_sns_topic.textract_job_completion.arn
+      TEXTRACT_ROLE_ARN      = aws_iam_role.textract_publish_role.arn
+
+      VENDOR_TEMPLATES_SOURCE = var.vendor_templates_source
+      VENDOR_TEMPLATES_TABLE  = aws_dynamodb_table.vendor_templates.name
+      VENDOR_TEMPLATES_BUCKET = aws_s3_bucket.processed_invoice_bucket.bucket
+      VENDOR_TEMPLATES_PREFIX = "templates/"
+
+      NOTIFICATION_SUBSCRIBERS  = local.notification_subscribers_json
+      NOTIFICATION_FROM_ADDRESS = aws_ses_email_identity.notification_sender.email
+
+      DEAD_LETTER_TABLE          = aws_dynamodb_table.dead_letters.name
+      DEAD_LETTER_RETENTION_DAYS = var.dead_letter_retention_days
     }
   }
 
@@ -262,6 +377,37 @@ resource "aws_lambda_function" "store_extracted_data" {
       DYNAMODB_TABLE_NAME   = aws_dynamodb_table.lambda_dynamodb.name
       PROCESSED_BUCKET_NAME = aws_s3_bucket.processed_invoice_bucket.bucket
       SNS_TOPIC_ARN         = aws_sns_topic.invoice_processing_notifications.arn
+
+      REVIEW_QUEUE_TABLE           = aws_dynamodb_table.review_queue.name
+      REVIEW_CONFIDENCE_THRESHOLDS = jsonencode(var.review_confidence_thresholds)
+
+      IDEMPOTENCY_TABLE          = aws_dynamodb_table.idempotency.name
+      IDEMPOTENCY_RETENTION_DAYS = var.idempotency_retention_days
+
+      DUPLICATE_CHECK_INDEX         = "VendorIndex"
+      DUPLICATE_LOOKBACK_DAYS       = var.duplicate_detection.lookback_days
+      DUPLICATE_MAX_EDIT_DISTANCE   = var.duplicate_detection.max_edit_distance
+      DUPLICATE_DATE_TOLERANCE_DAYS = var.duplicate_detection.date_tolerance_days
+
+      PARTY_REGISTRY_TABLE  = aws_dynamodb_table.party_registry.name
+      PARTY_FUZZY_THRESHOLD = var.party_fuzzy_threshold
+
+      PURCHASE_ORDER_TABLE = aws_dynamodb_table.purchase_orders.name
+      PO_MATCH_TOLERANCES  = jsonencode(var.po_match_tolerances)
+
+      INVOICE_DB_CLUSTER_ARN = aws_rds_cluster.lambda_aurora_mysql.arn
+      INVOICE_DB_SECRET_ARN  = aws_secretsmanager_secret.invoice_db_credentials.arn
+      INVOICE_DB_NAME        = aws_rds_cluster.lambda_aurora_mysql.database_name
+
+      NOTIFICATION_SUBSCRIBERS  = local.notification_subscribers_json
+      NOTIFICATION_FROM_ADDRESS = aws_ses_email_identity.notification_sender.email
+
+      WEBHOOK_QUEUE_URL           = aws_sqs_queue.webhook_deliveries.url
+      WEBHOOK_SUBSCRIPTIONS_TABLE = aws_dynamodb_table.webhook_subscriptions.name
+      WEBHOOK_DELIVERIES_TABLE    = aws_dynamodb_table.webhook_deliveries.name
+
+      DEAD_LETTER_TABLE          = aws_dynamodb_table.dead_letters.name
+      DEAD_LETTER_RETENTION_DAYS = var.dead_letter_retention_days
     }
   }
 
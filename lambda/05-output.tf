@@ -170,3 +170,78 @@ output "aurora_secret_arn" {
   value       = aws_secretsmanager_secret.aurora_password.arn
   sensitive   = true
 }
+
+output "vendor_templates_table_name" {
+  description = "DynamoDB table holding vendor extraction templates"
+  value       = aws_dynamodb_table.vendor_templates.name
+}
+
+output "review_queue_api_url" {
+  description = "Function URL of the review queue API (IAM authenticated)"
+  value       = aws_lambda_function_url.review_queue_api_url.function_url
+}
+
+output "idempotency_table_name" {
+  description = "DynamoDB table holding content hashes and invoice fingerprints for duplicate detection"
+  value       = aws_dynamodb_table.idempotency.name
+}
+
+output "party_registry_table_name" {
+  description = "DynamoDB table holding the vendor / customer master registry"
+  value       = aws_dynamodb_table.party_registry.name
+}
+
+output "invoice_db_connection" {
+  description = "RDS Data API settings for migrate-invoice-db.js (INVOICE_DB_CLUSTER_ARN, INVOICE_DB_SECRET_ARN, INVOICE_DB_NAME)"
+  value = {
+    cluster_arn = aws_rds_cluster.lambda_aurora_mysql.arn
+    secret_arn  = aws_secretsmanager_secret.invoice_db_credentials.arn
+    database    = aws_rds_cluster.lambda_aurora_mysql.database_name
+  }
+}
+
+output "purchase_order_table_name" {
+  description = "DynamoDB table holding purchase orders and goods receipts for three-way matching"
+  value       = aws_dynamodb_table.purchase_orders.name
+}
+
+output "purchase_order_api_url" {
+  description = "Function URL of the purchase order API (IAM authenticated)"
+  value       = aws_lambda_function_url.purchase_order_api_url.function_url
+}
+
+output "webhook_tables" {
+  description = "DynamoDB tables for manage-webhooks.js (WEBHOOK_SUBSCRIPTIONS_TABLE, WEBHOOK_DELIVERIES_TABLE)"
+  value = {
+    subscriptions = aws_dynamodb_table.webhook_subscriptions.name
+    deliveries    = aws_dynamodb_table.webhook_deliveries.name
+  }
+}
+
+output "webhook_queue_url" {
+  description = "SQS queue of pending webhook deliveries (WEBHOOK_QUEUE_URL, needed to replay)"
+  value       = aws_sqs_queue.webhook_deliveries.url
+}
+
+output "invoice_ingestion_queue" {
+  description = "SQS queue of uploads waiting for textract-processor, and its dead-letter queue"
+  value = {
+    url     = aws_sqs_queue.invoice_ingestion.url
+    dlq_url = aws_sqs_queue.invoice_ingestion_dlq.url
+  }
+}
+
+output "dead_letter_table" {
+  description = "DynamoDB table of failed documents for manage-dead-letters.js (DEAD_LETTER_TABLE)"
+  value       = aws_dynamodb_table.dead_letters.name
+}
+
+output "dead_letter_api_url" {
+  description = "Function URL of the dead-letter API (IAM auth)"
+  value       = aws_lambda_function_url.dead_letter_api_url.function_url
+}
+
+output "extraction_state_machine_arn" {
+  description = "ARN of the invoice extraction workflow the processors start (EXTRACTION_STATE_MACHINE_ARN)"
+  value       = aws_sfn_state_machine.invoice_extraction.arn
+}
@@ -213,27 +213,18 @@ resource "aws_s3_bucket_lifecycle_configuration" "processed_invoice_lifecycle" {
   }
 }
 
-# S3 bucket notifications for Lambda triggers
+# S3 bucket notifications queueing uploads for the Textract Lambda (30-ingestion-queue.tf)
 resource "aws_s3_bucket_notification" "raw_invoice_notification" {
   bucket = aws_s3_bucket.raw_invoice_bucket.id
 
-  lambda_function {
-    lambda_function_arn = aws_lambda_function.textract_processor.arn
-    events              = ["s3:ObjectCreated:*"]
-    filter_prefix       = ""
-    filter_suffix       = ""
+  queue {
+    queue_arn     = aws_sqs_queue.invoice_ingestion.arn
+    events        = ["s3:ObjectCreated:*"]
+    filter_prefix = ""
+    filter_suffix = ""
   }
 
-  depends_on = [aws_lambda_permission.allow_s3_invoke]
-}
-
-# Lambda permission for S3 to invoke function
-resource "aws_lambda_permission" "allow_s3_invoke" {
-  statement_id  = "AllowExecutionFromS3Bucket"
-  action        = "lambda:InvokeFunction"
-  function_name = aws_lambda_function.textract_processor.function_name
-  principal     = "s3.amazonaws.com"
-  source_arn    = aws_s3_bucket.raw_invoice_bucket.arn
+  depends_on = [aws_sqs_queue_policy.invoice_ingestion]
 }
 
 # S3 bucket logging (optional but recommended for security)
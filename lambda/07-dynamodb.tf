@@ -21,6 +21,31 @@ resource "aws_dynamodb_table" "lambda_dynamoDB" {
     type = "S"
   }
 
+  attribute {
+    name = "vendorKey"
+    type = "S"
+  }
+
+  attribute {
+    name = "processedAt"
+    type = "S"
+  }
+
+  attribute {
+    name = "fingerprint"
+    type = "S"
+  }
+
+  attribute {
+    name = "status"
+    type = "S"
+  }
+
+  attribute {
+    name = "createdAt"
+    type = "S"
+  }
+
   # Global replicas removed for cost optimization
   # Uncomment below if you need global distribution:
   # replica {
@@ -40,6 +65,29 @@ resource "aws_dynamodb_table" "lambda_dynamoDB" {
     # Removed read_capacity and write_capacity for PAY_PER_REQUEST billing mode
   }
 
+  # A vendor's recent invoices, for near-duplicate detection in store-extracted-data
+  global_secondary_index {
+    name               = "VendorIndex"
+    hash_key           = "vendorKey"
+    range_key          = "processedAt"
+    projection_type    = "INCLUDE"
+    non_key_attributes = ["invoiceId", "invoiceDate", "totalAmount", "totalAmountMinor", "currency", "originalFileName"]
+  }
+
+  # Invoice repository lookups (script/lib/invoice-repository.js)
+  global_secondary_index {
+    name            = "FingerprintIndex"
+    hash_key        = "fingerprint"
+    projection_type = "ALL"
+  }
+
+  global_secondary_index {
+    name            = "StatusIndex"
+    hash_key        = "status"
+    range_key       = "createdAt"
+    projection_type = "ALL"
+  }
+
   tags = {
     Architect   = "lambda_dynamoDB"
     Environment = "production"
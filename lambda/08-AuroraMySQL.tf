@@ -31,7 +31,7 @@ resource "aws_secretsmanager_secret_version" "aurora_password" {
 resource "aws_rds_cluster" "lambda_aurora_mysql" {
   cluster_identifier      = var.lambda_aurora_mysql_name
   engine                  = "aurora-mysql"
-  engine_version          = "8.0.mysql_aurora.3.04.0" # Updated to latest stable version
+  engine_version          = "8.0.mysql_aurora.3.07.1" # 3.07+ is required for the RDS Data API
   availability_zones      = [data.aws_availability_zones.available.names[0], data.aws_availability_zones.available.names[1], data.aws_availability_zones.available.names[2]]
   database_name           = var.lambda_aurora_mysql_database_name
   master_username         = "invoice"
@@ -42,6 +42,14 @@ resource "aws_rds_cluster" "lambda_aurora_mysql" {
   # Enable encryption at rest
   storage_encrypted = true
 
+  # RDS Data API, used by the Lambdas to write the reporting copy of invoices
+  enable_http_endpoint = true
+
+  serverlessv2_scaling_configuration {
+    min_capacity = var.invoice_db_capacity.min
+    max_capacity = var.invoice_db_capacity.max
+  }
+
   # Enable deletion protection for production
   deletion_protection = true # Enabled for production safety
 
@@ -30,6 +30,7 @@ resource "aws_iam_role_policy" "step_functions_policy" {
         ]
         Resource = [
           aws_lambda_function.validate_invoice.arn,
+          aws_lambda_function.match_purchase_order.arn,
           aws_lambda_function.process_invoice.arn,
           aws_lambda_function.send_notification.arn
         ]
@@ -92,12 +93,78 @@ resource "aws_sfn_state_machine" "invoice_automation" {
           {
             Variable      = "$.isValid"
             BooleanEquals = true
-            Next          = "ProcessInvoice"
+            Next          = "MatchPurchaseOrder"
           }
         ]
         Default = "ValidationFailed"
       }
 
+      # Three-way match against the purchase order and goods receipts; the
+      # result is kept as $.poMatch for process-invoice
+      MatchPurchaseOrder = {
+        Type     = "Task"
+        Resource = aws_lambda_function.match_purchase_order.arn
+        Parameters = {
+          "invoice.$" = "$.invoice"
+        }
+        ResultPath = "$.poMatch"
+        Retry = [
+          {
+            ErrorEquals     = ["Lambda.ServiceException", "Lambda.AWSLambdaException", "Lambda.SdkClientException"]
+            IntervalSeconds = 2
+            MaxAttempts     = 3
+            BackoffRate     = 2.0
+          }
+        ]
+        Catch = [
+          {
+            ErrorEquals = ["States.TaskFailed"]
+            Next        = "ProcessingFailed"
+            ResultPath  = "$.error"
+          }
+        ]
+        Next = "CheckPurchaseOrderMatch"
+      }
+
+      # Matched invoices are approved and invoices without a PO number carry
+      # on as before; anything else is reported and then held for review
+      CheckPurchaseOrderMatch = {
+        Type = "Choice"
+        Choices = [
+          {
+            Variable     = "$.poMatch.status"
+            StringEquals = "matched"
+            Next         = "ProcessInvoice"
+          },
+          {
+            Variable = "$.poMatch.poNumber"
+            IsNull   = true
+            Next     = "ProcessInvoice"
+          }
+        ]
+        Default = "PurchaseOrderExceptionNotification"
+      }
+
+      PurchaseOrderExceptionNotification = {
+        Type     = "Task"
+        Resource = aws_lambda_function.send_notification.arn
+        Parameters = {
+          "invoice.$"        = "$.invoice"
+          "poMatch.$"        = "$.poMatch"
+          "notificationType" = "po_mismatch"
+        }
+        ResultPath = "$.notification"
+        Retry = [
+          {
+            ErrorEquals     = ["Lambda.ServiceException", "Lambda.AWSLambdaException", "Lambda.SdkClientException"]
+            IntervalSeconds = 2
+            MaxAttempts     = 2
+            BackoffRate     = 2.0
+          }
+        ]
+        Next = "ProcessInvoice"
+      }
+
       ProcessInvoice = {
         Type     = "Task"
         Resource = aws_lambda_function.process_invoice.arn
@@ -143,6 +210,7 @@ resource "aws_sfn_state_machine" "invoice_automation" {
           "invoice.$"        = "$.invoice"
           "notificationType" = "success"
         }
+        ResultPath = "$.notification"
         Retry = [
           {
             ErrorEquals     = ["Lambda.ServiceException", "Lambda.AWSLambdaException", "Lambda.SdkClientException"]
@@ -161,7 +229,8 @@ resource "aws_sfn_state_machine" "invoice_automation" {
           "invoice.$"        = "$.invoice"
           "notificationType" = "duplicate"
         }
-        Next = "DuplicateInvoiceHandled"
+        ResultPath = "$.notification"
+        Next       = "DuplicateInvoiceHandled"
       }
 
       ValidationFailed = {
@@ -172,7 +241,8 @@ resource "aws_sfn_state_machine" "invoice_automation" {
           "notificationType" = "validation_failed"
           "error.$"          = "$.error"
         }
-        Next = "InvoiceValidationFailed"
+        ResultPath = "$.notification"
+        Next       = "InvoiceValidationFailed"
       }
 
       ProcessingFailed = {
@@ -183,7 +253,8 @@ resource "aws_sfn_state_machine" "invoice_automation" {
           "notificationType" = "processing_failed"
           "error.$"          = "$.error"
         }
-        Next = "InvoiceProcessingFailed"
+        ResultPath = "$.notification"
+        Next       = "InvoiceProcessingFailed"
       }
 
       InvoiceProcessedSuccessfully = {
@@ -192,7 +263,8 @@ resource "aws_sfn_state_machine" "invoice_automation" {
           status  = "SUCCESS"
           message = "Invoice has been validated, processed, and notification sent successfully"
         }
-        End = true
+        ResultPath = "$.result"
+        End        = true
       }
 
       DuplicateInvoiceHandled = {
@@ -201,7 +273,8 @@ resource "aws_sfn_state_machine" "invoice_automation" {
           status  = "DUPLICATE"
           message = "Duplicate invoice detected and handled"
         }
-        End = true
+        ResultPath = "$.result"
+        End        = true
       }
 
       InvoiceValidationFailed = {
@@ -210,7 +283,8 @@ resource "aws_sfn_state_machine" "invoice_automation" {
           status  = "VALIDATION_FAILED"
           message = "Invoice validation failed"
         }
-        End = true
+        ResultPath = "$.result"
+        End        = true
       }
 
       InvoiceProcessingFailed = {
@@ -219,7 +293,8 @@ resource "aws_sfn_state_machine" "invoice_automation" {
           status  = "PROCESSING_FAILED"
           message = "Invoice processing failed"
         }
-        End = true
+        ResultPath = "$.result"
+        End        = true
       }
     }
   })
@@ -0,0 +1,209 @@
+# Asynchronous Textract analysis for multi-page documents
+#
+# StartDocumentAnalysis publishes job completion to an SNS topic. The topic
+# fans out to an SQS queue that drives the textract-async-complete Lambda, so
+# completions survive Lambda throttling and failed pages can be retried.
+
+# SNS topic Textract publishes job completions to
+resource "aws_sns_topic" "textract_job_completion" {
+  name = "AmazonTextract-invoice-job-completion"
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+# Role Textract assumes to publish to the completion topic
+resource "aws_iam_role" "textract_publish_role" {
+  name = "textract-invoice-job-completion-role"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action = "sts:AssumeRole"
+        Effect = "Allow"
+        Principal = {
+          Service = "textract.amazonaws.com"
+        }
+      }
+    ]
+  })
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_iam_role_policy" "textract_publish_policy" {
+  name = "textract-job-completion-publish"
+  role = aws_iam_role.textract_publish_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = ["sns:Publish"]
+        Resource = aws_sns_topic.textract_job_completion.arn
+      }
+    ]
+  })
+}
+
+# Queue between the completion topic and the completion Lambda
+resource "aws_sqs_queue" "textract_job_completion_dlq" {
+  name                      = "textract-job-completion-dlq"
+  message_retention_seconds = 1209600
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+locals {
+  textract_completion_max_receives = 3
+}
+
+resource "aws_sqs_queue" "textract_job_completion" {
+  name                       = "textract-job-completion"
+  visibility_timeout_seconds = var.textract_lambda_timeout * 6
+  message_retention_seconds  = 345600
+
+  redrive_policy = jsonencode({
+    deadLetterTargetArn = aws_sqs_queue.textract_job_completion_dlq.arn
+    maxReceiveCount     = local.textract_completion_max_receives
+  })
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_sqs_queue_policy" "textract_job_completion" {
+  queue_url = aws_sqs_queue.textract_job_completion.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Principal = {
+          Service = "sns.amazonaws.com"
+        }
+        Action   = "sqs:SendMessage"
+        Resource = aws_sqs_queue.textract_job_completion.arn
+        Condition = {
+          ArnEquals = {
+            "aws:SourceArn" = aws_sns_topic.textract_job_completion.arn
+          }
+        }
+      }
+    ]
+  })
+}
+
+resource "aws_sns_topic_subscription" "textract_job_completion_queue" {
+  topic_arn = aws_sns_topic.textract_job_completion.arn
+  protocol  = "sqs"
+  endpoint  = aws_sqs_queue.textract_job_completion.arn
+}
+
+# Lambda permissions for starting jobs and consuming completions
+resource "aws_iam_role_policy" "lambda_textract_async_policy" {
+  name = "lambda-textract-async-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = ["iam:PassRole"]
+        Resource = aws_iam_role.textract_publish_role.arn
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "sqs:ReceiveMessage",
+          "sqs:DeleteMessage",
+          "sqs:GetQueueAttributes"
+        ]
+        Resource = aws_sqs_queue.textract_job_completion.arn
+      }
+    ]
+  })
+}
+
+data "archive_file" "textract_async_complete_zip" {
+  type        = "zip"
+  output_path = "${path.module}/script/textract-async-complete.zip"
+
+  source {
+    content  = file("${path.module}/script/textract-async-complete.js")
+    filename = "textract-async-complete.js"
+  }
+
+  # Shared modules under script/lib are bundled alongside the handler
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
+}
+
+resource "aws_lambda_function" "textract_async_complete" {
+  filename         = data.archive_file.textract_async_complete_zip.output_path
+  function_name    = "textract-async-complete"
+  role             = aws_iam_role.lambda_role.arn
+  handler          = "textract-async-complete.handler"
+  source_code_hash = data.archive_file.textract_async_complete_zip.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = var.textract_lambda_timeout
+  memory_size      = 512
+
+  environment {
+    variables = {
+      ENVIRONMENT          = "production"
+      LOG_LEVEL            = "info"
+      SNS_TOPIC_ARN        = aws_sns_topic.invoice_processing_notifications.arn
+      STORAGE_LAMBDA_NAME  = "store-extracted-data"
+      NORMALIZATION_CONFIG = jsonencode(var.normalization_config)
+
+      VENDOR_TEMPLATES_SOURCE = var.vendor_templates_source
+      VENDOR_TEMPLATES_TABLE  = aws_dynamodb_table.vendor_templates.name
+      VENDOR_TEMPLATES_BUCKET = aws_s3_bucket.processed_invoice_bucket.bucket
+      VENDOR_TEMPLATES_PREFIX = "templates/"
+
+      NOTIFICATION_SUBSCRIBERS  = local.notification_subscribers_json
+      NOTIFICATION_FROM_ADDRESS = aws_ses_email_identity.notification_sender.email
+
+      DEAD_LETTER_TABLE          = aws_dynamodb_table.dead_letters.name
+      DEAD_LETTER_RETENTION_DAYS = var.dead_letter_retention_days
+      INGESTION_MAX_RECEIVES     = local.textract_completion_max_receives
+    }
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    Function    = "textract-async-completion"
+  }
+}
+
+resource "aws_lambda_event_source_mapping" "textract_job_completion" {
+  event_source_arn        = aws_sqs_queue.textract_job_completion.arn
+  function_name           = aws_lambda_function.textract_async_complete.arn
+  batch_size              = 5
+  function_response_types = ["ReportBatchItemFailures"]
+}
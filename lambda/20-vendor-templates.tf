@@ -0,0 +1,61 @@
+# Vendor extraction template registry
+#
+# Templates tell the Textract processors where a recurring supplier prints
+# each field (see script/lib/vendor-templates.js). They are kept in DynamoDB
+# by default; with vendor_templates_source = "s3" they are read as JSON
+# objects under templates/ in the processed invoice bucket instead.
+
+resource "aws_dynamodb_table" "vendor_templates" {
+  name         = "invoice-vendor-templates"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "templateId"
+
+  attribute {
+    name = "templateId"
+    type = "S"
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_iam_role_policy" "lambda_vendor_templates_policy" {
+  name = "lambda-vendor-templates-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:Scan",
+          "dynamodb:GetItem"
+        ]
+        Resource = aws_dynamodb_table.vendor_templates.arn
+      },
+      {
+        Effect   = "Allow"
+        Action   = ["s3:ListBucket"]
+        Resource = aws_s3_bucket.processed_invoice_bucket.arn
+        Condition = {
+          StringLike = {
+            "s3:prefix" = ["templates/*"]
+          }
+        }
+      },
+      {
+        Effect   = "Allow"
+        Action   = ["s3:GetObject"]
+        Resource = "${aws_s3_bucket.processed_invoice_bucket.arn}/templates/*"
+      }
+    ]
+  })
+}
@@ -0,0 +1,127 @@
+# Human review queue for low-confidence extractions
+#
+# store-extracted-data parks invoices whose field confidence is below
+# var.review_confidence_thresholds in this table as pending_review. Reviewers
+# work the queue through the review-queue-api function URL (IAM auth); an
+# approval sends the corrected extraction back through store-extracted-data.
+
+resource "aws_dynamodb_table" "review_queue" {
+  name         = "invoice-review-queue"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "reviewId"
+
+  attribute {
+    name = "reviewId"
+    type = "S"
+  }
+
+  attribute {
+    name = "status"
+    type = "S"
+  }
+
+  attribute {
+    name = "createdAt"
+    type = "S"
+  }
+
+  global_secondary_index {
+    name            = "status-index"
+    hash_key        = "status"
+    range_key       = "createdAt"
+    projection_type = "ALL"
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_iam_role_policy" "lambda_review_queue_policy" {
+  name = "lambda-review-queue-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:PutItem",
+          "dynamodb:GetItem",
+          "dynamodb:UpdateItem",
+          "dynamodb:Query"
+        ]
+        Resource = [
+          aws_dynamodb_table.review_queue.arn,
+          "${aws_dynamodb_table.review_queue.arn}/index/*"
+        ]
+      }
+    ]
+  })
+}
+
+data "archive_file" "review_queue_api_zip" {
+  type        = "zip"
+  output_path = "${path.module}/script/review-queue-api.zip"
+
+  source {
+    content  = file("${path.module}/script/review-queue-api.js")
+    filename = "review-queue-api.js"
+  }
+
+  # Shared modules under script/lib are bundled alongside the handler
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
+}
+
+resource "aws_lambda_function" "review_queue_api" {
+  filename         = data.archive_file.review_queue_api_zip.output_path
+  function_name    = "review-queue-api"
+  role             = aws_iam_role.lambda_role.arn
+  handler          = "review-queue-api.handler"
+  source_code_hash = data.archive_file.review_queue_api_zip.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 60
+
+  environment {
+    variables = {
+      ENVIRONMENT           = "production"
+      LOG_LEVEL             = "info"
+      REVIEW_QUEUE_TABLE    = aws_dynamodb_table.review_queue.name
+      REVIEW_CLAIM_SECONDS  = var.review_claim_seconds
+      PROCESSED_BUCKET_NAME = aws_s3_bucket.processed_invoice_bucket.bucket
+      SNS_TOPIC_ARN         = aws_sns_topic.invoice_processing_notifications.arn
+      STORAGE_LAMBDA_NAME   = aws_lambda_function.store_extracted_data.function_name
+
+      NOTIFICATION_SUBSCRIBERS  = local.notification_subscribers_json
+      NOTIFICATION_FROM_ADDRESS = aws_ses_email_identity.notification_sender.email
+
+      WEBHOOK_QUEUE_URL           = aws_sqs_queue.webhook_deliveries.url
+      WEBHOOK_SUBSCRIPTIONS_TABLE = aws_dynamodb_table.webhook_subscriptions.name
+      WEBHOOK_DELIVERIES_TABLE    = aws_dynamodb_table.webhook_deliveries.name
+    }
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    Function    = "review-queue"
+  }
+}
+
+resource "aws_lambda_function_url" "review_queue_api_url" {
+  function_name      = aws_lambda_function.review_queue_api.function_name
+  authorization_type = "AWS_IAM"
+}
@@ -0,0 +1,53 @@
+# Idempotency records for invoice storage
+#
+# store-extracted-data claims a content#<sha256 of the S3 object> and a
+# fingerprint#<vendor, invoice number, amount> record here before writing an
+# invoice, so redelivered events, re-uploads and rescans are stored once
+# (see script/lib/idempotency.js). Records expire through DynamoDB TTL.
+
+resource "aws_dynamodb_table" "idempotency" {
+  name         = "invoice-idempotency"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "idempotencyKey"
+
+  attribute {
+    name = "idempotencyKey"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_iam_role_policy" "lambda_idempotency_policy" {
+  name = "lambda-idempotency-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:PutItem",
+          "dynamodb:GetItem",
+          "dynamodb:UpdateItem",
+          "dynamodb:DeleteItem"
+        ]
+        Resource = aws_dynamodb_table.idempotency.arn
+      }
+    ]
+  })
+}
@@ -0,0 +1,48 @@
+# Vendor / customer master registry
+#
+# store-extracted-data resolves each extracted vendor to a stable partyId
+# here (tax ID, exact name, alias, then fuzzy match) and creates provisional
+# entries for vendors it has not seen before (see script/lib/party-registry.js
+# and manage-party-registry.js).
+
+resource "aws_dynamodb_table" "party_registry" {
+  name         = "invoice-party-registry"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "partyId"
+
+  attribute {
+    name = "partyId"
+    type = "S"
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_iam_role_policy" "lambda_party_registry_policy" {
+  name = "lambda-party-registry-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:Scan",
+          "dynamodb:GetItem",
+          "dynamodb:PutItem",
+          "dynamodb:UpdateItem"
+        ]
+        Resource = aws_dynamodb_table.party_registry.arn
+      }
+    ]
+  })
+}
@@ -0,0 +1,67 @@
+# Aurora MySQL reporting database
+#
+# store-extracted-data and process-invoice mirror every stored invoice into
+# the Aurora cluster from 08-AuroraMySQL.tf through the RDS Data API (see
+# script/lib/invoice-db.js). The schema is applied with
+# `node migrate-invoice-db.js up` after deploying.
+
+resource "aws_rds_cluster_instance" "lambda_aurora_mysql_writer" {
+  identifier         = "${var.lambda_aurora_mysql_name}-writer"
+  cluster_identifier = aws_rds_cluster.lambda_aurora_mysql.id
+  instance_class     = "db.serverless"
+  engine             = aws_rds_cluster.lambda_aurora_mysql.engine
+  engine_version     = aws_rds_cluster.lambda_aurora_mysql.engine_version
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+# The Data API authenticates with a secret holding a JSON username/password
+resource "aws_secretsmanager_secret" "invoice_db_credentials" {
+  name        = "${var.lambda_aurora_mysql_name}-data-api-credentials"
+  description = "Aurora MySQL credentials for RDS Data API access"
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_secretsmanager_secret_version" "invoice_db_credentials" {
+  secret_id = aws_secretsmanager_secret.invoice_db_credentials.id
+  secret_string = jsonencode({
+    username = aws_rds_cluster.lambda_aurora_mysql.master_username
+    password = random_password.aurora_password.result
+  })
+}
+
+resource "aws_iam_role_policy" "lambda_invoice_db_policy" {
+  name = "lambda-invoice-db-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "rds-data:ExecuteStatement",
+          "rds-data:BatchExecuteStatement",
+          "rds-data:BeginTransaction",
+          "rds-data:CommitTransaction",
+          "rds-data:RollbackTransaction"
+        ]
+        Resource = aws_rds_cluster.lambda_aurora_mysql.arn
+      },
+      {
+        Effect   = "Allow"
+        Action   = ["secretsmanager:GetSecretValue"]
+        Resource = aws_secretsmanager_secret.invoice_db_credentials.arn
+      }
+    ]
+  })
+}
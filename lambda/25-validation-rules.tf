@@ -0,0 +1,48 @@
+# Invoice validation rule sets
+#
+# validate-invoice applies its built-in rules plus the per-customer and
+# per-vendor rule sets kept as JSON under ./validation-rules (see
+# script/lib/validation-rules.js). They are uploaded to validation-rules/ in
+# the processed invoice bucket and picked up within the Lambda cache TTL.
+
+resource "aws_s3_object" "validation_rule_sets" {
+  for_each = fileset("${path.module}/validation-rules", "*.json")
+
+  bucket       = aws_s3_bucket.processed_invoice_bucket.id
+  key          = "validation-rules/${each.value}"
+  source       = "${path.module}/validation-rules/${each.value}"
+  etag         = filemd5("${path.module}/validation-rules/${each.value}")
+  content_type = "application/json"
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_iam_role_policy" "lambda_validation_rules_policy" {
+  name = "lambda-validation-rules-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = ["s3:ListBucket"]
+        Resource = aws_s3_bucket.processed_invoice_bucket.arn
+        Condition = {
+          StringLike = {
+            "s3:prefix" = ["validation-rules/*"]
+          }
+        }
+      },
+      {
+        Effect   = "Allow"
+        Action   = ["s3:GetObject"]
+        Resource = "${aws_s3_bucket.processed_invoice_bucket.arn}/validation-rules/*"
+      }
+    ]
+  })
+}
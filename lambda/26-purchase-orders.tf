@@ -0,0 +1,139 @@
+# Purchase orders and three-way matching
+#
+# Purchase orders and goods receipts are loaded into this table from the
+# purchasing system, by CSV (import-purchase-orders.js) or through the
+# purchase-order-api function URL (IAM auth). The workflow in 09-step.tf
+# runs match-purchase-order after validation: matched invoices are approved,
+# the rest go to review with the reasons attached.
+
+resource "aws_dynamodb_table" "purchase_orders" {
+  name         = "invoice-purchase-orders"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "poKey"
+
+  attribute {
+    name = "poKey"
+    type = "S"
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_iam_role_policy" "lambda_purchase_orders_policy" {
+  name = "lambda-purchase-orders-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:GetItem",
+          "dynamodb:UpdateItem"
+        ]
+        Resource = aws_dynamodb_table.purchase_orders.arn
+      }
+    ]
+  })
+}
+
+data "archive_file" "match_purchase_order_zip" {
+  type        = "zip"
+  output_path = "${path.module}/script/match-purchase-order.zip"
+
+  source {
+    content  = file("${path.module}/script/match-purchase-order.js")
+    filename = "match-purchase-order.js"
+  }
+
+  # Shared modules under script/lib are bundled alongside the handler
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
+}
+
+resource "aws_lambda_function" "match_purchase_order" {
+  filename         = data.archive_file.match_purchase_order_zip.output_path
+  function_name    = "match-purchase-order"
+  role             = aws_iam_role.lambda_role.arn
+  handler          = "match-purchase-order.handler"
+  source_code_hash = data.archive_file.match_purchase_order_zip.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 30
+
+  environment {
+    variables = {
+      ENVIRONMENT          = "production"
+      LOG_LEVEL            = "info"
+      PURCHASE_ORDER_TABLE = aws_dynamodb_table.purchase_orders.name
+      PO_MATCH_TOLERANCES  = jsonencode(var.po_match_tolerances)
+    }
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    Function    = "purchase-order-matching"
+  }
+}
+
+data "archive_file" "purchase_order_api_zip" {
+  type        = "zip"
+  output_path = "${path.module}/script/purchase-order-api.zip"
+
+  source {
+    content  = file("${path.module}/script/purchase-order-api.js")
+    filename = "purchase-order-api.js"
+  }
+
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
+}
+
+resource "aws_lambda_function" "purchase_order_api" {
+  filename         = data.archive_file.purchase_order_api_zip.output_path
+  function_name    = "purchase-order-api"
+  role             = aws_iam_role.lambda_role.arn
+  handler          = "purchase-order-api.handler"
+  source_code_hash = data.archive_file.purchase_order_api_zip.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 30
+
+  environment {
+    variables = {
+      ENVIRONMENT          = "production"
+      LOG_LEVEL            = "info"
+      PURCHASE_ORDER_TABLE = aws_dynamodb_table.purchase_orders.name
+      PO_MATCH_TOLERANCES  = jsonencode(var.po_match_tolerances)
+    }
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    Function    = "purchase-order-api"
+  }
+}
+
+resource "aws_lambda_function_url" "purchase_order_api_url" {
+  function_name      = aws_lambda_function.purchase_order_api.function_name
+  authorization_type = "AWS_IAM"
+}
@@ -0,0 +1,11 @@
+# Notification email
+#
+# send-notification delivers invoice notifications through SES from this
+# identity, using the templates in script/lib/notification-templates.js.
+# Customer notifications go to the invoice's customerEmail or the customer's
+# registry entry; internal ones to var.notification_email. Until the account
+# leaves the SES sandbox, recipients must be verified identities too.
+
+resource "aws_ses_email_identity" "notification_sender" {
+  email = var.notification_from_address
+}
@@ -0,0 +1,37 @@
+# Notification routing
+#
+# The processors, store-extracted-data, the review queue and send-notification
+# route their notifications through script/lib/notification-router.js to
+# var.notification_subscribers (email, Slack, Teams, generic webhooks or SNS).
+# Webhook URLs usually carry a secret, so the variable is sensitive. The
+# subscriber list is passed as NOTIFICATION_SUBSCRIBERS and counts against the
+# 4 KB Lambda environment limit.
+
+locals {
+  notification_subscribers_json = jsonencode(var.notification_subscribers)
+
+  # Topic ARNs are not secret; the policy below needs them in plain text
+  notification_subscriber_topics = nonsensitive(distinct([
+    for subscriber in var.notification_subscribers : subscriber.target
+    if subscriber.channel == "sns" && subscriber.target != null
+  ]))
+}
+
+# Publishing to subscriber topics other than the notification topic
+resource "aws_iam_role_policy" "lambda_notification_routing_policy" {
+  count = length(local.notification_subscriber_topics) > 0 ? 1 : 0
+
+  name = "lambda-notification-routing-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = ["sns:Publish"]
+        Resource = local.notification_subscriber_topics
+      }
+    ]
+  })
+}
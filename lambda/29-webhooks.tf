@@ -0,0 +1,198 @@
+# Signed outbound webhooks
+#
+# validate-invoice, process-invoice, store-extracted-data and the review queue
+# publish invoice lifecycle events (invoice.stored, invoice.validated,
+# invoice.rejected, invoice.duplicate). Each event is recorded as one delivery
+# per subscription in the deliveries table and queued here; the
+# webhook-dispatcher Lambda POSTs it, signed with HMAC-SHA256. Failed attempts
+# are queued again with a growing delay, and deliveries that keep failing stay
+# in the deliveries table as dead letters until they are replayed with
+# manage-webhooks.js. Subscriptions are managed with the same script.
+
+resource "aws_dynamodb_table" "webhook_subscriptions" {
+  name         = "invoice-webhook-subscriptions"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "subscriptionId"
+
+  attribute {
+    name = "subscriptionId"
+    type = "S"
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_dynamodb_table" "webhook_deliveries" {
+  name         = "invoice-webhook-deliveries"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "deliveryId"
+
+  attribute {
+    name = "deliveryId"
+    type = "S"
+  }
+
+  attribute {
+    name = "status"
+    type = "S"
+  }
+
+  attribute {
+    name = "updatedAt"
+    type = "S"
+  }
+
+  # Dead letters are listed and replayed by status
+  global_secondary_index {
+    name            = "StatusIndex"
+    hash_key        = "status"
+    range_key       = "updatedAt"
+    projection_type = "ALL"
+  }
+
+  # Settled deliveries expire after var.webhook_delivery_retention_days; dead letters don't
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+# Messages the dispatcher itself can't handle (unreadable body, DynamoDB
+# errors); failed HTTP deliveries never end up here
+resource "aws_sqs_queue" "webhook_deliveries_dlq" {
+  name                      = "invoice-webhook-deliveries-dlq"
+  message_retention_seconds = 1209600
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_sqs_queue" "webhook_deliveries" {
+  name                       = "invoice-webhook-deliveries"
+  visibility_timeout_seconds = 180
+  message_retention_seconds  = 345600
+
+  redrive_policy = jsonencode({
+    deadLetterTargetArn = aws_sqs_queue.webhook_deliveries_dlq.arn
+    maxReceiveCount     = 5
+  })
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_iam_role_policy" "lambda_webhooks_policy" {
+  name = "lambda-webhooks-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:GetItem",
+          "dynamodb:PutItem",
+          "dynamodb:UpdateItem",
+          "dynamodb:Query",
+          "dynamodb:Scan"
+        ]
+        Resource = [
+          aws_dynamodb_table.webhook_subscriptions.arn,
+          aws_dynamodb_table.webhook_deliveries.arn,
+          "${aws_dynamodb_table.webhook_deliveries.arn}/index/*"
+        ]
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "sqs:SendMessage",
+          "sqs:ReceiveMessage",
+          "sqs:DeleteMessage",
+          "sqs:GetQueueAttributes"
+        ]
+        Resource = aws_sqs_queue.webhook_deliveries.arn
+      }
+    ]
+  })
+}
+
+data "archive_file" "webhook_dispatcher_zip" {
+  type        = "zip"
+  output_path = "${path.module}/script/webhook-dispatcher.zip"
+
+  source {
+    content  = file("${path.module}/script/webhook-dispatcher.js")
+    filename = "webhook-dispatcher.js"
+  }
+
+  # Shared modules under script/lib are bundled alongside the handler
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
+}
+
+resource "aws_lambda_function" "webhook_dispatcher" {
+  filename         = data.archive_file.webhook_dispatcher_zip.output_path
+  function_name    = "webhook-dispatcher"
+  role             = aws_iam_role.lambda_role.arn
+  handler          = "webhook-dispatcher.handler"
+  source_code_hash = data.archive_file.webhook_dispatcher_zip.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 30
+
+  environment {
+    variables = {
+      ENVIRONMENT = "production"
+      LOG_LEVEL   = "info"
+
+      WEBHOOK_QUEUE_URL               = aws_sqs_queue.webhook_deliveries.url
+      WEBHOOK_SUBSCRIPTIONS_TABLE     = aws_dynamodb_table.webhook_subscriptions.name
+      WEBHOOK_DELIVERIES_TABLE        = aws_dynamodb_table.webhook_deliveries.name
+      WEBHOOK_MAX_ATTEMPTS            = var.webhook_max_attempts
+      WEBHOOK_RETRY_BASE_SECONDS      = var.webhook_retry_base_seconds
+      WEBHOOK_DELIVERY_RETENTION_DAYS = var.webhook_delivery_retention_days
+    }
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    Function    = "webhook-dispatch"
+  }
+}
+
+resource "aws_lambda_event_source_mapping" "webhook_deliveries" {
+  event_source_arn        = aws_sqs_queue.webhook_deliveries.arn
+  function_name           = aws_lambda_function.webhook_dispatcher.arn
+  batch_size              = 10
+  function_response_types = ["ReportBatchItemFailures"]
+}
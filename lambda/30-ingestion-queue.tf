@@ -0,0 +1,93 @@
+# Queued invoice ingestion
+#
+# Uploads to the raw invoice bucket are sent to an SQS queue instead of
+# invoking textract-processor directly. The processor takes them in batches,
+# analyzes var.ingestion_concurrency documents at a time and reports the
+# messages whose documents failed as batchItemFailures, so only those are
+# retried. After three failed receives a message moves to the dead-letter
+# queue.
+
+locals {
+  # Also passed to textract-processor, which records a document in the
+  # dead-letter table when its last receive fails
+  ingestion_max_receives = 3
+}
+
+resource "aws_sqs_queue" "invoice_ingestion_dlq" {
+  name                      = "invoice-ingestion-dlq"
+  message_retention_seconds = 1209600
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_sqs_queue" "invoice_ingestion" {
+  name                       = "invoice-ingestion"
+  visibility_timeout_seconds = var.textract_lambda_timeout * 6
+  message_retention_seconds  = 345600
+
+  redrive_policy = jsonencode({
+    deadLetterTargetArn = aws_sqs_queue.invoice_ingestion_dlq.arn
+    maxReceiveCount     = local.ingestion_max_receives
+  })
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_sqs_queue_policy" "invoice_ingestion" {
+  queue_url = aws_sqs_queue.invoice_ingestion.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Principal = {
+          Service = "s3.amazonaws.com"
+        }
+        Action   = "sqs:SendMessage"
+        Resource = aws_sqs_queue.invoice_ingestion.arn
+        Condition = {
+          ArnEquals = {
+            "aws:SourceArn" = aws_s3_bucket.raw_invoice_bucket.arn
+          }
+        }
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy" "lambda_ingestion_queue_policy" {
+  name = "lambda-ingestion-queue-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "sqs:ReceiveMessage",
+          "sqs:DeleteMessage",
+          "sqs:GetQueueAttributes"
+        ]
+        Resource = aws_sqs_queue.invoice_ingestion.arn
+      }
+    ]
+  })
+}
+
+resource "aws_lambda_event_source_mapping" "invoice_ingestion" {
+  event_source_arn                   = aws_sqs_queue.invoice_ingestion.arn
+  function_name                      = aws_lambda_function.textract_processor.arn
+  batch_size                         = var.ingestion_batch_size
+  maximum_batching_window_in_seconds = var.ingestion_batching_window_seconds
+  function_response_types            = ["ReportBatchItemFailures"]
+}
@@ -0,0 +1,197 @@
+# Dead letters and redrive
+#
+# Documents that run out of retries are recorded in invoice-dead-letters with
+# the stage that failed (ingestion, extraction or storage), the error and the
+# attempt count. manage-dead-letters.js and the dead-letter-api function URL
+# (IAM auth) list them and redrive single items or filtered sets through
+# enhanced-textract-processor, optionally forcing a vendor template or OCR
+# provider. Resolved and discarded dead letters expire after
+# var.dead_letter_retention_days.
+
+resource "aws_dynamodb_table" "dead_letters" {
+  name         = "invoice-dead-letters"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "deadLetterId"
+
+  attribute {
+    name = "deadLetterId"
+    type = "S"
+  }
+
+  attribute {
+    name = "status"
+    type = "S"
+  }
+
+  attribute {
+    name = "lastFailedAt"
+    type = "S"
+  }
+
+  global_secondary_index {
+    name            = "StatusIndex"
+    hash_key        = "status"
+    range_key       = "lastFailedAt"
+    projection_type = "ALL"
+  }
+
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  point_in_time_recovery {
+    enabled = true
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_iam_role_policy" "lambda_dead_letters_policy" {
+  name = "lambda-dead-letters-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:GetItem",
+          "dynamodb:UpdateItem",
+          "dynamodb:Query"
+        ]
+        Resource = [
+          aws_dynamodb_table.dead_letters.arn,
+          "${aws_dynamodb_table.dead_letters.arn}/index/*"
+        ]
+      }
+    ]
+  })
+}
+
+data "archive_file" "enhanced_textract_processor_zip" {
+  type        = "zip"
+  output_path = "${path.module}/script/enhanced-textract-processor.zip"
+
+  source {
+    content  = file("${path.module}/script/enhanced-textract-processor.js")
+    filename = "enhanced-textract-processor.js"
+  }
+
+  # Shared modules under script/lib are bundled alongside the handler
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
+}
+
+# Redrive target. Redrives go through the extraction workflow; without it,
+# redriven multi-page documents wait for their Textract job in the
+# invocation, hence the 15 minute timeout.
+resource "aws_lambda_function" "enhanced_textract_processor" {
+  filename         = data.archive_file.enhanced_textract_processor_zip.output_path
+  function_name    = "enhanced-textract-processor"
+  role             = aws_iam_role.lambda_role.arn
+  handler          = "enhanced-textract-processor.handler"
+  source_code_hash = data.archive_file.enhanced_textract_processor_zip.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 900
+  memory_size      = 512
+
+  tracing_config {
+    mode = "Active"
+  }
+
+  environment {
+    variables = {
+      ENVIRONMENT         = "production"
+      LOG_LEVEL           = "info"
+      SNS_TOPIC_ARN       = aws_sns_topic.invoice_processing_notifications.arn
+      STORAGE_LAMBDA_NAME = aws_lambda_function.store_extracted_data.function_name
+
+      EXTRACTION_STATE_MACHINE_ARN = aws_sfn_state_machine.invoice_extraction.arn
+
+      NORMALIZATION_CONFIG         = jsonencode(var.normalization_config)
+      REVIEW_CONFIDENCE_THRESHOLDS = jsonencode(var.review_confidence_thresholds)
+
+      OCR_PROVIDER           = var.ocr_provider
+      TEXTRACT_MODE          = var.textract_mode
+      TEXTRACT_SNS_TOPIC_ARN = aws_sns_topic.textract_job_completion.arn
+      TEXTRACT_ROLE_ARN      = aws_iam_role.textract_publish_role.arn
+
+      VENDOR_TEMPLATES_SOURCE = var.vendor_templates_source
+      VENDOR_TEMPLATES_TABLE  = aws_dynamodb_table.vendor_templates.name
+      VENDOR_TEMPLATES_BUCKET = aws_s3_bucket.processed_invoice_bucket.bucket
+      VENDOR_TEMPLATES_PREFIX = "templates/"
+
+      NOTIFICATION_SUBSCRIBERS  = local.notification_subscribers_json
+      NOTIFICATION_FROM_ADDRESS = aws_ses_email_identity.notification_sender.email
+
+      DEAD_LETTER_TABLE          = aws_dynamodb_table.dead_letters.name
+      DEAD_LETTER_RETENTION_DAYS = var.dead_letter_retention_days
+    }
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    Function    = "textract-redrive"
+  }
+}
+
+data "archive_file" "dead_letter_api_zip" {
+  type        = "zip"
+  output_path = "${path.module}/script/dead-letter-api.zip"
+
+  source {
+    content  = file("${path.module}/script/dead-letter-api.js")
+    filename = "dead-letter-api.js"
+  }
+
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
+}
+
+resource "aws_lambda_function" "dead_letter_api" {
+  filename         = data.archive_file.dead_letter_api_zip.output_path
+  function_name    = "dead-letter-api"
+  role             = aws_iam_role.lambda_role.arn
+  handler          = "dead-letter-api.handler"
+  source_code_hash = data.archive_file.dead_letter_api_zip.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = 60
+
+  environment {
+    variables = {
+      ENVIRONMENT                = "production"
+      LOG_LEVEL                  = "info"
+      DEAD_LETTER_TABLE          = aws_dynamodb_table.dead_letters.name
+      DEAD_LETTER_RETENTION_DAYS = var.dead_letter_retention_days
+      REDRIVE_LAMBDA_NAME        = aws_lambda_function.enhanced_textract_processor.function_name
+    }
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    Function    = "dead-letter-api"
+  }
+}
+
+resource "aws_lambda_function_url" "dead_letter_api_url" {
+  function_name      = aws_lambda_function.dead_letter_api.function_name
+  authorization_type = "AWS_IAM"
+}
@@ -0,0 +1,527 @@
+# Extraction workflow
+#
+# textract-processor and enhanced-textract-processor check an upload and
+# start invoice-extraction-workflow, which extracts, validates, deduplicates
+# and stores the invoice one step at a time and notifies the outcome it
+# actually reached. Storage is a synchronous task, so a duplicate or a failed
+# storage is never reported as a success first. Multi-page documents are
+# polled every var.extraction_poll_seconds instead of going through
+# textract-async-complete. Failed executions are recorded as dead letters;
+# redrives run through the same workflow.
+
+data "archive_file" "extraction_workflow_zip" {
+  type        = "zip"
+  output_path = "${path.module}/script/extraction-workflow.zip"
+
+  source {
+    content  = file("${path.module}/script/extraction-workflow.js")
+    filename = "extraction-workflow.js"
+  }
+
+  # Shared modules under script/lib are bundled alongside the handler
+  dynamic "source" {
+    for_each = fileset("${path.module}/script/lib", "**/*.js")
+    content {
+      content  = file("${path.module}/script/lib/${source.value}")
+      filename = "lib/${source.value}"
+    }
+  }
+}
+
+# Task Lambda of every workflow step except storage
+resource "aws_lambda_function" "extraction_workflow" {
+  filename         = data.archive_file.extraction_workflow_zip.output_path
+  function_name    = "extraction-workflow"
+  role             = aws_iam_role.lambda_role.arn
+  handler          = "extraction-workflow.handler"
+  source_code_hash = data.archive_file.extraction_workflow_zip.output_base64sha256
+  runtime          = "nodejs20.x"
+  timeout          = var.textract_lambda_timeout
+  memory_size      = 512
+
+  environment {
+    variables = {
+      ENVIRONMENT           = "production"
+      LOG_LEVEL             = "info"
+      SNS_TOPIC_ARN         = aws_sns_topic.invoice_processing_notifications.arn
+      PROCESSED_BUCKET_NAME = aws_s3_bucket.processed_invoice_bucket.bucket
+
+      RECONCILIATION_TOLERANCE         = var.reconciliation_tolerance
+      RECONCILIATION_TOLERANCE_PERCENT = var.reconciliation_tolerance_percent
+      NORMALIZATION_CONFIG             = jsonencode(var.normalization_config)
+      REVIEW_CONFIDENCE_THRESHOLDS     = jsonencode(var.review_confidence_thresholds)
+
+      OCR_PROVIDER  = var.ocr_provider
+      TEXTRACT_MODE = var.textract_mode
+
+      VENDOR_TEMPLATES_SOURCE = var.vendor_templates_source
+      VENDOR_TEMPLATES_TABLE  = aws_dynamodb_table.vendor_templates.name
+      VENDOR_TEMPLATES_BUCKET = aws_s3_bucket.processed_invoice_bucket.bucket
+      VENDOR_TEMPLATES_PREFIX = "templates/"
+
+      VALIDATION_RULES_SOURCE = var.validation_rules_source
+      VALIDATION_RULES_BUCKET = aws_s3_bucket.processed_invoice_bucket.bucket
+      VALIDATION_RULES_PREFIX = "validation-rules/"
+
+      IDEMPOTENCY_TABLE = aws_dynamodb_table.idempotency.name
+
+      NOTIFICATION_SUBSCRIBERS  = local.notification_subscribers_json
+      NOTIFICATION_FROM_ADDRESS = aws_ses_email_identity.notification_sender.email
+
+      WEBHOOK_QUEUE_URL           = aws_sqs_queue.webhook_deliveries.url
+      WEBHOOK_SUBSCRIPTIONS_TABLE = aws_dynamodb_table.webhook_subscriptions.name
+      WEBHOOK_DELIVERIES_TABLE    = aws_dynamodb_table.webhook_deliveries.name
+
+      DEAD_LETTER_TABLE          = aws_dynamodb_table.dead_letters.name
+      DEAD_LETTER_RETENTION_DAYS = var.dead_letter_retention_days
+    }
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    Function    = "extraction-workflow"
+  }
+}
+
+resource "aws_iam_role_policy" "step_functions_extraction_policy" {
+  name = "step-functions-extraction-policy"
+  role = aws_iam_role.step_functions_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "lambda:InvokeFunction"
+        ]
+        Resource = [
+          aws_lambda_function.extraction_workflow.arn,
+          aws_lambda_function.store_extracted_data.arn
+        ]
+      }
+    ]
+  })
+}
+
+# The processors start executions
+resource "aws_iam_role_policy" "lambda_extraction_workflow_policy" {
+  name = "lambda-extraction-workflow-policy"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "states:StartExecution"
+        ]
+        Resource = aws_sfn_state_machine.invoice_extraction.arn
+      }
+    ]
+  })
+}
+
+resource "aws_sfn_state_machine" "invoice_extraction" {
+  name     = "invoice-extraction-workflow"
+  role_arn = aws_iam_role.step_functions_role.arn
+  type     = "STANDARD"
+
+  definition = jsonencode({
+    Comment = "Invoice Extraction Workflow - Extracts, validates, deduplicates and stores an uploaded invoice, then notifies the outcome"
+    StartAt = "ExtractInvoice"
+    States = {
+      # Single-page documents come back extracted; multi-page ones come back
+      # in_progress with the Textract job to collect
+      ExtractInvoice = {
+        Type     = "Task"
+        Resource = aws_lambda_function.extraction_workflow.arn
+        Parameters = {
+          "step"            = "extract"
+          "document.$"      = "$.document"
+          "redrive.$"       = "$.redrive"
+          "executionName.$" = "$$.Execution.Name"
+        }
+        ResultPath = "$.extraction"
+        Retry = [
+          {
+            ErrorEquals     = ["Lambda.ServiceException", "Lambda.AWSLambdaException", "Lambda.SdkClientException"]
+            IntervalSeconds = 2
+            MaxAttempts     = 3
+            BackoffRate     = 2.0
+          },
+          {
+            ErrorEquals     = ["ThrottlingException", "ProvisionedThroughputExceededException", "InternalServerError"]
+            IntervalSeconds = 5
+            MaxAttempts     = 3
+            BackoffRate     = 2.0
+          }
+        ]
+        Catch = [
+          {
+            ErrorEquals = ["States.TaskFailed"]
+            Next        = "ExtractionFailed"
+            ResultPath  = "$.error"
+          }
+        ]
+        Next = "CheckExtraction"
+      }
+
+      CheckExtraction = {
+        Type = "Choice"
+        Choices = [
+          {
+            Variable     = "$.extraction.status"
+            StringEquals = "in_progress"
+            Next         = "WaitForTextract"
+          }
+        ]
+        Default = "ValidateInvoice"
+      }
+
+      WaitForTextract = {
+        Type    = "Wait"
+        Seconds = var.extraction_poll_seconds
+        Next    = "CollectExtraction"
+      }
+
+      CollectExtraction = {
+        Type     = "Task"
+        Resource = aws_lambda_function.extraction_workflow.arn
+        Parameters = {
+          "step"            = "collect"
+          "document.$"      = "$.document"
+          "redrive.$"       = "$.redrive"
+          "extraction.$"    = "$.extraction"
+          "executionName.$" = "$$.Execution.Name"
+        }
+        ResultPath = "$.extraction"
+        Retry = [
+          {
+            ErrorEquals     = ["Lambda.ServiceException", "Lambda.AWSLambdaException", "Lambda.SdkClientException"]
+            IntervalSeconds = 2
+            MaxAttempts     = 3
+            BackoffRate     = 2.0
+          },
+          {
+            ErrorEquals     = ["ThrottlingException", "ProvisionedThroughputExceededException", "InternalServerError"]
+            IntervalSeconds = 5
+            MaxAttempts     = 3
+            BackoffRate     = 2.0
+          }
+        ]
+        Catch = [
+          {
+            ErrorEquals = ["States.TaskFailed"]
+            Next        = "ExtractionFailed"
+            ResultPath  = "$.error"
+          }
+        ]
+        Next = "CheckExtraction"
+      }
+
+      # Broken rules send the invoice to review rather than rejecting it
+      ValidateInvoice = {
+        Type     = "Task"
+        Resource = aws_lambda_function.extraction_workflow.arn
+        Parameters = {
+          "step"         = "validate"
+          "extraction.$" = "$.extraction"
+        }
+        ResultPath = "$.validation"
+        Retry = [
+          {
+            ErrorEquals     = ["Lambda.ServiceException", "Lambda.AWSLambdaException", "Lambda.SdkClientException"]
+            IntervalSeconds = 2
+            MaxAttempts     = 3
+            BackoffRate     = 2.0
+          }
+        ]
+        Catch = [
+          {
+            ErrorEquals = ["States.TaskFailed"]
+            Next        = "ProcessingFailed"
+            ResultPath  = "$.error"
+          }
+        ]
+        Next = "CheckDuplicates"
+      }
+
+      CheckDuplicates = {
+        Type     = "Task"
+        Resource = aws_lambda_function.extraction_workflow.arn
+        Parameters = {
+          "step"         = "check-duplicates"
+          "document.$"   = "$.document"
+          "extraction.$" = "$.extraction"
+          "validation.$" = "$.validation"
+        }
+        ResultPath = "$.duplicates"
+        Retry = [
+          {
+            ErrorEquals     = ["Lambda.ServiceException", "Lambda.AWSLambdaException", "Lambda.SdkClientException"]
+            IntervalSeconds = 2
+            MaxAttempts     = 3
+            BackoffRate     = 2.0
+          }
+        ]
+        Catch = [
+          {
+            ErrorEquals = ["States.TaskFailed"]
+            Next        = "ProcessingFailed"
+            ResultPath  = "$.error"
+          }
+        ]
+        Next = "CheckDuplicateResult"
+      }
+
+      CheckDuplicateResult = {
+        Type = "Choice"
+        Choices = [
+          {
+            Variable     = "$.duplicates.status"
+            StringEquals = "duplicate"
+            Next         = "NotifyDuplicate"
+          },
+          {
+            Variable     = "$.duplicates.status"
+            StringEquals = "replay"
+            Next         = "NotifyAlreadyProcessed"
+          }
+        ]
+        Default = "StoreInvoice"
+      }
+
+      # Answers 200 stored, 202 queued for review, 409 duplicate or 500
+      StoreInvoice = {
+        Type     = "Task"
+        Resource = aws_lambda_function.store_extracted_data.arn
+        Parameters = {
+          "orchestrated"         = true
+          "extractionLocation.$" = "$.extraction.location"
+          "sourceFile.$"         = "$.document.objectKey"
+          "sourceBucket.$"       = "$.document.bucketName"
+          "contentHash.$"        = "$.duplicates.contentHash"
+          "reviewReasons.$"      = "$.validation.reviewReasons"
+        }
+        ResultSelector = {
+          "statusCode.$" = "$.statusCode"
+          "body.$"       = "States.StringToJson($.body)"
+        }
+        ResultPath = "$.storage"
+        Retry = [
+          {
+            ErrorEquals     = ["Lambda.ServiceException", "Lambda.AWSLambdaException", "Lambda.SdkClientException"]
+            IntervalSeconds = 2
+            MaxAttempts     = 3
+            BackoffRate     = 2.0
+          }
+        ]
+        Catch = [
+          {
+            ErrorEquals = ["States.TaskFailed"]
+            Next        = "ProcessingFailed"
+            ResultPath  = "$.error"
+          }
+        ]
+        Next = "CheckStorage"
+      }
+
+      CheckStorage = {
+        Type = "Choice"
+        Choices = [
+          {
+            Variable      = "$.storage.statusCode"
+            NumericEquals = 200
+            Next          = "NotifyStored"
+          },
+          {
+            Variable      = "$.storage.statusCode"
+            NumericEquals = 202
+            Next          = "NotifyPendingReview"
+          },
+          {
+            Variable      = "$.storage.statusCode"
+            NumericEquals = 409
+            Next          = "NotifyDuplicate"
+          }
+        ]
+        Default = "ProcessingFailed"
+      }
+
+      NotifyStored = {
+        Type     = "Task"
+        Resource = aws_lambda_function.extraction_workflow.arn
+        Parameters = {
+          "step"    = "notify"
+          "outcome" = "stored"
+          "state.$" = "$"
+        }
+        ResultPath = "$.notification"
+        Retry = [
+          {
+            ErrorEquals     = ["Lambda.ServiceException", "Lambda.AWSLambdaException", "Lambda.SdkClientException"]
+            IntervalSeconds = 2
+            MaxAttempts     = 2
+            BackoffRate     = 2.0
+          }
+        ]
+        Next = "InvoiceStored"
+      }
+
+      NotifyPendingReview = {
+        Type     = "Task"
+        Resource = aws_lambda_function.extraction_workflow.arn
+        Parameters = {
+          "step"    = "notify"
+          "outcome" = "pending_review"
+          "state.$" = "$"
+        }
+        ResultPath = "$.notification"
+        Retry = [
+          {
+            ErrorEquals     = ["Lambda.ServiceException", "Lambda.AWSLambdaException", "Lambda.SdkClientException"]
+            IntervalSeconds = 2
+            MaxAttempts     = 2
+            BackoffRate     = 2.0
+          }
+        ]
+        Next = "InvoicePendingReview"
+      }
+
+      NotifyDuplicate = {
+        Type     = "Task"
+        Resource = aws_lambda_function.extraction_workflow.arn
+        Parameters = {
+          "step"    = "notify"
+          "outcome" = "duplicate"
+          "state.$" = "$"
+        }
+        ResultPath = "$.notification"
+        Next       = "DuplicateInvoiceHandled"
+      }
+
+      # Sends nothing; settles a redriven dead letter
+      NotifyAlreadyProcessed = {
+        Type     = "Task"
+        Resource = aws_lambda_function.extraction_workflow.arn
+        Parameters = {
+          "step"    = "notify"
+          "outcome" = "already_processed"
+          "state.$" = "$"
+        }
+        ResultPath = "$.notification"
+        Next       = "InvoiceAlreadyProcessed"
+      }
+
+      ExtractionFailed = {
+        Type     = "Task"
+        Resource = aws_lambda_function.extraction_workflow.arn
+        Parameters = {
+          "step"    = "notify"
+          "outcome" = "extraction_failed"
+          "state.$" = "$"
+        }
+        ResultPath = "$.notification"
+        Next       = "InvoiceExtractionFailed"
+      }
+
+      ProcessingFailed = {
+        Type     = "Task"
+        Resource = aws_lambda_function.extraction_workflow.arn
+        Parameters = {
+          "step"    = "notify"
+          "outcome" = "processing_failed"
+          "state.$" = "$"
+        }
+        ResultPath = "$.notification"
+        Next       = "InvoiceProcessingFailed"
+      }
+
+      InvoiceStored = {
+        Type = "Pass"
+        Result = {
+          status  = "STORED"
+          message = "Invoice has been extracted, validated, stored and notified"
+        }
+        ResultPath = "$.result"
+        End        = true
+      }
+
+      InvoicePendingReview = {
+        Type = "Pass"
+        Result = {
+          status  = "PENDING_REVIEW"
+          message = "Invoice has been queued for human review"
+        }
+        ResultPath = "$.result"
+        End        = true
+      }
+
+      DuplicateInvoiceHandled = {
+        Type = "Pass"
+        Result = {
+          status  = "DUPLICATE"
+          message = "Duplicate invoice detected and handled"
+        }
+        ResultPath = "$.result"
+        End        = true
+      }
+
+      InvoiceAlreadyProcessed = {
+        Type = "Pass"
+        Result = {
+          status  = "ALREADY_PROCESSED"
+          message = "Document was already processed by an earlier execution"
+        }
+        ResultPath = "$.result"
+        End        = true
+      }
+
+      InvoiceExtractionFailed = {
+        Type = "Pass"
+        Result = {
+          status  = "EXTRACTION_FAILED"
+          message = "Invoice extraction failed"
+        }
+        ResultPath = "$.result"
+        End        = true
+      }
+
+      InvoiceProcessingFailed = {
+        Type = "Pass"
+        Result = {
+          status  = "PROCESSING_FAILED"
+          message = "Invoice processing failed"
+        }
+        ResultPath = "$.result"
+        End        = true
+      }
+    }
+  })
+
+  logging_configuration {
+    log_destination        = "${aws_cloudwatch_log_group.extraction_workflow_logs.arn}:*"
+    include_execution_data = true
+    level                  = "ALL"
+  }
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    Service     = "step-functions"
+  }
+}
+
+resource "aws_cloudwatch_log_group" "extraction_workflow_logs" {
+  name              = "/aws/stepfunctions/invoice-extraction"
+  retention_in_days = 14
+
+  tags = {
+    Environment = "production"
+    Application = "invoice-automation"
+    ManagedBy   = "terraform"
+  }
+}
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Extraction Accuracy Benchmark
+ * Runs the parsers over the hand-labelled corpus in fixtures/golden/cases
+ * (recorded Textract responses from fixtures/textract, vendor templates from
+ * fixtures/templates) and reports per-field precision, recall and exact-match
+ * rates, line item matching and confidence calibration. The run is compared
+ * with fixtures/golden/baseline.json; any field a case got right in the
+ * baseline and gets wrong now fails the benchmark (see
+ * test/extraction-benchmark.js for the scoring rules).
+ *
+ * Usage:
+ *   node benchmark-extraction.js [--corpus <dir>] [--fixtures <dir>] [--templates <dir> | --no-templates]
+ *                                [--baseline <file>] [--update-baseline] [--ece-tolerance <n>] [--json] [--verbose]
+ *
+ * --update-baseline records the current results as the new baseline (after a
+ * deliberate trade-off, or when cases are added); --verbose lists every
+ * case and field; --json prints the full report instead of tables. Exits 1
+ * on a regression.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTemplateStore } = require('./script/lib/vendor-templates');
+const {
+    loadCorpus,
+    runCorpus,
+    summarize,
+    toBaseline,
+    compareToBaseline
+} = require('./test/extraction-benchmark');
+
+const GOLDEN_DIR = path.join(__dirname, 'fixtures', 'golden');
+
+function parseArgs(argv) {
+    const options = {
+        corpusDir: path.join(GOLDEN_DIR, 'cases'),
+        fixturesDir: path.join(__dirname, 'fixtures', 'textract'),
+        templatesDir: path.join(__dirname, 'fixtures', 'templates'),
+        baselineFile: path.join(GOLDEN_DIR, 'baseline.json'),
+        updateBaseline: false,
+        eceTolerance: 0.02,
+        json: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--corpus': options.corpusDir = path.resolve(argv[++i]); break;
+            case '--fixtures': options.fixturesDir = path.resolve(argv[++i]); break;
+            case '--templates': options.templatesDir = path.resolve(argv[++i]); break;
+            case '--no-templates': options.templatesDir = null; break;
+            case '--baseline': options.baselineFile = path.resolve(argv[++i]); break;
+            case '--update-baseline': options.updateBaseline = true; break;
+            case '--ece-tolerance': {
+                const value = Number(argv[++i]);
+                if (!Number.isFinite(value) || value < 0) {
+                    throw new Error('--ece-tolerance must be a non-negative number');
+                }
+                options.eceTolerance = value;
+                break;
+            }
+            case '--json': options.json = true; break;
+            case '--verbose': options.verbose = true; break;
+            default: throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+function percent(value) {
+    return value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function printCases(results) {
+    console.log('\n📄 Cases');
+    for (const result of results) {
+        const template = result.template ? ` [template ${result.template}]` : '';
+        console.log(`\n  ${result.name}${template}`);
+        if (result.error) {
+            console.log(`    ❌ ${result.error}`);
+        }
+        for (const [field, scored] of Object.entries(result.fields)) {
+            const mark = scored.outcome === 'correct' || scored.outcome === 'absent' ? '✅' : '❌';
+            const confidence = scored.confidence === null ? '' : ` (confidence ${Math.round(scored.confidence)})`;
+            console.log(`    ${mark} ${field.padEnd(15)} ${scored.outcome.padEnd(8)} expected ${JSON.stringify(scored.expected)}, got ${JSON.stringify(scored.actual)}${confidence}`);
+        }
+        if (result.lineItems) {
+            const { expected, extracted, matched, exact, unmatched } = result.lineItems;
+            console.log(`    ${matched === expected ? '✅' : '❌'} lineItems       ${matched}/${expected} matched, ${exact} exact, ${extracted} extracted`);
+            unmatched.forEach(description => console.log(`         not found: ${description}`));
+        }
+    }
+}
+
+function printSummary(summary) {
+    console.log('\n📊 Fields');
+    console.log(`  ${'field'.padEnd(15)} labelled  precision  recall   exact`);
+    for (const [field, metrics] of Object.entries(summary.fields)) {
+        console.log(`  ${field.padEnd(15)} ${String(metrics.labelled).padStart(8)}  ${percent(metrics.precision).padStart(9)}  ${percent(metrics.recall)}  ${percent(metrics.exactMatch)}`);
+    }
+    console.log(`  ${'all fields'.padEnd(15)} ${' '.repeat(8)}  ${' '.repeat(9)}  ${' '.repeat(6)}  ${percent(summary.exactMatch)}`);
+
+    const lineItems = summary.lineItems;
+    console.log('\n🧾 Line items');
+    console.log(`  ${lineItems.matched}/${lineItems.expected} labelled items found, ${lineItems.extracted} extracted`);
+    console.log(`  precision ${percent(lineItems.precision)}  recall ${percent(lineItems.recall)}  exact ${percent(lineItems.exactMatch)}`);
+
+    const calibration = summary.calibration;
+    console.log('\n🎯 Confidence calibration');
+    console.log(`  ${'confidence'.padEnd(10)} samples  mean conf  accuracy`);
+    for (const bucket of calibration.buckets) {
+        const meanConfidence = bucket.meanConfidence === null ? '-' : bucket.meanConfidence.toFixed(1);
+        console.log(`  ${bucket.range.padEnd(10)} ${String(bucket.samples).padStart(7)}  ${meanConfidence.padStart(9)}  ${percent(bucket.accuracy)}`);
+    }
+    console.log(`  Expected calibration error: ${calibration.ece === null ? '-' : calibration.ece.toFixed(4)} over ${calibration.samples} values`);
+
+    if (summary.failedCases > 0) {
+        console.log(`\n⚠️  ${summary.failedCases} case(s) could not be extracted at all`);
+    }
+}
+
+function printComparison(comparison) {
+    console.log('\n📈 Against the baseline');
+    comparison.improvements.forEach(entry => console.log(`  ⬆️  ${entry.message}`));
+    comparison.newCases.forEach(name => console.log(`  🆕 ${name}: not in the baseline (run with --update-baseline to add it)`));
+    comparison.regressions.forEach(entry => console.log(`  ❌ ${entry.message}`));
+    if (comparison.regressions.length === 0 && comparison.improvements.length === 0 && comparison.newCases.length === 0) {
+        console.log('  No change');
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const cases = loadCorpus(options.corpusDir);
+    const templates = options.templatesDir
+        ? await createTemplateStore({ source: 'local', dir: options.templatesDir }).listTemplates()
+        : [];
+
+    const results = await runCorpus(cases, { fixturesDir: options.fixturesDir, templates });
+    const summary = summarize(results);
+
+    const baseline = fs.existsSync(options.baselineFile)
+        ? JSON.parse(fs.readFileSync(options.baselineFile, 'utf8'))
+        : null;
+    const comparison = baseline
+        ? compareToBaseline(results, summary, baseline, { eceTolerance: options.eceTolerance })
+        : null;
+
+    if (options.json) {
+        console.log(JSON.stringify({ summary, comparison, cases: results }, null, 2));
+    } else {
+        console.log(`🚀 Extraction benchmark: ${cases.length} case(s), ${templates.length} template(s)`);
+        console.log('='.repeat(60));
+        if (options.verbose) printCases(results);
+        printSummary(summary);
+        if (comparison) {
+            printComparison(comparison);
+        } else if (!options.updateBaseline) {
+            console.log(`\n⚠️  No baseline at ${options.baselineFile}; run with --update-baseline to record one`);
+        }
+        console.log('='.repeat(60));
+    }
+
+    if (options.updateBaseline) {
+        fs.mkdirSync(path.dirname(options.baselineFile), { recursive: true });
+        fs.writeFileSync(options.baselineFile, JSON.stringify(toBaseline(results, summary), null, 2) + '\n');
+        console.error(`✅ Baseline written to ${options.baselineFile}`);
+        return;
+    }
+
+    if (comparison && !comparison.passed) {
+        console.error(`❌ ${comparison.regressions.length} regression(s) against the baseline`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseArgs
+};
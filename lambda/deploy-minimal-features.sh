@@ -92,7 +92,7 @@ if [[ "$response" =~ ^([yY][eE][sS]|[yY])$ ]]; then
     echo "• Budget alerts configured for $25/month"
     echo ""
     echo -e "${GREEN}🔧 Next steps:${NC}"
-    echo "1. Test the system with: node test-complete-system.js"
+    echo "1. Upload an invoice to the raw bucket and check your email for the notification"
     echo "2. Monitor costs in AWS Console"
     echo "3. Adjust budget limits if needed"
     
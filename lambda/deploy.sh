@@ -99,6 +99,21 @@ validate_terraform_files() {
     log_success "Terraform validation completed"
 }
 
+# The handlers end to end against local stand-ins (test-local-system.js);
+# a failing scenario stops the deployment before anything is applied
+run_local_tests() {
+    log_info "Running local system tests..."
+    
+    if ! command -v node &> /dev/null; then
+        log_warning "Node.js not found. Skipping local system tests."
+        return
+    fi
+    
+    node --test test/unit/*.test.js
+    node test-local-system.js
+    log_success "Local system tests passed"
+}
+
 create_lambda_packages() {
     log_info "Creating Lambda deployment packages..."
     
@@ -191,16 +206,6 @@ test_deployment() {
         log_warning "No Lambda functions found with expected naming pattern"
     fi
     
-    # Run comprehensive test if test script exists
-    if [ -f "test-complete-system.js" ]; then
-        log_info "Running comprehensive system test..."
-        if command -v node &> /dev/null; then
-            node test-complete-system.js
-        else
-            log_warning "Node.js not found. Skipping comprehensive test."
-        fi
-    fi
-    
     log_success "Deployment testing completed"
 }
 
@@ -251,6 +256,7 @@ main() {
     # Run deployment steps
     check_prerequisites
     validate_terraform_files
+    run_local_tests
     create_lambda_packages
     deploy_infrastructure
     test_deployment
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Purchase Order Import
+ * Loads purchase orders and goods receipts exported from the purchasing
+ * system into the store that match-purchase-order checks invoices against.
+ *
+ * Usage:
+ *   node import-purchase-orders.js orders <purchase-orders.csv>
+ *   node import-purchase-orders.js receipts <goods-receipts.csv>
+ *   node import-purchase-orders.js show <poNumber>
+ *
+ * One CSV row per order line or received line; see ORDER_COLUMNS and
+ * RECEIPT_COLUMNS in script/lib/purchase-orders.js and the samples in
+ * fixtures/purchase-orders. Both imports can be re-run: orders keep their
+ * receipts and a receipt is recorded once per receipt_id. The table is
+ * PURCHASE_ORDER_TABLE (default invoice-purchase-orders).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const purchaseOrders = require('./script/lib/purchase-orders');
+const { formatMinorUnits } = require('./script/lib/normalize');
+
+const CONFIG = {
+    tableName: process.env.PURCHASE_ORDER_TABLE || 'invoice-purchase-orders'
+};
+
+function createStore() {
+    const AWS = require('aws-sdk');
+    return purchaseOrders.createPurchaseOrderStore({
+        dynamodb: new AWS.DynamoDB.DocumentClient(),
+        tableName: CONFIG.tableName
+    });
+}
+
+function readCsv(file) {
+    if (!file) throw new Error('A CSV file is required');
+    return fs.readFileSync(path.resolve(file), 'utf8');
+}
+
+function describe(purchaseOrder) {
+    const received = purchaseOrders.receivedQuantities(purchaseOrder);
+    const lines = purchaseOrder.lines.map(line => `${line.lineNumber}:${received[line.lineNumber] || 0}/${line.quantity}`).join(' ');
+    return `${purchaseOrder.poNumber}\t${purchaseOrder.status}\t${purchaseOrder.vendorName || purchaseOrder.vendorId}\t${purchaseOrder.currency} ${formatMinorUnits(purchaseOrder.totalAmountMinor, purchaseOrder.currency)}\treceived ${lines}`;
+}
+
+async function importOrders(file) {
+    const orders = purchaseOrders.purchaseOrdersFromCsv(readCsv(file));
+    const store = createStore();
+
+    for (const order of orders) {
+        console.log(`📤 ${describe(await store.put(order))}`);
+    }
+    console.log(`${orders.length} purchase order${orders.length === 1 ? '' : 's'} imported`);
+}
+
+async function importReceipts(file) {
+    const receipts = purchaseOrders.receiptsFromCsv(readCsv(file));
+    const store = createStore();
+    let failed = 0;
+
+    // A receipt for an unknown order is reported and skipped, not fatal
+    for (const { poNumber, receipt } of receipts) {
+        try {
+            const updated = await store.addReceipt(poNumber, receipt);
+            console.log(`📦 ${receipt.receiptId}\t${describe(updated)}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${receipt.receiptId} (${poNumber}): ${error.message}`);
+        }
+    }
+    console.log(`${receipts.length - failed} of ${receipts.length} receipt${receipts.length === 1 ? '' : 's'} recorded`);
+    return failed > 0 ? 1 : 0;
+}
+
+async function show(poNumber) {
+    const purchaseOrder = await createStore().get(poNumber);
+    if (!purchaseOrder) throw new Error(`Purchase order ${poNumber} not found`);
+
+    console.log(describe(purchaseOrder));
+    purchaseOrder.lines.forEach(line => {
+        console.log(`   ${line.lineNumber}\t${line.sku || '-'}\t${line.quantity} x ${formatMinorUnits(line.unitPriceMinor, purchaseOrder.currency)}\t${line.description}`);
+    });
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    switch (command) {
+        case 'orders':
+            await importOrders(args[0]);
+            break;
+        case 'receipts':
+            process.exitCode = await importReceipts(args[0]);
+            break;
+        case 'show':
+            await show(args[0]);
+            break;
+        default:
+            console.error('Usage: node import-purchase-orders.js orders|receipts|show ...');
+            process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
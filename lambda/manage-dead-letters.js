@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Dead Letter Management
+ * Lists documents that failed extraction or storage, shows why, and sends
+ * them back through the enhanced-textract-processor Lambda.
+ *
+ * Usage:
+ *   node manage-dead-letters.js list [status] [filters] [--limit 25]
+ *   node manage-dead-letters.js show <deadLetterId>
+ *   node manage-dead-letters.js redrive <deadLetterId> [--template <templateId>] [--ocr <provider>]
+ *   node manage-dead-letters.js redrive-matching [filters] [--limit 25] [--template <templateId>] [--ocr <provider>]
+ *   node manage-dead-letters.js discard <deadLetterId> [reason]
+ *   node manage-dead-letters.js import-dlq [queueUrl]
+ *
+ * Filters: --stage ingestion|extraction|storage, --source <function>,
+ * --error <text>, --since <ISO date>, --before <ISO date>. Status defaults to
+ * open. --ocr is one of textract, textract-sync, textract-async,
+ * textract-expense or local. The table is DEAD_LETTER_TABLE (default
+ * invoice-dead-letters) and redrives invoke REDRIVE_LAMBDA_NAME (default
+ * enhanced-textract-processor). import-dlq moves messages from the ingestion
+ * dead-letter queue (INGESTION_DLQ_URL) into the table, for documents whose
+ * invocations crashed or timed out before they could be recorded.
+ */
+
+const os = require('os');
+const { createDeadLetterStore, createRedriver } = require('./script/lib/dead-letters');
+const { documentsFrom } = require('./script/lib/ingestion-batch');
+
+const CONFIG = {
+    tableName: process.env.DEAD_LETTER_TABLE || 'invoice-dead-letters',
+    dlqUrl: process.env.INGESTION_DLQ_URL,
+    actor: process.env.INVOICE_ACTOR || `cli:${os.userInfo().username}`
+};
+
+const OPTIONS = ['stage', 'source', 'error', 'since', 'before', 'limit', 'template', 'ocr'];
+
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const name = args[i].slice(2);
+            if (!OPTIONS.includes(name)) throw new Error(`Unknown option ${args[i]}`);
+            options[name] = args[++i];
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, options };
+}
+
+function filterFrom(options) {
+    return {
+        stage: options.stage,
+        source: options.source,
+        errorContains: options.error,
+        failedAfter: options.since,
+        failedBefore: options.before
+    };
+}
+
+function createStore() {
+    const AWS = require('aws-sdk');
+    return createDeadLetterStore({ dynamodb: new AWS.DynamoDB.DocumentClient(), tableName: CONFIG.tableName });
+}
+
+function createRedriverFor(store) {
+    const AWS = require('aws-sdk');
+    return createRedriver({ store, lambda: new AWS.Lambda() });
+}
+
+function describe(deadLetter) {
+    return `${deadLetter.deadLetterId}\t${deadLetter.status}\t${deadLetter.stage}\t${deadLetter.attempts} attempt(s)\t${deadLetter.lastFailedAt}\ts3://${deadLetter.bucketName}/${deadLetter.objectKey}`;
+}
+
+async function list(status, options) {
+    const { items } = await createStore().listByStatus(status || 'open', {
+        filter: filterFrom(options),
+        limit: parseInt(options.limit || '25', 10)
+    });
+    items.forEach(deadLetter => console.log(`${describe(deadLetter)}\t${deadLetter.error}`));
+    console.log(`${items.length} dead letter${items.length === 1 ? '' : 's'}`);
+}
+
+async function show(deadLetterId) {
+    const deadLetter = await createStore().get(deadLetterId);
+    console.log(describe(deadLetter));
+    console.log(`   first failed ${deadLetter.firstFailedAt}, recorded by ${deadLetter.source || '-'}`);
+    (deadLetter.failures || []).forEach(failure => {
+        console.log(`   ❌ ${failure.at}\t${failure.stage}\t${failure.source || '-'}\t${failure.attempts} attempt(s)\t${failure.error}`);
+    });
+    (deadLetter.redrives || []).forEach(redrive => {
+        const overrides = [redrive.templateId && `template ${redrive.templateId}`, redrive.ocrProvider && `OCR ${redrive.ocrProvider}`].filter(Boolean);
+        console.log(`   📤 ${redrive.at}\tredriven by ${redrive.actor}${overrides.length > 0 ? ` with ${overrides.join(', ')}` : ''}`);
+    });
+    if (deadLetter.resolution) {
+        console.log(`   ✅ ${deadLetter.resolvedAt}\t${JSON.stringify(deadLetter.resolution)}`);
+    }
+}
+
+async function redrive(deadLetterId, options) {
+    const deadLetter = await createRedriverFor(createStore()).redrive(deadLetterId, {
+        actor: CONFIG.actor,
+        templateId: options.template,
+        ocrProvider: options.ocr
+    });
+    console.log(`📤 ${describe(deadLetter)}`);
+}
+
+async function redriveMatching(options) {
+    const { redriven, failed } = await createRedriverFor(createStore()).redriveMatching(filterFrom(options), {
+        actor: CONFIG.actor,
+        templateId: options.template,
+        ocrProvider: options.ocr,
+        limit: parseInt(options.limit || '25', 10)
+    });
+    redriven.forEach(deadLetter => console.log(`📤 ${describe(deadLetter)}`));
+    failed.forEach(item => console.log(`❌ ${item.deadLetterId}\t${item.error}`));
+    console.log(`${redriven.length} dead letter${redriven.length === 1 ? '' : 's'} redriven`);
+    if (failed.length > 0) process.exitCode = 1;
+}
+
+async function discard(deadLetterId, reason) {
+    const deadLetter = await createStore().discard(deadLetterId, { actor: CONFIG.actor, reason: reason || null });
+    console.log(`✅ ${describe(deadLetter)}`);
+}
+
+// Each message is recorded before it is deleted, so an interrupted import
+// leaves the rest for the next run
+async function importDlq(queueUrl) {
+    if (!queueUrl) {
+        throw new Error('Pass the queue URL or set INGESTION_DLQ_URL (terraform output invoice_ingestion_queue)');
+    }
+    const AWS = require('aws-sdk');
+    const sqs = new AWS.SQS();
+    const store = createStore();
+    let imported = 0;
+
+    for (;;) {
+        const { Messages: messages = [] } = await sqs.receiveMessage({
+            QueueUrl: queueUrl,
+            MaxNumberOfMessages: 10,
+            WaitTimeSeconds: 1,
+            AttributeNames: ['ApproximateReceiveCount']
+        }).promise();
+        if (messages.length === 0) break;
+
+        for (const message of messages) {
+            const documents = documentsFrom({
+                Records: [{
+                    eventSource: 'aws:sqs',
+                    messageId: message.MessageId,
+                    body: message.Body,
+                    attributes: message.Attributes
+                }]
+            });
+
+            // Unreadable messages stay on the queue for a look by hand
+            const unreadable = documents.find(document => document.error);
+            if (unreadable) {
+                console.log(`❌ ${message.MessageId}\t${unreadable.error}`);
+                continue;
+            }
+
+            for (const document of documents) {
+                // Failures on the last receive were recorded by the processor already
+                const existing = await store.find(document.bucketName, document.objectKey);
+                if (existing && existing.status === 'open') {
+                    console.log(`⏭️  ${describe(existing)}\talready recorded`);
+                    continue;
+                }
+                const deadLetter = await store.record({
+                    bucketName: document.bucketName,
+                    objectKey: document.objectKey,
+                    stage: 'ingestion',
+                    error: 'Ingestion queue retries exhausted; the invocation failed before recording an error',
+                    attempts: document.receiveCount,
+                    source: 'invoice-ingestion-dlq'
+                });
+                console.log(`📥 ${describe(deadLetter)}`);
+                imported++;
+            }
+
+            await sqs.deleteMessage({ QueueUrl: queueUrl, ReceiptHandle: message.ReceiptHandle }).promise();
+        }
+    }
+
+    console.log(`${imported} document${imported === 1 ? '' : 's'} imported`);
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const { positional, options } = parseArgs(args);
+
+    switch (command) {
+        case 'list':
+            await list(positional[0], options);
+            break;
+        case 'show':
+            await show(positional[0]);
+            break;
+        case 'redrive':
+            await redrive(positional[0], options);
+            break;
+        case 'redrive-matching':
+            await redriveMatching(options);
+            break;
+        case 'discard':
+            await discard(positional[0], positional.slice(1).join(' '));
+            break;
+        case 'import-dlq':
+            await importDlq(positional[0] || CONFIG.dlqUrl);
+            break;
+        default:
+            console.error('Usage: node manage-dead-letters.js list|show|redrive|redrive-matching|discard|import-dlq ...');
+            process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
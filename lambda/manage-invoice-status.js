@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Invoice Status Management
+ * Moves stored invoices through their lifecycle (approve, schedule for
+ * payment, mark paid, reject, confirm or clear a suspected duplicate) and
+ * shows who changed an invoice and when.
+ *
+ * Usage:
+ *   node manage-invoice-status.js history <customerId> <invoiceNumber>
+ *   node manage-invoice-status.js list <status> [limit]
+ *   node manage-invoice-status.js move <customerId> <invoiceNumber> <status> [reason]
+ *
+ * Changes are recorded with the local user as actor (INVOICE_ACTOR
+ * overrides it). The invoice table is DYNAMODB_TABLE_NAME (default
+ * lambda_invoice_dynamoDB); the reporting database is updated too when
+ * INVOICE_DB_CLUSTER_ARN and INVOICE_DB_SECRET_ARN are set, and webhook
+ * subscribers hear about validated, rejected and duplicate invoices when
+ * WEBHOOK_QUEUE_URL, WEBHOOK_SUBSCRIPTIONS_TABLE and WEBHOOK_DELIVERIES_TABLE
+ * are set.
+ */
+
+const os = require('os');
+const lifecycle = require('./script/lib/invoice-lifecycle');
+const { createInvoiceRepository } = require('./script/lib/invoice-repository');
+
+const CONFIG = {
+    tableName: process.env.DYNAMODB_TABLE_NAME || 'lambda_invoice_dynamoDB',
+    actor: process.env.INVOICE_ACTOR || `cli:${os.userInfo().username}`
+};
+
+function createRepository() {
+    const AWS = require('aws-sdk');
+    return createInvoiceRepository(process.env.INVOICE_REPOSITORY || 'dynamodb', {
+        dynamodb: new AWS.DynamoDB.DocumentClient(),
+        tableName: CONFIG.tableName
+    });
+}
+
+function describe(invoice) {
+    return `${invoice.customerId}\t${invoice.invoiceNumber}\t${invoice.status}\t${invoice.invoiceId || '-'}\t${invoice.vendorName || '-'}`;
+}
+
+async function history(customerId, invoiceNumber) {
+    const entries = await lifecycle.createInvoiceLifecycle({ repository: createRepository() }).history(customerId, invoiceNumber);
+
+    entries.forEach(entry => {
+        const reason = entry.reason ? `\t${entry.reason}` : '';
+        console.log(`${entry.at}\t${entry.from || '-'} -> ${entry.to}\t${entry.actor}${reason}`);
+    });
+    console.log(`${entries.length} change${entries.length === 1 ? '' : 's'}`);
+}
+
+async function list(status, limit) {
+    if (!lifecycle.TRANSITIONS[status]) {
+        throw new Error(`Unknown status ${status}; one of ${Object.keys(lifecycle.TRANSITIONS).join(', ')}`);
+    }
+
+    const { items } = await createRepository().listByStatus(status, { limit: parseInt(limit || '25', 10) });
+    items.forEach(invoice => console.log(describe(invoice)));
+    console.log(`${items.length} invoice${items.length === 1 ? '' : 's'}`);
+}
+
+function createWebhookPublisher() {
+    if (!process.env.WEBHOOK_QUEUE_URL) return null;
+    const AWS = require('aws-sdk');
+    const { createWebhookPublisher: create } = require('./script/lib/webhook-delivery');
+    return create({ dynamodb: new AWS.DynamoDB.DocumentClient(), sqs: new AWS.SQS() });
+}
+
+async function move(customerId, invoiceNumber, status, reason) {
+    const updated = await lifecycle.createInvoiceLifecycle({ repository: createRepository(), webhookPublisher: createWebhookPublisher() })
+        .transition(customerId, invoiceNumber, status, { actor: CONFIG.actor, reason });
+    console.log(`✅ ${describe(updated)}`);
+
+    if (process.env.INVOICE_DB_CLUSTER_ARN) {
+        const AWS = require('aws-sdk');
+        const { createInvoiceDatabase } = require('./script/lib/invoice-db');
+        const invoiceDb = createInvoiceDatabase({ rdsData: new AWS.RDSDataService() });
+        const entry = updated.statusHistory[updated.statusHistory.length - 1];
+        await invoiceDb.recordInvoice(updated, { eventType: 'status_changed', detail: entry });
+        console.log('📤 Reporting database updated');
+    }
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    switch (command) {
+        case 'history':
+            await history(args[0], args[1]);
+            break;
+        case 'list':
+            await list(args[0], args[1]);
+            break;
+        case 'move':
+            await move(args[0], args[1], args[2], args[3]);
+            break;
+        default:
+            console.error('Usage: node manage-invoice-status.js history|list|move ...');
+            process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
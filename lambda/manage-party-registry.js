@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Vendor / Customer Registry Management
+ * Maintains the master registry that store-extracted-data resolves vendors
+ * against, and works through the provisional entries it creates.
+ *
+ * Usage:
+ *   node manage-party-registry.js add <party.json...>
+ *   node manage-party-registry.js list [--provisional]
+ *   node manage-party-registry.js resolve <name> [taxId]
+ *   node manage-party-registry.js alias <partyId> <alias>
+ *   node manage-party-registry.js activate <partyId>
+ *   node manage-party-registry.js merge <sourcePartyId> <targetPartyId>
+ *
+ * The registry table is PARTY_REGISTRY_TABLE (default invoice-party-registry).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const partyRegistry = require('./script/lib/party-registry');
+const { normalizeVendorName } = require('./script/lib/idempotency');
+
+const CONFIG = {
+    tableName: process.env.PARTY_REGISTRY_TABLE || 'invoice-party-registry'
+};
+
+function createRegistry() {
+    const AWS = require('aws-sdk');
+    return partyRegistry.createPartyRegistry({
+        dynamodb: new AWS.DynamoDB.DocumentClient(),
+        tableName: CONFIG.tableName
+    });
+}
+
+function describe(party) {
+    const extra = party.status === partyRegistry.STATUS.MERGED ? ` -> ${party.mergedInto}` : '';
+    return `${party.partyId}\t${party.type}\t${party.status}${extra}\t${party.name}`;
+}
+
+async function add(files) {
+    const registry = createRegistry();
+    for (const file of files) {
+        const party = await registry.upsert(JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')));
+        console.log(`📤 ${describe(party)}`);
+    }
+}
+
+async function list(args) {
+    const parties = await createRegistry().listParties();
+    const shown = args.includes('--provisional')
+        ? parties.filter(party => party.status === partyRegistry.STATUS.PROVISIONAL)
+        : parties;
+
+    shown.sort((a, b) => a.name.localeCompare(b.name)).forEach(party => {
+        console.log(describe(party));
+        (party.possibleMatches || []).forEach(match => {
+            console.log(`   possible match ${match.partyId} (${match.similarity})`);
+        });
+    });
+    console.log(`${shown.length} part${shown.length === 1 ? 'y' : 'ies'}`);
+}
+
+// Dry run: shows what a document with this vendor would resolve to
+async function resolve(name, taxId) {
+    const match = partyRegistry.matchParty(await createRegistry().listParties(), { type: 'vendor', name, taxId });
+
+    if (match && match.party) {
+        console.log(`✅ ${match.method} (${match.similarity}): ${describe(match.party)}`);
+        return 0;
+    }
+
+    console.log(`❌ No match; a provisional vendor ${partyRegistry.partyIdFor('vendor', normalizeVendorName(name))} would be created`);
+    ((match && match.candidates) || []).forEach(candidate => {
+        console.log(`   closest ${candidate.partyId} (${candidate.similarity})`);
+    });
+    return 1;
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const registry = ['alias', 'activate', 'merge'].includes(command) ? createRegistry() : null;
+
+    switch (command) {
+        case 'add':
+            await add(args);
+            break;
+        case 'list':
+            await list(args);
+            break;
+        case 'resolve':
+            process.exitCode = await resolve(args[0], args[1]);
+            break;
+        case 'alias':
+            console.log(`✅ ${describe(await registry.addAlias(args[0], args[1]))}`);
+            break;
+        case 'activate':
+            console.log(`✅ ${describe(await registry.activate(args[0]))}`);
+            break;
+        case 'merge':
+            console.log(`✅ ${args[0]} merged into ${describe(await registry.merge(args[0], args[1]))}`);
+            break;
+        default:
+            console.error('Usage: node manage-party-registry.js add|list|resolve|alias|activate|merge ...');
+            process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Vendor Template Management
+ * Validates vendor extraction templates and publishes them to the template
+ * registry (DynamoDB table or S3 prefix) read by the Textract processors.
+ *
+ * Usage:
+ *   node manage-vendor-templates.js validate <template.json...>
+ *   node manage-vendor-templates.js upload <template.json...>
+ *   node manage-vendor-templates.js list
+ *   node manage-vendor-templates.js test <template.json> <textract-response.json>
+ *
+ * The registry is chosen with VENDOR_TEMPLATES_SOURCE (dynamodb or s3) and
+ * VENDOR_TEMPLATES_TABLE / VENDOR_TEMPLATES_BUCKET / VENDOR_TEMPLATES_PREFIX.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vendorTemplates = require('./script/lib/vendor-templates');
+const { parseTextractResult } = require('./script/lib/textract-parser');
+const { normalizeExpenseResponse } = require('./script/lib/ocr-providers');
+
+const CONFIG = {
+    source: process.env.VENDOR_TEMPLATES_SOURCE || 'dynamodb',
+    tableName: process.env.VENDOR_TEMPLATES_TABLE || 'invoice-vendor-templates',
+    bucketName: process.env.VENDOR_TEMPLATES_BUCKET,
+    prefix: process.env.VENDOR_TEMPLATES_PREFIX || 'templates/'
+};
+
+function readTemplate(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+function validate(files) {
+    let failed = 0;
+    files.forEach(file => {
+        const errors = vendorTemplates.validateTemplate(readTemplate(file));
+        if (errors.length === 0) {
+            console.log(`✅ ${file}`);
+        } else {
+            failed++;
+            console.log(`❌ ${file}`);
+            errors.forEach(error => console.log(`   - ${error}`));
+        }
+    });
+    return failed;
+}
+
+async function upload(files) {
+    if (validate(files) > 0) {
+        throw new Error('Fix the template errors above before uploading');
+    }
+
+    const AWS = require('aws-sdk');
+    for (const file of files) {
+        const template = { ...readTemplate(file), updatedAt: new Date().toISOString() };
+
+        if (CONFIG.source === 's3') {
+            const key = `${CONFIG.prefix}${template.templateId}.json`;
+            await new AWS.S3().putObject({
+                Bucket: CONFIG.bucketName,
+                Key: key,
+                Body: JSON.stringify(template, null, 2),
+                ContentType: 'application/json'
+            }).promise();
+            console.log(`📤 ${template.templateId} -> s3://${CONFIG.bucketName}/${key}`);
+        } else {
+            await new AWS.DynamoDB.DocumentClient().put({
+                TableName: CONFIG.tableName,
+                Item: template
+            }).promise();
+            console.log(`📤 ${template.templateId} -> ${CONFIG.tableName}`);
+        }
+    }
+}
+
+async function list() {
+    const AWS = require('aws-sdk');
+    const store = vendorTemplates.createTemplateStore({
+        source: CONFIG.source,
+        dynamodb: new AWS.DynamoDB.DocumentClient(),
+        s3: new AWS.S3(),
+        tableName: CONFIG.tableName,
+        bucketName: CONFIG.bucketName,
+        prefix: CONFIG.prefix
+    });
+
+    const templates = await store.listTemplates();
+    templates.forEach(template => {
+        console.log(`${template.templateId}\t${template.vendorName || ''}\t${Object.keys(template.fields || {}).join(', ')}`);
+    });
+    console.log(`${templates.length} enabled template(s)`);
+}
+
+// Runs one template against a recorded Textract response
+function test(templateFile, responseFile) {
+    const template = vendorTemplates.compileTemplate(readTemplate(templateFile));
+    if (!template) throw new Error(`${templateFile} is not a valid template`);
+
+    const recorded = readTemplate(responseFile);
+    const textractResult = recorded.ExpenseDocuments ? normalizeExpenseResponse(recorded) : recorded;
+    const extractedData = parseTextractResult(textractResult, path.basename(responseFile), undefined, {
+        templates: [template]
+    });
+
+    if (!extractedData.template) {
+        console.log('❌ Template did not match this document');
+        return 1;
+    }
+
+    console.log(`✅ Matched on ${JSON.stringify(extractedData.template.matchedOn)}`);
+    Object.entries(extractedData.template.fields).forEach(([field, method]) => {
+        console.log(`   ${field} (${method}): ${JSON.stringify(extractedData.invoiceData[field])}`);
+    });
+    Object.keys(template.fields)
+        .filter(field => !extractedData.template.fields[field])
+        .forEach(field => console.log(`   ${field}: not found`));
+    return 0;
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    switch (command) {
+        case 'validate':
+            process.exitCode = validate(args) > 0 ? 1 : 0;
+            break;
+        case 'upload':
+            await upload(args);
+            break;
+        case 'list':
+            await list();
+            break;
+        case 'test':
+            process.exitCode = test(args[0], args[1]);
+            break;
+        default:
+            console.error('Usage: node manage-vendor-templates.js validate|upload|list|test ...');
+            process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Subscription Management
+ * Registers the endpoints that receive signed invoice lifecycle events, and
+ * inspects and replays their deliveries.
+ *
+ * Usage:
+ *   node manage-webhooks.js subscribe <url> <events> [description]
+ *   node manage-webhooks.js list
+ *   node manage-webhooks.js events <subscriptionId> <events>
+ *   node manage-webhooks.js disable|enable <subscriptionId>
+ *   node manage-webhooks.js rotate-secret <subscriptionId> [graceHours]
+ *   node manage-webhooks.js test <subscriptionId>
+ *   node manage-webhooks.js deliveries <status> [subscriptionId] [limit]
+ *   node manage-webhooks.js delivery <deliveryId>
+ *   node manage-webhooks.js replay <deliveryId>
+ *   node manage-webhooks.js replay-dead-letters [subscriptionId] [limit]
+ *
+ * <events> is a comma-separated list of invoice.stored, invoice.validated,
+ * invoice.rejected and invoice.duplicate, or *. The tables are
+ * WEBHOOK_SUBSCRIPTIONS_TABLE (default invoice-webhook-subscriptions) and
+ * WEBHOOK_DELIVERIES_TABLE (default invoice-webhook-deliveries); replays are
+ * queued on WEBHOOK_QUEUE_URL. test sends a webhook.ping straight from this
+ * machine, so it also works against a local receiver (webhook-receiver.js).
+ */
+
+const { EVENT_TYPES, buildEvent } = require('./script/lib/webhook-events');
+const webhookSubscriptions = require('./script/lib/webhook-subscriptions');
+const webhookDelivery = require('./script/lib/webhook-delivery');
+
+const CONFIG = {
+    subscriptionsTable: process.env.WEBHOOK_SUBSCRIPTIONS_TABLE || 'invoice-webhook-subscriptions',
+    deliveriesTable: process.env.WEBHOOK_DELIVERIES_TABLE || 'invoice-webhook-deliveries'
+};
+
+function createStores() {
+    const AWS = require('aws-sdk');
+    const dynamodb = new AWS.DynamoDB.DocumentClient();
+    return {
+        subscriptions: webhookSubscriptions.createWebhookSubscriptions({ dynamodb, tableName: CONFIG.subscriptionsTable }),
+        deliveries: webhookDelivery.createDeliveryStore({ dynamodb, tableName: CONFIG.deliveriesTable })
+    };
+}
+
+function createDispatcher(stores) {
+    const AWS = require('aws-sdk');
+    return webhookDelivery.createWebhookDispatcher({ ...stores, sqs: new AWS.SQS() });
+}
+
+function describe(subscription) {
+    return `${subscription.subscriptionId}\t${subscription.status}\tv${subscription.version}\t${subscription.events.join(',')}\t${subscription.url}`;
+}
+
+function describeDelivery(delivery) {
+    return `${delivery.deliveryId}\t${delivery.status}\t${delivery.eventType}\t${delivery.subscriptionId}\t${delivery.attempts} attempt(s)\t${delivery.updatedAt}`;
+}
+
+async function subscribe(url, events, description) {
+    const subscription = await createStores().subscriptions.create({ url, events, description: description || null });
+    console.log(`✅ ${describe(subscription)}`);
+    console.log(`🔑 Signing secret (shown once): ${subscription.secret}`);
+}
+
+async function list() {
+    const subscriptions = await createStores().subscriptions.list();
+    subscriptions
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .forEach(subscription => console.log(`${describe(subscription)}${subscription.description ? `\t${subscription.description}` : ''}`));
+    console.log(`${subscriptions.length} subscription${subscriptions.length === 1 ? '' : 's'}`);
+}
+
+async function rotateSecret(subscriptionId, graceHours) {
+    const subscription = await createStores().subscriptions.rotateSecret(subscriptionId, {
+        graceHours: graceHours ? parseFloat(graceHours) : undefined
+    });
+    console.log(`✅ ${describe(subscription)}`);
+    console.log(`🔑 New signing secret: ${subscription.secret}`);
+    console.log(`   The previous secret keeps signing deliveries until ${subscription.previousSecretExpiresAt}`);
+}
+
+// One attempt from this machine; a failed ping is dead-lettered right away
+// instead of being queued for a retry
+async function test(subscriptionId) {
+    const stores = createStores();
+    const subscription = await stores.subscriptions.get(subscriptionId);
+    const delivery = await stores.deliveries.create(subscription, buildEvent(EVENT_TYPES.PING, {
+        subscriptionId: subscriptionId,
+        message: 'Test delivery from manage-webhooks.js'
+    }, { source: 'manage-webhooks' }));
+
+    const dispatcher = webhookDelivery.createWebhookDispatcher({
+        ...stores,
+        queue: { async send() {} },
+        maxAttempts: 1
+    });
+    const result = await dispatcher.attempt(delivery.deliveryId);
+    console.log(`${result.status === webhookDelivery.STATUS.DELIVERED ? '✅' : '❌'} ${describeDelivery(result)}`);
+    if (result.lastError) console.log(`   ${result.lastError}`);
+    if (result.status !== webhookDelivery.STATUS.DELIVERED) process.exitCode = 1;
+}
+
+async function deliveries(status, subscriptionId, limit) {
+    if (!Object.values(webhookDelivery.STATUS).includes(status)) {
+        throw new Error(`Unknown delivery status ${status}; one of ${Object.values(webhookDelivery.STATUS).join(', ')}`);
+    }
+    const { items } = await createStores().deliveries.listByStatus(status, {
+        subscriptionId: subscriptionId && subscriptionId !== '-' ? subscriptionId : undefined,
+        limit: parseInt(limit || '25', 10)
+    });
+    items.forEach(delivery => console.log(describeDelivery(delivery)));
+    console.log(`${items.length} deliver${items.length === 1 ? 'y' : 'ies'}`);
+}
+
+async function delivery(deliveryId) {
+    const item = await createStores().deliveries.get(deliveryId);
+    console.log(describeDelivery(item));
+    console.log(`   event ${item.eventId}${item.replayOf ? `, replay of ${item.replayOf}` : ''}${item.replayedBy ? `, replayed as ${item.replayedBy}` : ''}`);
+    (item.attemptLog || []).forEach(attempt => {
+        console.log(`   ${attempt.at}\t${attempt.statusCode || '-'}\t${attempt.durationMs} ms\t${attempt.error || 'ok'}`);
+    });
+}
+
+async function replay(deliveryId) {
+    const replayed = await createDispatcher(createStores()).replay(deliveryId);
+    console.log(`📤 ${deliveryId} replayed as ${replayed.deliveryId}`);
+}
+
+async function replayDeadLetters(subscriptionId, limit) {
+    const replayed = await createDispatcher(createStores()).replayDeadLetters({
+        subscriptionId: subscriptionId && subscriptionId !== '-' ? subscriptionId : undefined,
+        limit: parseInt(limit || '25', 10)
+    });
+    replayed.forEach(item => console.log(`📤 ${item.replayOf} replayed as ${item.deliveryId}`));
+    console.log(`${replayed.length} dead letter${replayed.length === 1 ? '' : 's'} replayed`);
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    switch (command) {
+        case 'subscribe':
+            await subscribe(args[0], args[1], args.slice(2).join(' '));
+            break;
+        case 'list':
+            await list();
+            break;
+        case 'events':
+            console.log(`✅ ${describe(await createStores().subscriptions.change(args[0], { events: args[1] }))}`);
+            break;
+        case 'disable':
+        case 'enable': {
+            const status = command === 'disable' ? webhookSubscriptions.STATUS.DISABLED : webhookSubscriptions.STATUS.ACTIVE;
+            console.log(`✅ ${describe(await createStores().subscriptions.setStatus(args[0], status))}`);
+            break;
+        }
+        case 'rotate-secret':
+            await rotateSecret(args[0], args[1]);
+            break;
+        case 'test':
+            await test(args[0]);
+            break;
+        case 'deliveries':
+            await deliveries(args[0], args[1], args[2]);
+            break;
+        case 'delivery':
+            await delivery(args[0]);
+            break;
+        case 'replay':
+            await replay(args[0]);
+            break;
+        case 'replay-dead-letters':
+            await replayDeadLetters(args[0], args[1]);
+            break;
+        default:
+            console.error('Usage: node manage-webhooks.js subscribe|list|events|disable|enable|rotate-secret|test|deliveries|delivery|replay|replay-dead-letters ...');
+            process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
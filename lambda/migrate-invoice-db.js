@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Reporting Database Migrations
+ * Applies the Aurora MySQL schema (script/lib/invoice-db-migrations.js)
+ * through the RDS Data API and backfills invoices already in DynamoDB.
+ *
+ * Usage:
+ *   node migrate-invoice-db.js status
+ *   node migrate-invoice-db.js up
+ *   node migrate-invoice-db.js backfill
+ *
+ * Connection: INVOICE_DB_CLUSTER_ARN, INVOICE_DB_SECRET_ARN, INVOICE_DB_NAME
+ * (terraform output invoice_db_connection); backfill also reads
+ * DYNAMODB_TABLE_NAME.
+ */
+
+const AWS = require('aws-sdk');
+const { createInvoiceDatabase } = require('./script/lib/invoice-db');
+const { MIGRATIONS } = require('./script/lib/invoice-db-migrations');
+
+const CONFIG = {
+    tableName: process.env.DYNAMODB_TABLE_NAME || 'lambda_invoice_dynamoDB'
+};
+
+async function status(db) {
+    const applied = await db.appliedMigrations();
+    MIGRATIONS.forEach(migration => {
+        const mark = applied.includes(migration.version) ? '✅' : '⏳';
+        console.log(`${mark} ${migration.version} ${migration.name}`);
+    });
+}
+
+async function up(db) {
+    const applied = await db.migrate();
+    console.log(applied.length > 0 ? `✅ Applied ${applied.join(', ')}` : '✅ Schema is up to date');
+}
+
+// Copies every invoice in DynamoDB; recordInvoice upserts, so it can be re-run
+async function backfill(db) {
+    const dynamodb = new AWS.DynamoDB.DocumentClient();
+    let lastKey;
+    let copied = 0;
+    let failed = 0;
+
+    do {
+        const result = await dynamodb.scan({
+            TableName: CONFIG.tableName,
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        for (const record of result.Items || []) {
+            try {
+                await db.recordInvoice(record, { eventType: 'backfilled' });
+                copied++;
+            } catch (error) {
+                failed++;
+                console.error(`❌ ${record.customerId}#${record.invoiceNumber}: ${error.message}`);
+            }
+        }
+        lastKey = result.LastEvaluatedKey;
+        console.log(`📥 ${copied} copied, ${failed} failed`);
+    } while (lastKey);
+
+    return failed;
+}
+
+async function main() {
+    const command = process.argv[2];
+    const db = createInvoiceDatabase({ rdsData: new AWS.RDSDataService() });
+
+    switch (command) {
+        case 'status':
+            await status(db);
+            break;
+        case 'up':
+            await up(db);
+            break;
+        case 'backfill':
+            process.exitCode = (await backfill(db)) > 0 ? 1 : 0;
+            break;
+        default:
+            console.error('Usage: node migrate-invoice-db.js status|up|backfill');
+            process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -1,79 +1,98 @@
 const AWS = require('aws-sdk');
+const { parseTextractResult } = require('./lib/textract-parser');
+const { createOcrProvider } = require('./lib/ocr-providers');
+const { createInvoiceRepository } = require('./lib/invoice-repository');
+const { normalizeVendorName } = require('./lib/idempotency');
+const { partyIdFor } = require('./lib/party-registry');
+const lifecycle = require('./lib/invoice-lifecycle');
+const { processDocuments, batchResponse } = require('./lib/ingestion-batch');
 
 // Minimal AWS SDK initialization (no X-Ray)
 const textract = new AWS.Textract();
 const s3 = new AWS.S3();
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 
+const FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'cost-optimized-textract';
+
+const invoiceRepository = createInvoiceRepository(process.env.INVOICE_REPOSITORY || 'dynamodb', {
+    dynamodb,
+    tableName: process.env.DYNAMODB_TABLE_NAME || process.env.DYNAMODB_TABLE || 'lambda_invoice_dynamoDB'
+});
+
+// Sync AnalyzeDocument unless OCR_PROVIDER says otherwise
+const ocrProvider = createOcrProvider(process.env.OCR_PROVIDER || 'textract-sync', {
+    textract,
+    featureTypes: ['FORMS']  // Only forms, no tables to reduce cost
+});
+
+// Every document in the event, INGESTION_CONCURRENCY at a time; failed queue
+// messages are returned as batchItemFailures
 exports.handler = async (event) => {
+    const outcome = await processDocuments(event, processDocument);
+    if (outcome.failed > 0) {
+        console.error('Failed:', JSON.stringify(outcome.results.filter(result => result.status === 'failed')));
+    }
+    return batchResponse(event, outcome, 'Processed');
+};
+
+async function processDocument({ bucketName, objectKey }) {
     const startTime = Date.now();
     
     try {
-        const record = event.Records[0];
-        const bucketName = record.s3.bucket.name;
-        const objectKey = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
-        
         // Quick file validation
         const ext = objectKey.toLowerCase().split('.').pop();
         if (!['pdf', 'png', 'jpg', 'jpeg'].includes(ext)) {
-            return { statusCode: 400, body: 'Unsupported format' };
+            return { status: 'unsupported' };
         }
         
         // Minimal Textract call
-        const textractResult = await textract.analyzeDocument({
-            Document: { S3Object: { Bucket: bucketName, Name: objectKey } },
-            FeatureTypes: ['FORMS']  // Only forms, no tables to reduce cost
-        }).promise();
+        const outcome = await ocrProvider.analyze({ bucketName, objectKey });
+        if (outcome.status === 'submitted') {
+            return { status: 'submitted', jobId: outcome.jobId };
+        }
         
         // Extract minimal data
+        const parsed = parseTextractResult(outcome.textractResult, objectKey);
         const extractedData = {
+            schemaVersion: parsed.schemaVersion,
             fileName: objectKey,
-            timestamp: new Date().toISOString(),
-            invoiceNumber: extractInvoiceNumber(textractResult),
-            totalAmount: extractTotalAmount(textractResult),
+            timestamp: parsed.extractedAt,
+            invoiceNumber: parsed.invoiceData.invoiceNumber,
+            totalAmount: parsed.invoiceData.totalAmount,
+            currency: parsed.invoiceData.currency,
+            vendorName: parsed.invoiceData.vendorName,
             processingTime: Date.now() - startTime
         };
         
-        // Store in DynamoDB
-        await dynamodb.put({
-            TableName: process.env.DYNAMODB_TABLE || 'lambda_invoice_dynamoDB',
-            Item: {
-                invoiceId: extractedData.invoiceNumber || `inv-${Date.now()}`,
-                timestamp: extractedData.timestamp,
-                ...extractedData
-            }
-        }).promise();
+        // Store in DynamoDB; no registry lookup here, the vendor ID is derived
+        // from the normalized name as store-extracted-data does without one
+        const vendorKey = normalizeVendorName(extractedData.vendorName);
+        const vendorId = vendorKey ? partyIdFor('vendor', vendorKey) : null;
+        await invoiceRepository.create({
+            customerId: vendorId || 'CUST-UNRESOLVED',
+            invoiceId: extractedData.invoiceNumber || `AUTO-${Date.now()}`,
+            schemaVersion: extractedData.schemaVersion,
+            originalFileName: objectKey,
+            sourceBucket: bucketName,
+            extractedAt: extractedData.timestamp,
+            processedAt: new Date().toISOString(),
+            totalAmount: extractedData.totalAmount,
+            currency: extractedData.currency,
+            vendorName: extractedData.vendorName,
+            vendorKey: vendorKey || undefined,
+            vendorId: vendorId,
+            processingTime: extractedData.processingTime,
+            processingMethod: 'textract-cost-optimized',
+            ...lifecycle.begin([
+                { status: lifecycle.STATUS.RECEIVED, actor: FUNCTION_NAME, reason: `Uploaded as ${objectKey}` },
+                { status: lifecycle.STATUS.EXTRACTED, actor: FUNCTION_NAME, at: extractedData.timestamp }
+            ])
+        });
         
-        return {
-            statusCode: 200,
-            body: JSON.stringify({ message: 'Processed', data: extractedData })
-        };
+        return { status: 'processed', data: extractedData };
         
     } catch (error) {
-        console.error('Error:', error.message);
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ error: error.message })
-        };
+        console.error('Error:', objectKey, error.message);
+        throw error;
     }
-};
-
-function extractInvoiceNumber(result) {
-    const text = result.Blocks
-        .filter(b => b.BlockType === 'LINE')
-        .map(b => b.Text)
-        .join(' ');
-    
-    const match = text.match(/invoice\s*#?\s*:?\s*([a-zA-Z0-9\-]+)/i);
-    return match ? match[1] : null;
-}
-
-function extractTotalAmount(result) {
-    const text = result.Blocks
-        .filter(b => b.BlockType === 'LINE')
-        .map(b => b.Text)
-        .join(' ');
-    
-    const match = text.match(/total\s*:?\s*\$?([0-9,]+\.?[0-9]*)/i);
-    return match ? parseFloat(match[1].replace(/,/g, '')) : null;
 }
@@ -0,0 +1,144 @@
+const AWS = require('aws-sdk');
+const { createDeadLetterStore, createRedriver } = require('./lib/dead-letters');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const lambda = new AWS.Lambda();
+
+const deadLetters = createDeadLetterStore({ dynamodb });
+// Redrives go to REDRIVE_LAMBDA_NAME (enhanced-textract-processor)
+const redriver = createRedriver({ store: deadLetters, lambda });
+
+// Dead-letter API, served through a Lambda function URL:
+//     GET  /dead-letters?status=open&stage=&source=&error=&failedAfter=&failedBefore=&limit=&nextToken=
+//     GET  /dead-letters/{deadLetterId}
+//     POST /dead-letters/{deadLetterId}/redrive    { actor, templateId, ocrProvider }
+//     POST /dead-letters/{deadLetterId}/discard    { actor, reason }
+//     POST /dead-letters/redrive                   { actor, templateId, ocrProvider, limit, filter: { stage, source, errorContains, failedAfter, failedBefore } }
+// or invoked directly with { action: 'list' | 'get' | 'redrive' | 'discard' | 'redrive-matching', deadLetterId, ... }.
+exports.handler = async (event) => {
+    console.log('Dead Letter API triggered:', JSON.stringify(event, null, 2));
+
+    try {
+        const request = parseRequest(event);
+        const result = await route(request);
+        return respond(200, result);
+    } catch (error) {
+        console.error('Error handling dead letter request:', error);
+        return respond(error.statusCode || 500, { error: error.message });
+    }
+};
+
+function parseRequest(event) {
+    // Direct invocation
+    if (event.action) {
+        return {
+            action: event.action,
+            deadLetterId: event.deadLetterId,
+            query: event,
+            body: event
+        };
+    }
+
+    const http = (event.requestContext && event.requestContext.http) || {};
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body;
+    let body = {};
+    try {
+        body = rawBody ? JSON.parse(rawBody) : {};
+    } catch (error) {
+        throw httpError('Request body must be JSON', 400);
+    }
+    const [, resource, deadLetterId, verb] = (event.rawPath || '').split('/');
+
+    if (resource !== 'dead-letters') {
+        throw httpError(`Unknown path ${event.rawPath}`, 404);
+    }
+
+    const query = event.queryStringParameters || {};
+    let action;
+    if (http.method === 'GET' && !deadLetterId) {
+        action = 'list';
+    } else if (http.method === 'GET' && !verb) {
+        action = 'get';
+    } else if (http.method === 'POST' && deadLetterId === 'redrive' && !verb) {
+        action = 'redrive-matching';
+    } else if (http.method === 'POST' && verb === 'redrive') {
+        action = 'redrive';
+    } else if (http.method === 'POST' && verb === 'discard') {
+        action = 'discard';
+    } else {
+        throw httpError(`Unsupported request ${http.method} ${event.rawPath}`, 405);
+    }
+
+    return {
+        action,
+        deadLetterId: action === 'redrive-matching' ? undefined : deadLetterId && decodeURIComponent(deadLetterId),
+        query: {
+            status: query.status,
+            limit: query.limit,
+            nextToken: query.nextToken,
+            filter: {
+                stage: query.stage,
+                source: query.source,
+                errorContains: query.error,
+                failedAfter: query.failedAfter,
+                failedBefore: query.failedBefore
+            }
+        },
+        body
+    };
+}
+
+async function route({ action, deadLetterId, query, body }) {
+    const actor = body.actor || 'dead-letter-api';
+
+    switch (action) {
+        case 'list':
+            return deadLetters.listByStatus(query.status || 'open', {
+                filter: query.filter,
+                limit: query.limit ? parseInt(query.limit, 10) : undefined,
+                nextToken: query.nextToken
+            });
+        case 'get':
+            return deadLetters.get(requireId(deadLetterId));
+        case 'redrive':
+            return redriver.redrive(requireId(deadLetterId), {
+                actor,
+                templateId: body.templateId,
+                ocrProvider: body.ocrProvider
+            });
+        case 'discard':
+            return deadLetters.discard(requireId(deadLetterId), { actor, reason: body.reason });
+        case 'redrive-matching': {
+            const { redriven, failed } = await redriver.redriveMatching(body.filter || {}, {
+                actor,
+                templateId: body.templateId,
+                ocrProvider: body.ocrProvider,
+                limit: body.limit ? parseInt(body.limit, 10) : undefined
+            });
+            return { redriven: redriven.map(deadLetter => deadLetter.deadLetterId), failed };
+        }
+        default:
+            throw httpError(`Unknown action ${action}`, 400);
+    }
+}
+
+function requireId(deadLetterId) {
+    if (!deadLetterId) {
+        throw httpError('A deadLetterId is required', 400);
+    }
+    return deadLetterId;
+}
+
+function respond(statusCode, body) {
+    return {
+        statusCode: statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
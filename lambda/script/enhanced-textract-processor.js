@@ -1,5 +1,14 @@
 const AWS = require('aws-sdk');
 const AWSXRay = require('aws-xray-sdk-core');
+const { parseTextractResult } = require('./lib/textract-parser');
+const { createOcrProvider } = require('./lib/ocr-providers');
+const { createTemplateStore } = require('./lib/vendor-templates');
+const { assessConfidence } = require('./lib/review-queue');
+const { createNotifier } = require('./lib/notification-router');
+const { processDocuments, batchResponse, isFinalAttempt } = require('./lib/ingestion-batch');
+const { createDeadLetterRecorder } = require('./lib/dead-letters');
+const { createWorkflowStarter } = require('./lib/extraction-workflow');
+const { storeExtractedData } = require('./lib/invoice-storage');
 
 // Wrap AWS SDK with X-Ray for tracing
 const textract = AWSXRay.captureAWSClient(new AWS.Textract());
@@ -7,6 +16,14 @@ const s3 = AWSXRay.captureAWSClient(new AWS.S3());
 const sns = AWSXRay.captureAWSClient(new AWS.SNS());
 const lambda = AWSXRay.captureAWSClient(new AWS.Lambda());
 const cloudwatch = AWSXRay.captureAWSClient(new AWS.CloudWatch());
+const dynamodb = new AWS.DynamoDB.DocumentClient({ service: AWSXRay.captureAWSClient(new AWS.DynamoDB()) });
+
+// Routed to the NOTIFICATION_SUBSCRIBERS, or to SNS_TOPIC_ARN when there are none
+const notifier = createNotifier({
+    source: 'Invoice Processing',
+    sns,
+    ses: AWSXRay.captureAWSClient(new AWS.SES())
+});
 
 // Configuration
 const CONFIG = {
@@ -14,9 +31,56 @@ const CONFIG = {
     RETRY_DELAY: 1000,
     SUPPORTED_FORMATS: ['.pdf', '.png', '.jpg', '.jpeg', '.tiff', '.tif'],
     MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
-    TEXTRACT_TIMEOUT: 30000, // 30 seconds
+    TEXTRACT_TIMEOUT: 30000, // 30 seconds, sync analyzeDocument only
+    FEATURE_TYPES: ['TABLES', 'FORMS', 'SIGNATURES'],
 };
 
+// OCR_PROVIDER picks Textract sync/async/expense or the offline local provider
+const ocrProvider = createOcrProvider(process.env.OCR_PROVIDER, {
+    textract,
+    featureTypes: CONFIG.FEATURE_TYPES,
+    timeout: CONFIG.TEXTRACT_TIMEOUT
+});
+
+// Redrives may ask for another provider. They wait for async jobs instead of
+// handing them to textract-async-complete, so a template override still
+// applies and the dead letter is settled in this invocation.
+const redriveProviders = {};
+
+function ocrProviderFor(redrive) {
+    if (!redrive) return ocrProvider;
+    const name = redrive.ocrProvider || process.env.OCR_PROVIDER || 'textract';
+    if (!redriveProviders[name]) {
+        redriveProviders[name] = createOcrProvider(name, {
+            textract,
+            featureTypes: CONFIG.FEATURE_TYPES,
+            timeout: CONFIG.TEXTRACT_TIMEOUT,
+            waitForCompletion: true
+        });
+    }
+    return redriveProviders[name];
+}
+
+// Vendor templates from DynamoDB or S3 (VENDOR_TEMPLATES_SOURCE), cached per container
+const templateStore = createTemplateStore({ dynamodb, s3 });
+
+// Documents are extracted, validated, deduplicated and stored by the
+// extraction workflow when EXTRACTION_STATE_MACHINE_ARN is set; without it
+// they are extracted here and stored synchronously
+const workflow = process.env.EXTRACTION_STATE_MACHINE_ARN
+    ? createWorkflowStarter({ stepfunctions: AWSXRay.captureAWSClient(new AWS.StepFunctions()) })
+    : null;
+
+// Documents out of retries go to DEAD_LETTER_TABLE when it is set
+const deadLetters = createDeadLetterRecorder({
+    dynamodb,
+    source: process.env.AWS_LAMBDA_FUNCTION_NAME || 'enhanced-textract-processor'
+});
+
+// Triggered by the invoice ingestion queue, or straight from S3. Records are
+// processed INGESTION_CONCURRENCY at a time and reported one by one; queue
+// messages whose documents failed come back as batchItemFailures so SQS
+// retries only those.
 exports.handler = async (event, context) => {
     // Set up structured logging
     const logger = createLogger(context);
@@ -25,74 +89,94 @@ exports.handler = async (event, context) => {
     // Create custom metrics
     const metrics = new CustomMetrics();
     
-    try {
-        // Validate event structure
-        if (!event.Records || event.Records.length === 0) {
-            throw new Error('No S3 records found in event');
-        }
-
-        const results = [];
-        
-        // Process each record
-        for (const record of event.Records) {
-            const result = await processRecord(record, logger, metrics);
-            results.push(result);
-        }
-
-        // Send success metrics
-        await metrics.putMetric('ProcessingSuccess', 1, 'Count');
-        
-        logger.info('All records processed successfully', { results });
-        
+    // Validate event structure
+    if (!event.Records || event.Records.length === 0) {
+        logger.error('No records found in event');
         return {
-            statusCode: 200,
-            body: JSON.stringify({
-                message: 'All invoices processed successfully',
-                results: results
-            })
-        };
-        
-    } catch (error) {
-        logger.error('Error processing invoices', { error: error.message, stack: error.stack });
-        
-        // Send error metrics
-        await metrics.putMetric('ProcessingError', 1, 'Count');
-        
-        // Send error notification
-        await sendNotification('error', error.message, 'batch-processing');
-        
-        return {
-            statusCode: 500,
-            body: JSON.stringify({
-                message: 'Error processing invoices',
-                error: error.message
-            })
+            statusCode: 400,
+            body: JSON.stringify({ message: 'No S3 records found in event' })
         };
     }
+    
+    const outcome = await processDocuments(event, document => processRecord(document, logger, metrics));
+    
+    outcome.results.forEach(result => {
+        const log = result.status === 'failed' ? logger.error : logger.info;
+        log('Record result', result);
+    });
+    
+    // Send batch metrics
+    await metrics.putMetric('ProcessingSuccess', outcome.summary.total - outcome.failed, 'Count');
+    if (outcome.failed > 0) {
+        await metrics.putMetric('ProcessingError', outcome.failed, 'Count');
+    }
+    
+    logger.info('Batch processed', { summary: outcome.summary });
+    
+    return batchResponse(event, outcome, outcome.failed > 0
+        ? 'Some invoices could not be processed'
+        : 'All invoices processed successfully');
 };
 
-async function processRecord(record, logger, metrics) {
+async function processRecord(document, logger, metrics) {
+    const { bucketName, objectKey, eTag, redrive } = document;
     const startTime = Date.now();
     
     try {
-        // Parse S3 event
-        const s3Event = record.s3;
-        const bucketName = s3Event.bucket.name;
-        const objectKey = decodeURIComponent(s3Event.object.key.replace(/\+/g, ' '));
-        
-        logger.info('Processing file', { bucketName, objectKey });
+        logger.info('Processing file', { bucketName, objectKey, redrive });
         
         // Validate file
-        await validateFile(bucketName, objectKey, logger);
+        await validateFile(bucketName, objectKey, logger, ocrProviderFor(redrive));
         
-        // Process with Textract
-        const extractedData = await processWithTextract(bucketName, objectKey, logger);
+        // Redrives too: the workflow settles the dead letter with the outcome
+        if (workflow) {
+            const execution = await workflow.start({ bucketName, objectKey, eTag }, redrive);
+            logger.info('Extraction workflow started', { objectKey, ...execution });
+            return {
+                objectKey,
+                status: execution.status,
+                executionArn: execution.executionArn,
+                processingTime: Date.now() - startTime
+            };
+        }
         
-        // Store data
-        await storeExtractedData(extractedData, objectKey, bucketName, logger);
+        // Process with Textract. Multi-page documents are analysed
+        // asynchronously; storage and notification happen in
+        // textract-async-complete when the job ends.
+        const outcome = await processWithTextract(bucketName, objectKey, eTag, logger, redrive);
         
-        // Send success notification
-        await sendNotification('success', 'Invoice processed successfully', objectKey, extractedData);
+        if (outcome.status === 'submitted') {
+            return {
+                objectKey,
+                status: 'submitted',
+                jobId: outcome.jobId,
+                processingTime: Date.now() - startTime
+            };
+        }
+        
+        const extractedData = outcome.extractedData;
+        
+        // Fields below REVIEW_CONFIDENCE_THRESHOLDS send the invoice to the
+        // review queue; store-extracted-data parks it and notifies reviewers
+        const assessment = assessConfidence(extractedData);
+        if (assessment.reviewRequired) {
+            logger.warn('Extraction below confidence thresholds', { objectKey, reasons: assessment.reasons });
+            await metrics.putMetric('ReviewRequired', 1, 'Count');
+        }
+        
+        // Store data. store-extracted-data notifies the outcome itself, so
+        // nothing is reported before it answered.
+        const storage = await storeExtractedData(lambda, { extractedData, objectKey, bucketName }, logger);
+        
+        // A redriven dead letter is settled once the invoice went through;
+        // a storage failure has reopened it
+        if (redrive && deadLetters && storage.status !== 'storage_failed') {
+            await deadLetters.resolve(redrive.deadLetterId, {
+                status: storage.status,
+                templateId: extractedData.template ? extractedData.template.templateId : null,
+                redrivenBy: redrive.actor || null
+            });
+        }
         
         // Record processing time
         const processingTime = Date.now() - startTime;
@@ -106,37 +190,52 @@ async function processRecord(record, logger, metrics) {
         
         return {
             objectKey,
-            status: 'success',
+            status: storage.status,
+            storageError: storage.error,
+            reviewReasons: assessment.reasons,
             processingTime,
             extractedData: {
                 invoiceNumber: extractedData.invoiceData.invoiceNumber,
                 totalAmount: extractedData.invoiceData.totalAmount,
-                vendorName: extractedData.invoiceData.vendorName
+                vendorName: extractedData.invoiceData.vendorName,
+                lineItemsCount: extractedData.invoiceData.lineItems.length
             }
         };
         
     } catch (error) {
         logger.error('Error processing record', { 
-            objectKey: record.s3?.object?.key,
+            objectKey,
             error: error.message 
         });
         
-        await sendNotification('error', error.message, record.s3?.object?.key || 'unknown');
+        await sendNotification('error', error.message, objectKey);
         
-        return {
-            objectKey: record.s3?.object?.key || 'unknown',
-            status: 'error',
-            error: error.message
-        };
+        if (deadLetters && isFinalAttempt(document, error)) {
+            await deadLetters.record({
+                bucketName,
+                objectKey,
+                stage: 'extraction',
+                error,
+                attempts: document.receiveCount
+            });
+        }
+        
+        // Failing the record lets the ingestion queue retry just this document
+        throw error;
     }
 }
 
-async function validateFile(bucketName, objectKey, logger) {
+async function validateFile(bucketName, objectKey, logger, provider = ocrProvider) {
     // Check file extension
     const fileExtension = objectKey.toLowerCase().substring(objectKey.lastIndexOf('.'));
     
     if (!CONFIG.SUPPORTED_FORMATS.includes(fileExtension)) {
-        throw new Error(`Unsupported file format: ${fileExtension}`);
+        throw validationError(`Unsupported file format: ${fileExtension}`, 415);
+    }
+    
+    // The local provider reads fixtures from disk, not from S3
+    if (provider.name === 'local') {
+        return;
     }
     
     // Check file size
@@ -147,7 +246,7 @@ async function validateFile(bucketName, objectKey, logger) {
         }).promise();
         
         if (headResult.ContentLength > CONFIG.MAX_FILE_SIZE) {
-            throw new Error(`File too large: ${headResult.ContentLength} bytes (max: ${CONFIG.MAX_FILE_SIZE})`);
+            throw validationError(`File too large: ${headResult.ContentLength} bytes (max: ${CONFIG.MAX_FILE_SIZE})`, 413);
         }
         
         logger.info('File validation passed', { 
@@ -163,40 +262,46 @@ async function validateFile(bucketName, objectKey, logger) {
     }
 }
 
-async function processWithTextract(bucketName, objectKey, logger) {
-    const textractParams = {
-        Document: {
-            S3Object: {
-                Bucket: bucketName,
-                Name: objectKey
-            }
-        },
-        FeatureTypes: ['TABLES', 'FORMS', 'SIGNATURES']
-    };
-    
-    logger.info('Starting Textract analysis', { textractParams });
+async function processWithTextract(bucketName, objectKey, eTag, logger, redrive = null) {
+    const provider = ocrProviderFor(redrive);
+    logger.info('Starting OCR analysis', { provider: provider.name, bucketName, objectKey });
     
-    // Implement retry logic for Textract
+    // Implement retry logic for the OCR provider
     let lastError;
     for (let attempt = 1; attempt <= CONFIG.MAX_RETRIES; attempt++) {
         try {
-            const textractResult = await Promise.race([
-                textract.analyzeDocument(textractParams).promise(),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Textract timeout')), CONFIG.TEXTRACT_TIMEOUT)
-                )
-            ]);
+            const outcome = await provider.analyze({ bucketName, objectKey, eTag });
             
-            logger.info('Textract analysis completed', { 
+            // Async jobs are stored by textract-async-complete when they finish
+            if (outcome.status === 'submitted') {
+                logger.info('Textract async analysis started', { objectKey, jobId: outcome.jobId });
+                return outcome;
+            }
+            
+            logger.info('OCR analysis completed', { 
                 attempt,
-                blocksCount: textractResult.Blocks?.length || 0 
+                provider: provider.name,
+                blocksCount: outcome.textractResult.Blocks?.length || 0 
             });
             
-            return parseTextractResult(textractResult, objectKey, logger);
+            const extractedData = parseTextractResult(outcome.textractResult, objectKey, logger, {
+                templates: await templateStore.listTemplates(),
+                templateId: redrive ? redrive.templateId : null
+            });
+            logger.info('Vendor template selection', {
+                objectKey,
+                templateId: extractedData.template ? extractedData.template.templateId : null
+            });
+            
+            return { status: 'completed', extractedData };
             
         } catch (error) {
+            // Retrying won't find a template that doesn't exist
+            if (error.statusCode >= 400 && error.statusCode < 500) {
+                throw error;
+            }
             lastError = error;
-            logger.warn('Textract attempt failed', { 
+            logger.warn('OCR attempt failed', { 
                 attempt, 
                 error: error.message,
                 willRetry: attempt < CONFIG.MAX_RETRIES 
@@ -211,251 +316,9 @@ async function processWithTextract(bucketName, objectKey, logger) {
     throw new Error(`Textract failed after ${CONFIG.MAX_RETRIES} attempts: ${lastError.message}`);
 }
 
-function parseTextractResult(textractResult, fileName, logger) {
-    const blocks = textractResult.Blocks || [];
-    const extractedData = {
-        fileName: fileName,
-        extractedAt: new Date().toISOString(),
-        rawText: '',
-        keyValuePairs: {},
-        tables: [],
-        confidence: {
-            overall: 0,
-            invoiceNumber: 0,
-            totalAmount: 0,
-            vendorName: 0
-        },
-        invoiceData: {
-            invoiceNumber: null,
-            invoiceDate: null,
-            totalAmount: null,
-            vendorName: null,
-            vendorAddress: null,
-            dueDate: null,
-            currency: 'USD'
-        }
-    };
-    
-    // Extract raw text with confidence scores
-    const textBlocks = blocks.filter(block => block.BlockType === 'LINE');
-    extractedData.rawText = textBlocks.map(block => block.Text).join('\n');
-    
-    // Calculate overall confidence
-    const confidenceScores = textBlocks
-        .map(block => block.Confidence || 0)
-        .filter(conf => conf > 0);
-    
-    if (confidenceScores.length > 0) {
-        extractedData.confidence.overall = 
-            confidenceScores.reduce((sum, conf) => sum + conf, 0) / confidenceScores.length;
-    }
-    
-    // Extract key-value pairs with confidence
-    extractKeyValuePairs(blocks, extractedData, logger);
-    
-    // Extract tables
-    extractTables(blocks, extractedData, logger);
-    
-    // Extract invoice-specific data with enhanced patterns
-    extractInvoiceDataEnhanced(extractedData, logger);
-    
-    logger.info('Text extraction completed', {
-        textLength: extractedData.rawText.length,
-        keyValuePairs: Object.keys(extractedData.keyValuePairs).length,
-        tablesCount: extractedData.tables.length,
-        overallConfidence: extractedData.confidence.overall,
-        invoiceNumber: extractedData.invoiceData.invoiceNumber
-    });
-    
-    return extractedData;
-}
-
-function extractKeyValuePairs(blocks, extractedData, logger) {
-    const keyValueBlocks = blocks.filter(block => block.BlockType === 'KEY_VALUE_SET');
-    
-    keyValueBlocks.forEach(block => {
-        if (block.EntityTypes && block.EntityTypes.includes('KEY')) {
-            const keyText = getTextFromBlock(block, blocks);
-            const valueBlock = findValueBlock(block, blocks);
-            
-            if (valueBlock && keyText) {
-                const valueText = getTextFromBlock(valueBlock, blocks);
-                extractedData.keyValuePairs[keyText.toLowerCase().trim()] = {
-                    value: valueText,
-                    confidence: Math.min(block.Confidence || 0, valueBlock.Confidence || 0)
-                };
-            }
-        }
-    });
-}
-
-function extractTables(blocks, extractedData, logger) {
-    const tableBlocks = blocks.filter(block => block.BlockType === 'TABLE');
-    
-    tableBlocks.forEach((table, index) => {
-        const tableData = {
-            tableIndex: index,
-            rows: [],
-            confidence: table.Confidence || 0
-        };
-        
-        // Extract table structure (simplified)
-        if (table.Relationships) {
-            const cellRelationship = table.Relationships.find(rel => rel.Type === 'CHILD');
-            if (cellRelationship) {
-                // Process table cells (implementation would be more complex in real scenario)
-                tableData.cellCount = cellRelationship.Ids.length;
-            }
-        }
-        
-        extractedData.tables.push(tableData);
-    });
-}
-
-function extractInvoiceDataEnhanced(extractedData, logger) {
-    const text = extractedData.rawText;
-    const keyValuePairs = extractedData.keyValuePairs;
-    
-    // Enhanced invoice number extraction
-    const invoiceNumberPatterns = [
-        /invoice\s*#?\s*:?\s*([a-zA-Z0-9\-\/]+)/i,
-        /inv\s*#?\s*:?\s*([a-zA-Z0-9\-\/]+)/i,
-        /invoice\s*number\s*:?\s*([a-zA-Z0-9\-\/]+)/i,
-        /bill\s*#?\s*:?\s*([a-zA-Z0-9\-\/]+)/i
-    ];
-    
-    for (const pattern of invoiceNumberPatterns) {
-        const match = text.match(pattern);
-        if (match && match[1].length >= 3) {
-            extractedData.invoiceData.invoiceNumber = match[1].trim();
-            extractedData.confidence.invoiceNumber = 85; // Base confidence
-            break;
-        }
-    }
-    
-    // Enhanced amount extraction with currency detection
-    const amountPatterns = [
-        /total\s*:?\s*([A-Z]{3})?\s*\$?([0-9,]+\.?[0-9]*)/i,
-        /amount\s*due\s*:?\s*([A-Z]{3})?\s*\$?([0-9,]+\.?[0-9]*)/i,
-        /balance\s*due\s*:?\s*([A-Z]{3})?\s*\$?([0-9,]+\.?[0-9]*)/i,
-        /grand\s*total\s*:?\s*([A-Z]{3})?\s*\$?([0-9,]+\.?[0-9]*)/i
-    ];
-    
-    for (const pattern of amountPatterns) {
-        const match = text.match(pattern);
-        if (match) {
-            if (match[1]) extractedData.invoiceData.currency = match[1];
-            extractedData.invoiceData.totalAmount = parseFloat(match[2].replace(/,/g, ''));
-            extractedData.confidence.totalAmount = 80;
-            break;
-        }
-    }
-    
-    // Enhanced date extraction
-    const datePatterns = [
-        /(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/g,
-        /(\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/g,
-        /(january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{1,2},?\s+\d{4}/gi
-    ];
-    
-    for (const pattern of datePatterns) {
-        const matches = text.match(pattern);
-        if (matches && matches.length > 0) {
-            extractedData.invoiceData.invoiceDate = matches[0];
-            if (matches.length > 1) {
-                extractedData.invoiceData.dueDate = matches[1];
-            }
-            break;
-        }
-    }
-    
-    // Enhanced vendor name extraction
-    const lines = text.split('\n').filter(line => line.trim().length > 0);
-    if (lines.length > 0) {
-        // Usually vendor name is in the first few lines
-        for (let i = 0; i < Math.min(3, lines.length); i++) {
-            const line = lines[i].trim();
-            if (line.length > 3 && !line.match(/invoice|bill|statement/i)) {
-                extractedData.invoiceData.vendorName = line;
-                extractedData.confidence.vendorName = 70;
-                break;
-            }
-        }
-    }
-    
-    logger.info('Invoice data extraction completed', {
-        invoiceNumber: extractedData.invoiceData.invoiceNumber,
-        totalAmount: extractedData.invoiceData.totalAmount,
-        currency: extractedData.invoiceData.currency,
-        vendorName: extractedData.invoiceData.vendorName,
-        confidenceScores: extractedData.confidence
-    });
-}
-
-function getTextFromBlock(block, allBlocks) {
-    if (!block.Relationships) return '';
-    
-    const childRelationship = block.Relationships.find(rel => rel.Type === 'CHILD');
-    if (!childRelationship) return '';
-    
-    return childRelationship.Ids
-        .map(id => allBlocks.find(b => b.Id === id))
-        .filter(b => b && b.BlockType === 'WORD')
-        .map(b => b.Text)
-        .join(' ');
-}
-
-function findValueBlock(keyBlock, allBlocks) {
-    if (!keyBlock.Relationships) return null;
-    
-    const valueRelationship = keyBlock.Relationships.find(rel => rel.Type === 'VALUE');
-    if (!valueRelationship) return null;
-    
-    return allBlocks.find(block => block.Id === valueRelationship.Ids[0]);
-}
-
-async function storeExtractedData(extractedData, objectKey, bucketName, logger) {
-    const storageParams = {
-        FunctionName: process.env.STORAGE_LAMBDA_NAME || 'store-extracted-data',
-        InvocationType: 'Event',
-        Payload: JSON.stringify({
-            extractedData: extractedData,
-            sourceFile: objectKey,
-            sourceBucket: bucketName,
-            timestamp: new Date().toISOString()
-        })
-    };
-    
-    try {
-        await lambda.invoke(storageParams).promise();
-        logger.info('Storage Lambda invoked successfully', { objectKey });
-    } catch (error) {
-        logger.error('Failed to invoke storage Lambda', { error: error.message, objectKey });
-        throw new Error(`Storage invocation failed: ${error.message}`);
-    }
-}
-
+// Routing never throws, so a failed notification can't fail the batch
 async function sendNotification(type, message, fileName, data = null) {
-    try {
-        const snsParams = {
-            TopicArn: process.env.SNS_TOPIC_ARN,
-            Subject: `Invoice Processing ${type.toUpperCase()}: ${fileName}`,
-            Message: JSON.stringify({
-                type: type,
-                message: message,
-                fileName: fileName,
-                timestamp: new Date().toISOString(),
-                data: data,
-                environment: process.env.ENVIRONMENT || 'unknown'
-            }, null, 2)
-        };
-        
-        await sns.publish(snsParams).promise();
-        console.log(`SNS notification sent: ${type} for ${fileName}`);
-    } catch (error) {
-        console.error('Error sending SNS notification:', error);
-        // Don't throw here to avoid cascading failures
-    }
+    await notifier.notify(type, message, data, { fileName });
 }
 
 function createLogger(context) {
@@ -510,6 +373,13 @@ class CustomMetrics {
     }
 }
 
+// 4xx errors are reported as rejected and not retried by the ingestion queue
+function validationError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -0,0 +1,331 @@
+const AWS = require('aws-sdk');
+const { parseTextractResult } = require('./lib/textract-parser');
+const { createOcrProvider } = require('./lib/ocr-providers');
+const textractAsync = require('./lib/textract-async');
+const { createTemplateStore } = require('./lib/vendor-templates');
+const { assessConfidence } = require('./lib/review-queue');
+const validationRules = require('./lib/validation-rules');
+const idempotency = require('./lib/idempotency');
+const { OUTCOMES, invoiceView, reviewReasonsFor } = require('./lib/extraction-workflow');
+const { createNotifier } = require('./lib/notification-router');
+const { EVENT_TYPES, buildEvent } = require('./lib/webhook-events');
+const { createWebhookPublisher } = require('./lib/webhook-delivery');
+const { createDeadLetterRecorder } = require('./lib/dead-letters');
+
+const textract = new AWS.Textract();
+const s3 = new AWS.S3();
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'extraction-workflow';
+
+const FEATURE_TYPES = ['TABLES', 'FORMS', 'SIGNATURES'];
+
+// Multi-page jobs are polled by the state machine; one still running after
+// this long is given up on
+const TEXTRACT_JOB_TIMEOUT_MS = 60 * 60 * 1000;
+
+const notifier = createNotifier({ source: 'Invoice Processing', sns: new AWS.SNS(), ses: new AWS.SES() });
+
+// Async Textract jobs are started without the completion channel: the
+// workflow collects the result itself, and textract-async-complete must not
+// store the invoice a second time
+const ocrProviders = {};
+
+function ocrProviderFor(redrive) {
+    const name = (redrive && redrive.ocrProvider) || process.env.OCR_PROVIDER || 'textract';
+    if (!ocrProviders[name]) {
+        ocrProviders[name] = createOcrProvider(name, { textract, featureTypes: FEATURE_TYPES, notifyCompletion: false });
+    }
+    return ocrProviders[name];
+}
+
+const templateStore = createTemplateStore({ dynamodb, s3 });
+
+const ruleStore = validationRules.createRuleStore({ s3 });
+
+// Content and fingerprint records are looked up, never claimed; claiming is
+// left to store-extracted-data
+const idempotencyStore = process.env.IDEMPOTENCY_TABLE ? idempotency.createIdempotencyStore({ dynamodb }) : null;
+
+const deadLetters = createDeadLetterRecorder({ dynamodb, source: FUNCTION_NAME });
+
+const webhookPublisher = process.env.WEBHOOK_QUEUE_URL
+    ? createWebhookPublisher({ dynamodb, sqs: new AWS.SQS() })
+    : null;
+
+const STEPS = {
+    extract: extract,
+    collect: collect,
+    validate: validate,
+    'check-duplicates': checkDuplicates,
+    notify: notify
+};
+
+// Task of the invoice-extraction-workflow state machine; event.step picks
+// the step (see lib/extraction-workflow.js for the flow). Errors are thrown
+// so the state machine's Catch sends the execution to its failure branch.
+exports.handler = async (event) => {
+    console.log('Extraction Workflow Lambda triggered:', JSON.stringify(event, null, 2));
+
+    const step = STEPS[event.step];
+    if (!step) {
+        throw new Error(`Unknown workflow step: ${event.step}`);
+    }
+    return step(event);
+};
+
+// OCR, then parsing with the vendor templates. Multi-page documents come
+// back in_progress with the Textract job to collect.
+async function extract({ document, redrive, executionName }) {
+    const { bucketName, objectKey, eTag } = document;
+    const provider = ocrProviderFor(redrive);
+    console.log(`Starting ${provider.name} analysis of s3://${bucketName}/${objectKey}`);
+
+    const outcome = await provider.analyze({ bucketName, objectKey, eTag });
+    if (outcome.status === 'submitted') {
+        console.log(`Started Textract job ${outcome.jobId}`);
+        return { status: 'in_progress', jobId: outcome.jobId, startedAt: new Date().toISOString() };
+    }
+
+    return saveExtraction(outcome.textractResult, document, redrive, executionName);
+}
+
+async function collect({ document, redrive, executionName, extraction }) {
+    const result = await textractAsync.getDocumentAnalysis(textract, extraction.jobId);
+
+    if (result.JobStatus === 'IN_PROGRESS') {
+        if (Date.now() - new Date(extraction.startedAt).getTime() > TEXTRACT_JOB_TIMEOUT_MS) {
+            throw new Error(`Textract job ${extraction.jobId} did not complete within ${TEXTRACT_JOB_TIMEOUT_MS}ms`);
+        }
+        return extraction;
+    }
+
+    console.log(`Textract job ${extraction.jobId} finished with ${result.Blocks.length} blocks`);
+    return saveExtraction(result, document, redrive, executionName);
+}
+
+async function saveExtraction(textractResult, { objectKey }, redrive, executionName) {
+    const extractedData = parseTextractResult(textractResult, objectKey, undefined, {
+        templates: await templateStore.listTemplates(),
+        templateId: redrive ? redrive.templateId : null
+    });
+    console.log(`Vendor template: ${extractedData.template ? extractedData.template.templateId : 'none'}`);
+
+    const location = {
+        bucket: process.env.PROCESSED_BUCKET_NAME,
+        key: `extractions/${executionName || `${Date.now()}`}/extracted-data.json`
+    };
+    await s3.putObject({
+        Bucket: location.bucket,
+        Key: location.key,
+        Body: JSON.stringify(extractedData, null, 2),
+        ContentType: 'application/json',
+        ServerSideEncryption: 'AES256'
+    }).promise();
+
+    const review = assessConfidence(extractedData);
+    return {
+        status: 'extracted',
+        location: location,
+        templateId: extractedData.template ? extractedData.template.templateId : null,
+        invoice: invoiceView(extractedData),
+        confidence: extractedData.confidence || {},
+        reconciliation: extractedData.reconciliation
+            ? { status: extractedData.reconciliation.status, discrepancy: extractedData.reconciliation.discrepancy }
+            : { status: 'skipped', discrepancy: null },
+        review: review
+    };
+}
+
+// The configured rule sets, as validate-invoice applies them. A violation is
+// not a rejection here: the invoice goes to review with the rule that failed.
+async function validate({ extraction }) {
+    const result = validationRules.validateInvoice(await ruleStore.listRuleSets(), extraction.invoice);
+    if (!result.isValid) {
+        console.log('Extraction breaks validation rules:', JSON.stringify(result.errors));
+    }
+
+    return {
+        isValid: result.isValid,
+        errors: result.errors,
+        warnings: result.warnings,
+        ruleSets: result.ruleSetIds,
+        reviewReasons: reviewReasonsFor(result.errors, { confidence: extraction.confidence })
+    };
+}
+
+// Looks for the same file and, when the extraction needs no review, the
+// same invoice. Nothing is claimed, so store-extracted-data still settles
+// concurrent deliveries.
+async function checkDuplicates({ document, extraction, validation }) {
+    if (!idempotencyStore) {
+        return { status: 'unique', contentHash: null };
+    }
+
+    const contentHash = await idempotency.hashS3Object(s3, document.bucketName, document.objectKey);
+    const content = await idempotencyStore.find(idempotency.contentKey(contentHash));
+    const settled = [idempotency.STATUS.COMPLETED, idempotency.STATUS.PENDING_REVIEW, idempotency.STATUS.DUPLICATE];
+
+    if (content && settled.includes(content.status)) {
+        const isReplay = content.sourceBucket === document.bucketName && content.sourceFile === document.objectKey;
+        if (isReplay && content.status !== idempotency.STATUS.DUPLICATE) {
+            console.log('Document already processed:', content.invoiceId || content.reviewId);
+            return { status: 'replay', matchedOn: 'content', contentHash, ...duplicateDetails(content) };
+        }
+        return reportDuplicate('content', content, { document, extraction, contentHash });
+    }
+
+    const needsReview = extraction.review.reviewRequired || validation.reviewReasons.length > 0;
+    const fingerprint = idempotency.invoiceFingerprint({
+        vendorName: extraction.invoice.vendorName,
+        invoiceNumber: extraction.invoice.invoiceId,
+        currency: extraction.invoice.currency,
+        totalAmount: extraction.invoice.amount,
+        minorUnits: { totalAmount: extraction.invoice.amountMinor }
+    });
+    if (!needsReview && fingerprint) {
+        const existing = await idempotencyStore.find(idempotency.fingerprintKey(fingerprint.fingerprint));
+        if (existing && existing.status === idempotency.STATUS.COMPLETED) {
+            return reportDuplicate('fingerprint', existing, { document, extraction, contentHash });
+        }
+    }
+
+    return { status: 'unique', contentHash };
+}
+
+function duplicateDetails(original) {
+    return {
+        duplicateOf: original.invoiceId || original.duplicateOf || null,
+        reviewId: original.reviewId || null,
+        originalSourceFile: original.sourceFile || null
+    };
+}
+
+async function reportDuplicate(matchedOn, original, { document, extraction, contentHash }) {
+    const details = duplicateDetails(original);
+    console.log('Duplicate invoice detected:', matchedOn, JSON.stringify(details));
+
+    await publishWebhookEvent(EVENT_TYPES.DUPLICATE, {
+        invoice: extraction.invoice,
+        suspected: false,
+        matchedOn: matchedOn,
+        duplicateOf: details.duplicateOf,
+        sourceFile: document.objectKey
+    });
+
+    return { status: 'duplicate', matchedOn, contentHash, ...details };
+}
+
+// Last step of every branch: one notification for the outcome the execution
+// actually reached, and the dead letter recorded or settled. Failures after
+// extraction are recorded as storage failures, the stage redrive repeats.
+async function notify({ outcome, state }) {
+    const { document, redrive, extraction, storage, duplicates } = state;
+    const invoice = (extraction && extraction.invoice) || {};
+    const stored = (storage && storage.body) || {};
+    const fileName = document.objectKey;
+    let notification;
+
+    switch (outcome) {
+        case OUTCOMES.STORED:
+            notification = stored.suspectedDuplicateOf
+                ? ['suspected_duplicate', 'Invoice stored as a suspected duplicate', {
+                    invoiceId: stored.invoiceId,
+                    customerId: stored.customerId,
+                    amount: invoice.amount,
+                    vendor: invoice.vendorName,
+                    sourceFile: fileName,
+                    s3Location: stored.s3Location,
+                    suspectedDuplicateOf: stored.suspectedDuplicateOf
+                }]
+                : ['storage_success', 'Invoice data stored successfully', {
+                    invoiceId: stored.invoiceId,
+                    customerId: stored.customerId,
+                    amount: invoice.amount,
+                    vendor: invoice.vendorName,
+                    reconciliationStatus: extraction.reconciliation.status,
+                    amountDiscrepancy: extraction.reconciliation.discrepancy,
+                    s3Location: stored.s3Location
+                }];
+            break;
+        case OUTCOMES.PENDING_REVIEW:
+            notification = ['review_required', 'Invoice extraction needs human review', {
+                reviewId: stored.reviewId,
+                sourceFile: fileName,
+                invoiceNumber: invoice.invoiceId,
+                vendor: invoice.vendorName,
+                amount: invoice.amount,
+                reasons: stored.reasons
+            }];
+            break;
+        case OUTCOMES.DUPLICATE: {
+            const details = duplicates && duplicates.status === 'duplicate' ? duplicates : stored;
+            notification = ['duplicate', 'Duplicate invoice detected', {
+                sourceFile: fileName,
+                invoiceNumber: invoice.invoiceId,
+                vendor: invoice.vendorName,
+                amount: invoice.amount,
+                matchedOn: details.matchedOn || 'invoice_key',
+                duplicateOf: details.duplicateOf || null,
+                reviewId: details.reviewId || null,
+                originalSourceFile: details.originalSourceFile || null
+            }];
+            break;
+        }
+        case OUTCOMES.ALREADY_PROCESSED:
+            // The first execution reported it
+            notification = null;
+            break;
+        case OUTCOMES.EXTRACTION_FAILED:
+            notification = ['error', failureMessage(state), null];
+            break;
+        case OUTCOMES.PROCESSING_FAILED:
+            notification = ['storage_error', failureMessage(state), { sourceFile: fileName, error: failureMessage(state) }];
+            break;
+        default:
+            throw new Error(`Unknown workflow outcome: ${outcome}`);
+    }
+
+    if (notification) {
+        await notifier.notify(...notification, { fileName });
+    }
+
+    let deadLetter = null;
+    if (deadLetters && (outcome === OUTCOMES.EXTRACTION_FAILED || outcome === OUTCOMES.PROCESSING_FAILED)) {
+        await deadLetters.record({
+            bucketName: document.bucketName,
+            objectKey: document.objectKey,
+            stage: outcome === OUTCOMES.EXTRACTION_FAILED ? 'extraction' : 'storage',
+            error: failureMessage(state)
+        });
+        deadLetter = 'recorded';
+    } else if (deadLetters && redrive) {
+        await deadLetters.resolve(redrive.deadLetterId, {
+            status: outcome,
+            templateId: extraction ? extraction.templateId : null,
+            redrivenBy: redrive.actor || null
+        });
+        deadLetter = 'resolved';
+    }
+
+    return { outcome, notification: notification ? notification[0] : null, deadLetter };
+}
+
+// A caught task error ({ Error, Cause }) or the answer of store-extracted-data
+function failureMessage(state) {
+    if (state.error) {
+        try {
+            const cause = JSON.parse(state.error.Cause);
+            return cause.errorMessage || state.error.Cause;
+        } catch (error) {
+            return state.error.Cause || state.error.Error || 'Unknown error';
+        }
+    }
+    const body = (state.storage && state.storage.body) || {};
+    return body.error || body.message || 'Unknown error';
+}
+
+async function publishWebhookEvent(type, payload) {
+    if (!webhookPublisher) return;
+    await webhookPublisher.publish(buildEvent(type, payload, { source: FUNCTION_NAME }));
+}
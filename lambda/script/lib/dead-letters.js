@@ -0,0 +1,391 @@
+// Dead-lettered documents
+//
+// A document that could not be extracted or stored, and will not be retried
+// by the pipeline, is recorded in DEAD_LETTER_TABLE (hash key deadLetterId,
+// StatusIndex on status / lastFailedAt). There is one item per S3 object, so a
+// document that fails again after a redrive reopens the same dead letter:
+//
+//     {
+//         deadLetterId: 'dlq_...',                 // from the bucket and key
+//         bucketName, objectKey,
+//         stage: 'ingestion' | 'extraction' | 'storage',
+//         error, errorCode,                        // of the latest failure
+//         source,                                  // Lambda that recorded it
+//         attempts,                                // failed attempts, over every redrive
+//         status: 'open' | 'redriving' | 'resolved' | 'discarded',
+//         failures: [{ at, stage, error, errorCode, attempts, source }],   // the last FAILURE_LOG_SIZE
+//         redrives: [{ at, actor, templateId, ocrProvider }],
+//         firstFailedAt, lastFailedAt, updatedAt, resolvedAt,
+//         expiresAt                                // TTL, once resolved or discarded
+//     }
+//
+// redrive() sends a dead letter back through the enhanced-textract-processor
+// Lambda (REDRIVE_LAMBDA_NAME), optionally forcing a vendor template or OCR
+// provider. The extraction workflow resolves the dead letter when the invoice
+// is stored, queued for review or found to be a duplicate, and reopens it
+// when a step fails; without the workflow the processor does the same once
+// store-extracted-data has answered.
+
+const crypto = require('crypto');
+const { REDRIVE_EVENT_SOURCE } = require('./ingestion-batch');
+const { PROVIDER_NAMES } = require('./ocr-providers');
+
+const STATUS = {
+    OPEN: 'open',
+    REDRIVING: 'redriving',
+    RESOLVED: 'resolved',
+    DISCARDED: 'discarded'
+};
+
+const STAGES = ['ingestion', 'extraction', 'storage'];
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PAGE_SIZE = 25;
+const DEFAULT_REDRIVE_LAMBDA = 'enhanced-textract-processor';
+const FAILURE_LOG_SIZE = 10;
+// A redrive still running after the Lambda timeout limit has died without
+// recording anything, so the dead letter may be redriven again
+const STALE_REDRIVE_MS = 15 * 60 * 1000;
+const MAX_ERROR_LENGTH = 1000;
+
+function deadLetterError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function encodeToken(key) {
+    return key ? Buffer.from(JSON.stringify(key)).toString('base64') : null;
+}
+
+function decodeToken(token) {
+    if (!token) return undefined;
+    try {
+        return JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+    } catch (error) {
+        throw deadLetterError('Invalid nextToken', 400);
+    }
+}
+
+function deadLetterIdFor(bucketName, objectKey) {
+    return `dlq_${crypto.createHash('sha256').update(`${bucketName}/${objectKey}`).digest('hex').substring(0, 24)}`;
+}
+
+// Rejects overrides the processor couldn't apply before anything is sent
+function validateOverrides({ templateId, ocrProvider } = {}) {
+    if (templateId !== undefined && templateId !== null && (typeof templateId !== 'string' || !templateId)) {
+        throw deadLetterError('templateId must be a template ID', 400);
+    }
+    if (ocrProvider && !PROVIDER_NAMES.includes(ocrProvider)) {
+        throw deadLetterError(`Unknown OCR provider ${ocrProvider}; one of ${PROVIDER_NAMES.join(', ')}`, 400);
+    }
+    return {
+        templateId: templateId || null,
+        ocrProvider: ocrProvider || null
+    };
+}
+
+// filter: { stage, source, errorContains, failedAfter, failedBefore }
+function buildFilter(filter = {}) {
+    const conditions = [];
+    const names = {};
+    const values = {};
+
+    if (filter.stage) {
+        if (!STAGES.includes(filter.stage)) {
+            throw deadLetterError(`Unknown stage ${filter.stage}; one of ${STAGES.join(', ')}`, 400);
+        }
+        conditions.push('stage = :stage');
+        values[':stage'] = filter.stage;
+    }
+    if (filter.source) {
+        conditions.push('#source = :source');
+        names['#source'] = 'source';
+        values[':source'] = filter.source;
+    }
+    if (filter.errorContains) {
+        conditions.push('contains(#error, :errorContains)');
+        names['#error'] = 'error';
+        values[':errorContains'] = filter.errorContains;
+    }
+    if (filter.failedAfter) {
+        conditions.push('lastFailedAt >= :failedAfter');
+        values[':failedAfter'] = filter.failedAfter;
+    }
+    if (filter.failedBefore) {
+        conditions.push('lastFailedAt < :failedBefore');
+        values[':failedBefore'] = filter.failedBefore;
+    }
+
+    return { expression: conditions.join(' AND ') || undefined, names, values };
+}
+
+function createDeadLetterStore({
+    dynamodb,
+    tableName = process.env.DEAD_LETTER_TABLE,
+    retentionDays = parseInt(process.env.DEAD_LETTER_RETENTION_DAYS || DEFAULT_RETENTION_DAYS, 10)
+} = {}) {
+    if (!tableName) {
+        throw new Error('DEAD_LETTER_TABLE is not configured');
+    }
+
+    function expiresAt() {
+        return Math.floor(Date.now() / 1000) + retentionDays * 24 * 60 * 60;
+    }
+
+    async function get(deadLetterId) {
+        const result = await dynamodb.get({ TableName: tableName, Key: { deadLetterId } }).promise();
+        if (!result.Item) throw deadLetterError(`Dead letter ${deadLetterId} not found`, 404);
+        return result.Item;
+    }
+
+    // Moves a dead letter between statuses; `from` guards against two
+    // redrives of the same document racing each other, and `condition` is
+    // OR-ed with it
+    async function setStatus(deadLetterId, status, { from, condition, sets = [], values = {} } = {}) {
+        const now = new Date().toISOString();
+        const settled = status === STATUS.RESOLVED || status === STATUS.DISCARDED;
+        const expression = settled
+            ? `SET ${['#status = :status', 'updatedAt = :updatedAt', 'expiresAt = :expiresAt', ...sets].join(', ')}`
+            : `SET ${['#status = :status', 'updatedAt = :updatedAt', ...sets].join(', ')} REMOVE expiresAt`;
+
+        const result = await dynamodb.update({
+            TableName: tableName,
+            Key: { deadLetterId },
+            UpdateExpression: expression,
+            ConditionExpression: from
+                ? `attribute_exists(deadLetterId) AND (#status IN (${from.map((_, index) => `:from${index}`).join(', ')})${condition ? ` OR ${condition}` : ''})`
+                : 'attribute_exists(deadLetterId)',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':status': status,
+                ':updatedAt': now,
+                ...(settled ? { ':expiresAt': expiresAt() } : {}),
+                ...(from ? Object.fromEntries(from.map((value, index) => [`:from${index}`, value])) : {}),
+                ...values
+            },
+            ReturnValues: 'ALL_NEW'
+        }).promise().catch(async updateError => {
+            if (updateError.code === 'ConditionalCheckFailedException') {
+                const current = await get(deadLetterId);
+                throw deadLetterError(`Dead letter ${deadLetterId} is ${current.status}`, 409);
+            }
+            throw updateError;
+        });
+        return result.Attributes;
+    }
+
+    return {
+        get,
+
+        // The document's dead letter, or null
+        async find(bucketName, objectKey) {
+            const result = await dynamodb.get({
+                TableName: tableName,
+                Key: { deadLetterId: deadLetterIdFor(bucketName, objectKey) }
+            }).promise();
+            return result.Item || null;
+        },
+
+        // Records a failure, opening the document's dead letter or reopening it
+        async record({ bucketName, objectKey, stage, error, attempts = 1, source = null }) {
+            if (!STAGES.includes(stage)) {
+                throw deadLetterError(`Unknown stage ${stage}; one of ${STAGES.join(', ')}`, 400);
+            }
+            const now = new Date().toISOString();
+            const message = String((error && error.message) || error || 'Unknown error').substring(0, MAX_ERROR_LENGTH);
+            const errorCode = (error && (error.code || error.statusCode)) || null;
+            const deadLetterId = deadLetterIdFor(bucketName, objectKey);
+
+            const current = await dynamodb.get({ TableName: tableName, Key: { deadLetterId } }).promise();
+            const failures = ((current.Item && current.Item.failures) || [])
+                .concat({ at: now, stage, error: message, errorCode, attempts, source })
+                .slice(-FAILURE_LOG_SIZE);
+
+            const result = await dynamodb.update({
+                TableName: tableName,
+                Key: { deadLetterId },
+                UpdateExpression: 'SET bucketName = :bucketName, objectKey = :objectKey, stage = :stage, ' +
+                    '#error = :error, errorCode = :errorCode, #source = :source, #status = :open, ' +
+                    'attempts = if_not_exists(attempts, :zero) + :attempts, failures = :failures, ' +
+                    'firstFailedAt = if_not_exists(firstFailedAt, :now), lastFailedAt = :now, updatedAt = :now ' +
+                    'REMOVE expiresAt, resolvedAt',
+                ExpressionAttributeNames: { '#error': 'error', '#source': 'source', '#status': 'status' },
+                ExpressionAttributeValues: {
+                    ':bucketName': bucketName,
+                    ':objectKey': objectKey,
+                    ':stage': stage,
+                    ':error': message,
+                    ':errorCode': errorCode,
+                    ':source': source,
+                    ':open': STATUS.OPEN,
+                    ':zero': 0,
+                    ':attempts': attempts,
+                    ':failures': failures,
+                    ':now': now
+                },
+                ReturnValues: 'ALL_NEW'
+            }).promise();
+            return result.Attributes;
+        },
+
+        // Newest failure first
+        async listByStatus(status, { limit = DEFAULT_PAGE_SIZE, nextToken, filter } = {}) {
+            if (!Object.values(STATUS).includes(status)) {
+                throw deadLetterError(`Unknown status ${status}; one of ${Object.values(STATUS).join(', ')}`, 400);
+            }
+            const { expression, names, values } = buildFilter(filter);
+            const result = await dynamodb.query({
+                TableName: tableName,
+                IndexName: 'StatusIndex',
+                KeyConditionExpression: '#status = :status',
+                FilterExpression: expression,
+                ExpressionAttributeNames: { '#status': 'status', ...names },
+                ExpressionAttributeValues: { ':status': status, ...values },
+                ScanIndexForward: false,
+                Limit: limit,
+                ExclusiveStartKey: decodeToken(nextToken)
+            }).promise();
+            return { items: result.Items || [], nextToken: encodeToken(result.LastEvaluatedKey) };
+        },
+
+        startRedrive(deadLetterId, { actor, templateId, ocrProvider }) {
+            return setStatus(deadLetterId, STATUS.REDRIVING, {
+                from: [STATUS.OPEN],
+                condition: '(#status = :redriving AND updatedAt < :staleBefore)',
+                sets: ['redrives = list_append(if_not_exists(redrives, :noRedrives), :redrive)'],
+                values: {
+                    ':redriving': STATUS.REDRIVING,
+                    ':staleBefore': new Date(Date.now() - STALE_REDRIVE_MS).toISOString(),
+                    ':noRedrives': [],
+                    ':redrive': [{ at: new Date().toISOString(), actor, templateId, ocrProvider }]
+                }
+            });
+        },
+
+        // Undoes startRedrive when the processor could not be invoked
+        abortRedrive(deadLetterId) {
+            return setStatus(deadLetterId, STATUS.OPEN, { from: [STATUS.REDRIVING] });
+        },
+
+        resolve(deadLetterId, { outcome = null } = {}) {
+            return setStatus(deadLetterId, STATUS.RESOLVED, {
+                from: [STATUS.OPEN, STATUS.REDRIVING],
+                sets: ['resolvedAt = :updatedAt', 'resolution = :resolution'],
+                values: { ':resolution': outcome }
+            });
+        },
+
+        discard(deadLetterId, { actor, reason = null }) {
+            return setStatus(deadLetterId, STATUS.DISCARDED, {
+                from: [STATUS.OPEN],
+                sets: ['resolvedAt = :updatedAt', 'resolution = :resolution'],
+                values: { ':resolution': { discardedBy: actor, reason } }
+            });
+        }
+    };
+}
+
+// Sends dead letters back through the extraction Lambda
+function createRedriver({
+    store,
+    lambda,
+    functionName = process.env.REDRIVE_LAMBDA_NAME || DEFAULT_REDRIVE_LAMBDA,
+    dynamodb
+} = {}) {
+    const deadLetters = store || createDeadLetterStore({ dynamodb });
+
+    async function redrive(deadLetterId, { actor = 'unknown', templateId, ocrProvider } = {}) {
+        const overrides = validateOverrides({ templateId, ocrProvider });
+        const deadLetter = await deadLetters.startRedrive(deadLetterId, { actor, ...overrides });
+
+        try {
+            await lambda.invoke({
+                FunctionName: functionName,
+                InvocationType: 'Event',
+                Payload: JSON.stringify({
+                    Records: [{
+                        eventSource: REDRIVE_EVENT_SOURCE,
+                        bucketName: deadLetter.bucketName,
+                        objectKey: deadLetter.objectKey,
+                        redrive: { deadLetterId, actor, ...overrides }
+                    }]
+                })
+            }).promise();
+        } catch (error) {
+            await deadLetters.abortRedrive(deadLetterId).catch(abortError => {
+                console.error(`Error reopening dead letter ${deadLetterId}:`, abortError);
+            });
+            throw error;
+        }
+
+        return deadLetter;
+    }
+
+    return {
+        redrive,
+
+        // Open dead letters matching the filter, newest first, up to limit
+        async redriveMatching(filter = {}, { limit = DEFAULT_PAGE_SIZE, ...options } = {}) {
+            validateOverrides(options);
+
+            const redriven = [];
+            const failed = [];
+            let nextToken;
+            do {
+                const page = await deadLetters.listByStatus(STATUS.OPEN, { filter, nextToken, limit: DEFAULT_PAGE_SIZE });
+                for (const deadLetter of page.items) {
+                    if (redriven.length >= limit) break;
+                    try {
+                        redriven.push(await redrive(deadLetter.deadLetterId, options));
+                    } catch (error) {
+                        failed.push({ deadLetterId: deadLetter.deadLetterId, error: error.message });
+                    }
+                }
+                nextToken = page.nextToken;
+            } while (nextToken && redriven.length < limit);
+
+            return { redriven, failed };
+        }
+    };
+}
+
+// For the processors: failures are recorded best effort, so a DynamoDB
+// problem never hides the original error. Returns null when DEAD_LETTER_TABLE
+// is not set.
+function createDeadLetterRecorder({ dynamodb, source = null, tableName = process.env.DEAD_LETTER_TABLE } = {}) {
+    if (!tableName) return null;
+    const store = createDeadLetterStore({ dynamodb, tableName });
+
+    return {
+        async record(failure) {
+            try {
+                const deadLetter = await store.record({ source, ...failure });
+                console.log(`Recorded dead letter ${deadLetter.deadLetterId} for ${failure.objectKey} (${failure.stage}, ${deadLetter.attempts} attempt(s))`);
+                return deadLetter;
+            } catch (error) {
+                console.error(`Error recording dead letter for ${failure.objectKey}:`, error);
+                return null;
+            }
+        },
+
+        async resolve(deadLetterId, outcome) {
+            try {
+                return await store.resolve(deadLetterId, { outcome });
+            } catch (error) {
+                console.error(`Error resolving dead letter ${deadLetterId}:`, error);
+                return null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    STATUS,
+    STAGES,
+    deadLetterIdFor,
+    validateOverrides,
+    createDeadLetterStore,
+    createRedriver,
+    createDeadLetterRecorder
+};
@@ -0,0 +1,169 @@
+// Near-duplicate invoice detection
+//
+// Exact duplicates (same file, same vendor/number/amount) are stopped by
+// lib/idempotency.js. This catches the ones that slip past it: the same
+// invoice rescanned, re-sent as a PNG instead of a PDF, or with an invoice
+// number OCR read slightly differently. A new invoice is compared with the
+// vendor's invoices from the last DUPLICATE_LOOKBACK_DAYS and is suspected
+// when a previous one has:
+//
+//     the same total and currency (minor units)
+//     an invoice date within DUPLICATE_DATE_TOLERANCE_DAYS
+//     an invoice number within DUPLICATE_MAX_EDIT_DISTANCE edits
+//
+// A missing date or invoice number on either side doesn't count against a
+// match, but at least one of the two must be present and agree.
+//
+// Previous invoices are read through the invoice table's vendor index
+// (vendorKey + processedAt), so only the vendor's recent invoices are read.
+
+const { normalizeVendorName, normalizeInvoiceNumber } = require('./idempotency');
+
+const DEFAULTS = {
+    lookbackDays: 90,
+    maxEditDistance: 2,
+    dateToleranceDays: 3
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Levenshtein distance, with an early exit once it exceeds max
+function editDistance(a, b, max = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function amountInMinorUnits(invoice) {
+    if (invoice.totalAmountMinor !== undefined && invoice.totalAmountMinor !== null) return invoice.totalAmountMinor;
+    return typeof invoice.totalAmount === 'number' ? Math.round(invoice.totalAmount * 100) : null;
+}
+
+// invoiceId is the printed invoice number, or AUTO-<timestamp> when none was found
+function invoiceNumberOf(invoice) {
+    const invoiceId = invoice.invoiceId ? String(invoice.invoiceId) : '';
+    return invoiceId.startsWith('AUTO-') ? '' : normalizeInvoiceNumber(invoiceId);
+}
+
+function daysBetween(a, b) {
+    const first = Date.parse(a);
+    const second = Date.parse(b);
+    if (isNaN(first) || isNaN(second)) return null;
+    return Math.round(Math.abs(first - second) / DAY_MS);
+}
+
+// Compares two invoice records. Returns null when they don't look like the
+// same invoice, otherwise the signals that matched.
+function compareInvoices(invoice, candidate, options = {}) {
+    const { maxEditDistance, dateToleranceDays } = { ...DEFAULTS, ...options };
+
+    const amount = amountInMinorUnits(invoice);
+    if (amount === null || amount !== amountInMinorUnits(candidate)) return null;
+    if ((invoice.currency || 'USD') !== (candidate.currency || 'USD')) return null;
+
+    const daysApart = invoice.invoiceDate && candidate.invoiceDate
+        ? daysBetween(invoice.invoiceDate, candidate.invoiceDate)
+        : null;
+    if (daysApart !== null && daysApart > dateToleranceDays) return null;
+
+    const number = invoiceNumberOf(invoice);
+    const candidateNumber = invoiceNumberOf(candidate);
+    const distance = number && candidateNumber ? editDistance(number, candidateNumber, maxEditDistance) : null;
+    if (distance !== null && distance > maxEditDistance) return null;
+
+    if (daysApart === null && distance === null) return null;
+
+    return {
+        amountMinor: amount,
+        daysApart,
+        invoiceNumberDistance: distance,
+        // Lower is closer; used to pick the best of several matches
+        score: (distance === null ? maxEditDistance + 1 : distance) + (daysApart === null ? dateToleranceDays + 1 : daysApart)
+    };
+}
+
+function createDuplicateDetector({
+    dynamodb,
+    tableName = process.env.DYNAMODB_TABLE_NAME,
+    indexName = process.env.DUPLICATE_CHECK_INDEX,
+    lookbackDays = parseInt(process.env.DUPLICATE_LOOKBACK_DAYS || DEFAULTS.lookbackDays, 10),
+    maxEditDistance = parseInt(process.env.DUPLICATE_MAX_EDIT_DISTANCE || DEFAULTS.maxEditDistance, 10),
+    dateToleranceDays = parseInt(process.env.DUPLICATE_DATE_TOLERANCE_DAYS || DEFAULTS.dateToleranceDays, 10)
+} = {}) {
+    if (!tableName || !indexName) {
+        throw new Error('Duplicate detection needs DYNAMODB_TABLE_NAME and DUPLICATE_CHECK_INDEX');
+    }
+
+    async function recentInvoices(vendorKey, since) {
+        const items = [];
+        let lastKey;
+
+        do {
+            const result = await dynamodb.query({
+                TableName: tableName,
+                IndexName: indexName,
+                KeyConditionExpression: 'vendorKey = :vendorKey AND processedAt >= :since',
+                ExpressionAttributeValues: { ':vendorKey': vendorKey, ':since': since },
+                ExclusiveStartKey: lastKey
+            }).promise();
+            items.push(...(result.Items || []));
+            lastKey = result.LastEvaluatedKey;
+        } while (lastKey);
+
+        return items;
+    }
+
+    return {
+        // Returns the closest earlier invoice the record may duplicate, or null
+        async findSuspectedDuplicate(invoiceRecord) {
+            const vendorKey = invoiceRecord.vendorKey || normalizeVendorName(invoiceRecord.vendorName);
+            if (!vendorKey) return null;
+
+            const since = new Date(Date.now() - lookbackDays * DAY_MS).toISOString();
+            const candidates = await recentInvoices(vendorKey, since);
+
+            let best = null;
+            for (const candidate of candidates) {
+                if (candidate.customerId === invoiceRecord.customerId &&
+                    candidate.invoiceNumber === invoiceRecord.invoiceNumber) continue;
+
+                const signals = compareInvoices(invoiceRecord, candidate, { maxEditDistance, dateToleranceDays });
+                if (signals && (!best || signals.score < best.signals.score)) {
+                    best = { candidate, signals };
+                }
+            }
+
+            if (!best) return null;
+
+            const signals = { ...best.signals };
+            delete signals.score;
+            return {
+                customerId: best.candidate.customerId,
+                invoiceNumber: best.candidate.invoiceNumber,
+                invoiceId: best.candidate.invoiceId,
+                originalFileName: best.candidate.originalFileName || null,
+                processedAt: best.candidate.processedAt,
+                signals
+            };
+        }
+    };
+}
+
+module.exports = {
+    editDistance,
+    compareInvoices,
+    createDuplicateDetector
+};
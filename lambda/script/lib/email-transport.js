@@ -0,0 +1,166 @@
+// Email transports
+//
+// A transport delivers one rendered email:
+//
+//     transport.send({ from, to: [...], replyTo, subject, text, html })
+//         resolves to { transport, messageId }
+//
+// EMAIL_TRANSPORT selects the implementation:
+//     ses     Amazon SES SendEmail (default); `from` must be a verified identity
+//     smtp    any SMTP server through nodemailer (SMTP_HOST, SMTP_PORT,
+//             SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+//     file    writes each email as an .eml file to EMAIL_OUTBOX_DIR (default
+//             ./outbox) for offline runs; open them in any mail client
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createEmailTransport(name = process.env.EMAIL_TRANSPORT || 'ses', deps = {}) {
+    switch (name) {
+        case 'ses':
+            return createSesTransport(deps);
+        case 'smtp':
+            return createSmtpTransport(deps);
+        case 'file':
+            return createFileTransport(deps);
+        default:
+            throw new Error(`Unknown email transport: ${name}`);
+    }
+}
+
+function requireMessage({ from, to, subject }) {
+    if (!from) throw new Error('An email needs a from address (NOTIFICATION_FROM_ADDRESS)');
+    if (!to || to.length === 0) throw new Error('An email needs at least one recipient');
+    if (!subject) throw new Error('An email needs a subject');
+}
+
+function createSesTransport({ ses }) {
+    if (!ses) throw new Error('The ses email transport needs an SES client');
+
+    return {
+        name: 'ses',
+        async send(message) {
+            requireMessage(message);
+            const result = await ses.sendEmail({
+                Source: message.from,
+                Destination: { ToAddresses: message.to },
+                ReplyToAddresses: message.replyTo ? [message.replyTo] : undefined,
+                Message: {
+                    Subject: { Data: message.subject, Charset: 'UTF-8' },
+                    Body: {
+                        Text: { Data: message.text, Charset: 'UTF-8' },
+                        Html: { Data: message.html, Charset: 'UTF-8' }
+                    }
+                }
+            }).promise();
+            return { transport: 'ses', messageId: result.MessageId };
+        }
+    };
+}
+
+// nodemailer is an optional dependency, needed only for SMTP delivery
+function createSmtpTransport({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT || '587', 10),
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    password = process.env.SMTP_PASSWORD
+} = {}) {
+    if (!host) throw new Error('EMAIL_TRANSPORT=smtp requires SMTP_HOST');
+    let mailer = null;
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            requireMessage(message);
+            if (!mailer) {
+                let nodemailer;
+                try {
+                    nodemailer = require('nodemailer');
+                } catch (error) {
+                    throw new Error('EMAIL_TRANSPORT=smtp requires the nodemailer package to be installed');
+                }
+                mailer = nodemailer.createTransport({
+                    host,
+                    port,
+                    secure,
+                    auth: user ? { user, pass: password } : undefined
+                });
+            }
+
+            const result = await mailer.sendMail({
+                from: message.from,
+                to: message.to.join(', '),
+                replyTo: message.replyTo,
+                subject: message.subject,
+                text: message.text,
+                html: message.html
+            });
+            return { transport: 'smtp', messageId: result.messageId };
+        }
+    };
+}
+
+function createFileTransport({ outboxDir = process.env.EMAIL_OUTBOX_DIR || 'outbox' } = {}) {
+    return {
+        name: 'file',
+        async send(message) {
+            requireMessage(message);
+            const messageId = `<${crypto.randomUUID()}@outbox.local>`;
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId.slice(1, 9)}.eml`;
+            const filePath = path.resolve(outboxDir, fileName);
+
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, buildMimeMessage({ ...message, messageId }));
+            console.log(`Email written to ${filePath}`);
+            return { transport: 'file', messageId, path: filePath };
+        }
+    };
+}
+
+// Non-ASCII header values are sent as RFC 2047 encoded words
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(text) {
+    return Buffer.from(text || '', 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// multipart/alternative with the plain-text and HTML bodies
+function buildMimeMessage({ from, to, replyTo, subject, text, html, messageId, date = new Date() }) {
+    const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        replyTo ? `Reply-To: ${replyTo}` : null,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`
+    ].filter(Boolean);
+
+    const part = (contentType, body) => [
+        `--${boundary}`,
+        `Content-Type: ${contentType}; charset=UTF-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(body)
+    ].join('\r\n');
+
+    return [
+        ...headers,
+        '',
+        part('text/plain', text),
+        part('text/html', html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
+
+module.exports = {
+    createEmailTransport,
+    buildMimeMessage
+};
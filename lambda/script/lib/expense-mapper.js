@@ -0,0 +1,148 @@
+// AnalyzeExpense field mapping
+//
+// Maps the SummaryFields and LineItemGroups of an AnalyzeExpense response onto
+// the invoiceData shape used everywhere else, keeping the per-field
+// confidence Textract reports. Fields Textract did not find are left out so
+// the regex extraction can fill them in. The matched text is kept next to
+// each value so amounts and dates can be re-read once the locale is known.
+
+const normalize = require('./normalize');
+
+// AnalyzeExpense summary field type -> invoiceData field, in priority order
+const SUMMARY_FIELD_MAP = {
+    invoiceNumber: ['INVOICE_RECEIPT_ID'],
+    poNumber: ['PO_NUMBER'],
+    invoiceDate: ['INVOICE_RECEIPT_DATE', 'ORDER_DATE'],
+    dueDate: ['DUE_DATE'],
+    totalAmount: ['TOTAL', 'AMOUNT_DUE'],
+    subtotal: ['SUBTOTAL'],
+    taxAmount: ['TAX'],
+    shippingAmount: ['SHIPPING_HANDLING_CHARGE'],
+    discountAmount: ['DISCOUNT'],
+    vendorName: ['VENDOR_NAME', 'NAME'],
+    vendorAddress: ['VENDOR_ADDRESS', 'ADDRESS'],
+    vendorTaxId: ['VENDOR_GST_NUMBER', 'VENDOR_VAT_NUMBER', 'TAX_PAYER_ID']
+};
+
+const AMOUNT_FIELDS = ['totalAmount', 'subtotal', 'taxAmount', 'shippingAmount', 'discountAmount'];
+
+const LINE_ITEM_FIELD_MAP = {
+    description: 'ITEM',
+    quantity: 'QUANTITY',
+    unitPrice: 'UNIT_PRICE',
+    lineTotal: 'PRICE'
+};
+
+function mapExpenseDocuments(expenseDocuments, options = {}) {
+    return {
+        fields: mapExpenseSummary(expenseDocuments, options),
+        lineItems: mapExpenseLineItems(expenseDocuments, options)
+    };
+}
+
+function mapExpenseSummary(expenseDocuments, options = {}) {
+    const fields = {};
+
+    (expenseDocuments || []).forEach(document => {
+        const summaryFields = document.SummaryFields || [];
+
+        for (const [field, types] of Object.entries(SUMMARY_FIELD_MAP)) {
+            if (fields[field]) continue;
+
+            const match = findSummaryField(summaryFields, types, field);
+            if (!match) continue;
+
+            const text = match.ValueDetection.Text.trim();
+            fields[field] = {
+                value: AMOUNT_FIELDS.includes(field) ? normalize.parseAmount(text, options) : text,
+                text,
+                confidence: match.ValueDetection.Confidence || 0,
+                type: match.Type.Text
+            };
+
+            if (field === 'totalAmount' && match.Currency && match.Currency.Code) {
+                fields.currency = {
+                    value: match.Currency.Code.toUpperCase(),
+                    text: match.Currency.Code,
+                    confidence: match.Currency.Confidence || 0,
+                    type: 'CURRENCY'
+                };
+            }
+        }
+    });
+
+    return fields;
+}
+
+function mapExpenseLineItems(expenseDocuments, options = {}) {
+    const lineItems = [];
+
+    (expenseDocuments || []).forEach(document => {
+        (document.LineItemGroups || []).forEach(group => {
+            (group.LineItems || []).forEach(lineItem => {
+                const mapped = mapLineItem(lineItem.LineItemExpenseFields || [], document.PageNumber || 1, options);
+                if (mapped) lineItems.push(mapped);
+            });
+        });
+    });
+
+    return lineItems;
+}
+
+// VENDOR_NAME etc. can appear several times (letterhead, remit-to block);
+// take the most confident one. NAME/ADDRESS only count inside the vendor group.
+function findSummaryField(summaryFields, types, field) {
+    for (const type of types) {
+        const candidates = summaryFields.filter(summaryField => {
+            if (!summaryField.Type || summaryField.Type.Text !== type) return false;
+            if (!summaryField.ValueDetection || !summaryField.ValueDetection.Text) return false;
+            if ((type === 'NAME' || type === 'ADDRESS') && field.startsWith('vendor')) {
+                return (summaryField.GroupProperties || []).some(group => (group.Types || []).includes('VENDOR'));
+            }
+            return true;
+        });
+
+        if (candidates.length > 0) {
+            return candidates.reduce((best, candidate) =>
+                (candidate.ValueDetection.Confidence || 0) > (best.ValueDetection.Confidence || 0) ? candidate : best
+            );
+        }
+    }
+    return null;
+}
+
+function mapLineItem(expenseFields, page, options) {
+    const byType = {};
+    expenseFields.forEach(expenseField => {
+        if (expenseField.Type && expenseField.ValueDetection) {
+            byType[expenseField.Type.Text] = expenseField.ValueDetection;
+        }
+    });
+
+    const description = byType[LINE_ITEM_FIELD_MAP.description] ? byType[LINE_ITEM_FIELD_MAP.description].Text.trim() : '';
+    const quantity = byType[LINE_ITEM_FIELD_MAP.quantity] ? normalize.parseAmount(byType[LINE_ITEM_FIELD_MAP.quantity].Text, options) : null;
+    const unitPrice = byType[LINE_ITEM_FIELD_MAP.unitPrice] ? normalize.parseAmount(byType[LINE_ITEM_FIELD_MAP.unitPrice].Text, options) : null;
+    let lineTotal = byType[LINE_ITEM_FIELD_MAP.lineTotal] ? normalize.parseAmount(byType[LINE_ITEM_FIELD_MAP.lineTotal].Text, options) : null;
+
+    if (lineTotal === null && quantity !== null && unitPrice !== null) {
+        lineTotal = Math.round(quantity * unitPrice * 100) / 100;
+    }
+    if (!description && lineTotal === null) return null;
+
+    return {
+        description,
+        quantity,
+        unitPrice,
+        lineTotal,
+        taxRate: null,
+        taxAmount: null,
+        page
+    };
+}
+
+module.exports = {
+    mapExpenseDocuments,
+    mapExpenseSummary,
+    mapExpenseLineItems,
+    SUMMARY_FIELD_MAP
+};
@@ -0,0 +1,162 @@
+// Extraction workflow
+//
+// With EXTRACTION_STATE_MACHINE_ARN set, the ingestion Lambdas only check an
+// upload and start the invoice-extraction-workflow state machine
+// (32-extraction-workflow.tf), which runs
+//
+//     extract -> validate -> dedupe -> store -> notify
+//
+// as separate steps and ends in exactly one of OUTCOMES. Storage is a
+// synchronous task, so an invoice is only reported stored once
+// store-extracted-data answered 200, and a duplicate or a storage failure is
+// never reported as a success first.
+//
+// Execution input:
+//
+//     {
+//         document: { bucketName, objectKey, eTag },
+//         redrive: null | { deadLetterId, actor, templateId, ocrProvider }
+//     }
+//
+// Executions are named after the S3 object and its ETag, so a redelivered
+// upload finds the execution already started instead of extracting the
+// document twice. Redrives are named apart and always start.
+//
+// The extraction itself is written to the processed bucket and the steps
+// pass its location around: Step Functions state is limited to 256 KB.
+
+const crypto = require('crypto');
+const { extractCustomerId } = require('./textract-parser');
+const { normalizeVendorName } = require('./idempotency');
+const { partyIdFor } = require('./party-registry');
+
+const OUTCOMES = {
+    STORED: 'stored',
+    PENDING_REVIEW: 'pending_review',
+    DUPLICATE: 'duplicate',
+    ALREADY_PROCESSED: 'already_processed',
+    EXTRACTION_FAILED: 'extraction_failed',
+    PROCESSING_FAILED: 'processing_failed'
+};
+
+const MAX_EXECUTION_NAME_LENGTH = 80;
+
+// Validation reports the names validate-invoice uses; reviewers correct the
+// extracted invoiceData fields
+const REVIEW_FIELDS = {
+    invoiceId: 'invoiceNumber',
+    amount: 'totalAmount',
+    amountMinor: 'totalAmount'
+};
+
+function workflowError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Execution names allow [A-Za-z0-9-_] and at most 80 characters
+function executionNameFor({ bucketName, objectKey, eTag }, redrive = null) {
+    const hash = crypto.createHash('sha256').update(`${bucketName}/${objectKey}#${eTag || ''}`).digest('hex').substring(0, 24);
+    const baseName = objectKey.substring(objectKey.lastIndexOf('/') + 1).replace(/[^A-Za-z0-9_-]/g, '_').substring(0, 40);
+    const suffix = redrive ? `-r${Date.now().toString(36)}` : '';
+    return `${baseName}-${hash}${suffix}`.substring(0, MAX_EXECUTION_NAME_LENGTH);
+}
+
+// The invoice as validate-invoice and the validation rules see it. invoiceId
+// is the printed invoice number; the customer falls back to the vendor's
+// party ID the way store-extracted-data does it without a registry.
+function invoiceView(extractedData) {
+    const data = extractedData.invoiceData || {};
+    const minorUnits = data.minorUnits || {};
+    const vendorKey = normalizeVendorName(data.vendorName);
+
+    return {
+        invoiceId: data.invoiceNumber || null,
+        customerId: extractCustomerId(extractedData) || (vendorKey ? partyIdFor('vendor', vendorKey) : null),
+        vendorName: data.vendorName || null,
+        amount: data.totalAmount !== undefined ? data.totalAmount : null,
+        amountMinor: minorUnits.totalAmount !== undefined ? minorUnits.totalAmount : null,
+        currency: data.currency || null,
+        invoiceDate: data.invoiceDate || null,
+        dueDate: data.dueDate || null,
+        subtotal: data.subtotal,
+        taxAmount: data.taxAmount,
+        shippingAmount: data.shippingAmount,
+        discountAmount: data.discountAmount,
+        minorUnits: {
+            amount: minorUnits.totalAmount,
+            subtotal: minorUnits.subtotal,
+            taxAmount: minorUnits.taxAmount,
+            shippingAmount: minorUnits.shippingAmount,
+            discountAmount: minorUnits.discountAmount
+        },
+        poNumber: data.poNumber || null
+    };
+}
+
+// Validation errors become review reasons next to the confidence ones; an
+// extraction that breaks a rule is usually a misread, not a bad invoice
+function reviewReasonsFor(violations, extractedData) {
+    const confidence = extractedData.confidence || {};
+    const reasons = [];
+
+    violations.forEach(violation => {
+        const field = REVIEW_FIELDS[violation.field] || violation.field;
+        if (reasons.some(reason => reason.field === field)) return;
+        reasons.push({
+            field,
+            reason: 'invalid',
+            confidence: confidence[field] || 0,
+            threshold: null,
+            ruleId: violation.ruleId,
+            message: violation.message
+        });
+    });
+
+    return reasons;
+}
+
+function createWorkflowStarter({
+    stepfunctions,
+    stateMachineArn = process.env.EXTRACTION_STATE_MACHINE_ARN
+} = {}) {
+    if (!stateMachineArn) {
+        throw new Error('EXTRACTION_STATE_MACHINE_ARN is not configured');
+    }
+
+    return {
+        stateMachineArn,
+
+        // Resolves to { status: 'started' | 'already_started', executionName, executionArn }
+        async start({ bucketName, objectKey, eTag }, redrive = null) {
+            if (!bucketName || !objectKey) {
+                throw workflowError('A document needs a bucket and a key', 400);
+            }
+            const executionName = executionNameFor({ bucketName, objectKey, eTag }, redrive);
+
+            try {
+                const result = await stepfunctions.startExecution({
+                    stateMachineArn,
+                    name: executionName,
+                    input: JSON.stringify({
+                        document: { bucketName, objectKey, eTag: eTag || null },
+                        redrive: redrive || null
+                    })
+                }).promise();
+                return { status: 'started', executionName, executionArn: result.executionArn };
+            } catch (error) {
+                if (error.code !== 'ExecutionAlreadyExists') throw error;
+                return { status: 'already_started', executionName, executionArn: null };
+            }
+        }
+    };
+}
+
+module.exports = {
+    OUTCOMES,
+    executionNameFor,
+    invoiceView,
+    reviewReasonsFor,
+    createWorkflowStarter
+};
@@ -0,0 +1,222 @@
+// Idempotent invoice storage
+//
+// S3 delivers events at least once, async Lambda invocations are retried and
+// people upload the same PDF twice, so store-extracted-data claims records in
+// IDEMPOTENCY_TABLE before it writes an invoice:
+//
+//     content#<sha256 of the S3 object>        the same file, under any key
+//     fingerprint#<sha256 of vendor|invoice number|currency|amount>
+//                                               the same invoice, rescanned
+//
+// A claim is a conditional put, so two deliveries of one document cannot both
+// store it. Claims start as in_progress with a short lease; a claim left
+// behind by a crashed invocation can be taken over once the lease expires.
+// Records expire (DynamoDB TTL on expiresAt) after IDEMPOTENCY_RETENTION_DAYS.
+
+const crypto = require('crypto');
+
+const STATUS = {
+    IN_PROGRESS: 'in_progress',
+    PENDING_REVIEW: 'pending_review',
+    COMPLETED: 'completed',
+    DUPLICATE: 'duplicate'
+};
+
+const DEFAULT_LEASE_SECONDS = 300;
+const DEFAULT_RETENTION_DAYS = 400;
+
+// Legal-form suffixes that vary between scans of the same vendor
+const VENDOR_SUFFIXES = new Set([
+    'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+    'plc', 'gmbh', 'ag', 'sa', 'sarl', 'bv', 'nv', 'oy', 'ab', 'as', 'srl', 'spa', 'kg', 'pty'
+]);
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Streams the object through the hash so large PDFs are never held in memory
+function hashS3Object(s3, bucketName, objectKey) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        s3.getObject({ Bucket: bucketName, Key: objectKey }).createReadStream()
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+function normalizeVendorName(name) {
+    if (!name) return '';
+    const words = String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+
+    while (words.length > 1 && VENDOR_SUFFIXES.has(words[words.length - 1])) {
+        words.pop();
+    }
+    return words.join(' ');
+}
+
+function normalizeInvoiceNumber(invoiceNumber) {
+    return invoiceNumber ? String(invoiceNumber).toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+}
+
+// Returns null when the invoice lacks a vendor, number or total; without all
+// three the fingerprint would match unrelated invoices
+function invoiceFingerprint(invoiceData) {
+    const data = invoiceData || {};
+    const vendor = normalizeVendorName(data.vendorName);
+    const invoiceNumber = normalizeInvoiceNumber(data.invoiceNumber);
+    const amountMinor = data.minorUnits && data.minorUnits.totalAmount != null
+        ? data.minorUnits.totalAmount
+        : (typeof data.totalAmount === 'number' ? Math.round(data.totalAmount * 100) : null);
+
+    if (!vendor || !invoiceNumber || amountMinor === null) return null;
+
+    const parts = {
+        vendor,
+        invoiceNumber,
+        currency: (data.currency || 'USD').toUpperCase(),
+        amountMinor
+    };
+    return {
+        fingerprint: sha256(`${parts.vendor}|${parts.invoiceNumber}|${parts.currency}|${parts.amountMinor}`),
+        parts
+    };
+}
+
+function contentKey(contentHash) {
+    return `content#${contentHash}`;
+}
+
+function fingerprintKey(fingerprint) {
+    return `fingerprint#${fingerprint}`;
+}
+
+function createIdempotencyStore({
+    dynamodb,
+    tableName = process.env.IDEMPOTENCY_TABLE,
+    leaseSeconds = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS || DEFAULT_LEASE_SECONDS, 10),
+    retentionDays = parseInt(process.env.IDEMPOTENCY_RETENTION_DAYS || DEFAULT_RETENTION_DAYS, 10)
+} = {}) {
+    if (!tableName) {
+        throw new Error('IDEMPOTENCY_TABLE is not configured');
+    }
+
+    return {
+        // Claims a key for this invocation. Returns { claimed: true } or
+        // { claimed: false, existing } with the record that holds the key.
+        // An invocation resuming a review (reviewId) may take over the claim
+        // it parked when the invoice was queued.
+        async claim(key, owner, { reviewId, ...attributes } = {}) {
+            const now = new Date();
+            const item = {
+                idempotencyKey: key,
+                status: STATUS.IN_PROGRESS,
+                owner: owner,
+                reviewId: reviewId || null,
+                claimedAt: now.toISOString(),
+                leaseExpiresAt: Math.floor(now.getTime() / 1000) + leaseSeconds,
+                expiresAt: Math.floor(now.getTime() / 1000) + retentionDays * 86400,
+                ...attributes
+            };
+
+            let condition = 'attribute_not_exists(idempotencyKey) OR (#status = :inProgress AND leaseExpiresAt < :now)';
+            const values = {
+                ':inProgress': STATUS.IN_PROGRESS,
+                ':now': Math.floor(now.getTime() / 1000)
+            };
+            if (reviewId) {
+                condition += ' OR (#status = :pendingReview AND reviewId = :reviewId)';
+                values[':pendingReview'] = STATUS.PENDING_REVIEW;
+                values[':reviewId'] = reviewId;
+            }
+
+            try {
+                await dynamodb.put({
+                    TableName: tableName,
+                    Item: item,
+                    ConditionExpression: condition,
+                    ExpressionAttributeNames: { '#status': 'status' },
+                    ExpressionAttributeValues: values
+                }).promise();
+                return { claimed: true, record: item };
+            } catch (error) {
+                if (error.code !== 'ConditionalCheckFailedException') throw error;
+
+                const existing = await dynamodb.get({
+                    TableName: tableName,
+                    Key: { idempotencyKey: key },
+                    ConsistentRead: true
+                }).promise();
+                return { claimed: false, existing: existing.Item || null };
+            }
+        },
+
+        // The record holding a key, or null; a read-only check before claiming
+        async find(key) {
+            const result = await dynamodb.get({
+                TableName: tableName,
+                Key: { idempotencyKey: key },
+                ConsistentRead: true
+            }).promise();
+            return result.Item || null;
+        },
+
+        // Moves a claim this invocation owns to its final status
+        async settle(key, owner, status, attributes = {}) {
+            const names = { '#status': 'status' };
+            const values = { ':status': status, ':owner': owner, ':settledAt': new Date().toISOString() };
+            const sets = ['#status = :status', 'settledAt = :settledAt'];
+
+            Object.entries(attributes).forEach(([name, value], index) => {
+                names[`#a${index}`] = name;
+                values[`:a${index}`] = value;
+                sets.push(`#a${index} = :a${index}`);
+            });
+
+            await dynamodb.update({
+                TableName: tableName,
+                Key: { idempotencyKey: key },
+                UpdateExpression: `SET ${sets.join(', ')} REMOVE leaseExpiresAt`,
+                ConditionExpression: '#owner = :owner',
+                ExpressionAttributeNames: { ...names, '#owner': 'owner' },
+                ExpressionAttributeValues: values
+            }).promise();
+        },
+
+        // Gives a claim back after a failure so the retry can store the invoice
+        async release(key, owner) {
+            try {
+                await dynamodb.delete({
+                    TableName: tableName,
+                    Key: { idempotencyKey: key },
+                    ConditionExpression: '#owner = :owner AND #status = :inProgress',
+                    ExpressionAttributeNames: { '#owner': 'owner', '#status': 'status' },
+                    ExpressionAttributeValues: { ':owner': owner, ':inProgress': STATUS.IN_PROGRESS }
+                }).promise();
+            } catch (error) {
+                if (error.code !== 'ConditionalCheckFailedException') throw error;
+            }
+        }
+    };
+}
+
+module.exports = {
+    STATUS,
+    sha256,
+    hashS3Object,
+    normalizeVendorName,
+    normalizeInvoiceNumber,
+    invoiceFingerprint,
+    contentKey,
+    fingerprintKey,
+    createIdempotencyStore
+};
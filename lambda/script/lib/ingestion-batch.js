@@ -0,0 +1,203 @@
+// Batched document ingestion
+//
+// Uploads reach the extraction Lambdas either straight from S3 or through the
+// invoice ingestion queue (S3 -> SQS -> Lambda). Either way one invocation can
+// carry several documents: an S3 event holds one or more Records, and an SQS
+// batch holds up to batch_size messages, each with its own S3 event.
+//
+// processDocuments() flattens the event into documents, runs them at most
+// INGESTION_CONCURRENCY at a time and reports a result per document. A
+// document whose handler throws is failed, unless the error carries a 4xx
+// statusCode: retrying won't fix an unsupported format or an oversized file,
+// so those are reported as rejected. For SQS batches the messages of failed
+// documents are returned as batchItemFailures, so only those are redelivered.
+// A message holding several documents is retried as a whole, and storage
+// idempotency absorbs the ones that already went through.
+//
+// Dead letters sent back by the redrive tooling (lib/dead-letters.js) arrive
+// as records with eventSource 'invoice:redrive' and carry their overrides
+// (templateId, ocrProvider) as document.redrive.
+
+const DEFAULT_CONCURRENCY = 4;
+// Matches maxReceiveCount of the ingestion queue's redrive policy
+const DEFAULT_MAX_RECEIVES = 3;
+
+const REDRIVE_EVENT_SOURCE = 'invoice:redrive';
+
+const STATUS = {
+    PROCESSED: 'processed',
+    REJECTED: 'rejected',
+    FAILED: 'failed'
+};
+
+function decodeObjectKey(key) {
+    return decodeURIComponent(key.replace(/\+/g, ' '));
+}
+
+function fromS3Record(record, itemIdentifier, receiveCount = 1) {
+    return {
+        itemIdentifier,
+        receiveCount,
+        bucketName: record.s3.bucket.name,
+        objectKey: decodeObjectKey(record.s3.object.key),
+        eTag: record.s3.object.eTag,
+        size: record.s3.object.size
+    };
+}
+
+// S3 events sent to SQS directly, or through an SNS topic
+function fromQueueMessage(record) {
+    try {
+        let body = JSON.parse(record.body);
+        if (body.Type === 'Notification' && body.Message) {
+            body = JSON.parse(body.Message);
+        }
+        // S3 sends s3:TestEvent when the notification is first configured
+        if (body.Event === 's3:TestEvent') {
+            return [];
+        }
+        if (!Array.isArray(body.Records)) {
+            throw new Error('Message is not an S3 event notification');
+        }
+        const receiveCount = parseInt((record.attributes && record.attributes.ApproximateReceiveCount) || '1', 10);
+        return body.Records.map(s3Record => fromS3Record(s3Record, record.messageId, receiveCount));
+    } catch (error) {
+        return [{ itemIdentifier: record.messageId, error: `Unreadable ingestion message: ${error.message}` }];
+    }
+}
+
+function isQueueEvent(event) {
+    return (event.Records || []).some(record => record.eventSource === 'aws:sqs');
+}
+
+// One entry per document; itemIdentifier is the SQS message it came in, or
+// null for a direct S3 event
+function documentsFrom(event) {
+    return (event.Records || []).flatMap(record => {
+        if (record.eventSource === 'aws:sqs') return fromQueueMessage(record);
+        if (record.eventSource === REDRIVE_EVENT_SOURCE) {
+            const { bucketName, objectKey, eTag, redrive } = record;
+            return [{ itemIdentifier: null, receiveCount: 1, bucketName, objectKey, eTag, redrive }];
+        }
+        if (record.s3) return [fromS3Record(record, null)];
+        return [{ itemIdentifier: null, error: 'Unrecognised record; expected an S3 or SQS record' }];
+    });
+}
+
+// Whether a failed document is out of retries: it came straight from S3 or
+// from a redrive, it was rejected, or this was the queue's last receive
+function isFinalAttempt(document, error, maxReceives = parseInt(process.env.INGESTION_MAX_RECEIVES || DEFAULT_MAX_RECEIVES, 10)) {
+    if (!document.itemIdentifier) return true;
+    if (error && error.statusCode >= 400 && error.statusCode < 500) return true;
+    return document.receiveCount >= maxReceives;
+}
+
+// INGESTION_CONCURRENCY, or DEFAULT_CONCURRENCY unless it is a positive
+// integer; anything else would start no workers at all
+function concurrencyFrom(value = process.env.INGESTION_CONCURRENCY) {
+    const concurrency = Number(value);
+    return Number.isInteger(concurrency) && concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY;
+}
+
+// Like Promise.allSettled, with at most `limit` workers in flight
+async function mapWithConcurrency(items, limit, worker) {
+    const settled = new Array(items.length);
+    let next = 0;
+
+    async function run() {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                settled[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+            } catch (reason) {
+                settled[index] = { status: 'rejected', reason };
+            }
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, run);
+    await Promise.all(workers);
+    return settled;
+}
+
+// processDocument({ bucketName, objectKey, eTag, size, receiveCount, redrive }) resolves to an object
+// with an optional status (default 'processed') that is merged into the
+// document's result
+async function processDocuments(event, processDocument, { concurrency } = {}) {
+    const documents = documentsFrom(event);
+
+    const settled = await mapWithConcurrency(documents, concurrencyFrom(concurrency), document => {
+        if (document.error) throw new Error(document.error);
+        return processDocument(document);
+    });
+
+    const results = documents.map((document, index) => {
+        const { itemIdentifier, bucketName, objectKey } = document;
+        const outcome = settled[index];
+        if (outcome.status === 'rejected') {
+            const statusCode = outcome.reason.statusCode;
+            const permanent = statusCode >= 400 && statusCode < 500;
+            return {
+                itemIdentifier,
+                bucketName,
+                objectKey,
+                status: permanent ? STATUS.REJECTED : STATUS.FAILED,
+                error: outcome.reason.message
+            };
+        }
+        return { itemIdentifier, bucketName, objectKey, status: STATUS.PROCESSED, ...outcome.value };
+    });
+
+    const failedMessages = new Set(results
+        .filter(result => result.status === STATUS.FAILED && result.itemIdentifier)
+        .map(result => result.itemIdentifier));
+
+    const summary = results.reduce((counts, result) => {
+        counts[result.status] = (counts[result.status] || 0) + 1;
+        return counts;
+    }, { total: results.length });
+
+    return {
+        results,
+        summary,
+        failed: summary[STATUS.FAILED] || 0,
+        batchItemFailures: [...failedMessages].map(itemIdentifier => ({ itemIdentifier }))
+    };
+}
+
+// SQS invocations only get batchItemFailures back, which is what the event
+// source mapping reads. Direct invocations get the per-document results:
+// 200 when every document went through, 207 when some failed, 500 when all did.
+function batchResponse(event, outcome, message = 'Invoice batch processed') {
+    if (isQueueEvent(event)) {
+        return { batchItemFailures: outcome.batchItemFailures };
+    }
+
+    let statusCode = 200;
+    if (outcome.failed > 0) {
+        statusCode = outcome.failed === outcome.results.length ? 500 : 207;
+    }
+
+    return {
+        statusCode,
+        body: JSON.stringify({
+            message,
+            summary: outcome.summary,
+            results: outcome.results
+        })
+    };
+}
+
+module.exports = {
+    STATUS,
+    DEFAULT_CONCURRENCY,
+    REDRIVE_EVENT_SOURCE,
+    decodeObjectKey,
+    documentsFrom,
+    isQueueEvent,
+    isFinalAttempt,
+    concurrencyFrom,
+    mapWithConcurrency,
+    processDocuments,
+    batchResponse
+};
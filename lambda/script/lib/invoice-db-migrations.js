@@ -0,0 +1,83 @@
+// Schema migrations for the Aurora MySQL reporting database
+//
+// Applied in order by invoice-db.js migrate() (see migrate-invoice-db.js);
+// applied versions are recorded in schema_migrations. The Data API runs one
+// statement per call, so each migration is a list of statements. Never edit
+// a migration that has shipped; add a new one.
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        statements: [
+            `CREATE TABLE IF NOT EXISTS vendors (
+                id VARCHAR(32) NOT NULL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                status VARCHAR(32) NULL,
+                created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+                updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+            `CREATE TABLE IF NOT EXISTS invoices (
+                id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                invoice_key VARCHAR(160) NOT NULL,
+                invoice_id VARCHAR(128) NULL,
+                customer_id VARCHAR(128) NOT NULL,
+                vendor_id VARCHAR(32) NULL,
+                vendor_name VARCHAR(255) NULL,
+                invoice_date DATE NULL,
+                due_date DATE NULL,
+                currency CHAR(3) NULL,
+                total_amount_minor BIGINT NULL,
+                status VARCHAR(32) NOT NULL,
+                processing_method VARCHAR(64) NULL,
+                source_bucket VARCHAR(255) NULL,
+                source_file VARCHAR(1024) NULL,
+                s3_location VARCHAR(1024) NULL,
+                content_hash CHAR(64) NULL,
+                fingerprint CHAR(64) NULL,
+                reconciliation_status VARCHAR(32) NULL,
+                review_id VARCHAR(64) NULL,
+                suspected_duplicate_of VARCHAR(160) NULL,
+                extracted_at DATETIME(3) NULL,
+                processed_at DATETIME(3) NULL,
+                created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+                updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+                UNIQUE KEY uq_invoices_invoice_key (invoice_key),
+                KEY ix_invoices_vendor_date (vendor_id, invoice_date),
+                KEY ix_invoices_customer (customer_id),
+                KEY ix_invoices_status (status),
+                KEY ix_invoices_due_date (due_date),
+                CONSTRAINT fk_invoices_vendor FOREIGN KEY (vendor_id) REFERENCES vendors (id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+            `CREATE TABLE IF NOT EXISTS invoice_line_items (
+                id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                invoice_pk BIGINT UNSIGNED NOT NULL,
+                line_number INT NOT NULL,
+                description VARCHAR(1024) NULL,
+                quantity DECIMAL(18,4) NULL,
+                unit_price_minor BIGINT NULL,
+                line_total_minor BIGINT NULL,
+                tax_rate DECIMAL(7,4) NULL,
+                UNIQUE KEY uq_line_items_line (invoice_pk, line_number),
+                CONSTRAINT fk_line_items_invoice FOREIGN KEY (invoice_pk) REFERENCES invoices (id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+            `CREATE TABLE IF NOT EXISTS processing_events (
+                id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+                invoice_key VARCHAR(160) NULL,
+                source_file VARCHAR(1024) NULL,
+                event_type VARCHAR(64) NOT NULL,
+                detail JSON NULL,
+                occurred_at DATETIME(3) NOT NULL,
+                KEY ix_events_invoice (invoice_key),
+                KEY ix_events_type_time (event_type, occurred_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        ]
+    }
+];
+
+module.exports = {
+    MIGRATIONS
+};
@@ -0,0 +1,272 @@
+// Relational invoice repository on Aurora MySQL
+//
+// DynamoDB and the S3 JSON stay the system of record. This mirrors every
+// stored invoice into Aurora so finance can report on it with SQL:
+//
+//     vendors              id (registry partyId), name, status
+//     invoices             one row per stored invoice, keyed by invoice_key
+//                          (<customerId>#<invoiceNumber>, the DynamoDB key)
+//     invoice_line_items   line items in minor units
+//     processing_events    stored, review_queued, duplicate, ... per document
+//
+// Statements go through the RDS Data API (INVOICE_DB_CLUSTER_ARN,
+// INVOICE_DB_SECRET_ARN, INVOICE_DB_NAME), so Lambdas need neither a VPC
+// attachment nor a MySQL driver. The schema comes from
+// invoice-db-migrations.js; run migrate-invoice-db.js after deploying.
+
+const normalize = require('./normalize');
+const { MIGRATIONS } = require('./invoice-db-migrations');
+
+function invoiceKey(record) {
+    return `${record.customerId}#${record.invoiceNumber}`;
+}
+
+// Data API parameter; null becomes SQL NULL
+function param(name, value, typeHint) {
+    if (value === null || value === undefined || (typeof value === 'number' && isNaN(value))) {
+        return { name, value: { isNull: true } };
+    }
+
+    let field;
+    if (typeof value === 'boolean') field = { booleanValue: value };
+    else if (Number.isInteger(value) && !typeHint) field = { longValue: value };
+    else if (typeof value === 'number' && !typeHint) field = { doubleValue: value };
+    else field = { stringValue: String(value) };
+
+    return typeHint ? { name, value: field, typeHint } : { name, value: field };
+}
+
+function isoDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+}
+
+// ISO timestamp -> 'YYYY-MM-DD HH:MM:SS.fff' for DATETIME(3)
+function sqlTimestamp(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) return null;
+    return date.toISOString().replace('T', ' ').replace('Z', '');
+}
+
+function minorUnits(value, currency) {
+    if (value === null || value === undefined || value === '') return null;
+    return normalize.toMinorUnits(value, { currency });
+}
+
+// Maps an invoice record as stored in DynamoDB (by store-extracted-data or
+// process-invoice) onto the invoices columns
+function toInvoiceRow(record) {
+    const currency = record.currency || 'USD';
+    let totalMinor = record.totalAmountMinor;
+    if (totalMinor === undefined || totalMinor === null) totalMinor = record.amountMinor;
+    if (totalMinor === undefined || totalMinor === null) totalMinor = minorUnits(record.totalAmount !== undefined ? record.totalAmount : record.amount, currency);
+
+    return {
+        invoice_key: invoiceKey(record),
+        invoice_id: record.invoiceId || null,
+        customer_id: String(record.customerId),
+        vendor_id: record.vendorId || null,
+        vendor_name: record.vendorName || null,
+        invoice_date: isoDate(record.invoiceDate),
+        due_date: isoDate(record.dueDate),
+        currency: currency,
+        total_amount_minor: totalMinor,
+        status: record.status || 'received',
+        processing_method: record.processingMethod || null,
+        source_bucket: record.sourceBucket || null,
+        source_file: record.originalFileName || null,
+        s3_location: record.s3Location || null,
+        content_hash: record.contentHash || null,
+        fingerprint: record.fingerprint || null,
+        reconciliation_status: record.reconciliationStatus || null,
+        review_id: record.reviewId || null,
+        suspected_duplicate_of: record.suspectedDuplicateOf ? invoiceKey(record.suspectedDuplicateOf) : null,
+        extracted_at: sqlTimestamp(record.extractedAt),
+        processed_at: sqlTimestamp(record.processedAt)
+    };
+}
+
+function toLineItemRows(record) {
+    const currency = record.currency || 'USD';
+    return (record.lineItems || []).map((item, index) => ({
+        line_number: index + 1,
+        description: item.description ? String(item.description).substring(0, 1024) : null,
+        quantity: typeof item.quantity === 'number' ? item.quantity : null,
+        unit_price_minor: minorUnits(item.unitPrice, currency),
+        line_total_minor: minorUnits(item.lineTotal !== undefined ? item.lineTotal : item.amount, currency),
+        tax_rate: typeof item.taxRate === 'number' ? item.taxRate : null
+    }));
+}
+
+const DECIMAL_COLUMNS = ['quantity', 'tax_rate'];
+const DATE_COLUMNS = ['invoice_date', 'due_date'];
+const TIMESTAMP_COLUMNS = ['extracted_at', 'processed_at', 'occurred_at'];
+
+function rowParams(row) {
+    return Object.entries(row).map(([column, value]) => {
+        if (DECIMAL_COLUMNS.includes(column)) return param(column, value === null ? null : String(value), 'DECIMAL');
+        if (DATE_COLUMNS.includes(column)) return param(column, value, 'DATE');
+        if (TIMESTAMP_COLUMNS.includes(column)) return param(column, value, 'TIMESTAMP');
+        return param(column, value);
+    });
+}
+
+function createInvoiceDatabase({
+    rdsData,
+    resourceArn = process.env.INVOICE_DB_CLUSTER_ARN,
+    secretArn = process.env.INVOICE_DB_SECRET_ARN,
+    database = process.env.INVOICE_DB_NAME
+} = {}) {
+    if (!resourceArn || !secretArn) {
+        throw new Error('INVOICE_DB_CLUSTER_ARN and INVOICE_DB_SECRET_ARN must be configured');
+    }
+
+    const connection = { resourceArn, secretArn, database };
+
+    function execute(sql, parameters = [], transactionId) {
+        return rdsData.executeStatement({
+            ...connection,
+            sql,
+            parameters,
+            transactionId
+        }).promise();
+    }
+
+    function batchExecute(sql, parameterSets, transactionId) {
+        if (parameterSets.length === 0) return Promise.resolve();
+        return rdsData.batchExecuteStatement({
+            ...connection,
+            sql,
+            parameterSets,
+            transactionId
+        }).promise();
+    }
+
+    async function inTransaction(work) {
+        const { transactionId } = await rdsData.beginTransaction(connection).promise();
+        try {
+            const result = await work(transactionId);
+            await rdsData.commitTransaction({ resourceArn, secretArn, transactionId }).promise();
+            return result;
+        } catch (error) {
+            await rdsData.rollbackTransaction({ resourceArn, secretArn, transactionId }).promise()
+                .catch(rollbackError => console.error('Error rolling back invoice transaction:', rollbackError));
+            throw error;
+        }
+    }
+
+    function insertEvent(event, transactionId) {
+        return execute(
+            `INSERT INTO processing_events (invoice_key, source_file, event_type, detail, occurred_at)
+             VALUES (:invoice_key, :source_file, :event_type, :detail, :occurred_at)`,
+            [
+                param('invoice_key', event.invoiceKey || null),
+                param('source_file', event.sourceFile || null),
+                param('event_type', event.type),
+                param('detail', event.detail ? JSON.stringify(event.detail) : null, 'JSON'),
+                param('occurred_at', sqlTimestamp(event.occurredAt || new Date().toISOString()), 'TIMESTAMP')
+            ],
+            transactionId
+        );
+    }
+
+    return {
+        // Upserts the invoice, its vendor and line items and appends an event,
+        // all in one transaction. Safe to repeat for the same record.
+        async recordInvoice(record, { eventType = 'stored', detail = {} } = {}) {
+            const row = toInvoiceRow(record);
+            const columns = Object.keys(row);
+
+            return inTransaction(async transactionId => {
+                if (row.vendor_id) {
+                    const vendor = record.vendorResolution || {};
+                    await execute(
+                        `INSERT INTO vendors (id, name, status) VALUES (:id, :name, :status)
+                         ON DUPLICATE KEY UPDATE name = VALUES(name), status = VALUES(status)`,
+                        [param('id', row.vendor_id), param('name', vendor.name || row.vendor_name || row.vendor_id), param('status', vendor.status || null)],
+                        transactionId
+                    );
+                }
+
+                await execute(
+                    `INSERT INTO invoices (${columns.join(', ')}) VALUES (${columns.map(column => `:${column}`).join(', ')})
+                     ON DUPLICATE KEY UPDATE ${columns.filter(column => column !== 'invoice_key').map(column => `${column} = VALUES(${column})`).join(', ')}`,
+                    rowParams(row),
+                    transactionId
+                );
+
+                const selected = await execute(
+                    'SELECT id FROM invoices WHERE invoice_key = :invoice_key',
+                    [param('invoice_key', row.invoice_key)],
+                    transactionId
+                );
+                const invoicePk = selected.records[0][0].longValue;
+
+                await execute(
+                    'DELETE FROM invoice_line_items WHERE invoice_pk = :invoice_pk',
+                    [param('invoice_pk', invoicePk)],
+                    transactionId
+                );
+                await batchExecute(
+                    `INSERT INTO invoice_line_items (invoice_pk, line_number, description, quantity, unit_price_minor, line_total_minor, tax_rate)
+                     VALUES (:invoice_pk, :line_number, :description, :quantity, :unit_price_minor, :line_total_minor, :tax_rate)`,
+                    toLineItemRows(record).map(item => [param('invoice_pk', invoicePk), ...rowParams(item)]),
+                    transactionId
+                );
+
+                await insertEvent({
+                    invoiceKey: row.invoice_key,
+                    sourceFile: row.source_file,
+                    type: eventType,
+                    detail: { status: row.status, processingMethod: row.processing_method, ...detail }
+                }, transactionId);
+
+                return { invoicePk, invoiceKey: row.invoice_key };
+            });
+        },
+
+        // Events for documents that did not become an invoice (queued for
+        // review, duplicate, ...) or later changes to one
+        async recordEvent(event) {
+            await insertEvent(event);
+        },
+
+        async appliedMigrations() {
+            await execute(
+                `CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INT NOT NULL PRIMARY KEY,
+                    name VARCHAR(128) NOT NULL,
+                    applied_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)
+                ) ENGINE=InnoDB`
+            );
+            const result = await execute('SELECT version FROM schema_migrations ORDER BY version');
+            return (result.records || []).map(record => record[0].longValue);
+        },
+
+        // MySQL commits DDL implicitly, so each statement is applied on its
+        // own; migrations use IF NOT EXISTS so a failed run can be repeated
+        async migrate({ logger = console } = {}) {
+            const applied = await this.appliedMigrations();
+            const pending = MIGRATIONS.filter(migration => !applied.includes(migration.version));
+
+            for (const migration of pending) {
+                logger.log(`Applying migration ${migration.version} ${migration.name}`);
+                for (const statement of migration.statements) {
+                    await execute(statement);
+                }
+                await execute(
+                    'INSERT INTO schema_migrations (version, name) VALUES (:version, :name)',
+                    [param('version', migration.version), param('name', migration.name)]
+                );
+            }
+
+            return pending.map(migration => migration.version);
+        }
+    };
+}
+
+module.exports = {
+    invoiceKey,
+    toInvoiceRow,
+    toLineItemRows,
+    createInvoiceDatabase
+};
@@ -0,0 +1,190 @@
+// Invoice status lifecycle
+//
+// Every stored invoice moves through these statuses, and only along the
+// transitions below:
+//
+//     received -> extracted -> validated -> pending_review -> approved
+//              -> scheduled_for_payment -> paid
+//
+// with rejected and duplicate as the other ways out. suspected_duplicate
+// (see lib/duplicate-detector.js) holds an extracted invoice until someone
+// confirms it as a duplicate or clears it. paid, rejected and duplicate are
+// final.
+//
+// Each change is recorded in the invoice's statusHistory, written in the same
+// update as the status so the two can't disagree:
+//
+//     statusHistory: [{ from, to, actor, at, reason }]
+//
+// actor is who or what made the change: a reviewer's IAM ARN or a Lambda
+// name. Entries are only ever appended (see invoice-repository.js
+// updateStatus); read them with history().
+//
+// With a webhook publisher (lib/webhook-delivery.js), moves to validated,
+// rejected and duplicate are also published as webhook events.
+
+const { EVENT_TYPES, buildEvent } = require('./webhook-events');
+
+const STATUS = {
+    RECEIVED: 'received',
+    EXTRACTED: 'extracted',
+    SUSPECTED_DUPLICATE: 'suspected_duplicate',
+    VALIDATED: 'validated',
+    PENDING_REVIEW: 'pending_review',
+    APPROVED: 'approved',
+    SCHEDULED_FOR_PAYMENT: 'scheduled_for_payment',
+    PAID: 'paid',
+    REJECTED: 'rejected',
+    DUPLICATE: 'duplicate'
+};
+
+const TRANSITIONS = {
+    // Manually submitted invoices are already structured and skip extraction
+    [STATUS.RECEIVED]: [STATUS.EXTRACTED, STATUS.VALIDATED, STATUS.REJECTED, STATUS.DUPLICATE],
+    [STATUS.EXTRACTED]: [STATUS.VALIDATED, STATUS.PENDING_REVIEW, STATUS.SUSPECTED_DUPLICATE, STATUS.REJECTED, STATUS.DUPLICATE],
+    // Cleared suspects continue from where they were flagged
+    [STATUS.SUSPECTED_DUPLICATE]: [STATUS.EXTRACTED, STATUS.VALIDATED, STATUS.PENDING_REVIEW, STATUS.REJECTED, STATUS.DUPLICATE],
+    // validated -> approved is for automatic approval, e.g. a matched purchase order
+    [STATUS.VALIDATED]: [STATUS.PENDING_REVIEW, STATUS.APPROVED, STATUS.REJECTED, STATUS.DUPLICATE],
+    [STATUS.PENDING_REVIEW]: [STATUS.APPROVED, STATUS.REJECTED, STATUS.DUPLICATE],
+    [STATUS.APPROVED]: [STATUS.SCHEDULED_FOR_PAYMENT, STATUS.REJECTED],
+    // A payment run can be cancelled, which puts the invoice back to approved
+    [STATUS.SCHEDULED_FOR_PAYMENT]: [STATUS.PAID, STATUS.APPROVED],
+    [STATUS.PAID]: [],
+    [STATUS.REJECTED]: [],
+    [STATUS.DUPLICATE]: []
+};
+
+// Items stored before the lifecycle existed were all 'processed', whether
+// they came from Textract or through validate-invoice
+const LEGACY_STATUS = {
+    processed: STATUS.EXTRACTED
+};
+
+function lifecycleError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function effectiveStatus(status) {
+    return LEGACY_STATUS[status] || status;
+}
+
+function isFinal(status) {
+    const allowed = TRANSITIONS[effectiveStatus(status)];
+    return Array.isArray(allowed) && allowed.length === 0;
+}
+
+function allowedTransitions(status) {
+    return TRANSITIONS[effectiveStatus(status)] || [];
+}
+
+function canTransition(from, to) {
+    return allowedTransitions(from).includes(to);
+}
+
+function assertTransition(from, to) {
+    if (!TRANSITIONS[to]) {
+        throw lifecycleError(`Unknown invoice status ${to}`, 400);
+    }
+    if (!canTransition(from, to)) {
+        const allowed = allowedTransitions(from);
+        throw lifecycleError(
+            `Invoice cannot move from ${from} to ${to}` + (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ` (${from} is final)`),
+            409
+        );
+    }
+}
+
+function historyEntry(from, to, { actor, at, reason } = {}) {
+    if (!actor) throw lifecycleError('A status change needs an actor', 400);
+    return {
+        from: from || null,
+        to,
+        actor,
+        at: at || new Date().toISOString(),
+        reason: reason || null
+    };
+}
+
+// Status and history for a new invoice, from the steps it has already been
+// through: [{ status, actor, at, reason }, ...], starting with received
+function begin(steps) {
+    const path = steps.filter(Boolean);
+    if (path.length === 0 || path[0].status !== STATUS.RECEIVED) {
+        throw lifecycleError(`An invoice's history starts with ${STATUS.RECEIVED}`, 400);
+    }
+
+    const statusHistory = path.map((step, index) => {
+        const from = index === 0 ? null : path[index - 1].status;
+        if (from) assertTransition(from, step.status);
+        return historyEntry(from, step.status, step);
+    });
+
+    return {
+        status: path[path.length - 1].status,
+        statusHistory
+    };
+}
+
+// Lifecycle statuses that are webhook events of their own
+const WEBHOOK_EVENTS = {
+    [STATUS.VALIDATED]: EVENT_TYPES.VALIDATED,
+    [STATUS.REJECTED]: EVENT_TYPES.REJECTED,
+    [STATUS.DUPLICATE]: EVENT_TYPES.DUPLICATE
+};
+
+function createInvoiceLifecycle({ repository, webhookPublisher = null }) {
+    async function load(customerId, invoiceNumber) {
+        const invoice = await repository.get(customerId, invoiceNumber);
+        if (!invoice) throw lifecycleError(`Invoice ${customerId}#${invoiceNumber} not found`, 404);
+        return invoice;
+    }
+
+    return {
+        // Moves the invoice to status and records who did it. Reads the
+        // current version, so a concurrent change fails with a 409 instead of
+        // being overwritten.
+        async transition(customerId, invoiceNumber, to, { actor, reason, attributes } = {}) {
+            const invoice = await load(customerId, invoiceNumber);
+            assertTransition(invoice.status, to);
+
+            const entry = historyEntry(invoice.status, to, { actor, reason });
+            const updated = await repository.updateStatus(customerId, invoiceNumber, to, {
+                expectedVersion: invoice.version || 0,
+                attributes,
+                historyEntry: entry
+            });
+            console.log(`Invoice ${customerId}#${invoiceNumber} ${invoice.status} -> ${to} by ${entry.actor}`);
+
+            if (webhookPublisher && WEBHOOK_EVENTS[to]) {
+                await webhookPublisher.publish(buildEvent(WEBHOOK_EVENTS[to], {
+                    invoice: updated,
+                    reason: entry.reason,
+                    actor: entry.actor,
+                    previousStatus: invoice.status
+                }, { source: 'invoice-lifecycle' }));
+            }
+            return updated;
+        },
+
+        async history(customerId, invoiceNumber) {
+            const history = await repository.getHistory(customerId, invoiceNumber);
+            if (!history) throw lifecycleError(`Invoice ${customerId}#${invoiceNumber} not found`, 404);
+            return history;
+        }
+    };
+}
+
+module.exports = {
+    STATUS,
+    TRANSITIONS,
+    isFinal,
+    allowedTransitions,
+    canTransition,
+    assertTransition,
+    historyEntry,
+    begin,
+    createInvoiceLifecycle
+};
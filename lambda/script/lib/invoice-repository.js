@@ -0,0 +1,370 @@
+// Invoice repository
+//
+// The one place that knows how invoices are keyed and stored. Handlers pass
+// plain invoice objects; the repository assigns the key, versions the item
+// and hides DynamoDB (or the in-memory backend used by tests and offline
+// runs) behind the same API:
+//
+//     create(invoice)                                   -> stored item
+//     get(customerId, invoiceNumber)                    -> item or null
+//     getByFingerprint(fingerprint)                     -> item or null
+//     listByCustomer(customerId, { limit, nextToken })  -> { items, nextToken }
+//     listByStatus(status, { limit, nextToken })        -> { items, nextToken }
+//     updateStatus(customerId, invoiceNumber, status, { expectedVersion, attributes, historyEntry })
+//     getHistory(customerId, invoiceNumber)             -> statusHistory or null
+//
+// Item schema (DYNAMODB_TABLE_NAME, hash customerId, range invoiceNumber):
+//
+//     customerId      registry vendor ID or the customer ID printed on the invoice
+//     invoiceNumber   numeric key assigned by create() (epoch milliseconds)
+//     invoiceId       business invoice number
+//     status, version, createdAt, updatedAt
+//     statusHistory   status changes, see lib/invoice-lifecycle.js
+//     fingerprint     see lib/idempotency.js (FingerprintIndex)
+//     ...             any other invoice fields, as given
+//
+// updateStatus uses optimistic locking: it only applies when the stored
+// version still equals expectedVersion, and bumps the version. Items written
+// before versioning count as version 0. Conflicts throw an error with code
+// 'InvoiceConflict' and statusCode 409. historyEntry is appended to
+// statusHistory in the same write; nothing else rewrites the history.
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_CREATE_ATTEMPTS = 5;
+
+// Maintained by the repository; updateStatus attributes can't overwrite them
+const PROTECTED_ATTRIBUTES = ['customerId', 'invoiceNumber', 'status', 'version', 'statusHistory', 'createdAt', 'updatedAt'];
+
+const ERROR_CODES = {
+    CONFLICT: 'InvoiceConflict',
+    NOT_FOUND: 'InvoiceNotFound',
+    INVALID: 'InvalidInvoice'
+};
+
+function repositoryError(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+}
+
+function encodeToken(key) {
+    return key ? Buffer.from(JSON.stringify(key)).toString('base64') : null;
+}
+
+function decodeToken(token) {
+    if (!token) return undefined;
+    try {
+        return JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+    } catch (error) {
+        throw repositoryError('Invalid nextToken', ERROR_CODES.INVALID, 400);
+    }
+}
+
+// DocumentClient rejects undefined attribute values
+function withoutUndefined(item) {
+    return Object.fromEntries(Object.entries(item).filter(([, value]) => value !== undefined));
+}
+
+function clone(item) {
+    return item ? JSON.parse(JSON.stringify(item)) : item;
+}
+
+// Builds the stored item for a new invoice
+function prepareItem(invoice, invoiceNumber, now = new Date().toISOString()) {
+    if (!invoice || !invoice.customerId) {
+        throw repositoryError('Invoice needs a customerId', ERROR_CODES.INVALID, 400);
+    }
+
+    return withoutUndefined({
+        ...invoice,
+        customerId: String(invoice.customerId),
+        invoiceNumber,
+        status: invoice.status || 'received',
+        statusHistory: invoice.statusHistory || [],
+        version: 1,
+        createdAt: invoice.createdAt || now,
+        updatedAt: now
+    });
+}
+
+function checkUpdate(expectedVersion, attributes) {
+    if (expectedVersion === undefined) {
+        throw repositoryError('updateStatus needs the expectedVersion it read', ERROR_CODES.INVALID, 400);
+    }
+    const protectedAttribute = Object.keys(attributes).find(attribute => PROTECTED_ATTRIBUTES.includes(attribute));
+    if (protectedAttribute) {
+        throw repositoryError(`${protectedAttribute} cannot be set through updateStatus attributes`, ERROR_CODES.INVALID, 400);
+    }
+}
+
+// Epoch milliseconds, bumped on a collision so two invoices for the same
+// customer in the same millisecond both get stored
+function nextInvoiceNumber(attempt) {
+    return Date.now() + attempt;
+}
+
+let sharedMemoryRepository = null;
+
+// INVOICE_REPOSITORY=memory gives every handler in the process the same
+// in-memory store, so offline runs can follow an invoice across handlers
+function createInvoiceRepository(name = process.env.INVOICE_REPOSITORY || 'dynamodb', deps = {}) {
+    switch (name) {
+        case 'dynamodb':
+            return createDynamoInvoiceRepository(deps);
+        case 'memory':
+            sharedMemoryRepository = sharedMemoryRepository || createMemoryInvoiceRepository();
+            return sharedMemoryRepository;
+        default:
+            throw new Error(`Unknown invoice repository: ${name}`);
+    }
+}
+
+function createDynamoInvoiceRepository({
+    dynamodb,
+    tableName = process.env.DYNAMODB_TABLE_NAME || 'lambda_invoice_dynamoDB',
+    fingerprintIndex = 'FingerprintIndex',
+    statusIndex = 'StatusIndex'
+} = {}) {
+    if (!dynamodb) throw new Error('The dynamodb invoice repository needs a DocumentClient');
+
+    async function query(params, { limit = DEFAULT_PAGE_SIZE, nextToken } = {}) {
+        const result = await dynamodb.query({
+            TableName: tableName,
+            Limit: limit,
+            ExclusiveStartKey: decodeToken(nextToken),
+            ...params
+        }).promise();
+
+        return {
+            items: result.Items || [],
+            nextToken: encodeToken(result.LastEvaluatedKey)
+        };
+    }
+
+    const repository = {
+        name: 'dynamodb',
+
+        async create(invoice) {
+            for (let attempt = 0; attempt < MAX_CREATE_ATTEMPTS; attempt++) {
+                const item = prepareItem(invoice, invoice.invoiceNumber || nextInvoiceNumber(attempt));
+                try {
+                    await dynamodb.put({
+                        TableName: tableName,
+                        Item: item,
+                        ConditionExpression: 'attribute_not_exists(customerId) AND attribute_not_exists(invoiceNumber)'
+                    }).promise();
+                    return item;
+                } catch (error) {
+                    if (error.code !== 'ConditionalCheckFailedException') throw error;
+                    if (invoice.invoiceNumber) break;
+                }
+            }
+            throw repositoryError(`Invoice ${invoice.customerId}#${invoice.invoiceNumber || '?'} already exists`, ERROR_CODES.CONFLICT, 409);
+        },
+
+        async get(customerId, invoiceNumber) {
+            const result = await dynamodb.get({
+                TableName: tableName,
+                Key: { customerId: String(customerId), invoiceNumber: Number(invoiceNumber) }
+            }).promise();
+            return result.Item || null;
+        },
+
+        async getByFingerprint(fingerprint) {
+            if (!fingerprint) return null;
+            const { items } = await query({
+                IndexName: fingerprintIndex,
+                KeyConditionExpression: 'fingerprint = :fingerprint',
+                ExpressionAttributeValues: { ':fingerprint': fingerprint }
+            }, { limit: 1 });
+            return items[0] || null;
+        },
+
+        listByCustomer(customerId, options) {
+            return query({
+                KeyConditionExpression: 'customerId = :customerId',
+                ExpressionAttributeValues: { ':customerId': String(customerId) },
+                ScanIndexForward: false
+            }, options);
+        },
+
+        listByStatus(status, options) {
+            return query({
+                IndexName: statusIndex,
+                KeyConditionExpression: '#status = :status',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: { ':status': status },
+                ScanIndexForward: false
+            }, options);
+        },
+
+        async updateStatus(customerId, invoiceNumber, status, { expectedVersion, attributes = {}, historyEntry } = {}) {
+            checkUpdate(expectedVersion, attributes);
+
+            const names = { '#status': 'status', '#version': 'version' };
+            const values = {
+                ':status': status,
+                ':zero': 0,
+                ':one': 1,
+                ':updatedAt': new Date().toISOString()
+            };
+            const sets = ['#status = :status', 'updatedAt = :updatedAt', '#version = if_not_exists(#version, :zero) + :one'];
+
+            if (historyEntry) {
+                sets.push('statusHistory = list_append(if_not_exists(statusHistory, :noHistory), :historyEntry)');
+                values[':noHistory'] = [];
+                values[':historyEntry'] = [historyEntry];
+            }
+
+            let versionCondition = 'attribute_not_exists(#version)';
+            if (expectedVersion !== 0) {
+                versionCondition = '#version = :expected';
+                values[':expected'] = expectedVersion;
+            }
+
+            Object.entries(withoutUndefined(attributes)).forEach(([attribute, value], index) => {
+                names[`#a${index}`] = attribute;
+                values[`:a${index}`] = value;
+                sets.push(`#a${index} = :a${index}`);
+            });
+
+            try {
+                const result = await dynamodb.update({
+                    TableName: tableName,
+                    Key: { customerId: String(customerId), invoiceNumber: Number(invoiceNumber) },
+                    UpdateExpression: `SET ${sets.join(', ')}`,
+                    ConditionExpression: `attribute_exists(customerId) AND ${versionCondition}`,
+                    ExpressionAttributeNames: names,
+                    ExpressionAttributeValues: values,
+                    ReturnValues: 'ALL_NEW'
+                }).promise();
+                return result.Attributes;
+            } catch (error) {
+                if (error.code !== 'ConditionalCheckFailedException') throw error;
+
+                const current = await repository.get(customerId, invoiceNumber);
+                if (!current) {
+                    throw repositoryError(`Invoice ${customerId}#${invoiceNumber} not found`, ERROR_CODES.NOT_FOUND, 404);
+                }
+                throw repositoryError(
+                    `Invoice ${customerId}#${invoiceNumber} is at version ${current.version || 0}, not ${expectedVersion}`,
+                    ERROR_CODES.CONFLICT,
+                    409
+                );
+            }
+        },
+
+        async getHistory(customerId, invoiceNumber) {
+            const result = await dynamodb.get({
+                TableName: tableName,
+                Key: { customerId: String(customerId), invoiceNumber: Number(invoiceNumber) },
+                ProjectionExpression: 'customerId, statusHistory'
+            }).promise();
+            if (!result.Item) return null;
+            return result.Item.statusHistory || [];
+        }
+    };
+
+    return repository;
+}
+
+// Same contract as the DynamoDB repository, kept in a Map. Items are copied
+// in and out so callers can't mutate stored state by accident.
+function createMemoryInvoiceRepository({ items = [] } = {}) {
+    const store = new Map();
+    const keyOf = (customerId, invoiceNumber) => `${customerId}#${Number(invoiceNumber)}`;
+    items.forEach(item => store.set(keyOf(item.customerId, item.invoiceNumber), clone(item)));
+
+    function page(matches, { limit = DEFAULT_PAGE_SIZE, nextToken } = {}) {
+        const offset = nextToken ? decodeToken(nextToken).offset : 0;
+        const slice = matches.slice(offset, offset + limit);
+        return {
+            items: slice.map(clone),
+            nextToken: offset + limit < matches.length ? encodeToken({ offset: offset + limit }) : null
+        };
+    }
+
+    return {
+        name: 'memory',
+
+        async create(invoice) {
+            for (let attempt = 0; attempt < MAX_CREATE_ATTEMPTS; attempt++) {
+                const item = prepareItem(invoice, invoice.invoiceNumber || nextInvoiceNumber(attempt));
+                const key = keyOf(item.customerId, item.invoiceNumber);
+                if (!store.has(key)) {
+                    store.set(key, clone(item));
+                    return clone(item);
+                }
+                if (invoice.invoiceNumber) break;
+            }
+            throw repositoryError(`Invoice ${invoice.customerId}#${invoice.invoiceNumber || '?'} already exists`, ERROR_CODES.CONFLICT, 409);
+        },
+
+        async get(customerId, invoiceNumber) {
+            return clone(store.get(keyOf(customerId, invoiceNumber))) || null;
+        },
+
+        async getByFingerprint(fingerprint) {
+            if (!fingerprint) return null;
+            const match = [...store.values()].find(item => item.fingerprint === fingerprint);
+            return clone(match) || null;
+        },
+
+        async listByCustomer(customerId, options) {
+            const matches = [...store.values()]
+                .filter(item => item.customerId === String(customerId))
+                .sort((a, b) => b.invoiceNumber - a.invoiceNumber);
+            return page(matches, options);
+        },
+
+        async listByStatus(status, options) {
+            const matches = [...store.values()]
+                .filter(item => item.status === status)
+                .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+            return page(matches, options);
+        },
+
+        async updateStatus(customerId, invoiceNumber, status, { expectedVersion, attributes = {}, historyEntry } = {}) {
+            checkUpdate(expectedVersion, attributes);
+
+            const key = keyOf(customerId, invoiceNumber);
+            const current = store.get(key);
+            if (!current) {
+                throw repositoryError(`Invoice ${customerId}#${invoiceNumber} not found`, ERROR_CODES.NOT_FOUND, 404);
+            }
+            if ((current.version || 0) !== expectedVersion) {
+                throw repositoryError(
+                    `Invoice ${customerId}#${invoiceNumber} is at version ${current.version || 0}, not ${expectedVersion}`,
+                    ERROR_CODES.CONFLICT,
+                    409
+                );
+            }
+
+            const updated = {
+                ...current,
+                ...clone(withoutUndefined(attributes)),
+                status,
+                version: (current.version || 0) + 1,
+                updatedAt: new Date().toISOString()
+            };
+            if (historyEntry) {
+                updated.statusHistory = [...(current.statusHistory || []), clone(historyEntry)];
+            }
+            store.set(key, updated);
+            return clone(updated);
+        },
+
+        async getHistory(customerId, invoiceNumber) {
+            const item = store.get(keyOf(customerId, invoiceNumber));
+            return item ? clone(item.statusHistory || []) : null;
+        }
+    };
+}
+
+module.exports = {
+    ERROR_CODES,
+    createInvoiceRepository,
+    createDynamoInvoiceRepository,
+    createMemoryInvoiceRepository
+};
@@ -0,0 +1,67 @@
+// Storage invocation
+//
+// The processors, and the review API with an approved review, hand an
+// extraction to store-extracted-data (STORAGE_LAMBDA_NAME) and wait for its
+// answer, which becomes the status of the document:
+//
+//     200  stored           { invoiceId }
+//     202  pending_review   { reviewId }
+//     409  duplicate        { duplicateOf }
+//     else storage_failed   { error }
+//
+// store-extracted-data notifies each of these outcomes itself, and keeps a
+// failed document as a dead letter, so callers report nothing more and do
+// not retry a storage_failed. A storage Lambda that could not be invoked, or
+// crashed, throws: nothing was reported and the caller's retry applies.
+
+const DEFAULT_STORAGE_LAMBDA = 'store-extracted-data';
+
+const consoleLogger = {
+    info: (message, data = {}) => console.log(message, JSON.stringify(data)),
+    error: (message, data = {}) => console.error(message, JSON.stringify(data))
+};
+
+async function storeExtractedData(lambda, { extractedData, objectKey, bucketName, review }, logger = consoleLogger) {
+    const storageParams = {
+        FunctionName: process.env.STORAGE_LAMBDA_NAME || DEFAULT_STORAGE_LAMBDA,
+        InvocationType: 'RequestResponse',
+        Payload: JSON.stringify({
+            extractedData: extractedData,
+            sourceFile: objectKey,
+            sourceBucket: bucketName,
+            review,
+            timestamp: new Date().toISOString()
+        })
+    };
+
+    let response;
+    try {
+        const result = await lambda.invoke(storageParams).promise();
+        response = JSON.parse(result.Payload || '{}') || {};
+        if (result.FunctionError) {
+            throw new Error(response.errorMessage || result.FunctionError);
+        }
+    } catch (error) {
+        logger.error('Failed to invoke storage Lambda', { error: error.message, objectKey });
+        throw new Error(`Storage invocation failed: ${error.message}`);
+    }
+
+    const body = response.body ? JSON.parse(response.body) : {};
+    logger.info('Storage Lambda answered', { objectKey, statusCode: response.statusCode });
+
+    switch (response.statusCode) {
+        case 200:
+            return { status: 'stored', invoiceId: body.invoiceId };
+        case 202:
+            return { status: 'pending_review', reviewId: body.reviewId };
+        case 409:
+            return { status: 'duplicate', duplicateOf: body.duplicateOf || null };
+        default:
+            logger.error('Storage failed', { objectKey, error: body.error || body.message });
+            return { status: 'storage_failed', error: body.error || body.message || `status ${response.statusCode}` };
+    }
+}
+
+module.exports = {
+    storeExtractedData
+};
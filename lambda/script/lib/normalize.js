@@ -0,0 +1,302 @@
+// Locale-aware normalization of dates, currencies and amounts
+//
+// Extraction keeps the strings it matched; this module turns them into
+// ISO-8601 dates, ISO-4217 currency codes and exact amounts in minor units
+// (integer cents, pence, yen...). Amounts are parsed as strings so
+// "1.234,56 €" never passes through a float before it is converted.
+//
+// Ambiguous inputs ("03/04/25", "1.234") are resolved with a locale, chosen
+// per vendor or from NORMALIZATION_CONFIG:
+//     {
+//         "defaultLocale": "en-US",
+//         "vendors": { "fabrikam consulting gmbh": { "locale": "de-DE" } }
+//     }
+// A vendor entry may also set "dateOrder" ('MDY', 'DMY' or 'YMD') directly.
+// An amount the locale still leaves ambiguous for its currency, such as
+// "12.345" dollars, is rejected (null) rather than guessed.
+
+const LOCALE_FORMATS = {
+    'en-US': { dateOrder: 'MDY', decimalSeparator: '.' },
+    'en-CA': { dateOrder: 'DMY', decimalSeparator: '.' },
+    'en-GB': { dateOrder: 'DMY', decimalSeparator: '.' },
+    'en-IE': { dateOrder: 'DMY', decimalSeparator: '.' },
+    'en-AU': { dateOrder: 'DMY', decimalSeparator: '.' },
+    'en-IN': { dateOrder: 'DMY', decimalSeparator: '.' },
+    'de-DE': { dateOrder: 'DMY', decimalSeparator: ',' },
+    'de-CH': { dateOrder: 'DMY', decimalSeparator: '.' },
+    'fr-FR': { dateOrder: 'DMY', decimalSeparator: ',' },
+    'fr-CA': { dateOrder: 'YMD', decimalSeparator: ',' },
+    'es-ES': { dateOrder: 'DMY', decimalSeparator: ',' },
+    'it-IT': { dateOrder: 'DMY', decimalSeparator: ',' },
+    'nl-NL': { dateOrder: 'DMY', decimalSeparator: ',' },
+    'pt-BR': { dateOrder: 'DMY', decimalSeparator: ',' },
+    'ja-JP': { dateOrder: 'YMD', decimalSeparator: '.' },
+    'zh-CN': { dateOrder: 'YMD', decimalSeparator: '.' }
+};
+
+const DEFAULT_LOCALE = 'en-US';
+
+// ISO-4217 minor unit exponents that differ from the usual 2
+const CURRENCY_EXPONENTS = {
+    JPY: 0, KRW: 0, VND: 0, CLP: 0, ISK: 0,
+    BHD: 3, KWD: 3, OMR: 3, JOD: 3, TND: 3
+};
+
+// Checked in order, so multi-character symbols come before '$'
+const CURRENCY_SYMBOLS = [
+    ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['A$', 'AUD'], ['AU$', 'AUD'],
+    ['NZ$', 'NZD'], ['HK$', 'HKD'], ['S$', 'SGD'], ['R$', 'BRL'],
+    ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['₩', 'KRW'],
+    ['₽', 'RUB'], ['₺', 'TRY'], ['₪', 'ILS'], ['₱', 'PHP'], ['zł', 'PLN'],
+    ['kr', 'SEK'], ['Fr.', 'CHF'], ['$', 'USD']
+];
+
+const CURRENCY_WORDS = [
+    [/\beuros?\b/i, 'EUR'],
+    [/\b(?:pounds?\s+sterling|sterling)\b/i, 'GBP'],
+    [/\bcanadian\s+dollars?\b/i, 'CAD'],
+    [/\baustralian\s+dollars?\b/i, 'AUD'],
+    [/\b(?:us\s+)?dollars?\b/i, 'USD'],
+    [/\byen\b/i, 'JPY'],
+    [/\brupees?\b/i, 'INR'],
+    [/\bswiss\s+francs?\b/i, 'CHF']
+];
+
+const ISO_CURRENCY_CODES = [
+    'USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'CNY', 'INR', 'SEK', 'NOK', 'DKK',
+    'PLN', 'CZK', 'HUF', 'BRL', 'MXN', 'ZAR', 'SGD', 'HKD', 'KRW', 'TRY', 'ILS', 'AED', 'SAR',
+    'BHD', 'KWD', 'OMR', 'JOD', 'TND', 'RUB', 'PHP', 'VND', 'CLP', 'ISK'
+];
+
+const MONTHS = {
+    jan: 1, january: 1, janvier: 1, januar: 1, enero: 1, gennaio: 1,
+    feb: 2, february: 2, fevrier: 2, février: 2, februar: 2, febrero: 2, febbraio: 2,
+    mar: 3, march: 3, mars: 3, märz: 3, maerz: 3, marzo: 3,
+    apr: 4, april: 4, avril: 4, abril: 4, aprile: 4,
+    may: 5, mai: 5, mayo: 5, maggio: 5,
+    jun: 6, june: 6, juin: 6, juni: 6, junio: 6, giugno: 6,
+    jul: 7, july: 7, juillet: 7, juli: 7, julio: 7, luglio: 7,
+    aug: 8, august: 8, aout: 8, août: 8, agosto: 8,
+    sep: 9, sept: 9, september: 9, septembre: 9, septiembre: 9, settembre: 9,
+    oct: 10, october: 10, octobre: 10, oktober: 10, octubre: 10, ottobre: 10,
+    nov: 11, november: 11, novembre: 11, noviembre: 11,
+    dec: 12, december: 12, decembre: 12, décembre: 12, dezember: 12, diciembre: 12, dicembre: 12
+};
+
+function loadConfig() {
+    try {
+        return JSON.parse(process.env.NORMALIZATION_CONFIG || '{}');
+    } catch (error) {
+        console.error('Invalid NORMALIZATION_CONFIG, using defaults:', error.message);
+        return {};
+    }
+}
+
+// Vendor settings override the explicit locale, which overrides the default
+function resolveLocaleSettings({ vendorName, locale, dateOrder, config = loadConfig() } = {}) {
+    const vendors = config.vendors || {};
+    const vendorKey = vendorName ? vendorName.toLowerCase().trim() : null;
+    const vendorSettings = (vendorKey && vendors[vendorKey]) || {};
+
+    const resolvedLocale = vendorSettings.locale || locale || config.defaultLocale || DEFAULT_LOCALE;
+    const format = LOCALE_FORMATS[resolvedLocale] ||
+        LOCALE_FORMATS[Object.keys(LOCALE_FORMATS).find(key => key.startsWith(`${resolvedLocale.split('-')[0]}-`))] ||
+        LOCALE_FORMATS[DEFAULT_LOCALE];
+
+    return {
+        locale: resolvedLocale,
+        dateOrder: vendorSettings.dateOrder || dateOrder || format.dateOrder,
+        decimalSeparator: vendorSettings.decimalSeparator || format.decimalSeparator
+    };
+}
+
+function normalizeDate(raw, { dateOrder = 'MDY' } = {}) {
+    if (!raw) return null;
+    const text = String(raw).trim().toLowerCase().replace(/(\d)(st|nd|rd|th)\b/g, '$1');
+
+    // 2025-03-04, 2025/3/4
+    let match = text.match(/\b(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})\b/);
+    if (match) return toIsoDate(+match[1], +match[2], +match[3]);
+
+    // 03/04/25, 4.3.2025
+    match = text.match(/\b(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})\b/);
+    if (match) {
+        const first = +match[1];
+        const second = +match[2];
+        const year = expandYear(match[3]);
+
+        // A part above 12 settles the order regardless of locale
+        if (first > 12 && second <= 12) return toIsoDate(year, second, first);
+        if (second > 12 && first <= 12) return toIsoDate(year, first, second);
+        return dateOrder === 'DMY' ? toIsoDate(year, second, first) : toIsoDate(year, first, second);
+    }
+
+    // March 4, 2025 / Mar 4 2025
+    match = text.match(/\b([a-zéûä]+)\.?\s+(\d{1,2}),?\s+(\d{2,4})\b/);
+    if (match && MONTHS[match[1]]) return toIsoDate(expandYear(match[3]), MONTHS[match[1]], +match[2]);
+
+    // 4 March 2025 / 4. März 2025 / 4-Mar-2025
+    match = text.match(/\b(\d{1,2})\.?[\s\-]+([a-zéûä]+)\.?[\s\-,]+(\d{2,4})\b/);
+    if (match && MONTHS[match[2]]) return toIsoDate(expandYear(match[3]), MONTHS[match[2]], +match[1]);
+
+    return null;
+}
+
+function expandYear(yearText) {
+    const year = parseInt(yearText, 10);
+    if (yearText.length > 2) return year;
+    return year < 70 ? 2000 + year : 1900 + year;
+}
+
+function toIsoDate(year, month, day) {
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1) return null; // e.g. 31 February
+    return date.toISOString().substring(0, 10);
+}
+
+function detectCurrency(text, fallback = null) {
+    if (!text) return fallback;
+    const value = String(text);
+
+    // A code only counts on its own or next to a number, so "PLEASE TRY"
+    // is not read as Turkish lira
+    const codes = value.match(/\b([A-Z]{3})\b/g) || [];
+    const known = codes.find(candidate => ISO_CURRENCY_CODES.includes(candidate) && (
+        value.trim() === candidate ||
+        new RegExp(`${candidate}\\s*[-(]?\\d|\\d\\s*${candidate}`).test(value)
+    ));
+    if (known) return known;
+
+    for (const [symbol, currency] of CURRENCY_SYMBOLS) {
+        if (symbol === 'kr' || symbol === 'Fr.') {
+            if (new RegExp(`(^|[\\s\\d])${symbol.replace('.', '\\.')}(?=[\\s\\d]|$)`).test(value)) return currency;
+        } else if (value.includes(symbol)) {
+            return currency;
+        }
+    }
+
+    for (const [pattern, currency] of CURRENCY_WORDS) {
+        if (pattern.test(value)) return currency;
+    }
+
+    return fallback;
+}
+
+function getCurrencyExponent(currency) {
+    return currency && CURRENCY_EXPONENTS[currency] !== undefined ? CURRENCY_EXPONENTS[currency] : 2;
+}
+
+// Splits an amount string into integer and fraction digits without ever
+// going through a float. Returns null when no number is present.
+// separatorFromLocale is set when a lone separator followed by exactly three
+// digits ("1.234", "12,345") was only read as decimal or grouping because of
+// decimalSeparator; numbers and "0.005" never are.
+function parseAmountParts(raw, { decimalSeparator = '.' } = {}) {
+    if (raw === null || raw === undefined) return null;
+    const isNumber = typeof raw === 'number';
+    if (isNumber) {
+        if (!isFinite(raw)) return null;
+        raw = raw.toFixed(6).replace(/0+$/, '').replace(/\.$/, '');
+    }
+
+    const text = String(raw);
+    // Space and apostrophe only count as grouping when followed by three digits
+    const match = text.match(/\d{1,3}(?:[ \u00a0\u202f']\d{3})+(?:[.,]\d+)?(?!\d)|\d[\d.,]*/);
+    if (!match) return null;
+
+    const number = match[0].replace(/[.,]+$/, '');
+    const negative = /^\s*[-−(]/.test(text) || /-\s*$/.test(text.trim()) || /\bCR\b/i.test(text);
+    const lastDot = number.lastIndexOf('.');
+    const lastComma = number.lastIndexOf(',');
+
+    let decimalIndex = -1;
+    let separatorFromLocale = false;
+    if (lastDot >= 0 && lastComma >= 0) {
+        // Both present: whichever comes last is the decimal separator
+        decimalIndex = Math.max(lastDot, lastComma);
+    } else if (lastDot >= 0 || lastComma >= 0) {
+        const separator = lastDot >= 0 ? '.' : ',';
+        const index = Math.max(lastDot, lastComma);
+        const digitsAfter = number.length - index - 1;
+        const occurrences = number.split(separator).length - 1;
+
+        if (occurrences > 1) {
+            decimalIndex = -1; // 1.234.567 or 1,234,567
+        } else if (isNumber || digitsAfter !== 3 || /^0+$/.test(number.substring(0, index))) {
+            // 12.5, 1234,56, a number's own decimal point, and 0.005: a
+            // group never follows a lone 0
+            decimalIndex = index;
+        } else {
+            // 1.234 / 1,234: the locale decides
+            decimalIndex = separator === decimalSeparator ? index : -1;
+            separatorFromLocale = true;
+        }
+    }
+
+    const integerPart = (decimalIndex >= 0 ? number.substring(0, decimalIndex) : number).replace(/\D/g, '');
+    const fractionPart = decimalIndex >= 0 ? number.substring(decimalIndex + 1).replace(/\D/g, '') : '';
+
+    return { negative, integerPart: integerPart || '0', fractionPart, separatorFromLocale };
+}
+
+// decimalSeparator is the resolved locale's (resolveLocaleSettings). When it
+// makes "12.345" three decimals of a two-decimal currency, the amount is
+// ambiguous, a price with a sub-cent part or a thousands group, and null is
+// returned for the caller to report rather than a guess a thousand times off.
+// More digits than the currency has are otherwise rounded half up.
+function toMinorUnits(raw, { currency = 'USD', decimalSeparator = '.' } = {}) {
+    const exponent = getCurrencyExponent(currency);
+
+    const parts = parseAmountParts(raw, { decimalSeparator });
+    if (!parts) return null;
+    if (parts.separatorFromLocale && parts.fractionPart.length > exponent) return null;
+
+    let fraction = parts.fractionPart.padEnd(exponent, '0');
+
+    // Round half up on the digits beyond the currency's precision
+    let roundUp = false;
+    if (fraction.length > exponent) {
+        roundUp = parseInt(fraction[exponent], 10) >= 5;
+        fraction = fraction.substring(0, exponent);
+    }
+
+    let minor = parseInt(`${parts.integerPart}${fraction}`, 10);
+    if (roundUp) minor += 1;
+
+    return parts.negative ? -minor : minor;
+}
+
+function fromMinorUnits(minor, currency = 'USD') {
+    if (minor === null || minor === undefined) return null;
+    return minor / Math.pow(10, getCurrencyExponent(currency));
+}
+
+function formatMinorUnits(minor, currency = 'USD') {
+    if (minor === null || minor === undefined) return null;
+    const exponent = getCurrencyExponent(currency);
+    const digits = String(Math.abs(minor)).padStart(exponent + 1, '0');
+    const integerPart = digits.substring(0, digits.length - exponent);
+    const fractionPart = exponent > 0 ? `.${digits.substring(digits.length - exponent)}` : '';
+    return `${minor < 0 ? '-' : ''}${integerPart}${fractionPart}`;
+}
+
+function parseAmount(raw, options = {}) {
+    const parts = parseAmountParts(raw, options);
+    if (!parts) return null;
+    const value = parseFloat(`${parts.integerPart}.${parts.fractionPart || '0'}`);
+    return parts.negative ? -value : value;
+}
+
+module.exports = {
+    LOCALE_FORMATS,
+    ISO_CURRENCY_CODES,
+    resolveLocaleSettings,
+    normalizeDate,
+    detectCurrency,
+    getCurrencyExponent,
+    toMinorUnits,
+    fromMinorUnits,
+    formatMinorUnits,
+    parseAmount
+};
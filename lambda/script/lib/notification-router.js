@@ -0,0 +1,335 @@
+// Notification routing
+//
+// Every notification the pipeline raises (duplicate, storage_error,
+// validation_failed, review_required, ...) is an event
+//
+//     { type, message, source, fileName, timestamp, environment, data }
+//
+// delivered to each subscriber that wants it. Subscribers come from
+// NOTIFICATION_SUBSCRIBERS (JSON) or the file at NOTIFICATION_SUBSCRIBERS_FILE:
+//
+//     [{
+//         id: 'ap-slack',
+//         channel: 'email' | 'slack' | 'teams' | 'webhook' | 'sns',
+//         target: 'https://hooks.slack.com/services/...',   // webhook URL or topic ARN
+//         recipients: ['ap@example.com'],                    // email only
+//         events: ['duplicate', 'storage_error'],            // '*' for every type (default)
+//         minAmount: 10000,                                  // only invoices of at least this amount
+//         currency: 'USD',                                   // ...in this currency
+//         headers: { Authorization: '...' },                 // webhook only
+//         retry: { attempts: 3, baseDelayMs: 200 }
+//     }]
+//
+// Without subscribers every event goes to SNS_TOPIC_ARN, as before routing
+// existed; an sns subscriber without a target also means that topic.
+//
+// Each channel gets its own format: Slack blocks, a Teams adaptive card, the
+// raw event for webhooks and SNS, and an HTML / plain-text email. Failed
+// deliveries are retried with exponential backoff (network errors, throttling
+// and 5xx only) and reported, never thrown.
+
+const fs = require('fs');
+const normalize = require('./normalize');
+const { createEmailTransport } = require('./email-transport');
+const { escapeHtml } = require('./notification-templates');
+
+const CHANNELS = ['email', 'slack', 'teams', 'webhook', 'sns'];
+
+const DEFAULT_RETRY = { attempts: 3, baseDelayMs: 200 };
+const HTTP_TIMEOUT_MS = 5000;
+const MAX_FACTS = 10;
+
+function loadSubscribers() {
+    try {
+        if (process.env.NOTIFICATION_SUBSCRIBERS_FILE) {
+            return JSON.parse(fs.readFileSync(process.env.NOTIFICATION_SUBSCRIBERS_FILE, 'utf8'));
+        }
+        return process.env.NOTIFICATION_SUBSCRIBERS ? JSON.parse(process.env.NOTIFICATION_SUBSCRIBERS) : [];
+    } catch (error) {
+        console.error('Ignoring invalid notification subscribers:', error.message);
+        return [];
+    }
+}
+
+// Returns the problems with a subscriber; empty when it is usable
+function validateSubscriber(subscriber) {
+    const problems = [];
+    if (!subscriber || typeof subscriber !== 'object') return ['subscriber must be an object'];
+    if (!subscriber.id) problems.push('id is required');
+    if (!CHANNELS.includes(subscriber.channel)) problems.push(`channel must be one of ${CHANNELS.join(', ')}`);
+    if (['slack', 'teams', 'webhook'].includes(subscriber.channel) && !/^https:\/\//.test(subscriber.target || '')) {
+        problems.push('target must be an https URL');
+    }
+    if (subscriber.channel === 'email' && !(Array.isArray(subscriber.recipients) && subscriber.recipients.length > 0)) {
+        problems.push('recipients are required');
+    }
+    if (subscriber.events !== undefined && subscriber.events !== null && !Array.isArray(subscriber.events)) {
+        problems.push('events must be a list');
+    }
+    if (subscriber.minAmount !== undefined && subscriber.minAmount !== null && typeof subscriber.minAmount !== 'number') {
+        problems.push('minAmount must be a number');
+    }
+    return problems;
+}
+
+function amountOf(data) {
+    if (!data) return null;
+    const raw = [data.amount, data.totalAmount].find(value => value !== undefined && value !== null);
+    return raw === undefined ? null : normalize.parseAmount(raw);
+}
+
+function matches(subscriber, event) {
+    const events = subscriber.events && subscriber.events.length > 0 ? subscriber.events : ['*'];
+    if (!events.includes('*') && !events.includes(event.type)) return false;
+
+    if (typeof subscriber.minAmount === 'number') {
+        const amount = amountOf(event.data);
+        if (amount === null || amount < subscriber.minAmount) return false;
+        const currency = event.data && event.data.currency;
+        if (subscriber.currency && currency && currency.toUpperCase() !== subscriber.currency.toUpperCase()) return false;
+    }
+    return true;
+}
+
+function title(event) {
+    const subject = `${event.source ? `${event.source} ` : ''}${event.type.toUpperCase()}`;
+    return event.fileName ? `${subject}: ${event.fileName}` : subject;
+}
+
+// The event's top-level values as label / value pairs
+function facts(event) {
+    return Object.entries(event.data || {})
+        .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+        .slice(0, MAX_FACTS)
+        .map(([key, value]) => [key, String(value)]);
+}
+
+function slackEscape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function formatSlack(event) {
+    const fields = facts(event);
+    return {
+        text: slackEscape(`${title(event)}: ${event.message}`),
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: title(event).substring(0, 150) } },
+            { type: 'section', text: { type: 'mrkdwn', text: slackEscape(event.message) } },
+            ...(fields.length > 0
+                ? [{ type: 'section', fields: fields.map(([label, value]) => ({ type: 'mrkdwn', text: `*${slackEscape(label)}*\n${slackEscape(value)}` })) }]
+                : []),
+            { type: 'context', elements: [{ type: 'mrkdwn', text: slackEscape(`${event.environment || 'unknown'} · ${event.timestamp}`) }] }
+        ]
+    };
+}
+
+function formatTeams(event) {
+    return {
+        type: 'message',
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            contentUrl: null,
+            content: {
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body: [
+                    { type: 'TextBlock', text: title(event), size: 'Medium', weight: 'Bolder', wrap: true },
+                    { type: 'TextBlock', text: event.message, wrap: true },
+                    { type: 'FactSet', facts: facts(event).map(([label, value]) => ({ title: label, value })) },
+                    { type: 'TextBlock', text: `${event.environment || 'unknown'} · ${event.timestamp}`, isSubtle: true, size: 'Small', wrap: true }
+                ]
+            }
+        }]
+    };
+}
+
+function formatWebhook(event) {
+    return {
+        type: event.type,
+        message: event.message,
+        source: event.source,
+        fileName: event.fileName,
+        timestamp: event.timestamp,
+        environment: event.environment,
+        data: event.data
+    };
+}
+
+// The SNS message keeps the shape subscribers of the topic already parse
+function formatSns(event) {
+    const { source, ...message } = formatWebhook(event);
+    return {
+        Subject: title(event).substring(0, 100),
+        Message: JSON.stringify(message, null, 2)
+    };
+}
+
+function formatEmail(event) {
+    const rows = facts(event);
+    return {
+        subject: title(event),
+        text: [
+            event.message,
+            rows.map(([label, value]) => `${label}: ${value}`).join('\n'),
+            `--\n${event.environment || 'unknown'} · ${event.timestamp}`
+        ].filter(Boolean).join('\n\n'),
+        html: [
+            '<!DOCTYPE html>',
+            `<html><head><meta charset="utf-8"><title>${escapeHtml(title(event))}</title></head>`,
+            '<body style="font-family: Arial, Helvetica, sans-serif; color: #222222;">',
+            `<h3>${escapeHtml(title(event))}</h3>`,
+            `<p>${escapeHtml(event.message)}</p>`,
+            '<table cellpadding="4" style="border-collapse: collapse;">',
+            ...rows.map(([label, value]) => `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`),
+            '</table>',
+            `<p style="color: #888888; font-size: 12px;">${escapeHtml(`${event.environment || 'unknown'} · ${event.timestamp}`)}</p>`,
+            '</body></html>'
+        ].join('\n')
+    };
+}
+
+function deliveryError(message, retryable) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    return error;
+}
+
+async function postJson(fetchImpl, url, body, headers = {}) {
+    let response;
+    try {
+        response = await fetchImpl(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': 'invoice-automation-notifier', ...headers },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+        });
+    } catch (error) {
+        throw deliveryError(`Request failed: ${error.message}`, true);
+    }
+    if (!response.ok) {
+        throw deliveryError(`HTTP ${response.status}`, response.status === 429 || response.status >= 500);
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function withRetry(send, { attempts = DEFAULT_RETRY.attempts, baseDelayMs = DEFAULT_RETRY.baseDelayMs } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await send();
+            return attempt;
+        } catch (error) {
+            error.attempts = attempt;
+            if (attempt >= attempts || error.retryable === false) throw error;
+            await sleep(baseDelayMs * Math.pow(2, attempt - 1));
+        }
+    }
+}
+
+function createNotificationRouter({
+    subscribers = loadSubscribers(),
+    sns,
+    ses,
+    emailTransport,
+    fetch: fetchImpl = globalThis.fetch,
+    topicArn = process.env.SNS_TOPIC_ARN,
+    fromAddress = process.env.NOTIFICATION_FROM_ADDRESS
+} = {}) {
+    const usable = subscribers.filter(subscriber => {
+        const problems = validateSubscriber(subscriber);
+        if (problems.length > 0) {
+            console.error(`Ignoring notification subscriber ${subscriber && subscriber.id}: ${problems.join('; ')}`);
+        }
+        return problems.length === 0;
+    });
+    const routes = subscribers.length > 0 || !topicArn ? usable : [{ id: 'default-sns', channel: 'sns', events: ['*'] }];
+
+    let transport = emailTransport || null;
+
+    const senders = {
+        async sns(subscriber, event) {
+            if (!sns) throw deliveryError('The sns channel needs an SNS client', false);
+            const target = subscriber.target || topicArn;
+            if (!target) throw deliveryError('No SNS topic configured (SNS_TOPIC_ARN)', false);
+            await sns.publish({ TopicArn: target, ...formatSns(event) }).promise();
+        },
+        async slack(subscriber, event) {
+            await postJson(fetchImpl, subscriber.target, formatSlack(event));
+        },
+        async teams(subscriber, event) {
+            await postJson(fetchImpl, subscriber.target, formatTeams(event));
+        },
+        async webhook(subscriber, event) {
+            await postJson(fetchImpl, subscriber.target, formatWebhook(event), { 'X-Invoice-Event': event.type, ...(subscriber.headers || {}) });
+        },
+        async email(subscriber, event) {
+            if (!transport) transport = createEmailTransport(process.env.EMAIL_TRANSPORT || 'ses', { ses });
+            await transport.send({ from: fromAddress, to: subscriber.recipients, ...formatEmail(event) });
+        }
+    };
+
+    async function deliver(subscriber, event) {
+        try {
+            const attempts = await withRetry(() => senders[subscriber.channel](subscriber, event), { ...DEFAULT_RETRY, ...(subscriber.retry || {}) });
+            return { subscriberId: subscriber.id, channel: subscriber.channel, status: 'delivered', attempts };
+        } catch (error) {
+            console.error(`Notification ${event.type} to ${subscriber.id} failed after ${error.attempts || 1} attempt(s):`, error.message);
+            return { subscriberId: subscriber.id, channel: subscriber.channel, status: 'failed', attempts: error.attempts || 1, error: error.message };
+        }
+    }
+
+    return {
+        subscribers: routes,
+
+        // Resolves to one result per matching subscriber
+        async publish(event) {
+            const targets = routes.filter(subscriber => matches(subscriber, event));
+            const results = await Promise.all(targets.map(subscriber => deliver(subscriber, event)));
+            console.log(`Notification ${event.type} routed to ${results.map(result => `${result.subscriberId}:${result.status}`).join(', ') || 'no subscribers'}`);
+            return results;
+        }
+    };
+}
+
+// What the Lambdas use: notify(type, message, data, { fileName }) builds the
+// event for this source ('Invoice Storage', 'Invoice Review', ...) and routes it
+function createNotifier({ source, ...deps }) {
+    let router = null;
+
+    return {
+        async notify(type, message, data = null, { fileName } = {}) {
+            try {
+                router = router || createNotificationRouter(deps);
+                return await router.publish({
+                    type,
+                    message,
+                    source,
+                    fileName,
+                    timestamp: new Date().toISOString(),
+                    environment: process.env.ENVIRONMENT || 'unknown',
+                    data
+                });
+            } catch (error) {
+                console.error('Error routing notification:', error);
+                return [];
+            }
+        }
+    };
+}
+
+module.exports = {
+    CHANNELS,
+    loadSubscribers,
+    validateSubscriber,
+    matches,
+    formatSlack,
+    formatTeams,
+    formatWebhook,
+    formatSns,
+    formatEmail,
+    createNotificationRouter,
+    createNotifier
+};
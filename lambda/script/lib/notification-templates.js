@@ -0,0 +1,270 @@
+// Notification email templates
+//
+// renderNotification(type, locale, { invoice, error, poMatch }) returns
+//
+//     { type, locale, language, audience, subject, text, html }
+//
+// Each type has one template per language: a subject and the body
+// paragraphs, plus an optional list (validation errors, match reasons). The
+// plain-text and HTML bodies are both built from it, with the invoice details
+// (number, amount, due date, vendor, purchase order) as a table. Amounts and
+// dates are formatted for the full locale ('de-AT'); the text comes from its
+// language ('de'), falling back to English.
+//
+// audience says who the email is for: 'customer' emails go to the invoice's
+// customer, 'internal' ones to the accounts payable team.
+
+const normalize = require('./normalize');
+
+const DEFAULT_LOCALE = 'en-US';
+
+// Types send-notification is invoked with that share a template
+const TYPE_ALIASES = {
+    error: 'processing_failed'
+};
+
+const AUDIENCE = {
+    success: 'customer',
+    duplicate: 'customer',
+    validation_failed: 'customer',
+    processing_failed: 'customer',
+    po_mismatch: 'internal',
+    status_update: 'customer'
+};
+
+const MESSAGES = {
+    en: {
+        labels: { invoice: 'Invoice', amount: 'Amount', dueDate: 'Due date', vendor: 'Vendor', purchaseOrder: 'Purchase order', reason: 'Reason' },
+        footer: 'This is an automated message from the invoice automation system.',
+        templates: {
+            success: v => ({
+                subject: `Invoice ${v.invoice} processed`,
+                body: [`Your invoice ${v.invoice} has been processed successfully.`]
+            }),
+            duplicate: v => ({
+                subject: `Invoice ${v.invoice} already received`,
+                body: [`We already have invoice ${v.invoice} on file, so this copy was not processed again.`]
+            }),
+            validation_failed: v => ({
+                subject: `Invoice ${v.invoice} could not be validated`,
+                body: [`Your invoice ${v.invoice} failed validation. Please correct it and submit it again.`],
+                list: v.errors
+            }),
+            processing_failed: v => ({
+                subject: `Invoice ${v.invoice} could not be processed`,
+                body: [`There was an error processing your invoice ${v.invoice}. Please contact support.`]
+            }),
+            po_mismatch: v => ({
+                subject: `Invoice ${v.invoice} does not match purchase order ${v.purchaseOrder}`,
+                body: [`Invoice ${v.invoice} from ${v.vendor} does not match purchase order ${v.purchaseOrder} (${v.matchStatus}) and is held for review.`],
+                list: v.reasons
+            }),
+            status_update: v => ({
+                subject: `Invoice ${v.invoice}: ${v.type}`,
+                body: [`The status of invoice ${v.invoice} is now ${v.type}.`]
+            })
+        }
+    },
+    de: {
+        labels: { invoice: 'Rechnung', amount: 'Betrag', dueDate: 'Fälligkeitsdatum', vendor: 'Lieferant', purchaseOrder: 'Bestellung', reason: 'Grund' },
+        footer: 'Diese Nachricht wurde automatisch vom Rechnungssystem versendet.',
+        templates: {
+            success: v => ({
+                subject: `Rechnung ${v.invoice} verarbeitet`,
+                body: [`Ihre Rechnung ${v.invoice} wurde erfolgreich verarbeitet.`]
+            }),
+            duplicate: v => ({
+                subject: `Rechnung ${v.invoice} bereits erhalten`,
+                body: [`Die Rechnung ${v.invoice} liegt uns bereits vor. Diese Kopie wurde nicht erneut verarbeitet.`]
+            }),
+            validation_failed: v => ({
+                subject: `Rechnung ${v.invoice} konnte nicht geprüft werden`,
+                body: [`Ihre Rechnung ${v.invoice} hat die Prüfung nicht bestanden. Bitte korrigieren Sie sie und reichen Sie sie erneut ein.`],
+                list: v.errors
+            }),
+            processing_failed: v => ({
+                subject: `Rechnung ${v.invoice} konnte nicht verarbeitet werden`,
+                body: [`Bei der Verarbeitung Ihrer Rechnung ${v.invoice} ist ein Fehler aufgetreten. Bitte wenden Sie sich an den Support.`]
+            }),
+            po_mismatch: v => ({
+                subject: `Rechnung ${v.invoice} passt nicht zur Bestellung ${v.purchaseOrder}`,
+                body: [`Die Rechnung ${v.invoice} von ${v.vendor} stimmt nicht mit der Bestellung ${v.purchaseOrder} überein (${v.matchStatus}) und wartet auf Prüfung.`],
+                list: v.reasons
+            }),
+            status_update: v => ({
+                subject: `Rechnung ${v.invoice}: ${v.type}`,
+                body: [`Der Status der Rechnung ${v.invoice} ist jetzt ${v.type}.`]
+            })
+        }
+    },
+    fr: {
+        labels: { invoice: 'Facture', amount: 'Montant', dueDate: "Date d'échéance", vendor: 'Fournisseur', purchaseOrder: 'Bon de commande', reason: 'Motif' },
+        footer: 'Ce message a été envoyé automatiquement par le système de traitement des factures.',
+        templates: {
+            success: v => ({
+                subject: `Facture ${v.invoice} traitée`,
+                body: [`Votre facture ${v.invoice} a été traitée avec succès.`]
+            }),
+            duplicate: v => ({
+                subject: `Facture ${v.invoice} déjà reçue`,
+                body: [`Nous avons déjà reçu la facture ${v.invoice} ; cette copie n'a pas été traitée à nouveau.`]
+            }),
+            validation_failed: v => ({
+                subject: `La facture ${v.invoice} n'a pas pu être validée`,
+                body: [`Votre facture ${v.invoice} n'a pas passé la validation. Veuillez la corriger et la soumettre à nouveau.`],
+                list: v.errors
+            }),
+            processing_failed: v => ({
+                subject: `La facture ${v.invoice} n'a pas pu être traitée`,
+                body: [`Une erreur est survenue lors du traitement de votre facture ${v.invoice}. Veuillez contacter le support.`]
+            }),
+            po_mismatch: v => ({
+                subject: `La facture ${v.invoice} ne correspond pas au bon de commande ${v.purchaseOrder}`,
+                body: [`La facture ${v.invoice} de ${v.vendor} ne correspond pas au bon de commande ${v.purchaseOrder} (${v.matchStatus}) et attend une vérification.`],
+                list: v.reasons
+            }),
+            status_update: v => ({
+                subject: `Facture ${v.invoice} : ${v.type}`,
+                body: [`Le statut de la facture ${v.invoice} est maintenant ${v.type}.`]
+            })
+        }
+    }
+};
+
+const LANGUAGES = Object.keys(MESSAGES);
+
+// 'de-AT' -> 'de'; unknown or unsupported locales fall back to English
+function resolveLocale(locale) {
+    let candidate = locale || DEFAULT_LOCALE;
+    try {
+        candidate = Intl.getCanonicalLocales(candidate)[0];
+    } catch (error) {
+        candidate = DEFAULT_LOCALE;
+    }
+    const language = candidate.split('-')[0].toLowerCase();
+    return LANGUAGES.includes(language)
+        ? { locale: candidate, language }
+        : { locale: DEFAULT_LOCALE, language: 'en' };
+}
+
+function templateType(type) {
+    const resolved = TYPE_ALIASES[type] || type;
+    return AUDIENCE[resolved] ? resolved : 'status_update';
+}
+
+function audienceFor(type) {
+    return AUDIENCE[templateType(type)];
+}
+
+function formatAmount(invoice, locale) {
+    const currency = invoice.currency || 'USD';
+    const minor = [invoice.amountMinor, invoice.totalAmountMinor].find(value => typeof value === 'number');
+    const raw = invoice.amount !== undefined && invoice.amount !== null ? invoice.amount : invoice.totalAmount;
+    const value = minor !== undefined ? normalize.fromMinorUnits(minor, currency) : normalize.parseAmount(raw);
+    if (value === null || value === undefined) return null;
+
+    try {
+        return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(value);
+    } catch (error) {
+        return `${value} ${currency}`;
+    }
+}
+
+function formatDate(value, locale) {
+    if (!value) return null;
+    const date = new Date(`${String(value).substring(0, 10)}T00:00:00Z`);
+    if (isNaN(date.getTime())) return String(value);
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(date);
+}
+
+// Step Functions passes either validate-invoice's joined message or a caught
+// { Error, Cause }; Lambda failures carry the message inside Cause
+function errorMessages(error) {
+    if (!error) return [];
+    if (typeof error === 'string') return error.split('; ').filter(Boolean);
+
+    let message = error.Cause || error.message || error.Error;
+    try {
+        const cause = JSON.parse(error.Cause);
+        message = cause.errorMessage || message;
+    } catch (parseError) {
+        // Cause is plain text
+    }
+    return message ? [String(message)] : [];
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderNotification(type, locale, { invoice = {}, error, poMatch } = {}) {
+    const resolved = resolveLocale(locale);
+    const messages = MESSAGES[resolved.language];
+    const labels = messages.labels;
+    const resolvedType = templateType(type);
+
+    const values = {
+        type,
+        invoice: invoice.invoiceId || invoice.invoiceNumber || '-',
+        vendor: invoice.vendorName || '-',
+        purchaseOrder: (poMatch && poMatch.poNumber) || invoice.poNumber || '-',
+        matchStatus: poMatch ? poMatch.status : '-',
+        errors: errorMessages(error),
+        reasons: poMatch ? (poMatch.reasons || []).map(reason => reason.message) : []
+    };
+    const { subject, body, list = [] } = messages.templates[resolvedType](values);
+
+    const details = [
+        [labels.invoice, values.invoice],
+        [labels.amount, formatAmount(invoice, resolved.locale)],
+        [labels.dueDate, formatDate(invoice.dueDate, resolved.locale)],
+        [labels.vendor, invoice.vendorName],
+        [labels.purchaseOrder, values.purchaseOrder !== '-' ? values.purchaseOrder : null]
+    ].filter(([, value]) => value);
+
+    const text = [
+        ...body,
+        ...(list.length > 0 ? [list.map(item => `- ${item}`).join('\n')] : []),
+        details.map(([label, value]) => `${label}: ${value}`).join('\n'),
+        `--\n${messages.footer}`
+    ].join('\n\n');
+
+    const html = [
+        '<!DOCTYPE html>',
+        `<html lang="${escapeHtml(resolved.locale)}">`,
+        `<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>`,
+        '<body style="font-family: Arial, Helvetica, sans-serif; color: #222222;">',
+        ...body.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+        ...(list.length > 0 ? [`<ul>${list.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`] : []),
+        '<table cellpadding="4" style="border-collapse: collapse;">',
+        ...details.map(([label, value]) => `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`),
+        '</table>',
+        `<p style="color: #888888; font-size: 12px;">${escapeHtml(messages.footer)}</p>`,
+        '</body>',
+        '</html>'
+    ].join('\n');
+
+    return {
+        type: resolvedType,
+        locale: resolved.locale,
+        language: resolved.language,
+        audience: AUDIENCE[resolvedType],
+        subject,
+        text,
+        html
+    };
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LANGUAGES,
+    resolveLocale,
+    audienceFor,
+    escapeHtml,
+    renderNotification
+};
@@ -0,0 +1,237 @@
+// OCR provider interface
+//
+// A provider turns a document into a Textract-shaped response so that
+// parseTextractResult does not care where the blocks came from:
+//
+//     provider.analyze({ bucketName, objectKey, eTag }) resolves to either
+//         { status: 'completed', textractResult }   // Blocks ready to parse
+//         { status: 'submitted', jobId }            // async job, result arrives later
+//
+// Async jobs report to textract-async-complete through the completion
+// channel, unless the caller polls for the result: waitForCompletion polls
+// in analyze(), and notifyCompletion: false leaves polling to the caller
+// (textractAsync.getDocumentAnalysis with the jobId).
+//
+// OCR_PROVIDER selects the implementation:
+//     textract          sync for single-page documents, async for PDF/TIFF (default)
+//     textract-sync     AnalyzeDocument only
+//     textract-async    StartDocumentAnalysis only
+//     textract-expense  AnalyzeExpense
+//     local             replays recorded Textract JSON from OCR_FIXTURES_DIR, or
+//                       runs tesseract.js over files in OCR_LOCAL_DOCUMENTS_DIR
+
+const fs = require('fs');
+const path = require('path');
+const textractAsync = require('./textract-async');
+
+const DEFAULT_FEATURE_TYPES = ['TABLES', 'FORMS'];
+
+const PROVIDER_NAMES = ['textract', 'textract-sync', 'textract-async', 'textract-expense', 'local'];
+
+function createOcrProvider(name = process.env.OCR_PROVIDER || 'textract', deps = {}) {
+    switch (name) {
+        case 'textract':
+            return createAutoTextractProvider(deps);
+        case 'textract-sync':
+            return createTextractSyncProvider(deps);
+        case 'textract-async':
+            return createTextractAsyncProvider(deps);
+        case 'textract-expense':
+            return createTextractExpenseProvider(deps);
+        case 'local':
+            return createLocalProvider(deps);
+        default:
+            throw new Error(`Unknown OCR provider: ${name}`);
+    }
+}
+
+function createTextractSyncProvider({ textract, featureTypes = DEFAULT_FEATURE_TYPES, timeout }) {
+    requireClient(textract, 'textract-sync');
+
+    return {
+        name: 'textract-sync',
+        async analyze({ bucketName, objectKey }) {
+            const request = textract.analyzeDocument({
+                Document: { S3Object: { Bucket: bucketName, Name: objectKey } },
+                FeatureTypes: featureTypes
+            }).promise();
+
+            const textractResult = timeout ? await withTimeout(request, timeout) : await request;
+            return { status: 'completed', textractResult };
+        }
+    };
+}
+
+function createTextractAsyncProvider({
+    textract,
+    featureTypes = DEFAULT_FEATURE_TYPES,
+    waitForCompletion = false,
+    notifyCompletion = !waitForCompletion,
+    pollInterval
+}) {
+    requireClient(textract, 'textract-async');
+
+    return {
+        name: 'textract-async',
+        async analyze({ bucketName, objectKey, eTag }) {
+            const jobId = await textractAsync.startDocumentAnalysis(textract, {
+                bucketName,
+                objectKey,
+                eTag,
+                featureTypes,
+                notifyCompletion
+            });
+
+            if (!waitForCompletion) {
+                return { status: 'submitted', jobId };
+            }
+
+            const textractResult = await textractAsync.waitForDocumentAnalysis(textract, jobId, { pollInterval });
+            return { status: 'completed', textractResult, jobId };
+        }
+    };
+}
+
+// Sync for single-page documents, async for formats that can hold several
+// pages, and a switch to async when the sync API rejects a document.
+function createAutoTextractProvider(deps) {
+    const syncProvider = createTextractSyncProvider(deps);
+    const asyncProvider = createTextractAsyncProvider(deps);
+    // Polled jobs don't need the completion channel
+    const asyncAvailable = deps.notifyCompletion === false || deps.waitForCompletion === true
+        || Boolean(process.env.TEXTRACT_SNS_TOPIC_ARN);
+
+    return {
+        name: 'textract',
+        async analyze(document) {
+            if (textractAsync.shouldUseAsync(document.objectKey, undefined, asyncAvailable)) {
+                return asyncProvider.analyze(document);
+            }
+
+            try {
+                return await syncProvider.analyze(document);
+            } catch (error) {
+                if (textractAsync.isMultiPageError(error) && asyncAvailable) {
+                    return asyncProvider.analyze(document);
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+// AnalyzeExpense returns ExpenseDocuments, each with its own LINE/WORD blocks.
+// The blocks are flattened so the generic parser still sees the text, and
+// the ExpenseDocuments are kept for structured field mapping.
+function createTextractExpenseProvider({ textract }) {
+    requireClient(textract, 'textract-expense');
+
+    return {
+        name: 'textract-expense',
+        async analyze({ bucketName, objectKey }) {
+            const response = await textract.analyzeExpense({
+                Document: { S3Object: { Bucket: bucketName, Name: objectKey } }
+            }).promise();
+
+            return { status: 'completed', textractResult: normalizeExpenseResponse(response) };
+        }
+    };
+}
+
+function normalizeExpenseResponse(response) {
+    const expenseDocuments = response.ExpenseDocuments || [];
+    return {
+        DocumentMetadata: response.DocumentMetadata,
+        Blocks: expenseDocuments.flatMap(doc => doc.Blocks || []),
+        ExpenseDocuments: expenseDocuments
+    };
+}
+
+function createLocalProvider({
+    fixturesDir = process.env.OCR_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'textract'),
+    documentsDir = process.env.OCR_LOCAL_DOCUMENTS_DIR,
+    engine = process.env.OCR_LOCAL_ENGINE || 'fixture'
+} = {}) {
+    return {
+        name: 'local',
+        async analyze({ objectKey }) {
+            const fixturePath = findFixture(fixturesDir, objectKey);
+            if (fixturePath) {
+                const recorded = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+                const textractResult = recorded.ExpenseDocuments ? normalizeExpenseResponse(recorded) : recorded;
+                return { status: 'completed', textractResult, source: fixturePath };
+            }
+
+            if (engine === 'tesseract') {
+                const documentPath = path.join(documentsDir || process.cwd(), objectKey);
+                return { status: 'completed', textractResult: await runTesseract(documentPath), source: documentPath };
+            }
+
+            throw new Error(`No recorded Textract response for ${objectKey} in ${fixturesDir}`);
+        }
+    };
+}
+
+// Looks for <dir>/<objectKey>.json, then <dir>/<file name without extension>.json
+function findFixture(fixturesDir, objectKey) {
+    const baseName = path.basename(objectKey).replace(/\.[^.]+$/, '');
+    const candidates = [
+        path.join(fixturesDir, `${objectKey}.json`),
+        path.join(fixturesDir, `${baseName}.json`)
+    ];
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// tesseract.js is an optional dependency for offline OCR of images. Its
+// lines are converted into LINE/WORD blocks; there are no forms or tables.
+async function runTesseract(documentPath) {
+    let tesseract;
+    try {
+        tesseract = require('tesseract.js');
+    } catch (error) {
+        throw new Error('OCR_LOCAL_ENGINE=tesseract requires the tesseract.js package to be installed');
+    }
+
+    const { data } = await tesseract.recognize(documentPath, process.env.OCR_LOCAL_LANGUAGE || 'eng');
+    const blocks = [];
+
+    (data.lines || []).forEach((line, lineIndex) => {
+        const wordIds = (line.words || []).map((word, wordIndex) => {
+            const id = `word-${lineIndex}-${wordIndex}`;
+            blocks.push({ BlockType: 'WORD', Id: id, Text: word.text, Confidence: word.confidence, Page: 1 });
+            return id;
+        });
+
+        blocks.push({
+            BlockType: 'LINE',
+            Id: `line-${lineIndex}`,
+            Text: line.text.trim(),
+            Confidence: line.confidence,
+            Page: 1,
+            Relationships: [{ Type: 'CHILD', Ids: wordIds }]
+        });
+    });
+
+    return { DocumentMetadata: { Pages: 1 }, Blocks: blocks };
+}
+
+function requireClient(client, providerName) {
+    if (!client) {
+        throw new Error(`OCR provider ${providerName} requires a Textract client`);
+    }
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Textract timeout')), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+    PROVIDER_NAMES,
+    createOcrProvider,
+    normalizeExpenseResponse,
+    findFixture
+};
@@ -0,0 +1,366 @@
+// Vendor and customer master registry
+//
+// Gives every vendor (and customer) one stable ID, however its name is
+// printed or read by OCR. Entries live in PARTY_REGISTRY_TABLE (hash key
+// partyId):
+//
+//     {
+//         partyId: 'VEND-3F2A9C01B7',
+//         type: 'vendor' | 'customer',
+//         name: 'Northwind Office Supplies',
+//         normalizedName: 'northwind office supplies',   // see idempotency.normalizeVendorName
+//         aliases: ['northwind', 'nw office supplies'],  // normalized
+//         taxIds: ['123456789'],                         // compacted: letters and digits only
+//         addresses: ['500 Harbor Blvd, Seattle, WA 98101'],
+//         emails: ['ap@northwind.example'],              // where notifications go
+//         locale: 'en-US',                               // language of those notifications
+//         status: 'active' | 'provisional' | 'merged',
+//         mergedInto,                                    // partyId, when merged
+//         possibleMatches: [{ partyId, similarity }],    // provisional entries only
+//         createdAt, updatedAt, source
+//     }
+//
+// resolve() matches in this order: tax ID, exact normalized name, alias, then
+// fuzzy name similarity (PARTY_FUZZY_THRESHOLD, 0-1). Anything else becomes a
+// provisional entry. Its ID is derived from the normalized name, so two
+// invocations that see a new vendor at once create the same entry, and the ID
+// is the same even without a registry configured. Provisional entries are
+// confirmed with activate() or folded into an existing party with merge().
+
+const crypto = require('crypto');
+const { normalizeVendorName } = require('./idempotency');
+const { editDistance } = require('./duplicate-detector');
+
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
+const DEFAULT_FUZZY_THRESHOLD = 0.88;
+
+// A fuzzy match must beat the runner-up by this much to be trusted
+const FUZZY_MARGIN = 0.03;
+
+const STATUS = {
+    ACTIVE: 'active',
+    PROVISIONAL: 'provisional',
+    MERGED: 'merged'
+};
+
+const ID_PREFIX = {
+    vendor: 'VEND',
+    customer: 'CUST'
+};
+
+function registryError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function compactTaxId(value) {
+    return value ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+}
+
+// Stable ID for a party that isn't in the registry yet
+function partyIdFor(type, normalizedName) {
+    const prefix = ID_PREFIX[type] || ID_PREFIX.vendor;
+    const hash = crypto.createHash('sha256').update(`${type}|${normalizedName}`).digest('hex');
+    return `${prefix}-${hash.substring(0, 10).toUpperCase()}`;
+}
+
+// 1 for identical names, 0 for nothing in common
+function nameSimilarity(a, b) {
+    if (!a || !b) return 0;
+    const longest = Math.max(a.length, b.length);
+    return 1 - editDistance(a, b) / longest;
+}
+
+// Builds a registry entry from loose input (CLI, fixtures, provisional creation)
+function buildParty({ partyId, type = 'vendor', name, aliases = [], taxIds = [], addresses = [], emails = [], locale = null, status = STATUS.ACTIVE, source = 'manual' }) {
+    const normalizedName = normalizeVendorName(name);
+    if (!normalizedName) throw registryError('A party needs a name', 400);
+    if (!ID_PREFIX[type]) throw registryError(`Unknown party type ${type}`, 400);
+
+    const now = new Date().toISOString();
+    return {
+        partyId: partyId || partyIdFor(type, normalizedName),
+        type,
+        name: name.trim(),
+        normalizedName,
+        aliases: [...new Set(aliases.map(normalizeVendorName).filter(alias => alias && alias !== normalizedName))],
+        taxIds: [...new Set(taxIds.map(compactTaxId).filter(Boolean))],
+        addresses: addresses.filter(Boolean),
+        emails: [...new Set(emails.map(email => String(email).trim().toLowerCase()).filter(Boolean))],
+        locale: locale || null,
+        status,
+        createdAt: now,
+        updatedAt: now,
+        source
+    };
+}
+
+// Matches extracted party data against registry entries without touching
+// storage. Returns { party, method, similarity, candidates } or null.
+function matchParty(parties, { type = 'vendor', name, taxId }, { fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD } = {}) {
+    const candidates = parties.filter(party => party.type === type && party.status !== STATUS.MERGED);
+    const normalizedName = normalizeVendorName(name);
+    const compactId = compactTaxId(taxId);
+
+    if (compactId) {
+        const party = candidates.find(entry => (entry.taxIds || []).includes(compactId));
+        if (party) return { party, method: 'tax_id', similarity: 1 };
+    }
+
+    if (!normalizedName) return null;
+
+    const exact = candidates.find(entry => entry.normalizedName === normalizedName);
+    if (exact) return { party: exact, method: 'exact', similarity: 1 };
+
+    const alias = candidates.find(entry => (entry.aliases || []).includes(normalizedName));
+    if (alias) return { party: alias, method: 'alias', similarity: 1 };
+
+    const scored = candidates
+        .map(entry => ({
+            party: entry,
+            similarity: Math.max(...[entry.normalizedName, ...(entry.aliases || [])].map(known => nameSimilarity(normalizedName, known)))
+        }))
+        .filter(entry => entry.similarity >= fuzzyThreshold - FUZZY_MARGIN)
+        .sort((a, b) => b.similarity - a.similarity);
+
+    const [best, runnerUp] = scored;
+    if (best && best.similarity >= fuzzyThreshold &&
+        (!runnerUp || best.similarity - runnerUp.similarity >= FUZZY_MARGIN)) {
+        return { party: best.party, method: 'fuzzy', similarity: round(best.similarity) };
+    }
+
+    return {
+        party: null,
+        method: 'none',
+        candidates: scored.slice(0, 3).map(entry => ({ partyId: entry.party.partyId, similarity: round(entry.similarity) }))
+    };
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function createPartyRegistry({
+    dynamodb,
+    tableName = process.env.PARTY_REGISTRY_TABLE,
+    fuzzyThreshold = parseFloat(process.env.PARTY_FUZZY_THRESHOLD || DEFAULT_FUZZY_THRESHOLD),
+    cacheTtl = DEFAULT_CACHE_TTL
+} = {}) {
+    if (!tableName) {
+        throw new Error('PARTY_REGISTRY_TABLE is not configured');
+    }
+
+    let cache = null;
+    let cachedAt = 0;
+
+    async function scanParties() {
+        const items = [];
+        let lastKey;
+
+        do {
+            const result = await dynamodb.scan({
+                TableName: tableName,
+                ExclusiveStartKey: lastKey
+            }).promise();
+            items.push(...(result.Items || []));
+            lastKey = result.LastEvaluatedKey;
+        } while (lastKey);
+
+        return items;
+    }
+
+    async function get(partyId) {
+        const result = await dynamodb.get({ TableName: tableName, Key: { partyId } }).promise();
+        if (!result.Item) throw registryError(`Party ${partyId} not found`, 404);
+        return result.Item;
+    }
+
+    // Follows merges to the surviving entry
+    async function canonical(party) {
+        let current = party;
+        for (let hops = 0; current.status === STATUS.MERGED && current.mergedInto && hops < 5; hops++) {
+            current = await get(current.mergedInto);
+        }
+        return current;
+    }
+
+    // set and remove are the bodies of the SET and REMOVE clauses; updatedAt
+    // is added to the SET clause
+    async function update(partyId, { set, remove, names, values, condition }) {
+        const result = await dynamodb.update({
+            TableName: tableName,
+            Key: { partyId },
+            UpdateExpression: `SET ${set}, updatedAt = :updatedAt${remove ? ` REMOVE ${remove}` : ''}`,
+            ConditionExpression: condition || 'attribute_exists(partyId)',
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: { ...values, ':updatedAt': new Date().toISOString() },
+            ReturnValues: 'ALL_NEW'
+        }).promise().catch(error => {
+            if (error.code === 'ConditionalCheckFailedException') {
+                throw registryError(`Party ${partyId} cannot be updated in its current state`, 409);
+            }
+            throw error;
+        });
+        cache = null;
+        return result.Attributes;
+    }
+
+    const registry = {
+        // Cached per Lambda container, like vendor templates
+        async listParties() {
+            if (cache && Date.now() - cachedAt < cacheTtl) return cache;
+            cache = await scanParties();
+            cachedAt = Date.now();
+            return cache;
+        },
+
+        get,
+
+        // The surviving entry for partyId, or null when there is none
+        async find(partyId) {
+            try {
+                return await canonical(await get(partyId));
+            } catch (error) {
+                if (error.statusCode === 404) return null;
+                throw error;
+            }
+        },
+
+        // Returns { partyId, name, status, method, similarity, provisional }.
+        // method is tax_id, exact, alias, fuzzy or provisional.
+        async resolve({ type = 'vendor', name, taxId, address }) {
+            const match = matchParty(await registry.listParties(), { type, name, taxId }, { fuzzyThreshold });
+
+            if (match && match.party) {
+                const party = await canonical(match.party);
+                return {
+                    partyId: party.partyId,
+                    name: party.name,
+                    status: party.status,
+                    method: match.method,
+                    similarity: match.similarity,
+                    provisional: party.status === STATUS.PROVISIONAL
+                };
+            }
+
+            if (!normalizeVendorName(name)) return null;
+
+            const party = await registry.createProvisional({
+                type,
+                name,
+                taxIds: taxId ? [taxId] : [],
+                addresses: address ? [address] : [],
+                possibleMatches: match ? match.candidates : []
+            });
+            return {
+                partyId: party.partyId,
+                name: party.name,
+                status: party.status,
+                method: 'provisional',
+                similarity: null,
+                provisional: party.status === STATUS.PROVISIONAL
+            };
+        },
+
+        // Concurrent creation of the same provisional vendor converges on one
+        // entry because the ID comes from the normalized name
+        async createProvisional({ possibleMatches = [], ...input }) {
+            const party = {
+                ...buildParty({ ...input, status: STATUS.PROVISIONAL, source: 'extraction' }),
+                possibleMatches
+            };
+
+            try {
+                await dynamodb.put({
+                    TableName: tableName,
+                    Item: party,
+                    ConditionExpression: 'attribute_not_exists(partyId)'
+                }).promise();
+                console.log(`Created provisional ${party.type} ${party.partyId} for "${party.name}"`);
+            } catch (error) {
+                if (error.code !== 'ConditionalCheckFailedException') throw error;
+                return canonical(await get(party.partyId));
+            }
+
+            cache = null;
+            return party;
+        },
+
+        async upsert(input) {
+            const party = buildParty(input);
+            await dynamodb.put({ TableName: tableName, Item: party }).promise();
+            cache = null;
+            return party;
+        },
+
+        async addAlias(partyId, alias) {
+            const normalized = normalizeVendorName(alias);
+            if (!normalized) throw registryError('Alias is empty', 400);
+            const party = await get(partyId);
+            if ((party.aliases || []).includes(normalized)) return party;
+
+            return update(partyId, {
+                set: 'aliases = list_append(if_not_exists(aliases, :empty), :alias)',
+                values: { ':alias': [normalized], ':empty': [] }
+            });
+        },
+
+        // Confirms a provisional entry as a real party
+        async activate(partyId) {
+            return update(partyId, {
+                set: '#status = :active',
+                remove: 'possibleMatches',
+                names: { '#status': 'status' },
+                values: { ':active': STATUS.ACTIVE, ':provisional': STATUS.PROVISIONAL },
+                condition: '#status = :provisional'
+            }).catch(error => {
+                throw error.statusCode === 409 ? registryError(`Party ${partyId} is not provisional`, 409) : error;
+            });
+        },
+
+        // Folds a (usually provisional) entry into another. Its name, aliases,
+        // tax IDs and emails move to the target so future documents resolve
+        // there; invoices already stored keep the old ID, which still points
+        // here.
+        async merge(sourceId, targetId) {
+            if (sourceId === targetId) throw registryError('Cannot merge a party into itself', 400);
+            const source = await get(sourceId);
+            const target = await canonical(await get(targetId));
+            if (source.type !== target.type) throw registryError('Cannot merge a vendor with a customer', 400);
+
+            const aliases = [source.normalizedName, ...(source.aliases || [])]
+                .filter(alias => alias !== target.normalizedName && !(target.aliases || []).includes(alias));
+            const taxIds = (source.taxIds || []).filter(id => !(target.taxIds || []).includes(id));
+            const addresses = (source.addresses || []).filter(address => !(target.addresses || []).includes(address));
+            const emails = (source.emails || []).filter(email => !(target.emails || []).includes(email));
+
+            const merged = await update(target.partyId, {
+                set: 'aliases = list_append(if_not_exists(aliases, :empty), :aliases), ' +
+                    'taxIds = list_append(if_not_exists(taxIds, :empty), :taxIds), ' +
+                    'addresses = list_append(if_not_exists(addresses, :empty), :addresses), ' +
+                    'emails = list_append(if_not_exists(emails, :empty), :emails)',
+                values: { ':aliases': [...new Set(aliases)], ':taxIds': taxIds, ':addresses': addresses, ':emails': emails, ':empty': [] }
+            });
+
+            await update(source.partyId, {
+                set: '#status = :merged, mergedInto = :target',
+                names: { '#status': 'status' },
+                values: { ':merged': STATUS.MERGED, ':target': target.partyId }
+            });
+
+            return merged;
+        }
+    };
+
+    return registry;
+}
+
+module.exports = {
+    STATUS,
+    partyIdFor,
+    nameSimilarity,
+    buildParty,
+    matchParty,
+    createPartyRegistry
+};
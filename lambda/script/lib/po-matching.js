@@ -0,0 +1,285 @@
+// Purchase order three-way matching
+//
+// Compares an invoice with its purchase order and the goods received against
+// it (lib/purchase-orders.js) before the invoice is approved:
+//
+//     vendor     registry ID, or vendor names within the fuzzy threshold
+//     currency   identical
+//     amount     goods value (subtotal, or the total when there is none) no
+//                more than the order and the value received, within tolerance
+//     lines      each invoice line pairs with an order line by SKU or
+//                description; unit price within tolerance, quantity no more
+//                than ordered and received
+//
+// The result is attached to the invoice as poMatch:
+//
+//     {
+//         status: 'matched' | 'partial' | 'unmatched',
+//         poNumber, checkedAt,
+//         reasons: [{ code, message }],
+//         amounts: { currency, invoiceMinor, orderedMinor, receivedMinor },
+//         lines: [{ invoiceLine, poLine, description, quantity, ordered, received, unitPriceMinor, poUnitPriceMinor }]
+//     }
+//
+// unmatched means the invoice can't be tied to an order at all: no PO
+// number, unknown or closed order, another vendor or currency, nothing
+// received yet, or no line in common. partial means it belongs to the order
+// but something is off. Tolerances come from PO_MATCH_TOLERANCES (JSON).
+// Quantities invoiced earlier against the same order are not subtracted.
+
+const normalize = require('./normalize');
+const { normalizeVendorName } = require('./idempotency');
+const { nameSimilarity } = require('./party-registry');
+const { STATUS: PO_STATUS, receivedQuantities } = require('./purchase-orders');
+
+const MATCH_STATUS = {
+    MATCHED: 'matched',
+    PARTIAL: 'partial',
+    UNMATCHED: 'unmatched'
+};
+
+const DEFAULT_TOLERANCES = {
+    amountPercent: 1,          // of the ordered / received value
+    amountMinor: 100,          // absolute floor for the amount tolerance
+    unitPricePercent: 2,
+    quantity: 0,
+    vendorSimilarity: 0.88,
+    descriptionSimilarity: 0.6
+};
+
+// Reasons that mean the invoice doesn't belong to the order
+const HARD_REASONS = ['po_missing', 'po_not_found', 'po_closed', 'vendor_mismatch', 'currency_mismatch', 'nothing_received', 'no_lines_matched'];
+
+function loadTolerances() {
+    try {
+        return { ...DEFAULT_TOLERANCES, ...JSON.parse(process.env.PO_MATCH_TOLERANCES || '{}') };
+    } catch (error) {
+        console.error('Invalid PO_MATCH_TOLERANCES, using defaults:', error.message);
+        return { ...DEFAULT_TOLERANCES };
+    }
+}
+
+function minor(value, currency) {
+    if (value === null || value === undefined || value === '') return null;
+    return normalize.toMinorUnits(value, { currency });
+}
+
+function firstNumber(...values) {
+    return values.find(value => typeof value === 'number' && isFinite(value));
+}
+
+// The invoice fields matching needs, from either the Textract record
+// (totalAmount, invoiceData.minorUnits) or a manual invoice (amount)
+function invoiceView(invoice) {
+    const currency = (invoice.currency || 'USD').toUpperCase();
+    const minorUnits = invoice.minorUnits || {};
+    let total = firstNumber(invoice.totalAmountMinor, invoice.amountMinor, minorUnits.totalAmount, minorUnits.amount);
+    if (total === undefined) total = minor(invoice.totalAmount !== undefined ? invoice.totalAmount : invoice.amount, currency);
+    let subtotal = firstNumber(minorUnits.subtotal);
+    if (subtotal === undefined) subtotal = minor(invoice.subtotal, currency);
+
+    return {
+        poNumber: invoice.poNumber || null,
+        currency,
+        vendorId: invoice.vendorId || null,
+        vendorName: invoice.vendorName || null,
+        goodsMinor: subtotal !== null ? subtotal : total,
+        lines: (invoice.lineItems || []).map((item, index) => {
+            const quantity = typeof item.quantity === 'number' ? item.quantity : null;
+            const lineTotal = minor(item.lineTotal !== undefined ? item.lineTotal : item.amount, currency);
+            let unitPriceMinor = minor(item.unitPrice, currency);
+            if (unitPriceMinor === null && lineTotal !== null && quantity) unitPriceMinor = Math.round(lineTotal / quantity);
+            return {
+                invoiceLine: index + 1,
+                sku: item.sku || null,
+                description: item.description || '',
+                quantity,
+                unitPriceMinor
+            };
+        })
+    };
+}
+
+function words(text) {
+    return new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 1));
+}
+
+// Edit-distance similarity, or the share of the shorter description's words
+// found in the other ("Printer paper A4" vs "A4 printer paper, 500 sheets")
+function descriptionSimilarity(a, b) {
+    const left = words(a);
+    const right = words(b);
+    if (left.size === 0 || right.size === 0) return 0;
+
+    const shared = [...left].filter(word => right.has(word)).length;
+    const overlap = shared / Math.min(left.size, right.size);
+    return Math.max(overlap, nameSimilarity(String(a).toLowerCase().trim(), String(b).toLowerCase().trim()));
+}
+
+// Greedy pairing, best similarity first; a SKU match always wins
+function pairLines(invoiceLines, orderLines, threshold) {
+    const candidates = [];
+    invoiceLines.forEach(invoiceLine => {
+        orderLines.forEach(orderLine => {
+            const similarity = invoiceLine.sku && orderLine.sku
+                ? (invoiceLine.sku === orderLine.sku ? 2 : 0)
+                : descriptionSimilarity(invoiceLine.description, orderLine.description);
+            if (similarity >= threshold) candidates.push({ invoiceLine, orderLine, similarity });
+        });
+    });
+    candidates.sort((a, b) => b.similarity - a.similarity);
+
+    const pairs = new Map();
+    const usedOrderLines = new Set();
+    candidates.forEach(({ invoiceLine, orderLine }) => {
+        if (pairs.has(invoiceLine.invoiceLine) || usedOrderLines.has(orderLine.lineNumber)) return;
+        pairs.set(invoiceLine.invoiceLine, orderLine);
+        usedOrderLines.add(orderLine.lineNumber);
+    });
+    return pairs;
+}
+
+function percentOff(value, expected) {
+    return expected === 0 ? (value === 0 ? 0 : Infinity) : Math.abs(value - expected) / expected * 100;
+}
+
+function result(status, poNumber, reasons, extra = {}) {
+    return {
+        status,
+        poNumber: poNumber || null,
+        checkedAt: new Date().toISOString(),
+        reasons,
+        amounts: null,
+        lines: [],
+        ...extra
+    };
+}
+
+function statusFor(reasons) {
+    if (reasons.some(reason => HARD_REASONS.includes(reason.code))) return MATCH_STATUS.UNMATCHED;
+    return reasons.length > 0 ? MATCH_STATUS.PARTIAL : MATCH_STATUS.MATCHED;
+}
+
+// Matches an invoice against an order that has already been looked up
+// (null when there is none)
+function matchInvoice(invoice, purchaseOrder, tolerances = loadTolerances()) {
+    const view = invoiceView(invoice);
+    const format = amount => normalize.formatMinorUnits(amount, view.currency);
+
+    if (!view.poNumber) {
+        return result(MATCH_STATUS.UNMATCHED, null, [{ code: 'po_missing', message: 'Invoice has no purchase order number' }]);
+    }
+    if (!purchaseOrder) {
+        return result(MATCH_STATUS.UNMATCHED, view.poNumber, [{ code: 'po_not_found', message: `Purchase order ${view.poNumber} not found` }]);
+    }
+
+    const reasons = [];
+    const reason = (code, message) => reasons.push({ code, message });
+
+    if (purchaseOrder.status !== PO_STATUS.OPEN) {
+        reason('po_closed', `Purchase order ${purchaseOrder.poNumber} is ${purchaseOrder.status}`);
+    }
+
+    if (view.vendorId && purchaseOrder.vendorId) {
+        if (view.vendorId !== purchaseOrder.vendorId) {
+            reason('vendor_mismatch', `Invoice vendor ${view.vendorId} is not the order's vendor ${purchaseOrder.vendorId}`);
+        }
+    } else if (view.vendorName && purchaseOrder.vendorName) {
+        const similarity = nameSimilarity(normalizeVendorName(view.vendorName), normalizeVendorName(purchaseOrder.vendorName));
+        if (similarity < tolerances.vendorSimilarity) {
+            reason('vendor_mismatch', `Invoice vendor "${view.vendorName}" is not the order's vendor "${purchaseOrder.vendorName}"`);
+        }
+    } else {
+        reason('vendor_unverified', 'Invoice vendor could not be compared with the order');
+    }
+
+    if (view.currency !== purchaseOrder.currency) {
+        reason('currency_mismatch', `Invoice currency ${view.currency} is not the order's ${purchaseOrder.currency}`);
+    }
+
+    const received = receivedQuantities(purchaseOrder);
+    const receivedMinor = purchaseOrder.lines
+        .reduce((sum, line) => sum + Math.round(Math.min(received[line.lineNumber] || 0, line.quantity) * line.unitPriceMinor), 0);
+    const anythingReceived = Object.keys(received).length > 0;
+    if (!anythingReceived) {
+        reason('nothing_received', `No goods received against purchase order ${purchaseOrder.poNumber}`);
+    }
+
+    // Invoices may bill part of an order; only billing more than was ordered
+    // or received counts
+    if (view.goodsMinor !== null) {
+        const over = (limit) => view.goodsMinor - limit > Math.max(tolerances.amountMinor, limit * tolerances.amountPercent / 100);
+        if (over(purchaseOrder.totalAmountMinor)) {
+            reason('amount_over_ordered', `Invoiced ${format(view.goodsMinor)} exceeds the order total ${format(purchaseOrder.totalAmountMinor)}`);
+        } else if (anythingReceived && over(receivedMinor)) {
+            reason('amount_over_received', `Invoiced ${format(view.goodsMinor)} exceeds the value received ${format(receivedMinor)}`);
+        }
+    }
+
+    const pairs = pairLines(view.lines, purchaseOrder.lines, tolerances.descriptionSimilarity);
+    if (view.lines.length > 0 && pairs.size === 0) {
+        reason('no_lines_matched', `No invoice line matches a line of purchase order ${purchaseOrder.poNumber}`);
+    }
+
+    const lines = view.lines.map(line => {
+        const orderLine = pairs.get(line.invoiceLine);
+        if (!orderLine) {
+            if (pairs.size > 0) reason('line_unmatched', `Invoice line ${line.invoiceLine} "${line.description}" is not on the order`);
+            return { invoiceLine: line.invoiceLine, poLine: null, description: line.description, quantity: line.quantity };
+        }
+
+        const receivedQuantity = received[orderLine.lineNumber] || 0;
+        const label = `Invoice line ${line.invoiceLine} "${line.description}"`;
+
+        if (line.unitPriceMinor !== null && percentOff(line.unitPriceMinor, orderLine.unitPriceMinor) > tolerances.unitPricePercent) {
+            reason('price_variance', `${label} is priced ${format(line.unitPriceMinor)}, the order says ${format(orderLine.unitPriceMinor)}`);
+        }
+        if (line.quantity !== null) {
+            if (line.quantity > orderLine.quantity + tolerances.quantity) {
+                reason('quantity_over_ordered', `${label} bills ${line.quantity}, ${orderLine.quantity} ordered`);
+            } else if (anythingReceived && line.quantity > receivedQuantity + tolerances.quantity) {
+                reason('quantity_over_received', `${label} bills ${line.quantity}, ${receivedQuantity} received`);
+            }
+        }
+
+        return {
+            invoiceLine: line.invoiceLine,
+            poLine: orderLine.lineNumber,
+            description: line.description,
+            quantity: line.quantity,
+            ordered: orderLine.quantity,
+            received: receivedQuantity,
+            unitPriceMinor: line.unitPriceMinor,
+            poUnitPriceMinor: orderLine.unitPriceMinor
+        };
+    });
+
+    return result(statusFor(reasons), purchaseOrder.poNumber, reasons, {
+        amounts: {
+            currency: view.currency,
+            invoiceMinor: view.goodsMinor,
+            orderedMinor: purchaseOrder.totalAmountMinor,
+            receivedMinor
+        },
+        lines
+    });
+}
+
+function createPurchaseOrderMatcher({ store, tolerances = loadTolerances() }) {
+    return {
+        async match(invoice) {
+            const purchaseOrder = invoice.poNumber ? await store.get(invoice.poNumber) : null;
+            const poMatch = matchInvoice(invoice, purchaseOrder, tolerances);
+            console.log(`PO match for ${invoice.invoiceId || 'invoice'}: ${poMatch.status}`, JSON.stringify(poMatch.reasons));
+            return poMatch;
+        }
+    };
+}
+
+module.exports = {
+    MATCH_STATUS,
+    DEFAULT_TOLERANCES,
+    descriptionSimilarity,
+    matchInvoice,
+    createPurchaseOrderMatcher
+};
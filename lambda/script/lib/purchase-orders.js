@@ -0,0 +1,306 @@
+// Purchase orders and goods receipts
+//
+// The PO side of three-way matching (see lib/po-matching.js). Orders live in
+// PURCHASE_ORDER_TABLE (hash key poKey), loaded from the purchasing system by
+// CSV import (import-purchase-orders.js) or the purchase order API
+// (purchase-order-api.js):
+//
+//     {
+//         poKey: '4471',                        // normalizePoNumber(poNumber)
+//         poNumber: 'PO-4471',                  // as issued
+//         vendorId: 'VEND-82007BB256',          // registry ID, when known
+//         vendorName: 'Northwind Office Supplies',
+//         currency: 'USD',
+//         orderDate: '2024-02-20',
+//         status: 'open' | 'closed' | 'cancelled',
+//         lines: [{ lineNumber, sku, description, quantity, unitPriceMinor }],
+//         totalAmountMinor,                     // sum of the lines
+//         receipts: {                           // goods receipts by receiptId
+//             [receiptId]: { receiptId, receivedAt, lines: [{ lineNumber, quantity }] }
+//         },
+//         source: 'csv' | 'api', createdAt, updatedAt
+//     }
+//
+// Re-importing an order replaces its lines but keeps its receipts, and
+// recording the same receipt twice has no effect, so imports can be re-run.
+
+const normalize = require('./normalize');
+
+const STATUS = {
+    OPEN: 'open',
+    CLOSED: 'closed',
+    CANCELLED: 'cancelled'
+};
+
+const ORDER_COLUMNS = ['po_number', 'vendor_name', 'vendor_id', 'currency', 'order_date', 'status', 'line_number', 'sku', 'description', 'quantity', 'unit_price'];
+const RECEIPT_COLUMNS = ['po_number', 'receipt_id', 'received_at', 'line_number', 'quantity'];
+
+function purchaseOrderError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// "PO-4471", "po 4471" and "4471" are the same order
+function normalizePoNumber(poNumber) {
+    const compact = poNumber ? String(poNumber).toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+    return compact.replace(/^PO(?=\d)/, '');
+}
+
+function toQuantity(value, label) {
+    const quantity = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    if (!isFinite(quantity) || quantity <= 0) throw purchaseOrderError(`${label} needs a positive quantity`, 400);
+    return quantity;
+}
+
+// Builds a stored order from loose input (CSV rows, API body). Unit prices
+// may be given as unitPriceMinor or as a printed unitPrice.
+function buildPurchaseOrder({ poNumber, vendorId, vendorName, currency = 'USD', orderDate, status = STATUS.OPEN, lines = [] }, { source = 'api' } = {}) {
+    const poKey = normalizePoNumber(poNumber);
+    if (!poKey) throw purchaseOrderError('A purchase order needs a poNumber', 400);
+    if (!vendorId && !vendorName) throw purchaseOrderError(`Purchase order ${poNumber} needs a vendorId or vendorName`, 400);
+    if (!Object.values(STATUS).includes(status)) throw purchaseOrderError(`Unknown purchase order status ${status}`, 400);
+    if (lines.length === 0) throw purchaseOrderError(`Purchase order ${poNumber} has no lines`, 400);
+
+    const code = String(currency).toUpperCase();
+    const builtLines = lines.map((line, index) => {
+        const label = `Purchase order ${poNumber} line ${line.lineNumber || index + 1}`;
+        const unitPriceMinor = line.unitPriceMinor !== undefined && line.unitPriceMinor !== null
+            ? Number(line.unitPriceMinor)
+            : normalize.toMinorUnits(line.unitPrice, { currency: code });
+        if (unitPriceMinor === null || !isFinite(unitPriceMinor) || unitPriceMinor < 0) {
+            throw purchaseOrderError(`${label} has no valid unit price`, 400);
+        }
+
+        return {
+            lineNumber: Number(line.lineNumber || index + 1),
+            sku: line.sku || null,
+            description: line.description || '',
+            quantity: toQuantity(line.quantity, label),
+            unitPriceMinor
+        };
+    });
+
+    const now = new Date().toISOString();
+    return {
+        poKey,
+        poNumber: String(poNumber).trim(),
+        vendorId: vendorId || null,
+        vendorName: vendorName || null,
+        currency: code,
+        orderDate: orderDate || null,
+        status,
+        lines: builtLines,
+        totalAmountMinor: builtLines.reduce((sum, line) => sum + Math.round(line.quantity * line.unitPriceMinor), 0),
+        source,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+function buildReceipt({ receiptId, receivedAt, lines = [] }) {
+    if (!receiptId) throw purchaseOrderError('A goods receipt needs a receiptId', 400);
+    if (lines.length === 0) throw purchaseOrderError(`Goods receipt ${receiptId} has no lines`, 400);
+
+    return {
+        receiptId: String(receiptId),
+        receivedAt: receivedAt || new Date().toISOString(),
+        lines: lines.map(line => {
+            if (!line.lineNumber) throw purchaseOrderError(`Goods receipt ${receiptId} has a line without lineNumber`, 400);
+            return {
+                lineNumber: Number(line.lineNumber),
+                quantity: toQuantity(line.quantity, `Goods receipt ${receiptId} line ${line.lineNumber}`)
+            };
+        })
+    };
+}
+
+// Quantity received so far per PO line number
+function receivedQuantities(purchaseOrder) {
+    const received = {};
+    Object.values(purchaseOrder.receipts || {}).forEach(receipt => {
+        receipt.lines.forEach(line => {
+            received[line.lineNumber] = (received[line.lineNumber] || 0) + line.quantity;
+        });
+    });
+    return received;
+}
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF. Returns one
+// object per row keyed by the lower-cased header.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...body] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (!header) return [];
+    const columns = header.map(column => column.trim().toLowerCase());
+    return body.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] || '').trim()])));
+}
+
+function requireColumns(rows, columns, required) {
+    const missing = required.filter(column => rows.length > 0 && !(column in rows[0]));
+    if (missing.length > 0) throw purchaseOrderError(`CSV is missing columns: ${missing.join(', ')} (expected ${columns.join(', ')})`, 400);
+}
+
+// One CSV row per order line; the order fields repeat on every row
+function purchaseOrdersFromCsv(text) {
+    const rows = parseCsv(text);
+    requireColumns(rows, ORDER_COLUMNS, ['po_number', 'quantity', 'unit_price']);
+
+    const orders = new Map();
+    rows.forEach(row => {
+        const key = normalizePoNumber(row.po_number);
+        if (!orders.has(key)) {
+            orders.set(key, {
+                poNumber: row.po_number,
+                vendorId: row.vendor_id || null,
+                vendorName: row.vendor_name || null,
+                currency: row.currency || 'USD',
+                orderDate: row.order_date || null,
+                status: row.status || STATUS.OPEN,
+                lines: []
+            });
+        }
+        orders.get(key).lines.push({
+            lineNumber: row.line_number,
+            sku: row.sku || null,
+            description: row.description,
+            quantity: row.quantity,
+            unitPrice: row.unit_price
+        });
+    });
+
+    return [...orders.values()].map(order => buildPurchaseOrder(order, { source: 'csv' }));
+}
+
+// One CSV row per received line
+function receiptsFromCsv(text) {
+    const rows = parseCsv(text);
+    requireColumns(rows, RECEIPT_COLUMNS, ['po_number', 'receipt_id', 'line_number', 'quantity']);
+
+    const receipts = new Map();
+    rows.forEach(row => {
+        const key = `${normalizePoNumber(row.po_number)}|${row.receipt_id}`;
+        if (!receipts.has(key)) {
+            receipts.set(key, { poNumber: row.po_number, receiptId: row.receipt_id, receivedAt: row.received_at || null, lines: [] });
+        }
+        receipts.get(key).lines.push({ lineNumber: row.line_number, quantity: row.quantity });
+    });
+
+    return [...receipts.values()].map(({ poNumber, ...receipt }) => ({ poNumber, receipt: buildReceipt(receipt) }));
+}
+
+function createPurchaseOrderStore({
+    dynamodb,
+    tableName = process.env.PURCHASE_ORDER_TABLE
+} = {}) {
+    if (!tableName) {
+        throw new Error('PURCHASE_ORDER_TABLE is not configured');
+    }
+
+    const store = {
+        async get(poNumber) {
+            const poKey = normalizePoNumber(poNumber);
+            if (!poKey) return null;
+            const result = await dynamodb.get({ TableName: tableName, Key: { poKey } }).promise();
+            return result.Item || null;
+        },
+
+        // Creates or replaces the order; receipts already recorded are kept
+        async put(purchaseOrder) {
+            const { poKey, createdAt, ...fields } = purchaseOrder;
+            const names = {};
+            const values = { ':createdAt': createdAt, ':noReceipts': {} };
+            const sets = ['createdAt = if_not_exists(createdAt, :createdAt)', 'receipts = if_not_exists(receipts, :noReceipts)'];
+
+            Object.entries(fields).forEach(([field, value], index) => {
+                names[`#f${index}`] = field;
+                values[`:f${index}`] = value;
+                sets.push(`#f${index} = :f${index}`);
+            });
+
+            const result = await dynamodb.update({
+                TableName: tableName,
+                Key: { poKey },
+                UpdateExpression: `SET ${sets.join(', ')}`,
+                ExpressionAttributeNames: names,
+                ExpressionAttributeValues: values,
+                ReturnValues: 'ALL_NEW'
+            }).promise();
+            return result.Attributes;
+        },
+
+        // Idempotent per receiptId. Lines must exist on the order.
+        async addReceipt(poNumber, receipt) {
+            const purchaseOrder = await store.get(poNumber);
+            if (!purchaseOrder) throw purchaseOrderError(`Purchase order ${poNumber} not found`, 404);
+
+            const lineNumbers = purchaseOrder.lines.map(line => line.lineNumber);
+            const unknown = receipt.lines.filter(line => !lineNumbers.includes(line.lineNumber));
+            if (unknown.length > 0) {
+                throw purchaseOrderError(`Purchase order ${poNumber} has no line ${unknown.map(line => line.lineNumber).join(', ')}`, 400);
+            }
+
+            const result = await dynamodb.update({
+                TableName: tableName,
+                Key: { poKey: purchaseOrder.poKey },
+                UpdateExpression: 'SET receipts.#receiptId = :receipt, updatedAt = :updatedAt',
+                ConditionExpression: 'attribute_exists(poKey)',
+                ExpressionAttributeNames: { '#receiptId': receipt.receiptId },
+                ExpressionAttributeValues: { ':receipt': receipt, ':updatedAt': new Date().toISOString() },
+                ReturnValues: 'ALL_NEW'
+            }).promise();
+            return result.Attributes;
+        }
+    };
+
+    return store;
+}
+
+module.exports = {
+    STATUS,
+    ORDER_COLUMNS,
+    RECEIPT_COLUMNS,
+    normalizePoNumber,
+    buildPurchaseOrder,
+    buildReceipt,
+    receivedQuantities,
+    parseCsv,
+    purchaseOrdersFromCsv,
+    receiptsFromCsv,
+    createPurchaseOrderStore
+};
@@ -0,0 +1,93 @@
+// Line-item arithmetic reconciliation
+//
+// Checks sum(line totals) + tax + shipping - discount against the extracted
+// totalAmount so a total picked from the wrong line (e.g. "Subtotal") is
+// flagged instead of silently stored.
+
+const DEFAULT_OPTIONS = {
+    // Absolute tolerance in currency units and relative tolerance in percent;
+    // the larger of the two applies.
+    absoluteTolerance: parseFloat(process.env.RECONCILIATION_TOLERANCE || '0.05'),
+    percentTolerance: parseFloat(process.env.RECONCILIATION_TOLERANCE_PERCENT || '0.5')
+};
+
+function reconcileInvoice(extractedData, options = {}) {
+    const { absoluteTolerance, percentTolerance } = { ...DEFAULT_OPTIONS, ...options };
+    const invoiceData = extractedData.invoiceData || {};
+    const lineItems = (invoiceData.lineItems || []).filter(item => isNumber(item.lineTotal));
+    const extractedTotal = invoiceData.totalAmount;
+
+    const result = {
+        status: 'skipped',
+        lineItemsTotal: null,
+        expectedTotal: null,
+        extractedTotal: isNumber(extractedTotal) ? extractedTotal : null,
+        discrepancy: null,
+        tolerance: null,
+        components: null,
+        reasons: []
+    };
+
+    if (lineItems.length === 0) {
+        result.reasons.push('No line items with amounts to reconcile');
+        return result;
+    }
+    if (!isNumber(extractedTotal)) {
+        result.reasons.push('No total amount extracted');
+        return result;
+    }
+
+    const lineItemsTotal = roundCurrency(lineItems.reduce((sum, item) => sum + item.lineTotal, 0));
+    const taxAmount = isNumber(invoiceData.taxAmount) ? invoiceData.taxAmount : estimateTax(lineItems);
+    const shippingAmount = isNumber(invoiceData.shippingAmount) ? invoiceData.shippingAmount : 0;
+    const discountAmount = isNumber(invoiceData.discountAmount) ? Math.abs(invoiceData.discountAmount) : 0;
+
+    const expectedTotal = roundCurrency(lineItemsTotal + taxAmount + shippingAmount - discountAmount);
+    const tolerance = roundCurrency(Math.max(absoluteTolerance, Math.abs(expectedTotal) * percentTolerance / 100));
+    const discrepancy = roundCurrency(extractedTotal - expectedTotal);
+
+    Object.assign(result, {
+        lineItemsTotal,
+        expectedTotal,
+        discrepancy,
+        tolerance,
+        components: { taxAmount, shippingAmount, discountAmount }
+    });
+
+    if (Math.abs(discrepancy) <= tolerance) {
+        result.status = 'matched';
+        return result;
+    }
+
+    result.status = 'mismatch';
+    result.reasons.push(`Extracted total ${extractedTotal} differs from expected ${expectedTotal} by ${discrepancy}`);
+
+    if (isNumber(invoiceData.subtotal) && Math.abs(extractedTotal - invoiceData.subtotal) <= tolerance && taxAmount + shippingAmount > 0) {
+        result.reasons.push('Extracted total equals the subtotal; the grand total was probably missed');
+    } else if (Math.abs(extractedTotal - lineItemsTotal) <= tolerance && taxAmount + shippingAmount > 0) {
+        result.reasons.push('Extracted total equals the sum of line items before tax and shipping');
+    }
+
+    return result;
+}
+
+// Only used when no tax line was found but line items carry a tax amount
+// or a tax rate
+function estimateTax(lineItems) {
+    return roundCurrency(lineItems.reduce((sum, item) => {
+        if (isNumber(item.taxAmount)) return sum + item.taxAmount;
+        return sum + (isNumber(item.taxRate) ? item.lineTotal * item.taxRate : 0);
+    }, 0));
+}
+
+function roundCurrency(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && !isNaN(value);
+}
+
+module.exports = {
+    reconcileInvoice
+};
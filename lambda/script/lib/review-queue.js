@@ -0,0 +1,357 @@
+// Human review queue for low-confidence extractions
+//
+// assessConfidence compares extractedData.confidence against per-field
+// thresholds (REVIEW_CONFIDENCE_THRESHOLDS, JSON, 0-100). Invoices that fall
+// short are parked in the review table as 'pending_review' instead of being
+// stored. A reviewer claims an item, corrects fields and approves or rejects
+// it; approval hands the corrected extraction back to store-extracted-data.
+//
+// Review item (REVIEW_QUEUE_TABLE, hash key reviewId, status-index on
+// status + createdAt):
+// {
+//     reviewId, status: 'pending_review' | 'approved' | 'rejected',
+//     createdAt, updatedAt, sourceFile, sourceBucket,
+//     extractionLocation: { bucket, key },   // original extractedData in S3
+//     invoiceData, confidence, fieldSources, normalization,  // summary of the original extraction
+//     reasons: [{ field, reason: 'low_confidence' | 'missing' | 'unparsed', confidence, threshold }],
+//     claimedBy, claimExpiresAt,
+//     corrections: { [field]: { original, corrected, correctedBy, correctedAt } },
+//     decidedBy, decidedAt, decisionNote,
+//     storage: { status, invoiceId, duplicateOf },   // once an approval is stored
+//     history: [{ action, reviewer, at, ... }]
+// }
+
+const crypto = require('crypto');
+const normalize = require('./normalize');
+
+const DEFAULT_THRESHOLDS = {
+    invoiceNumber: 80,
+    totalAmount: 80,
+    vendorName: 60,
+    invoiceDate: 50
+};
+
+const DEFAULT_CLAIM_SECONDS = 15 * 60;
+
+const STATUS = {
+    PENDING: 'pending_review',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+// invoiceData fields a reviewer may correct
+const CORRECTABLE_FIELDS = [
+    'invoiceNumber', 'invoiceDate', 'dueDate', 'totalAmount', 'currency',
+    'vendorName', 'vendorAddress', 'vendorTaxId',
+    'subtotal', 'taxAmount', 'shippingAmount', 'discountAmount'
+];
+
+const DATE_FIELDS = ['invoiceDate', 'dueDate'];
+const AMOUNT_FIELDS = ['totalAmount', 'subtotal', 'taxAmount', 'shippingAmount', 'discountAmount'];
+
+// Errors carry the HTTP status the review API should answer with
+function reviewError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function loadThresholds() {
+    try {
+        return { ...DEFAULT_THRESHOLDS, ...JSON.parse(process.env.REVIEW_CONFIDENCE_THRESHOLDS || '{}') };
+    } catch (error) {
+        console.error('Invalid REVIEW_CONFIDENCE_THRESHOLDS, using defaults:', error.message);
+        return { ...DEFAULT_THRESHOLDS };
+    }
+}
+
+// A field needs review when it is missing, when its confidence is below the
+// threshold, or when normalization could not read it
+function assessConfidence(extractedData, thresholds = loadThresholds()) {
+    const reasons = [];
+    const confidence = extractedData.confidence || {};
+    const invoiceData = extractedData.invoiceData || {};
+
+    for (const [field, threshold] of Object.entries(thresholds)) {
+        if (!threshold) continue;
+
+        const value = invoiceData[field];
+        const fieldConfidence = confidence[field] || 0;
+        if (value === null || value === undefined || value === '') {
+            reasons.push({ field, reason: 'missing', confidence: 0, threshold });
+        } else if (fieldConfidence < threshold) {
+            reasons.push({ field, reason: 'low_confidence', confidence: fieldConfidence, threshold });
+        }
+    }
+
+    const unparsed = (extractedData.normalization && extractedData.normalization.unparsed) || [];
+    unparsed
+        .filter(field => !reasons.some(reason => reason.field === field))
+        .forEach(field => reasons.push({ field, reason: 'unparsed', confidence: confidence[field] || 0, threshold: null }));
+
+    return { reviewRequired: reasons.length > 0, reasons };
+}
+
+// Applies reviewer corrections to a copy of the original extraction. The
+// corrected values are normalized the same way extraction output is.
+function applyCorrections(extractedData, corrections) {
+    const corrected = JSON.parse(JSON.stringify(extractedData));
+    const invoiceData = corrected.invoiceData;
+    const settings = corrected.normalization || normalize.resolveLocaleSettings({ vendorName: invoiceData.vendorName });
+    invoiceData.minorUnits = invoiceData.minorUnits || {};
+    corrected.fieldSources = corrected.fieldSources || {};
+
+    // Currency first so corrected amounts use its precision
+    const fields = Object.keys(corrections || {}).sort((a, b) => (a === 'currency' ? -1 : b === 'currency' ? 1 : 0));
+
+    fields.forEach(field => {
+        const value = corrections[field].corrected;
+        corrected.fieldSources[field] = 'review';
+        if (field in (corrected.confidence || {})) corrected.confidence[field] = 100;
+
+        if (AMOUNT_FIELDS.includes(field) && value !== null) {
+            const minor = normalize.toMinorUnits(value, { currency: invoiceData.currency, decimalSeparator: settings.decimalSeparator });
+            invoiceData.minorUnits[field] = minor;
+            invoiceData[field] = normalize.fromMinorUnits(minor, invoiceData.currency);
+        } else {
+            invoiceData[field] = value;
+        }
+    });
+
+    return corrected;
+}
+
+function normalizeCorrection(field, value, settings = {}, currency) {
+    if (!CORRECTABLE_FIELDS.includes(field)) {
+        throw reviewError(`Field ${field} cannot be corrected`, 400);
+    }
+    if (value === null || value === '') return null;
+
+    if (DATE_FIELDS.includes(field)) {
+        const date = normalize.normalizeDate(value, settings);
+        if (!date) throw reviewError(`${field} is not a valid date: ${value}`, 400);
+        return date;
+    }
+    if (AMOUNT_FIELDS.includes(field)) {
+        const minor = normalize.toMinorUnits(value, { currency, decimalSeparator: settings.decimalSeparator });
+        if (minor === null) throw reviewError(`${field} is not a valid amount: ${value}`, 400);
+        return normalize.fromMinorUnits(minor, currency);
+    }
+    if (field === 'currency') {
+        const code = normalize.detectCurrency(String(value).toUpperCase());
+        if (!code) throw reviewError(`Unknown currency: ${value}`, 400);
+        return code;
+    }
+    return String(value).trim();
+}
+
+function createReviewQueue({
+    dynamodb,
+    s3,
+    tableName = process.env.REVIEW_QUEUE_TABLE,
+    bucketName = process.env.PROCESSED_BUCKET_NAME,
+    claimSeconds = parseInt(process.env.REVIEW_CLAIM_SECONDS || `${DEFAULT_CLAIM_SECONDS}`, 10)
+} = {}) {
+    if (!dynamodb || !s3) {
+        throw new Error('Review queue requires DynamoDB and S3 clients');
+    }
+
+    async function get(reviewId) {
+        const result = await dynamodb.get({ TableName: tableName, Key: { reviewId } }).promise();
+        if (!result.Item) {
+            throw reviewError(`Review ${reviewId} not found`, 404);
+        }
+        return result.Item;
+    }
+
+    // Conditional update that turns a failed condition into a readable conflict
+    async function update(reviewId, params, conflictMessage) {
+        try {
+            const result = await dynamodb.update({
+                TableName: tableName,
+                Key: { reviewId },
+                ReturnValues: 'ALL_NEW',
+                ...params
+            }).promise();
+            return result.Attributes;
+        } catch (error) {
+            if (error.code === 'ConditionalCheckFailedException') {
+                throw reviewError(conflictMessage, 409);
+            }
+            throw error;
+        }
+    }
+
+    return {
+        tableName,
+
+        async enqueue({ extractedData, sourceFile, sourceBucket, reasons }) {
+            const reviewId = crypto.randomUUID();
+            const now = new Date().toISOString();
+            const extractionKey = `review/${reviewId}/extracted-data.json`;
+
+            // The full extraction can exceed the DynamoDB item limit
+            await s3.putObject({
+                Bucket: bucketName,
+                Key: extractionKey,
+                Body: JSON.stringify(extractedData, null, 2),
+                ContentType: 'application/json',
+                ServerSideEncryption: 'AES256'
+            }).promise();
+
+            const { lineItems, ...invoiceSummary } = extractedData.invoiceData || {};
+            const item = {
+                reviewId,
+                status: STATUS.PENDING,
+                createdAt: now,
+                updatedAt: now,
+                sourceFile,
+                sourceBucket,
+                extractionLocation: { bucket: bucketName, key: extractionKey },
+                invoiceData: { ...invoiceSummary, lineItemsCount: (lineItems || []).length },
+                confidence: extractedData.confidence || {},
+                fieldSources: extractedData.fieldSources || {},
+                normalization: extractedData.normalization || null,
+                reconciliationStatus: extractedData.reconciliation ? extractedData.reconciliation.status : 'skipped',
+                reasons,
+                corrections: {},
+                history: [{ action: 'queued', at: now, reasons: reasons.map(reason => reason.field) }]
+            };
+
+            await dynamodb.put({
+                TableName: tableName,
+                Item: item,
+                ConditionExpression: 'attribute_not_exists(reviewId)'
+            }).promise();
+
+            return item;
+        },
+
+        get,
+
+        async list({ status = STATUS.PENDING, limit = 25, nextToken } = {}) {
+            const result = await dynamodb.query({
+                TableName: tableName,
+                IndexName: 'status-index',
+                KeyConditionExpression: '#status = :status',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: { ':status': status },
+                Limit: limit,
+                ExclusiveStartKey: nextToken ? JSON.parse(Buffer.from(nextToken, 'base64').toString('utf8')) : undefined
+            }).promise();
+
+            return {
+                items: result.Items || [],
+                nextToken: result.LastEvaluatedKey
+                    ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
+                    : null
+            };
+        },
+
+        async loadExtraction(item) {
+            const object = await s3.getObject({
+                Bucket: item.extractionLocation.bucket,
+                Key: item.extractionLocation.key
+            }).promise();
+            return JSON.parse(object.Body.toString('utf8'));
+        },
+
+        // A claim is a lease: it lapses after claimSeconds so abandoned items
+        // return to the queue
+        async claim(reviewId, reviewer) {
+            const now = new Date();
+            return update(reviewId, {
+                UpdateExpression: 'SET claimedBy = :reviewer, claimExpiresAt = :expires, updatedAt = :now, ' +
+                    'history = list_append(history, :entry)',
+                ConditionExpression: '#status = :pending AND (attribute_not_exists(claimedBy) OR claimedBy = :reviewer OR claimExpiresAt < :now)',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: {
+                    ':reviewer': reviewer,
+                    ':expires': new Date(now.getTime() + claimSeconds * 1000).toISOString(),
+                    ':now': now.toISOString(),
+                    ':pending': STATUS.PENDING,
+                    ':entry': [{ action: 'claimed', reviewer, at: now.toISOString() }]
+                }
+            }, `Review ${reviewId} is not pending or is claimed by another reviewer`);
+        },
+
+        // Corrections keep the value first extracted, however often a field
+        // is corrected
+        async correct(reviewId, reviewer, values) {
+            const item = await get(reviewId);
+            const now = new Date().toISOString();
+            const currency = values.currency
+                ? normalizeCorrection('currency', values.currency)
+                : item.invoiceData.currency;
+
+            const corrections = { ...(item.corrections || {}) };
+            for (const [field, value] of Object.entries(values || {})) {
+                const previous = corrections[field];
+                corrections[field] = {
+                    original: previous ? previous.original : (item.invoiceData[field] === undefined ? null : item.invoiceData[field]),
+                    corrected: field === 'currency' ? currency : normalizeCorrection(field, value, item.normalization || {}, currency),
+                    correctedBy: reviewer,
+                    correctedAt: now
+                };
+            }
+
+            return update(reviewId, {
+                UpdateExpression: 'SET corrections = :corrections, updatedAt = :now, history = list_append(history, :entry)',
+                ConditionExpression: '#status = :pending AND claimedBy = :reviewer AND claimExpiresAt >= :now',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: {
+                    ':corrections': corrections,
+                    ':reviewer': reviewer,
+                    ':now': now,
+                    ':pending': STATUS.PENDING,
+                    ':entry': [{ action: 'corrected', reviewer, at: now, fields: Object.keys(values || {}) }]
+                }
+            }, `Claim review ${reviewId} before correcting it`);
+        },
+
+        async decide(reviewId, reviewer, decision, note = null) {
+            if (decision !== STATUS.APPROVED && decision !== STATUS.REJECTED) {
+                throw reviewError(`Unknown review decision: ${decision}`, 400);
+            }
+
+            const now = new Date().toISOString();
+            return update(reviewId, {
+                UpdateExpression: 'SET #status = :decision, decidedBy = :reviewer, decidedAt = :now, decisionNote = :note, ' +
+                    'updatedAt = :now, history = list_append(history, :entry) REMOVE claimedBy, claimExpiresAt',
+                ConditionExpression: '#status = :pending AND claimedBy = :reviewer AND claimExpiresAt >= :now',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: {
+                    ':decision': decision,
+                    ':reviewer': reviewer,
+                    ':now': now,
+                    ':note': note,
+                    ':pending': STATUS.PENDING,
+                    ':entry': [{ action: decision, reviewer, at: now, note }]
+                }
+            }, `Claim review ${reviewId} before deciding on it`);
+        },
+
+        async recordStorage(reviewId, storage) {
+            const now = new Date().toISOString();
+            return update(reviewId, {
+                UpdateExpression: 'SET storage = :storage, updatedAt = :now, history = list_append(history, :entry)',
+                ExpressionAttributeValues: {
+                    ':storage': storage,
+                    ':now': now,
+                    ':entry': [{ action: 'stored', at: now, status: storage.status }]
+                }
+            }, `Review ${reviewId} could not be updated`);
+        }
+    };
+}
+
+module.exports = {
+    STATUS,
+    DEFAULT_THRESHOLDS,
+    CORRECTABLE_FIELDS,
+    loadThresholds,
+    assessConfidence,
+    applyCorrections,
+    normalizeCorrection,
+    createReviewQueue
+};
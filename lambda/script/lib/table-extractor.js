@@ -0,0 +1,218 @@
+// Table reconstruction and invoice line-item mapping
+//
+// Rebuilds TABLE blocks from their CELL / MERGED_CELL children into a
+// row/column grid, detects the header row and maps invoice tables onto
+// { description, quantity, unitPrice, lineTotal, taxRate, taxAmount } records.
+
+const normalize = require('./normalize');
+
+const COLUMN_SYNONYMS = {
+    description: ['description', 'item', 'items', 'product', 'service', 'details', 'particulars', 'article'],
+    quantity: ['qty', 'quantity', 'units', 'hours', 'hrs', 'qty.'],
+    // Not "unit": that is the unit of measure
+    unitPrice: ['unit price', 'price', 'rate', 'unit cost', 'cost', 'price each'],
+    // Checked before taxRate and lineTotal: "Tax Amount" holds money, and
+    // would otherwise be read as the line total through "amount" ("tax" is
+    // too short to match as a substring)
+    taxAmount: ['tax amount', 'vat amount', 'gst amount', 'tax amt', 'tax value', 'vat value', 'total tax', 'tax total'],
+    taxRate: ['tax', 'vat', 'tax rate', 'tax %', 'vat %', 'gst', 'vat rate', 'gst rate'],
+    lineTotal: ['amount', 'total', 'line total', 'ext price', 'extended', 'net amount', 'subtotal']
+};
+
+// Headers naming a tax, which are never the line total however they say "total"
+const TAX_HEADER_PATTERN = /\b(tax|vat|gst)\b/;
+
+// Rows such as "Subtotal" or "Total" summarize the table and are not line items
+const SUMMARY_ROW_PATTERN = /^(sub\s*-?\s*total|total|grand\s*total|tax|vat|gst|shipping|freight|discount|balance|amount\s*due)\b/i;
+
+function extractTables(blocks, blockMap = indexBlocks(blocks)) {
+    return blocks
+        .filter(block => block.BlockType === 'TABLE')
+        .map((table, index) => buildTable(table, index, blockMap));
+}
+
+function buildTable(table, tableIndex, blockMap) {
+    const cells = getChildren(table, blockMap).filter(block => block.BlockType === 'CELL');
+    const mergedCells = getRelatedBlocks(table, blockMap, 'MERGED_CELL')
+        .filter(block => block.BlockType === 'MERGED_CELL');
+
+    const rowCount = cells.reduce((max, cell) => Math.max(max, cell.RowIndex + (cell.RowSpan || 1) - 1), 0);
+    const columnCount = cells.reduce((max, cell) => Math.max(max, cell.ColumnIndex + (cell.ColumnSpan || 1) - 1), 0);
+
+    const grid = Array.from({ length: rowCount }, () => new Array(columnCount).fill(''));
+    const headerRows = new Set();
+
+    cells.forEach(cell => {
+        grid[cell.RowIndex - 1][cell.ColumnIndex - 1] = getCellText(cell, blockMap);
+        if (cell.EntityTypes && cell.EntityTypes.includes('COLUMN_HEADER')) {
+            headerRows.add(cell.RowIndex - 1);
+        }
+    });
+
+    // A merged cell spans several CELL blocks; Textract only attaches the
+    // text to the first one, so spread it over the whole span.
+    mergedCells.forEach(merged => {
+        const text = getChildren(merged, blockMap)
+            .map(cell => getCellText(cell, blockMap))
+            .filter(cellText => cellText)
+            .join(' ');
+
+        for (let r = 0; r < (merged.RowSpan || 1); r++) {
+            for (let c = 0; c < (merged.ColumnSpan || 1); c++) {
+                const row = grid[merged.RowIndex - 1 + r];
+                if (row) row[merged.ColumnIndex - 1 + c] = text;
+            }
+        }
+    });
+
+    const headerRowIndex = headerRows.size > 0 ? Math.max(...headerRows) : detectHeaderRow(grid);
+    const headers = headerRowIndex >= 0 ? grid[headerRowIndex] : [];
+
+    return {
+        tableIndex,
+        page: table.Page || 1,
+        rowCount,
+        columnCount,
+        headers,
+        rows: grid.slice(headerRowIndex + 1),
+        confidence: table.Confidence || 0,
+        cellCount: cells.length
+    };
+}
+
+// Without COLUMN_HEADER hints, treat the first row whose cells mostly
+// match known column names as the header.
+function detectHeaderRow(grid) {
+    for (let r = 0; r < Math.min(grid.length, 3); r++) {
+        const nonEmpty = grid[r].filter(text => text);
+        if (nonEmpty.length === 0) continue;
+
+        const recognised = nonEmpty.filter(text => resolveColumn(text) !== null).length;
+        if (recognised / nonEmpty.length >= 0.5) return r;
+    }
+    return -1;
+}
+
+function mapLineItems(tables, options = {}) {
+    const lineItems = [];
+
+    tables.forEach(table => {
+        const columns = mapColumns(table.headers || []);
+        if (columns.description === undefined || (columns.lineTotal === undefined && columns.unitPrice === undefined)) {
+            return;
+        }
+
+        table.rows.forEach(row => {
+            const description = (row[columns.description] || '').trim();
+            if (!description || SUMMARY_ROW_PATTERN.test(description)) return;
+
+            const quantity = columns.quantity !== undefined ? parseNumber(row[columns.quantity], options) : null;
+            const unitPrice = columns.unitPrice !== undefined ? parseNumber(row[columns.unitPrice], options) : null;
+            let lineTotal = columns.lineTotal !== undefined ? parseNumber(row[columns.lineTotal], options) : null;
+
+            if (lineTotal === null && quantity !== null && unitPrice !== null) {
+                lineTotal = Math.round(quantity * unitPrice * 100) / 100;
+            }
+            if (lineTotal === null && unitPrice === null) return;
+
+            lineItems.push({
+                description,
+                quantity,
+                unitPrice,
+                lineTotal,
+                taxRate: columns.taxRate !== undefined ? parseRate(row[columns.taxRate], options) : null,
+                taxAmount: columns.taxAmount !== undefined ? parseNumber(row[columns.taxAmount], options) : null,
+                page: table.page || 1
+            });
+        });
+    });
+
+    return lineItems;
+}
+
+// Exact matches are assigned first, over every header, so an "Item #"
+// column cannot take description from a later "Description"; substring
+// matches then fill the fields still free, in column order
+function mapColumns(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const columns = {};
+    [exactField, substringField].forEach(resolve => normalized.forEach((header, index) => {
+        if (!header || Object.values(columns).includes(index)) return;
+        const field = resolve(header);
+        if (field && columns[field] === undefined) {
+            columns[field] = index;
+        }
+    }));
+    return columns;
+}
+
+function resolveColumn(header) {
+    const normalized = normalizeHeader(header);
+    if (!normalized) return null;
+    return exactField(normalized) || substringField(normalized);
+}
+
+function normalizeHeader(header) {
+    return (header || '').toLowerCase().replace(/\s+/g, ' ').replace(/[:()]/g, '').trim();
+}
+
+function exactField(normalized) {
+    const match = Object.entries(COLUMN_SYNONYMS).find(([, synonyms]) => synonyms.includes(normalized));
+    return match ? match[0] : null;
+}
+
+function substringField(normalized) {
+    const match = Object.entries(COLUMN_SYNONYMS).find(([field, synonyms]) =>
+        !(field === 'lineTotal' && TAX_HEADER_PATTERN.test(normalized)) &&
+        synonyms.some(synonym => synonym.length > 3 && normalized.includes(synonym)));
+    return match ? match[0] : null;
+}
+
+// "1.234,56" and "(12.00)" are handled by the shared amount parser
+function parseNumber(value, options = {}) {
+    if (!value) return null;
+    return normalize.parseAmount(value, options);
+}
+
+function parseRate(value, options = {}) {
+    const rate = parseNumber(value, options);
+    if (rate === null) return null;
+    // "8%" and "8" both mean 8 percent; "0.08" is already a fraction
+    return rate > 1 || /%/.test(value) ? rate / 100 : rate;
+}
+
+function getCellText(cell, blockMap) {
+    return getChildren(cell, blockMap)
+        .map(child => {
+            if (child.BlockType === 'WORD') return child.Text;
+            if (child.BlockType === 'SELECTION_ELEMENT') return child.SelectionStatus === 'SELECTED' ? 'X' : '';
+            return '';
+        })
+        .filter(text => text)
+        .join(' ');
+}
+
+function getChildren(block, blockMap) {
+    return getRelatedBlocks(block, blockMap, 'CHILD');
+}
+
+function getRelatedBlocks(block, blockMap, type) {
+    return (block.Relationships || [])
+        .filter(rel => rel.Type === type)
+        .flatMap(rel => rel.Ids)
+        .map(id => blockMap.get(id))
+        .filter(Boolean);
+}
+
+function indexBlocks(blocks) {
+    const blockMap = new Map();
+    blocks.forEach(block => blockMap.set(block.Id, block));
+    return blockMap;
+}
+
+module.exports = {
+    extractTables,
+    mapLineItems,
+    mapColumns,
+    detectHeaderRow
+};
@@ -0,0 +1,167 @@
+// Asynchronous Textract document analysis
+//
+// analyzeDocument only accepts single-page documents. Multi-page PDFs and
+// TIFFs go through StartDocumentAnalysis; Textract publishes the job
+// completion to an SNS topic (fanned out to SQS) and the completion handler
+// pages through GetDocumentAnalysis with NextToken to collect every block.
+// Callers that poll for the result themselves (redrives, the extraction
+// workflow) start jobs without the notification channel, so
+// textract-async-complete never sees them.
+
+const crypto = require('crypto');
+
+const MULTI_PAGE_FORMATS = ['.pdf', '.tiff', '.tif'];
+
+const DEFAULT_FEATURE_TYPES = ['TABLES', 'FORMS'];
+
+// TEXTRACT_MODE: 'sync' (analyzeDocument only), 'async' (always start a job)
+// or 'auto' (async for formats that can hold more than one page, when there
+// is a completion channel or the caller polls)
+function shouldUseAsync(objectKey, mode = process.env.TEXTRACT_MODE || 'auto', asyncAvailable = Boolean(process.env.TEXTRACT_SNS_TOPIC_ARN)) {
+    if (mode === 'sync') return false;
+    if (mode === 'async') return true;
+
+    const fileExtension = objectKey.toLowerCase().substring(objectKey.lastIndexOf('.'));
+    return MULTI_PAGE_FORMATS.includes(fileExtension) && asyncAvailable;
+}
+
+// Textract rejects multi-page documents on the sync API with these errors
+function isMultiPageError(error) {
+    return ['UnsupportedDocumentException', 'InvalidParameterException'].includes(error.code) &&
+        /page|unsupported/i.test(error.message || '');
+}
+
+async function startDocumentAnalysis(textract, options) {
+    const {
+        bucketName,
+        objectKey,
+        featureTypes = DEFAULT_FEATURE_TYPES,
+        snsTopicArn = process.env.TEXTRACT_SNS_TOPIC_ARN,
+        roleArn = process.env.TEXTRACT_ROLE_ARN,
+        eTag = '',
+        jobTag,
+        notifyCompletion = true
+    } = options;
+
+    if (notifyCompletion && (!snsTopicArn || !roleArn)) {
+        throw new Error('TEXTRACT_SNS_TOPIC_ARN and TEXTRACT_ROLE_ARN are required for async analysis');
+    }
+
+    const params = {
+        DocumentLocation: {
+            S3Object: {
+                Bucket: bucketName,
+                Name: objectKey
+            }
+        },
+        FeatureTypes: featureTypes,
+        // Textract returns the same JobId for a repeated token, so S3 event
+        // redeliveries do not start (and bill) a second job. Polled jobs use
+        // their own token: a job started with a completion channel would
+        // otherwise be handed back, and stored twice.
+        ClientRequestToken: buildClientRequestToken(bucketName, objectKey, notifyCompletion ? eTag : `${eTag}#polled`),
+        JobTag: jobTag || sanitizeJobTag(objectKey)
+    };
+    if (notifyCompletion) {
+        params.NotificationChannel = {
+            SNSTopicArn: snsTopicArn,
+            RoleArn: roleArn
+        };
+    }
+
+    const result = await textract.startDocumentAnalysis(params).promise();
+    return result.JobId;
+}
+
+async function getDocumentAnalysis(textract, jobId) {
+    const blocks = [];
+    const warnings = [];
+    let nextToken;
+    let response;
+
+    do {
+        const params = { JobId: jobId, MaxResults: 1000 };
+        if (nextToken) params.NextToken = nextToken;
+
+        response = await textract.getDocumentAnalysis(params).promise();
+
+        if (response.JobStatus === 'IN_PROGRESS') {
+            return { JobStatus: response.JobStatus, Blocks: [] };
+        }
+        if (response.JobStatus === 'FAILED') {
+            throw new Error(`Textract job ${jobId} failed: ${response.StatusMessage || 'unknown reason'}`);
+        }
+
+        blocks.push(...(response.Blocks || []));
+        warnings.push(...(response.Warnings || []));
+        nextToken = response.NextToken;
+    } while (nextToken);
+
+    return {
+        JobStatus: response.JobStatus,
+        DocumentMetadata: response.DocumentMetadata,
+        Warnings: warnings,
+        Blocks: blocks
+    };
+}
+
+// Polling fallback for callers without a completion channel (scripts, tests)
+async function waitForDocumentAnalysis(textract, jobId, options = {}) {
+    const { pollInterval = 5000, timeout = 10 * 60 * 1000 } = options;
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+        const result = await getDocumentAnalysis(textract, jobId);
+        if (result.JobStatus !== 'IN_PROGRESS') return result;
+        await sleep(pollInterval);
+    }
+
+    throw new Error(`Textract job ${jobId} did not complete within ${timeout}ms`);
+}
+
+// Accepts an SNS record, an SQS record carrying an SNS envelope (raw message
+// delivery off) or an SQS record carrying the bare Textract message.
+function parseCompletionMessage(record) {
+    let message;
+
+    if (record.Sns) {
+        message = JSON.parse(record.Sns.Message);
+    } else if (record.body) {
+        const body = JSON.parse(record.body);
+        message = body.Type === 'Notification' && body.Message ? JSON.parse(body.Message) : body;
+    } else {
+        throw new Error('Unrecognised job completion record');
+    }
+
+    return {
+        jobId: message.JobId,
+        status: message.Status,
+        api: message.API,
+        jobTag: message.JobTag,
+        bucketName: message.DocumentLocation && message.DocumentLocation.S3Bucket,
+        objectKey: message.DocumentLocation && message.DocumentLocation.S3ObjectName,
+        timestamp: message.Timestamp
+    };
+}
+
+function buildClientRequestToken(bucketName, objectKey, eTag) {
+    return crypto.createHash('sha256').update(`${bucketName}/${objectKey}#${eTag}`).digest('hex').substring(0, 64);
+}
+
+// JobTag allows [a-zA-Z0-9_.\-:] and at most 64 characters
+function sanitizeJobTag(objectKey) {
+    return objectKey.replace(/[^a-zA-Z0-9_.\-:]/g, '_').slice(-64);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    shouldUseAsync,
+    isMultiPageError,
+    startDocumentAnalysis,
+    getDocumentAnalysis,
+    waitForDocumentAnalysis,
+    parseCompletionMessage
+};
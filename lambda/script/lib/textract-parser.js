@@ -0,0 +1,664 @@
+// Shared Textract parsing library
+//
+// Every handler that turns a Textract response into invoice data goes through
+// parseTextractResult so that a fix to a pattern lands everywhere at once.
+// Bump SCHEMA_VERSION whenever the shape of extractedData changes, and keep
+// the schema below in step with it.
+//
+// extractedData schema (1.x, the current version is SCHEMA_VERSION):
+// {
+//     schemaVersion: SCHEMA_VERSION,
+//     fileName: string,
+//     extractedAt: ISO-8601 string,
+//     rawText: string,                       // LINE blocks joined with '\n'
+//     pageCount: number,
+//     pages: [{ page, lineCount, offset }],  // offset of the page in rawText
+//     keyValuePairs: {                       // keys lower-cased and trimmed
+//         [key]: { value: string, confidence: number, page: number }
+//     },
+//     tables: [{                             // see lib/table-extractor.js
+//         tableIndex, page, rowCount, columnCount,
+//         headers: [string], rows: [[string]], confidence, cellCount
+//     }],
+//     confidence: {                          // 0-100
+//         overall, invoiceNumber, invoiceDate, totalAmount, vendorName
+//     },
+//     fieldSources: {                        // where each invoiceData field came from
+//         [field]: 'template' | 'expense' | 'form' | 'pattern' | 'table'
+//     },
+//     template: null | {                     // vendor template used, see lib/vendor-templates.js
+//         templateId, vendorName,
+//         matchedOn: { taxId, keyPhrases },
+//         fields: { [field]: 'label' | 'region' | 'pattern' }
+//     },
+//     rawValues: {                           // dates and amounts exactly as found
+//         [field]: string
+//     },
+//     normalization: {                       // see lib/normalize.js
+//         locale, dateOrder, decimalSeparator,
+//         unparsed: [field]                  // raw value present but not understood
+//     },
+//     invoiceData: {
+//         invoiceNumber,
+//         poNumber,                          // purchase order the invoice bills against
+//         invoiceDate, dueDate,              // ISO-8601 YYYY-MM-DD
+//         totalAmount,
+//         currency,                          // ISO-4217
+//         vendorName, vendorAddress, vendorTaxId,
+//         subtotal, taxAmount, shippingAmount, discountAmount,
+//         minorUnits: {                      // exact integer amounts (cents, pence...)
+//             totalAmount, subtotal, taxAmount, shippingAmount, discountAmount
+//         },
+//         lineItems: [{ description, quantity, unitPrice, lineTotal, taxRate, taxAmount, page }]
+//     },
+//     reconciliation: { ... }                // see lib/reconciliation.js
+// }
+
+const { extractTables, mapLineItems } = require('./table-extractor');
+const { reconcileInvoice } = require('./reconciliation');
+const { mapExpenseSummary, mapExpenseLineItems } = require('./expense-mapper');
+const { selectTemplate, extractTemplateFields } = require('./vendor-templates');
+const normalize = require('./normalize');
+
+const SCHEMA_VERSION = '1.8.0';
+
+const DEFAULT_CURRENCY = 'USD';
+
+const INVOICE_NUMBER_KEYS = ['invoice number', 'invoice no', 'invoice #', 'invoice id', 'inv no', 'bill number'];
+const TOTAL_AMOUNT_KEYS = ['grand total', 'total due', 'amount due', 'balance due', 'total amount', 'total'];
+const INVOICE_DATE_KEYS = ['invoice date', 'date of issue', 'issue date', 'date'];
+const DUE_DATE_KEYS = ['due date', 'payment due', 'due'];
+const PO_NUMBER_KEYS = ['po number', 'po no', 'po #', 'po', 'p.o. number', 'p.o. no', 'p.o. #', 'purchase order number', 'purchase order no', 'purchase order'];
+
+// Most specific patterns first: "Invoice Number: X" must not match the generic
+// "Invoice X" pattern and capture the word "Number".
+const INVOICE_NUMBER_PATTERNS = [
+    /invoice\s*(?:number|no\.?|id)\s*[:#]?\s*([a-zA-Z0-9\-\/]+)/i,
+    /invoice\s*#\s*:?\s*([a-zA-Z0-9\-\/]+)/i,
+    /inv\s*(?:#|no\.?)\s*:?\s*([a-zA-Z0-9\-\/]+)/i,
+    /bill\s*(?:number|no\.?|#)\s*:?\s*([a-zA-Z0-9\-\/]+)/i,
+    /invoice\s*:?\s*([a-zA-Z0-9\-\/]+)/i
+];
+
+// "PO Box" and words starting with "po" are not purchase orders, and the
+// number must contain a digit
+const PO_NUMBER_PATTERNS = [
+    /\b(?:purchase\s*order|p\.?\s?o\.?)(?![a-z])(?!\s*box\b)\s*(?:number|no\.?|#)?\s*[:#]?\s*([a-z0-9][a-z0-9\-\/]*\d[a-z0-9\-\/]*)/i
+];
+
+// An optional currency code or symbol followed by an amount in either
+// "1,234.56" or "1.234,56" form; lib/normalize.js decides which is which.
+const CURRENCY_PREFIX = '(?:[A-Z]{3}|[A-Z]{0,2}[$€£¥₹])?';
+const AMOUNT_NUMBER = "([0-9](?:[0-9.,'\\u00a0]*[0-9])?)";
+
+function amountPattern(label) {
+    return new RegExp(`${label}\\s*:?\\s*${CURRENCY_PREFIX}\\s*-?\\s*${AMOUNT_NUMBER}`, 'i');
+}
+
+// "Subtotal" must never be mistaken for the invoice total.
+const AMOUNT_PATTERNS = [
+    amountPattern('grand\\s*total'),
+    amountPattern('amount\\s*due'),
+    amountPattern('balance\\s*due'),
+    amountPattern('(?<!sub\\s?)\\btotal')
+];
+
+// Summary amounts used to reconcile line items against the total
+const SUMMARY_AMOUNT_PATTERNS = {
+    subtotal: amountPattern('sub\\s*-?\\s*total'),
+    taxAmount: amountPattern('\\b(?:sales\\s*tax|tax|vat|gst|hst|mwst|tva|iva)\\b(?!\\s*(?:id|number|no\\b|#|exempt|reg))(?:\\s*\\(?[0-9.,]+\\s*%\\)?)?'),
+    shippingAmount: amountPattern('\\b(?:shipping|freight|delivery)(?:\\s*(?:&|and)\\s*handling)?'),
+    discountAmount: amountPattern('\\bdiscount\\s*:?\\s*-?\\s*\\(?')
+};
+
+const MONTH_NAME = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+// Left as found; lib/normalize.js converts them to ISO-8601 once the
+// vendor's locale is known
+const DATE_PATTERNS = [
+    /\b\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4}\b/g,
+    /\b\d{4}[\/\-.]\d{1,2}[\/\-.]\d{1,2}\b/g,
+    new RegExp(`\\b${MONTH_NAME}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b`, 'gi'),
+    new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\.?\\s+${MONTH_NAME},?\\s+\\d{4}\\b`, 'gi')
+];
+
+const DATE_FIELDS = ['invoiceDate', 'dueDate'];
+const AMOUNT_FIELDS = ['totalAmount', 'subtotal', 'taxAmount', 'shippingAmount', 'discountAmount'];
+
+const noopLogger = {
+    info: () => {},
+    warn: () => {},
+    error: () => {}
+};
+
+// options.templates are the vendor templates to choose from (as returned by a
+// template store); options.templateId forces one of them. options.locale /
+// options.dateOrder settle ambiguous dates and amounts when neither the
+// template nor NORMALIZATION_CONFIG has a locale.
+function parseTextractResult(textractResult, fileName, logger = noopLogger, options = {}) {
+    const blocks = textractResult.Blocks || [];
+    const extractedData = createExtractedData(fileName);
+
+    // Extract raw text with confidence scores. Blocks from multi-page async
+    // jobs carry a Page number; single-page sync responses do not.
+    const textBlocks = blocks.filter(block => block.BlockType === 'LINE');
+    extractedData.rawText = textBlocks.map(block => block.Text).join('\n');
+    extractedData.pages = buildPageIndex(textBlocks);
+    extractedData.pageCount = Math.max(
+        (textractResult.DocumentMetadata && textractResult.DocumentMetadata.Pages) || 0,
+        extractedData.pages.length,
+        1
+    );
+
+    const confidenceScores = textBlocks
+        .map(block => block.Confidence || 0)
+        .filter(conf => conf > 0);
+
+    if (confidenceScores.length > 0) {
+        extractedData.confidence.overall =
+            confidenceScores.reduce((sum, conf) => sum + conf, 0) / confidenceScores.length;
+    }
+
+    const blockMap = indexBlocks(blocks);
+    extractedData.keyValuePairs = extractKeyValuePairs(blocks, blockMap);
+    extractedData.tables = extractTables(blocks, blockMap);
+
+    extractInvoiceData(extractedData);
+
+    // AnalyzeExpense fields win over pattern matches; patterns stay as the
+    // fallback for anything AnalyzeExpense did not find
+    const expenseDocuments = textractResult.ExpenseDocuments;
+    if (expenseDocuments) {
+        applyExpenseFields(extractedData, mapExpenseSummary(expenseDocuments));
+    }
+
+    // A matching vendor template knows the layout better than either
+    const selection = selectTemplate(options.templates, extractedData, options.templateId);
+    if (selection) {
+        applyTemplate(extractedData, selection, textBlocks);
+    }
+
+    // The vendor is known now, so its locale can settle ambiguous values
+    const template = selection ? selection.template : {};
+    extractedData.normalization = {
+        ...normalize.resolveLocaleSettings({
+            vendorName: extractedData.invoiceData.vendorName,
+            locale: template.locale || options.locale,
+            dateOrder: template.dateOrder || options.dateOrder
+        }),
+        unparsed: []
+    };
+    normalizeInvoiceFields(extractedData);
+
+    const expenseLineItems = expenseDocuments ? mapExpenseLineItems(expenseDocuments, extractedData.normalization) : [];
+    if (expenseLineItems.length > 0) {
+        extractedData.invoiceData.lineItems = expenseLineItems;
+        extractedData.fieldSources.lineItems = 'expense';
+    } else {
+        extractedData.invoiceData.lineItems = mapLineItems(extractedData.tables, extractedData.normalization);
+        if (extractedData.invoiceData.lineItems.length > 0) {
+            extractedData.fieldSources.lineItems = 'table';
+        }
+    }
+
+    extractedData.reconciliation = reconcileInvoice(extractedData);
+
+    // A total that does not add up is as good as unknown
+    if (extractedData.reconciliation.status === 'mismatch') {
+        extractedData.confidence.totalAmount = Math.min(extractedData.confidence.totalAmount, 50);
+    }
+
+    logger.info('Text extraction completed', {
+        schemaVersion: extractedData.schemaVersion,
+        textLength: extractedData.rawText.length,
+        pageCount: extractedData.pageCount,
+        keyValuePairs: Object.keys(extractedData.keyValuePairs).length,
+        tablesCount: extractedData.tables.length,
+        lineItemsCount: extractedData.invoiceData.lineItems.length,
+        templateId: extractedData.template ? extractedData.template.templateId : null,
+        reconciliation: extractedData.reconciliation.status,
+        locale: extractedData.normalization.locale,
+        unparsedFields: extractedData.normalization.unparsed,
+        overallConfidence: extractedData.confidence.overall,
+        invoiceNumber: extractedData.invoiceData.invoiceNumber,
+        poNumber: extractedData.invoiceData.poNumber
+    });
+
+    return extractedData;
+}
+
+function createExtractedData(fileName) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        fileName: fileName,
+        extractedAt: new Date().toISOString(),
+        rawText: '',
+        pageCount: 1,
+        pages: [],
+        keyValuePairs: {},
+        tables: [],
+        confidence: {
+            overall: 0,
+            invoiceNumber: 0,
+            invoiceDate: 0,
+            totalAmount: 0,
+            vendorName: 0
+        },
+        fieldSources: {},
+        template: null,
+        rawValues: {},
+        normalization: null,
+        invoiceData: {
+            invoiceNumber: null,
+            poNumber: null,
+            invoiceDate: null,
+            dueDate: null,
+            totalAmount: null,
+            currency: DEFAULT_CURRENCY,
+            vendorName: null,
+            vendorAddress: null,
+            vendorTaxId: null,
+            subtotal: null,
+            taxAmount: null,
+            shippingAmount: null,
+            discountAmount: null,
+            minorUnits: {},
+            lineItems: []
+        },
+        reconciliation: null
+    };
+}
+
+function extractKeyValuePairs(blocks, blockMap = indexBlocks(blocks)) {
+    const keyValuePairs = {};
+
+    blocks
+        .filter(block => block.BlockType === 'KEY_VALUE_SET')
+        .forEach(block => {
+            if (!block.EntityTypes || !block.EntityTypes.includes('KEY')) return;
+
+            const keyText = getTextFromBlock(block, blockMap);
+            const valueBlock = findValueBlock(block, blockMap);
+
+            // Keep the first occurrence when a label repeats on later pages
+            const key = keyText ? normalizeKey(keyText) : '';
+            if (valueBlock && key && !keyValuePairs[key]) {
+                keyValuePairs[key] = {
+                    value: getTextFromBlock(valueBlock, blockMap),
+                    confidence: Math.min(block.Confidence || 0, valueBlock.Confidence || 0),
+                    page: block.Page || 1
+                };
+            }
+        });
+
+    return keyValuePairs;
+}
+
+function extractInvoiceData(extractedData) {
+    const text = extractedData.rawText;
+    const keyValuePairs = extractedData.keyValuePairs;
+    const invoiceData = extractedData.invoiceData;
+    const confidence = extractedData.confidence;
+    const fieldSources = extractedData.fieldSources;
+    const rawValues = extractedData.rawValues;
+    const lines = text.split('\n');
+
+    // Invoice number: form fields first, then text patterns
+    const invoiceNumberField = findKeyValue(keyValuePairs, INVOICE_NUMBER_KEYS);
+    if (invoiceNumberField && isInvoiceNumber(invoiceNumberField.value)) {
+        invoiceData.invoiceNumber = invoiceNumberField.value.trim();
+        confidence.invoiceNumber = invoiceNumberField.confidence;
+        fieldSources.invoiceNumber = 'form';
+    } else {
+        for (const pattern of INVOICE_NUMBER_PATTERNS) {
+            const match = text.match(pattern);
+            if (match && isInvoiceNumber(match[1])) {
+                invoiceData.invoiceNumber = match[1].trim();
+                confidence.invoiceNumber = 85;
+                fieldSources.invoiceNumber = 'pattern';
+                break;
+            }
+        }
+    }
+
+    // Purchase order number, for three-way matching (lib/po-matching.js)
+    const poNumberField = findKeyValue(keyValuePairs, PO_NUMBER_KEYS);
+    if (poNumberField && isInvoiceNumber(poNumberField.value)) {
+        invoiceData.poNumber = poNumberField.value.trim();
+        fieldSources.poNumber = 'form';
+    } else {
+        for (const pattern of PO_NUMBER_PATTERNS) {
+            const match = text.match(pattern);
+            if (match) {
+                invoiceData.poNumber = match[1].trim();
+                fieldSources.poNumber = 'pattern';
+                break;
+            }
+        }
+    }
+
+    // Total amount; the currency comes from the same line when it is marked
+    // there, otherwise from anywhere in the document
+    const totalField = findKeyValue(keyValuePairs, TOTAL_AMOUNT_KEYS);
+    const totalFromField = totalField ? parseAmount(totalField.value) : null;
+    let totalLine = null;
+    if (totalFromField !== null) {
+        invoiceData.totalAmount = totalFromField;
+        rawValues.totalAmount = totalField.value.trim();
+        confidence.totalAmount = totalField.confidence;
+        fieldSources.totalAmount = 'form';
+        totalLine = totalField.value;
+    } else {
+        for (const pattern of AMOUNT_PATTERNS) {
+            const line = lines.find(candidate => pattern.test(candidate));
+            if (line) {
+                rawValues.totalAmount = line.match(pattern)[1];
+                invoiceData.totalAmount = parseAmount(rawValues.totalAmount);
+                confidence.totalAmount = 80;
+                fieldSources.totalAmount = 'pattern';
+                totalLine = line;
+                break;
+            }
+        }
+    }
+    invoiceData.currency = normalize.detectCurrency(totalLine) ||
+        normalize.detectCurrency(text, DEFAULT_CURRENCY);
+
+    // Subtotal, tax, shipping and discount lines
+    for (const [field, pattern] of Object.entries(SUMMARY_AMOUNT_PATTERNS)) {
+        const line = lines.find(candidate => pattern.test(candidate));
+        if (line) {
+            rawValues[field] = line.match(pattern)[1];
+            invoiceData[field] = parseAmount(rawValues[field]);
+            fieldSources[field] = 'pattern';
+        }
+    }
+
+    // Dates: labelled fields first, otherwise the first two date-shaped strings
+    const invoiceDateField = findKeyValue(keyValuePairs, INVOICE_DATE_KEYS);
+    const dueDateField = findKeyValue(keyValuePairs, DUE_DATE_KEYS);
+    if (invoiceDateField && invoiceDateField.value) {
+        invoiceData.invoiceDate = rawValues.invoiceDate = invoiceDateField.value.trim();
+        confidence.invoiceDate = invoiceDateField.confidence;
+        fieldSources.invoiceDate = 'form';
+    }
+    if (dueDateField && dueDateField.value) {
+        invoiceData.dueDate = rawValues.dueDate = dueDateField.value.trim();
+        fieldSources.dueDate = 'form';
+    }
+
+    if (!invoiceData.invoiceDate) {
+        for (const pattern of DATE_PATTERNS) {
+            const matches = text.match(pattern);
+            if (matches && matches.length > 0) {
+                invoiceData.invoiceDate = rawValues.invoiceDate = matches[0];
+                confidence.invoiceDate = 60;
+                fieldSources.invoiceDate = 'pattern';
+                if (!invoiceData.dueDate && matches.length > 1) {
+                    invoiceData.dueDate = rawValues.dueDate = matches[1];
+                    fieldSources.dueDate = 'pattern';
+                }
+                break;
+            }
+        }
+    }
+
+    // Vendor name is usually in the first few lines
+    const nonEmptyLines = lines.filter(line => line.trim().length > 0);
+    for (let i = 0; i < Math.min(3, nonEmptyLines.length); i++) {
+        const line = nonEmptyLines[i].trim();
+        if (line.length > 3 && !line.match(/invoice|bill|statement/i)) {
+            invoiceData.vendorName = line;
+            confidence.vendorName = 70;
+            fieldSources.vendorName = 'pattern';
+            break;
+        }
+    }
+
+    return extractedData;
+}
+
+function applyExpenseFields(extractedData, fields) {
+    const invoiceData = extractedData.invoiceData;
+
+    for (const [field, detected] of Object.entries(fields)) {
+        if (detected.value === null || detected.value === '') continue;
+
+        invoiceData[field] = detected.value;
+        extractedData.fieldSources[field] = 'expense';
+        if (DATE_FIELDS.includes(field) || AMOUNT_FIELDS.includes(field)) {
+            extractedData.rawValues[field] = detected.text;
+        }
+        if (field in extractedData.confidence) {
+            extractedData.confidence[field] = detected.confidence;
+        }
+    }
+
+    // AnalyzeExpense only reports a currency it is sure of; a symbol next to
+    // the total is the next best thing
+    if (fields.totalAmount && !fields.currency) {
+        invoiceData.currency = normalize.detectCurrency(fields.totalAmount.text, invoiceData.currency);
+    }
+}
+
+function applyTemplate(extractedData, selection, lineBlocks) {
+    const { template, matchedOn } = selection;
+    const invoiceData = extractedData.invoiceData;
+    const found = extractTemplateFields(template, extractedData, lineBlocks);
+
+    for (const [field, result] of Object.entries(found)) {
+        if (DATE_FIELDS.includes(field) || AMOUNT_FIELDS.includes(field)) {
+            extractedData.rawValues[field] = result.value;
+        }
+        if (field === 'currency') {
+            invoiceData.currency = normalize.detectCurrency(result.value, invoiceData.currency);
+        } else {
+            invoiceData[field] = AMOUNT_FIELDS.includes(field) ? parseAmount(result.value) : result.value;
+        }
+
+        extractedData.fieldSources[field] = 'template';
+        if (field in extractedData.confidence) {
+            extractedData.confidence[field] = result.confidence;
+        }
+    }
+
+    // The template's vendor name is the canonical spelling
+    if (template.vendorName && !found.vendorName) {
+        invoiceData.vendorName = template.vendorName;
+        extractedData.fieldSources.vendorName = 'template';
+        extractedData.confidence.vendorName = 95;
+    }
+
+    extractedData.template = {
+        templateId: template.templateId,
+        vendorName: template.vendorName || null,
+        matchedOn,
+        fields: Object.fromEntries(Object.entries(found).map(([field, result]) => [field, result.method]))
+    };
+}
+
+// Re-reads the raw dates and amounts with the resolved locale. Values that
+// cannot be understood are cleared rather than guessed and listed in
+// normalization.unparsed.
+function normalizeInvoiceFields(extractedData) {
+    const { invoiceData, rawValues, normalization } = extractedData;
+
+    DATE_FIELDS.forEach(field => {
+        if (!rawValues[field]) return;
+        invoiceData[field] = normalize.normalizeDate(rawValues[field], normalization);
+        if (!invoiceData[field]) normalization.unparsed.push(field);
+    });
+
+    AMOUNT_FIELDS.forEach(field => {
+        const raw = rawValues[field] !== undefined ? rawValues[field] : invoiceData[field];
+        if (raw === null || raw === undefined) return;
+
+        let minor = normalize.toMinorUnits(raw, {
+            currency: invoiceData.currency,
+            decimalSeparator: normalization.decimalSeparator
+        });
+        if (minor === null) {
+            invoiceData[field] = null;
+            normalization.unparsed.push(field);
+            return;
+        }
+
+        // A discount is subtracted whether or not it was printed as negative
+        if (field === 'discountAmount') minor = Math.abs(minor);
+
+        invoiceData.minorUnits[field] = minor;
+        invoiceData[field] = normalize.fromMinorUnits(minor, invoiceData.currency);
+    });
+
+    return extractedData;
+}
+
+function buildPageIndex(lineBlocks) {
+    const pages = [];
+    let offset = 0;
+
+    lineBlocks.forEach(block => {
+        const page = block.Page || 1;
+        let current = pages[pages.length - 1];
+        if (!current || current.page !== page) {
+            current = { page, lineCount: 0, offset };
+            pages.push(current);
+        }
+        current.lineCount++;
+        offset += (block.Text || '').length + 1;
+    });
+
+    return pages;
+}
+
+function isInvoiceNumber(value) {
+    if (!value) return false;
+    const candidate = value.trim();
+    return candidate.length >= 3 && /\d/.test(candidate);
+}
+
+// Locale-free best guess used during extraction; normalizeInvoiceFields
+// replaces it with the exact value once the locale is known
+function parseAmount(value, options = {}) {
+    const amount = normalize.parseAmount(value, options);
+    return amount === null || isNaN(amount) ? null : amount;
+}
+
+function indexBlocks(blocks) {
+    const blockMap = new Map();
+    blocks.forEach(block => blockMap.set(block.Id, block));
+    return blockMap;
+}
+
+function resolveBlock(allBlocks, id) {
+    if (allBlocks instanceof Map) return allBlocks.get(id);
+    return allBlocks.find(b => b.Id === id);
+}
+
+function getTextFromBlock(block, allBlocks) {
+    if (!block.Relationships) return '';
+
+    const childRelationship = block.Relationships.find(rel => rel.Type === 'CHILD');
+    if (!childRelationship) return '';
+
+    return childRelationship.Ids
+        .map(id => resolveBlock(allBlocks, id))
+        .filter(b => b && (b.BlockType === 'WORD' || b.BlockType === 'SELECTION_ELEMENT'))
+        .map(b => b.BlockType === 'WORD' ? b.Text : (b.SelectionStatus === 'SELECTED' ? 'X' : ''))
+        .filter(text => text)
+        .join(' ');
+}
+
+function findValueBlock(keyBlock, allBlocks) {
+    if (!keyBlock.Relationships) return null;
+
+    const valueRelationship = keyBlock.Relationships.find(rel => rel.Type === 'VALUE');
+    if (!valueRelationship) return null;
+
+    return resolveBlock(allBlocks, valueRelationship.Ids[0]) || null;
+}
+
+function normalizeKey(key) {
+    return key.toLowerCase().replace(/[:\s]+$/, '').replace(/\s+/g, ' ').trim();
+}
+
+// Accepts both the current { value, confidence } entries and the plain-string
+// entries written by older versions of the processors.
+function getKeyValue(keyValuePairs, key) {
+    const entry = (keyValuePairs || {})[key];
+    if (entry === undefined || entry === null) return null;
+    return typeof entry === 'string' ? entry : entry.value;
+}
+
+function findKeyValue(keyValuePairs, candidates) {
+    const entries = Object.entries(keyValuePairs || {});
+
+    for (const candidate of candidates) {
+        const exact = entries.find(([key]) => normalizeKey(key) === candidate);
+        if (exact) return toKeyValueEntry(exact[1]);
+    }
+
+    // Prefix matches only for multi-word labels so "due" never matches "due
+    // date" and "total" never matches "total tax"
+    for (const candidate of candidates.filter(c => c.includes(' '))) {
+        const partial = entries.find(([key]) => normalizeKey(key).startsWith(candidate));
+        if (partial) return toKeyValueEntry(partial[1]);
+    }
+
+    return null;
+}
+
+// The customer ID printed on the invoice, from the form fields or the raw
+// text. Shared by store-extracted-data and the extraction workflow.
+function extractCustomerId(extractedData) {
+    const keyValuePairs = extractedData.keyValuePairs || {};
+
+    // Look for customer ID in key-value pairs
+    const customerKeys = ['customer id', 'customer number', 'client id', 'account number'];
+    for (const key of customerKeys) {
+        for (const extractedKey of Object.keys(keyValuePairs)) {
+            const value = getKeyValue(keyValuePairs, extractedKey);
+            if (extractedKey.toLowerCase().includes(key) && value) {
+                return value.trim();
+            }
+        }
+    }
+
+    // Try to extract from raw text
+    const customerIdPatterns = [
+        /customer\s*id\s*:?\s*([a-zA-Z0-9\-]+)/i,
+        /client\s*id\s*:?\s*([a-zA-Z0-9\-]+)/i,
+        /account\s*#?\s*:?\s*([a-zA-Z0-9\-]+)/i
+    ];
+
+    for (const pattern of customerIdPatterns) {
+        const match = (extractedData.rawText || '').match(pattern);
+        if (match) {
+            return match[1];
+        }
+    }
+
+    // No customer ID printed on the invoice; the caller falls back to the vendor
+    return null;
+}
+
+function toKeyValueEntry(entry) {
+    if (typeof entry === 'string') return { value: entry, confidence: 0 };
+    return { value: entry.value || '', confidence: entry.confidence || 0 };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    parseTextractResult,
+    createExtractedData,
+    extractKeyValuePairs,
+    extractTables,
+    extractInvoiceData,
+    normalizeInvoiceFields,
+    getTextFromBlock,
+    findValueBlock,
+    getKeyValue,
+    findKeyValue,
+    extractCustomerId,
+    parseAmount
+};
@@ -0,0 +1,420 @@
+// Declarative invoice validation rules
+//
+// validate-invoice checks each invoice against rule sets instead of
+// hard-coded checks. A rule set is a JSON document:
+//
+//     {
+//         ruleSetId: 'northwind-office-supplies',
+//         appliesTo: {                        // omit for a set that applies to every invoice
+//             customerIds: ['CUST-123'],
+//             vendorIds: ['VEND-82007BB256'],
+//             vendorNames: ['Northwind Office Supplies']   // compared normalized
+//         },
+//         rules: [
+//             { id: 'currency', type: 'currency', allowed: ['USD'] },
+//             { id: 'overdue', enabled: false }           // switches off an inherited rule
+//         ]
+//     }
+//
+// Rule types (severity is 'error', the default, or 'warning'; message
+// overrides the generated one):
+//
+//     required    fields: [...]                    present and not empty
+//     range       field, min, max                  numbers or ISO dates, inclusive
+//     pattern     field, pattern, flags            regular expression on the value
+//     compare     field, operator, other | value   <, <=, >, >=, ==, != against another
+//                                                  field or a literal; '$today', '$today-30'
+//     tax_math    subtotal, tax, total,            subtotal + tax + shipping - discount
+//                 shipping, discount, taxRate,     equals total, and tax matches taxRate
+//                 toleranceMinor                   (a percentage), within the tolerance
+//     currency    field, allowed: [...]            ISO code whitelist
+//
+// Rules that reference a missing value are skipped; use required for
+// presence. Fields may be dotted paths (minorUnits.subtotal).
+//
+// The built-in DEFAULT_RULE_SET always applies first. Configured sets are
+// layered on top in the order default, per-customer, per-vendor: a rule with
+// the same id replaces the earlier one. Configured sets are read from S3
+// (VALIDATION_RULES_BUCKET under VALIDATION_RULES_PREFIX) or a local
+// directory (VALIDATION_RULES_DIR), as VALIDATION_RULES_SOURCE says.
+
+const fs = require('fs');
+const path = require('path');
+const normalize = require('./normalize');
+const { normalizeVendorName } = require('./idempotency');
+
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
+
+const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+const DEFAULT_RULE_SET = {
+    ruleSetId: 'builtin',
+    rules: [
+        { id: 'required-fields', type: 'required', fields: ['invoiceId', 'customerId', 'amount', 'dueDate'] },
+        { id: 'amount-positive', type: 'range', field: 'amountMinor', min: 1, message: 'Invoice amount must be positive' },
+        { id: 'due-after-invoice-date', type: 'compare', field: 'dueDate', operator: '>=', other: 'invoiceDate' },
+        { id: 'currency', type: 'currency', field: 'currency', allowed: normalize.ISO_CURRENCY_CODES },
+        { id: 'tax-math', type: 'tax_math', subtotal: 'subtotal', tax: 'taxAmount', total: 'amount', shipping: 'shippingAmount', discount: 'discountAmount', taxRate: 'taxRate' },
+        // Overdue and back-dated invoices are legitimate; they are flagged, not rejected
+        { id: 'overdue', type: 'compare', field: 'dueDate', operator: '>=', value: '$today', severity: SEVERITY.WARNING, message: 'Invoice is past its due date' }
+    ]
+};
+
+const OPERATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+const RULE_TYPES = {
+    required: checkRequired,
+    range: checkRange,
+    pattern: checkPattern,
+    compare: checkCompare,
+    tax_math: checkTaxMath,
+    currency: checkCurrency
+};
+
+function getField(invoice, field) {
+    return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), invoice);
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function todayPlus(days, now = new Date()) {
+    return new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+}
+
+// Literal compare values; '$today' and '$today±N' are dates relative to now
+function resolveValue(value) {
+    const relative = typeof value === 'string' && value.match(/^\$today(?:([+-])(\d+))?$/);
+    if (!relative) return value;
+    return todayPlus(relative[1] ? Number(`${relative[1]}${relative[2]}`) : 0);
+}
+
+// Minor units for a money field: the normalized value when validate-invoice
+// produced one, otherwise parsed in the invoice currency and vendor locale
+function amountOf(invoice, field) {
+    if (!field) return null;
+    const normalized = getField(invoice, `minorUnits.${field}`);
+    if (typeof normalized === 'number') return normalized;
+
+    const raw = getField(invoice, field);
+    if (isMissing(raw)) return null;
+    const { decimalSeparator } = normalize.resolveLocaleSettings({ vendorName: invoice.vendorName, locale: invoice.locale });
+    return normalize.toMinorUnits(raw, { currency: invoice.currency || 'USD', decimalSeparator });
+}
+
+function checkRequired(rule, invoice) {
+    return (rule.fields || [rule.field])
+        .filter(field => isMissing(getField(invoice, field)))
+        .map(field => ({ field, message: `${field} is required` }));
+}
+
+function checkRange(rule, invoice) {
+    const value = getField(invoice, rule.field);
+    if (isMissing(value)) return [];
+
+    if (rule.min !== undefined && value < rule.min) {
+        return [{ field: rule.field, message: `${rule.field} must be at least ${rule.min}, got ${value}` }];
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return [{ field: rule.field, message: `${rule.field} must be at most ${rule.max}, got ${value}` }];
+    }
+    return [];
+}
+
+function checkPattern(rule, invoice) {
+    const value = getField(invoice, rule.field);
+    if (isMissing(value)) return [];
+
+    return new RegExp(rule.pattern, rule.flags || '').test(String(value))
+        ? []
+        : [{ field: rule.field, message: `${rule.field} "${value}" does not match ${rule.pattern}` }];
+}
+
+function checkCompare(rule, invoice) {
+    const value = getField(invoice, rule.field);
+    const other = rule.other !== undefined ? getField(invoice, rule.other) : resolveValue(rule.value);
+    if (isMissing(value) || isMissing(other)) return [];
+
+    const against = rule.other !== undefined ? rule.other : other;
+    return OPERATORS[rule.operator](value, other)
+        ? []
+        : [{ field: rule.field, message: `${rule.field} (${value}) must be ${rule.operator} ${against}` + (rule.other !== undefined ? ` (${other})` : '') }];
+}
+
+function checkTaxMath(rule, invoice) {
+    const tolerance = rule.toleranceMinor !== undefined ? rule.toleranceMinor : 1;
+    const subtotal = amountOf(invoice, rule.subtotal);
+    const tax = amountOf(invoice, rule.tax);
+    const total = amountOf(invoice, rule.total);
+    if (subtotal === null || tax === null) return [];
+
+    const violations = [];
+    const currency = invoice.currency || 'USD';
+
+    if (total !== null) {
+        const expected = subtotal + tax + (amountOf(invoice, rule.shipping) || 0) - (amountOf(invoice, rule.discount) || 0);
+        if (Math.abs(expected - total) > tolerance) {
+            violations.push({
+                field: rule.total,
+                message: `${rule.total} ${normalize.formatMinorUnits(total, currency)} does not equal ${rule.subtotal} plus ${rule.tax} and charges ${normalize.formatMinorUnits(expected, currency)}`
+            });
+        }
+    }
+
+    const rate = rule.taxRate ? getField(invoice, rule.taxRate) : undefined;
+    if (typeof rate === 'number') {
+        const expectedTax = Math.round(subtotal * rate / 100);
+        if (Math.abs(expectedTax - tax) > tolerance) {
+            violations.push({
+                field: rule.tax,
+                message: `${rule.tax} ${normalize.formatMinorUnits(tax, currency)} is not ${rate}% of ${rule.subtotal} (${normalize.formatMinorUnits(expectedTax, currency)})`
+            });
+        }
+    }
+
+    return violations;
+}
+
+function checkCurrency(rule, invoice) {
+    const field = rule.field || 'currency';
+    const value = getField(invoice, field);
+    if (isMissing(value)) return [];
+
+    const allowed = (rule.allowed || []).map(code => String(code).toUpperCase());
+    return allowed.includes(String(value).toUpperCase())
+        ? []
+        : [{ field, message: `Currency ${value} is not accepted (allowed: ${allowed.join(', ')})` }];
+}
+
+function validateRule(rule) {
+    const errors = [];
+    if (!rule || !rule.id) return ['every rule needs an id'];
+    if (rule.enabled === false) return errors;
+
+    const label = `rule ${rule.id}`;
+    if (!RULE_TYPES[rule.type]) errors.push(`${label} has unknown type ${rule.type}`);
+    if (rule.severity && !Object.values(SEVERITY).includes(rule.severity)) {
+        errors.push(`${label} has unknown severity ${rule.severity}`);
+    }
+
+    switch (rule.type) {
+        case 'required':
+            if (!rule.field && (rule.fields || []).length === 0) errors.push(`${label} needs field or fields`);
+            break;
+        case 'range':
+            if (!rule.field || (rule.min === undefined && rule.max === undefined)) errors.push(`${label} needs field and min or max`);
+            break;
+        case 'pattern':
+            if (!rule.field || !rule.pattern) errors.push(`${label} needs field and pattern`);
+            try {
+                new RegExp(rule.pattern, rule.flags || '');
+            } catch (error) {
+                errors.push(`${label} pattern is invalid: ${error.message}`);
+            }
+            break;
+        case 'compare':
+            if (!rule.field || !OPERATORS[rule.operator]) errors.push(`${label} needs field and one of ${Object.keys(OPERATORS).join(' ')}`);
+            if (rule.other === undefined && rule.value === undefined) errors.push(`${label} needs other or value`);
+            break;
+        case 'tax_math':
+            if (!rule.subtotal || !rule.tax) errors.push(`${label} needs subtotal and tax`);
+            break;
+        case 'currency':
+            if ((rule.allowed || []).length === 0) errors.push(`${label} needs allowed currencies`);
+            break;
+    }
+
+    return errors;
+}
+
+function validateRuleSet(ruleSet) {
+    if (!ruleSet || typeof ruleSet !== 'object') return ['rule set must be an object'];
+    const errors = [];
+    if (!ruleSet.ruleSetId) errors.push('ruleSetId is required');
+    if (!Array.isArray(ruleSet.rules)) errors.push('rules must be a list');
+    (ruleSet.rules || []).forEach(rule => errors.push(...validateRule(rule)));
+    return errors;
+}
+
+// Invalid rule sets are skipped, like invalid vendor templates; the built-in
+// rules still apply
+function compileRuleSet(ruleSet) {
+    const errors = validateRuleSet(ruleSet);
+    if (errors.length > 0) {
+        console.warn(`Skipping validation rule set ${ruleSet && ruleSet.ruleSetId}: ${errors.join('; ')}`);
+        return null;
+    }
+
+    const appliesTo = ruleSet.appliesTo || {};
+    return {
+        ...ruleSet,
+        appliesTo: {
+            customerIds: (appliesTo.customerIds || []).map(String),
+            vendorIds: appliesTo.vendorIds || [],
+            vendorNames: (appliesTo.vendorNames || []).map(normalizeVendorName).filter(Boolean)
+        }
+    };
+}
+
+// 0 for sets that apply to every invoice, 1 per customer, 2 per vendor, or
+// null when the set doesn't apply to this invoice
+function scopeOf(ruleSet, invoice) {
+    const { customerIds, vendorIds, vendorNames } = ruleSet.appliesTo;
+    if (customerIds.length === 0 && vendorIds.length === 0 && vendorNames.length === 0) return 0;
+
+    const vendorKey = normalizeVendorName(invoice.vendorName);
+    if ((invoice.vendorId && vendorIds.includes(invoice.vendorId)) || (vendorKey && vendorNames.includes(vendorKey))) return 2;
+    if (invoice.customerId && customerIds.includes(String(invoice.customerId))) return 1;
+    return null;
+}
+
+// The rule sets that apply to an invoice, least specific first, and the
+// rules they add up to
+function resolveRules(ruleSets, invoice) {
+    const applicable = ruleSets
+        .map((ruleSet, index) => ({ ruleSet, index, scope: scopeOf(ruleSet, invoice) }))
+        .filter(entry => entry.scope !== null)
+        .sort((a, b) => a.scope - b.scope || a.index - b.index)
+        .map(entry => entry.ruleSet);
+
+    const rules = new Map();
+    for (const ruleSet of [DEFAULT_RULE_SET, ...applicable]) {
+        for (const rule of ruleSet.rules) {
+            rules.delete(rule.id);
+            if (rule.enabled !== false) rules.set(rule.id, { ...rule, ruleSetId: ruleSet.ruleSetId });
+        }
+    }
+
+    return {
+        ruleSetIds: [DEFAULT_RULE_SET.ruleSetId, ...applicable.map(ruleSet => ruleSet.ruleSetId)],
+        rules: [...rules.values()]
+    };
+}
+
+// Runs every rule and reports every violation, not just the first
+function evaluateRules(rules, invoice) {
+    const violations = [];
+
+    for (const rule of rules) {
+        for (const violation of RULE_TYPES[rule.type](rule, invoice)) {
+            violations.push({
+                ruleId: rule.id,
+                ruleSetId: rule.ruleSetId,
+                type: rule.type,
+                severity: rule.severity || SEVERITY.ERROR,
+                field: violation.field || null,
+                message: rule.message || violation.message
+            });
+        }
+    }
+
+    const errors = violations.filter(violation => violation.severity === SEVERITY.ERROR);
+    return {
+        isValid: errors.length === 0,
+        errors,
+        warnings: violations.filter(violation => violation.severity === SEVERITY.WARNING)
+    };
+}
+
+function validateInvoice(ruleSets, invoice) {
+    const { ruleSetIds, rules } = resolveRules(ruleSets, invoice);
+    return { ruleSetIds, ...evaluateRules(rules, invoice) };
+}
+
+function createRuleStore({
+    source = process.env.VALIDATION_RULES_SOURCE || 'none',
+    s3,
+    bucketName = process.env.VALIDATION_RULES_BUCKET,
+    prefix = process.env.VALIDATION_RULES_PREFIX || 'validation-rules/',
+    dir = process.env.VALIDATION_RULES_DIR,
+    cacheTtl = DEFAULT_CACHE_TTL
+} = {}) {
+    let cache = null;
+    let cachedAt = 0;
+
+    async function loadRuleSets() {
+        switch (source) {
+            case 's3':
+                return bucketName && s3 ? listS3RuleSets(s3, bucketName, prefix) : [];
+            case 'local':
+                return dir ? readRuleSetDir(dir) : [];
+            case 'none':
+                return [];
+            default:
+                throw new Error(`Unknown validation rules source: ${source}`);
+        }
+    }
+
+    return {
+        source,
+
+        // Cached per Lambda container; rule sets change rarely
+        async listRuleSets() {
+            if (cache && Date.now() - cachedAt < cacheTtl) return cache;
+
+            cache = (await loadRuleSets())
+                .filter(ruleSet => ruleSet.enabled !== false)
+                .map(compileRuleSet)
+                .filter(Boolean);
+            cachedAt = Date.now();
+            return cache;
+        },
+
+        clearCache() {
+            cache = null;
+        }
+    };
+}
+
+async function listS3RuleSets(s3, bucketName, prefix) {
+    const keys = [];
+    let continuationToken;
+
+    do {
+        const result = await s3.listObjectsV2({
+            Bucket: bucketName,
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+        }).promise();
+        (result.Contents || [])
+            .filter(object => object.Key.endsWith('.json'))
+            .forEach(object => keys.push(object.Key));
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return Promise.all(keys.sort().map(async key => {
+        const object = await s3.getObject({ Bucket: bucketName, Key: key }).promise();
+        return JSON.parse(object.Body.toString('utf8'));
+    }));
+}
+
+function readRuleSetDir(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+}
+
+module.exports = {
+    SEVERITY,
+    DEFAULT_RULE_SET,
+    RULE_TYPES,
+    validateRuleSet,
+    compileRuleSet,
+    resolveRules,
+    evaluateRules,
+    validateInvoice,
+    createRuleStore
+};
@@ -0,0 +1,304 @@
+// Per-vendor extraction templates
+//
+// Recurring suppliers print their invoices from the same layout every time.
+// A template identifies such a vendor and says exactly where each field is,
+// so the generic patterns in textract-parser.js are only a fallback:
+//
+//     {
+//         templateId: 'northwind-office-supplies',
+//         vendorName: 'Northwind Office Supplies',   // written to invoiceData.vendorName
+//         locale: 'en-US',                           // optional, see lib/normalize.js
+//         enabled: true,
+//         match: {
+//             keyPhrases: ['Northwind Office Supplies'],  // all must appear in the text...
+//             minPhraseMatches: 1,                        // ...unless this says otherwise
+//             taxIds: ['12-3456789']                      // any one identifies the vendor alone
+//         },
+//         fields: {
+//             [field]: {
+//                 labels: ['invoice no'],            // Textract key-value labels, tried first
+//                 region: { page: 1, left: 0.6, top: 0.8, width: 0.4, height: 0.1 },
+//                 pattern: 'NW-\\d{4}-\\d{4}'        // applied to the label value, the region
+//             }                                      // text or else the whole document; group 1
+//         }                                          // is used when the pattern has one
+//     }
+//
+// Regions use Textract's page-relative BoundingBox coordinates (0-1); a line
+// belongs to a region when its centre falls inside it.
+//
+// Templates live in DynamoDB (VENDOR_TEMPLATES_TABLE), in S3 as JSON objects
+// under VENDOR_TEMPLATES_BUCKET/VENDOR_TEMPLATES_PREFIX, or in a local
+// directory (VENDOR_TEMPLATES_DIR) for offline runs.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
+
+const TEMPLATE_FIELDS = [
+    'invoiceNumber', 'poNumber', 'invoiceDate', 'dueDate', 'totalAmount', 'currency',
+    'vendorName', 'vendorAddress', 'vendorTaxId',
+    'subtotal', 'taxAmount', 'shippingAmount', 'discountAmount'
+];
+
+function createTemplateStore({
+    source = process.env.VENDOR_TEMPLATES_SOURCE || 'dynamodb',
+    dynamodb,
+    s3,
+    tableName = process.env.VENDOR_TEMPLATES_TABLE,
+    bucketName = process.env.VENDOR_TEMPLATES_BUCKET,
+    prefix = process.env.VENDOR_TEMPLATES_PREFIX || 'templates/',
+    dir = process.env.VENDOR_TEMPLATES_DIR,
+    cacheTtl = DEFAULT_CACHE_TTL
+} = {}) {
+    let cache = null;
+    let cachedAt = 0;
+
+    async function loadTemplates() {
+        switch (source) {
+            case 'dynamodb':
+                return tableName && dynamodb ? scanTable(dynamodb, tableName) : [];
+            case 's3':
+                return bucketName && s3 ? listS3Templates(s3, bucketName, prefix) : [];
+            case 'local':
+                return dir ? readTemplateDir(dir) : [];
+            case 'none':
+                return [];
+            default:
+                throw new Error(`Unknown vendor template source: ${source}`);
+        }
+    }
+
+    return {
+        source,
+
+        // Cached per Lambda container; templates change rarely
+        async listTemplates() {
+            if (cache && Date.now() - cachedAt < cacheTtl) return cache;
+
+            cache = (await loadTemplates())
+                .filter(template => template.enabled !== false)
+                .map(compileTemplate)
+                .filter(Boolean);
+            cachedAt = Date.now();
+            return cache;
+        },
+
+        clearCache() {
+            cache = null;
+        }
+    };
+}
+
+async function scanTable(dynamodb, tableName) {
+    const items = [];
+    let lastKey;
+
+    do {
+        const result = await dynamodb.scan({
+            TableName: tableName,
+            ExclusiveStartKey: lastKey
+        }).promise();
+        items.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return items;
+}
+
+async function listS3Templates(s3, bucketName, prefix) {
+    const keys = [];
+    let continuationToken;
+
+    do {
+        const result = await s3.listObjectsV2({
+            Bucket: bucketName,
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+        }).promise();
+        (result.Contents || [])
+            .filter(object => object.Key.endsWith('.json'))
+            .forEach(object => keys.push(object.Key));
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return Promise.all(keys.map(async key => {
+        const object = await s3.getObject({ Bucket: bucketName, Key: key }).promise();
+        return JSON.parse(object.Body.toString('utf8'));
+    }));
+}
+
+function readTemplateDir(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+}
+
+function validateTemplate(template) {
+    const errors = [];
+    if (!template || typeof template !== 'object') return ['template must be an object'];
+    if (!template.templateId) errors.push('templateId is required');
+
+    const match = template.match || {};
+    if ((match.keyPhrases || []).length === 0 && (match.taxIds || []).length === 0) {
+        errors.push('match needs at least one key phrase or tax ID');
+    }
+
+    for (const [field, location] of Object.entries(template.fields || {})) {
+        if (!TEMPLATE_FIELDS.includes(field)) errors.push(`unknown field ${field}`);
+        if (!location.labels && !location.region && !location.pattern) {
+            errors.push(`${field} needs labels, a region or a pattern`);
+        }
+        if (location.pattern) {
+            try {
+                new RegExp(location.pattern);
+            } catch (error) {
+                errors.push(`${field} pattern is invalid: ${error.message}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Invalid templates are skipped rather than failing every invoice
+function compileTemplate(template) {
+    const errors = validateTemplate(template);
+    if (errors.length > 0) {
+        console.warn(`Skipping vendor template ${template && template.templateId}: ${errors.join('; ')}`);
+        return null;
+    }
+
+    const fields = {};
+    for (const [field, location] of Object.entries(template.fields || {})) {
+        fields[field] = {
+            ...location,
+            labels: (location.labels || []).map(label => label.toLowerCase().replace(/[:\s]+$/, '').trim()),
+            regex: location.pattern ? new RegExp(location.pattern, location.flags || 'i') : null
+        };
+    }
+
+    return { ...template, fields };
+}
+
+// Picks the best matching template. A tax ID settles it outright; otherwise
+// the template with the most key phrases found wins. A templateId (set when
+// a dead letter is redriven with a template) is used whether it matches or not.
+function selectTemplate(templates, extractedData, templateId = null) {
+    if (templateId) {
+        const template = (templates || []).find(candidate => candidate.templateId === templateId);
+        if (!template) {
+            const error = new Error(`Unknown vendor template ${templateId}`);
+            error.statusCode = 404;
+            throw error;
+        }
+        return { template, score: 0, matchedOn: { override: true, taxId: null, keyPhrases: [] } };
+    }
+
+    const text = (extractedData.rawText || '').toLowerCase();
+    const compactText = compactId(extractedData.rawText);
+    const vendorTaxId = compactId(extractedData.invoiceData && extractedData.invoiceData.vendorTaxId);
+
+    let best = null;
+    for (const template of templates || []) {
+        const match = template.match || {};
+        const taxId = (match.taxIds || []).find(id => {
+            const compact = compactId(id);
+            return compact && (compact === vendorTaxId || compactText.includes(compact));
+        });
+
+        const phrases = match.keyPhrases || [];
+        const matchedPhrases = phrases.filter(phrase => text.includes(phrase.toLowerCase()));
+        const required = match.minPhraseMatches || phrases.length;
+
+        let score = 0;
+        if (taxId) score = 1000 + matchedPhrases.length;
+        else if (phrases.length > 0 && matchedPhrases.length >= required) score = matchedPhrases.length;
+
+        if (score > 0 && (!best || score > best.score)) {
+            best = {
+                template,
+                score,
+                matchedOn: { taxId: taxId || null, keyPhrases: matchedPhrases }
+            };
+        }
+    }
+
+    return best;
+}
+
+// Resolves every field the template declares. Returns { field: { value,
+// confidence, method } } for the fields that were found.
+function extractTemplateFields(template, extractedData, lineBlocks) {
+    const found = {};
+
+    for (const [field, location] of Object.entries(template.fields || {})) {
+        const result = locateField(location, extractedData, lineBlocks);
+        if (result && result.value) found[field] = result;
+    }
+
+    return found;
+}
+
+function locateField(location, extractedData, lineBlocks) {
+    if (location.labels.length > 0) {
+        for (const label of location.labels) {
+            const entry = extractedData.keyValuePairs[label];
+            if (!entry || !entry.value) continue;
+
+            const value = applyPattern(location.regex, entry.value);
+            if (value) return { value, confidence: entry.confidence || 0, method: 'label' };
+        }
+    }
+
+    if (location.region) {
+        const lines = lineBlocks.filter(block => inRegion(block, location.region));
+        if (lines.length > 0) {
+            const value = applyPattern(location.regex, lines.map(block => block.Text).join('\n'));
+            const confidence = lines.reduce((sum, block) => sum + (block.Confidence || 0), 0) / lines.length;
+            if (value) return { value, confidence, method: 'region' };
+        }
+    }
+
+    if (location.regex && !location.region) {
+        const value = applyPattern(location.regex, extractedData.rawText || '');
+        if (value) return { value, confidence: 90, method: 'pattern' };
+    }
+
+    return null;
+}
+
+function applyPattern(regex, text) {
+    if (!text) return null;
+    if (!regex) return text.trim();
+
+    const match = text.match(regex);
+    if (!match) return null;
+    return (match[1] !== undefined ? match[1] : match[0]).trim();
+}
+
+function inRegion(block, region) {
+    const box = block.Geometry && block.Geometry.BoundingBox;
+    if (!box) return false;
+    if (region.page && (block.Page || 1) !== region.page) return false;
+
+    const centerX = box.Left + box.Width / 2;
+    const centerY = box.Top + box.Height / 2;
+    return centerX >= region.left && centerX <= region.left + region.width &&
+        centerY >= region.top && centerY <= region.top + region.height;
+}
+
+function compactId(value) {
+    return value ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+}
+
+module.exports = {
+    TEMPLATE_FIELDS,
+    createTemplateStore,
+    validateTemplate,
+    compileTemplate,
+    selectTemplate,
+    extractTemplateFields
+};
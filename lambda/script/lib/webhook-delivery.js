@@ -0,0 +1,403 @@
+// Webhook delivery
+//
+// publish() records one delivery per subscription that wants the event and
+// queues it on WEBHOOK_QUEUE_URL; the webhook-dispatcher Lambda then POSTs it
+// with attempt(). Deliveries live in WEBHOOK_DELIVERIES_TABLE (hash key
+// deliveryId, StatusIndex on status / updatedAt):
+//
+//     {
+//         deliveryId: 'whd_...',
+//         subscriptionId, eventId, eventType,
+//         event,                                  // as built by webhook-events.buildEvent
+//         status: 'pending' | 'retrying' | 'delivered' | 'dead_letter' | 'replayed' | 'cancelled',
+//         attempts, nextAttemptAt, lastStatusCode, lastError,
+//         attemptLog: [{ at, statusCode, error, durationMs }],   // the last ATTEMPT_LOG_SIZE
+//         replayOf,                               // deliveryId this one replays
+//         createdAt, updatedAt, deliveredAt, deadLetteredAt,
+//         expiresAt                               // TTL, once the delivery is settled
+//     }
+//
+// Network errors, timeouts, 408, 429 and 5xx responses are retried with
+// exponential backoff (WEBHOOK_RETRY_BASE_SECONDS, doubling, at most the 15
+// minutes SQS can delay a message) until WEBHOOK_MAX_ATTEMPTS. Anything else,
+// or running out of attempts, leaves the delivery as a dead letter. Dead
+// letters are kept until someone replays them: replay() queues a new delivery
+// of the same event and marks the old one replayed. Delivered records expire
+// after WEBHOOK_DELIVERY_RETENTION_DAYS.
+//
+// Delivery is at least once: a receiver can see the same event twice and
+// should de-duplicate on the event id.
+
+const crypto = require('crypto');
+const { renderPayload, signatureHeaders } = require('./webhook-events');
+const { createWebhookSubscriptions, signingSecrets, STATUS: SUBSCRIPTION_STATUS } = require('./webhook-subscriptions');
+
+const STATUS = {
+    PENDING: 'pending',
+    RETRYING: 'retrying',
+    DELIVERED: 'delivered',
+    DEAD_LETTER: 'dead_letter',
+    REPLAYED: 'replayed',
+    CANCELLED: 'cancelled'
+};
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_SQS_DELAY_SECONDS = 900;
+const ATTEMPT_LOG_SIZE = 10;
+const RESPONSE_EXCERPT_LENGTH = 500;
+
+function deliveryError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function encodeToken(key) {
+    return key ? Buffer.from(JSON.stringify(key)).toString('base64') : null;
+}
+
+function decodeToken(token) {
+    if (!token) return undefined;
+    try {
+        return JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+    } catch (error) {
+        throw deliveryError('Invalid nextToken', 400);
+    }
+}
+
+// Seconds before retry number `attempts`, with +-10% jitter so a receiver
+// that comes back up isn't hit by every queued retry at once
+function retryDelaySeconds(attempts, baseSeconds = DEFAULT_RETRY_BASE_SECONDS) {
+    const delay = baseSeconds * Math.pow(2, attempts - 1);
+    return Math.min(MAX_SQS_DELAY_SECONDS, Math.round(delay * (0.9 + Math.random() * 0.2)));
+}
+
+function isRetryable(statusCode) {
+    return statusCode === undefined || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+function createDeliveryStore({
+    dynamodb,
+    tableName = process.env.WEBHOOK_DELIVERIES_TABLE,
+    retentionDays = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || DEFAULT_RETENTION_DAYS, 10)
+} = {}) {
+    if (!tableName) {
+        throw new Error('WEBHOOK_DELIVERIES_TABLE is not configured');
+    }
+
+    function expiresAt() {
+        return Math.floor(Date.now() / 1000) + retentionDays * 24 * 60 * 60;
+    }
+
+    return {
+        async create(subscription, event, { replayOf } = {}) {
+            const now = new Date().toISOString();
+            const delivery = {
+                deliveryId: `whd_${crypto.randomUUID().replace(/-/g, '')}`,
+                subscriptionId: subscription.subscriptionId,
+                eventId: event.id,
+                eventType: event.type,
+                event,
+                status: STATUS.PENDING,
+                attempts: 0,
+                attemptLog: [],
+                ...(replayOf ? { replayOf } : {}),
+                createdAt: now,
+                updatedAt: now
+            };
+            await dynamodb.put({ TableName: tableName, Item: delivery }).promise();
+            return delivery;
+        },
+
+        async get(deliveryId) {
+            const result = await dynamodb.get({ TableName: tableName, Key: { deliveryId } }).promise();
+            if (!result.Item) throw deliveryError(`Webhook delivery ${deliveryId} not found`, 404);
+            return result.Item;
+        },
+
+        // Newest first
+        async listByStatus(status, { limit = DEFAULT_PAGE_SIZE, nextToken, subscriptionId } = {}) {
+            const result = await dynamodb.query({
+                TableName: tableName,
+                IndexName: 'StatusIndex',
+                KeyConditionExpression: '#status = :status',
+                FilterExpression: subscriptionId ? 'subscriptionId = :subscriptionId' : undefined,
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: {
+                    ':status': status,
+                    ...(subscriptionId ? { ':subscriptionId': subscriptionId } : {})
+                },
+                ScanIndexForward: false,
+                Limit: limit,
+                ExclusiveStartKey: decodeToken(nextToken)
+            }).promise();
+            return { items: result.Items || [], nextToken: encodeToken(result.LastEvaluatedKey) };
+        },
+
+        // Records one attempt; only applies while the delivery is still open,
+        // so a message SQS hands out twice can't reopen a settled delivery
+        async recordAttempt(delivery, { status, statusCode, error, durationMs, nextAttemptAt }) {
+            const now = new Date().toISOString();
+            const entry = { at: now, statusCode: statusCode || null, error: error || null, durationMs };
+            const settled = status !== STATUS.RETRYING;
+            const values = {
+                ':status': status,
+                ':attempts': (delivery.attempts || 0) + 1,
+                ':attemptLog': [...(delivery.attemptLog || []), entry].slice(-ATTEMPT_LOG_SIZE),
+                ':lastStatusCode': statusCode || null,
+                ':lastError': error || null,
+                ':nextAttemptAt': nextAttemptAt || null,
+                ':updatedAt': now,
+                ':pending': STATUS.PENDING,
+                ':retrying': STATUS.RETRYING
+            };
+            const sets = [
+                '#status = :status', 'attempts = :attempts', 'attemptLog = :attemptLog',
+                'lastStatusCode = :lastStatusCode', 'lastError = :lastError',
+                'nextAttemptAt = :nextAttemptAt', 'updatedAt = :updatedAt'
+            ];
+            if (status === STATUS.DELIVERED) {
+                sets.push('deliveredAt = :updatedAt');
+            }
+            if (status === STATUS.DEAD_LETTER) {
+                sets.push('deadLetteredAt = :updatedAt');
+            }
+            // Dead letters are kept until they are replayed
+            if (settled && status !== STATUS.DEAD_LETTER) {
+                sets.push('expiresAt = :expiresAt');
+                values[':expiresAt'] = expiresAt();
+            }
+
+            const result = await dynamodb.update({
+                TableName: tableName,
+                Key: { deliveryId: delivery.deliveryId },
+                UpdateExpression: `SET ${sets.join(', ')}`,
+                ConditionExpression: '#status IN (:pending, :retrying)',
+                ExpressionAttributeNames: { '#status': 'status' },
+                ExpressionAttributeValues: values,
+                ReturnValues: 'ALL_NEW'
+            }).promise().catch(updateError => {
+                if (updateError.code === 'ConditionalCheckFailedException') {
+                    throw deliveryError(`Webhook delivery ${delivery.deliveryId} is already settled`, 409);
+                }
+                throw updateError;
+            });
+            return result.Attributes;
+        },
+
+        async settle(deliveryId, status, attributes = {}) {
+            const names = { '#status': 'status' };
+            const values = { ':status': status, ':updatedAt': new Date().toISOString(), ':expiresAt': expiresAt() };
+            const sets = ['#status = :status', 'updatedAt = :updatedAt', 'expiresAt = :expiresAt'];
+            Object.entries(attributes).forEach(([field, value]) => {
+                names[`#${field}`] = field;
+                values[`:${field}`] = value;
+                sets.push(`#${field} = :${field}`);
+            });
+
+            const result = await dynamodb.update({
+                TableName: tableName,
+                Key: { deliveryId },
+                UpdateExpression: `SET ${sets.join(', ')}`,
+                ConditionExpression: 'attribute_exists(deliveryId)',
+                ExpressionAttributeNames: names,
+                ExpressionAttributeValues: values,
+                ReturnValues: 'ALL_NEW'
+            }).promise();
+            return result.Attributes;
+        }
+    };
+}
+
+function createDeliveryQueue({ sqs, queueUrl = process.env.WEBHOOK_QUEUE_URL }) {
+    if (!queueUrl) {
+        throw new Error('WEBHOOK_QUEUE_URL is not configured');
+    }
+
+    return {
+        async send(deliveryId, delaySeconds = 0) {
+            await sqs.sendMessage({
+                QueueUrl: queueUrl,
+                MessageBody: JSON.stringify({ deliveryId }),
+                DelaySeconds: delaySeconds
+            }).promise();
+        }
+    };
+}
+
+// Stores and queue from the environment, unless given
+function resolveDependencies({ subscriptions, deliveries, queue, dynamodb, sqs }) {
+    return {
+        subscriptions: subscriptions || createWebhookSubscriptions({ dynamodb }),
+        deliveries: deliveries || createDeliveryStore({ dynamodb }),
+        queue: queue || createDeliveryQueue({ sqs })
+    };
+}
+
+// Used by the handlers that raise lifecycle events. Publishing is best
+// effort: a failure is logged and never fails the invoice.
+function createWebhookPublisher(deps) {
+    const { subscriptions, deliveries, queue } = resolveDependencies(deps);
+
+    return {
+        async publish(event) {
+            try {
+                const targets = await subscriptions.forEvent(event.type);
+                const queued = await Promise.all(targets.map(async subscription => {
+                    const delivery = await deliveries.create(subscription, event);
+                    await queue.send(delivery.deliveryId);
+                    return delivery.deliveryId;
+                }));
+                if (queued.length > 0) {
+                    console.log(`Webhook event ${event.type} ${event.id} queued for ${queued.length} subscription(s)`);
+                }
+                return queued;
+            } catch (error) {
+                console.error(`Error publishing webhook event ${event.type}:`, error);
+                return [];
+            }
+        }
+    };
+}
+
+function createWebhookDispatcher({
+    fetch: fetchImpl = globalThis.fetch,
+    maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS, 10),
+    retryBaseSeconds = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || DEFAULT_RETRY_BASE_SECONDS, 10),
+    timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || DEFAULT_TIMEOUT_MS, 10),
+    ...deps
+}) {
+    const { subscriptions, deliveries, queue } = resolveDependencies(deps);
+
+    async function post(subscription, delivery) {
+        const body = renderPayload(delivery.event, subscription.version);
+        const started = Date.now();
+        try {
+            const response = await fetchImpl(subscription.url, {
+                method: 'POST',
+                redirect: 'manual',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'invoice-automation-webhooks/1',
+                    'X-Invoice-Webhook-Id': delivery.deliveryId,
+                    'X-Invoice-Webhook-Event': delivery.eventType,
+                    'X-Invoice-Webhook-Event-Id': delivery.eventId,
+                    'X-Invoice-Webhook-Attempt': String((delivery.attempts || 0) + 1),
+                    ...signatureHeaders(signingSecrets(subscription), body)
+                },
+                body,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            const ok = response.status >= 200 && response.status < 300;
+            const excerpt = ok ? null : (await response.text().catch(() => '')).substring(0, RESPONSE_EXCERPT_LENGTH);
+            return {
+                ok,
+                statusCode: response.status,
+                error: ok ? null : `HTTP ${response.status}${excerpt ? `: ${excerpt}` : ''}`,
+                durationMs: Date.now() - started
+            };
+        } catch (error) {
+            // fetch reports connection failures as 'fetch failed', with the reason in cause
+            const reason = error.name === 'TimeoutError'
+                ? `Timed out after ${timeoutMs} ms`
+                : `${error.message}${error.cause && error.cause.code ? ` (${error.cause.code})` : ''}`;
+            return { ok: false, statusCode: undefined, error: reason, durationMs: Date.now() - started };
+        }
+    }
+
+    const dispatcher = {
+        // One attempt at a queued delivery; schedules the retry or dead-letters it
+        async attempt(deliveryId) {
+            const delivery = await deliveries.get(deliveryId);
+            if (![STATUS.PENDING, STATUS.RETRYING].includes(delivery.status)) {
+                console.log(`Webhook delivery ${deliveryId} is already ${delivery.status}`);
+                return delivery;
+            }
+
+            let subscription;
+            try {
+                subscription = await subscriptions.get(delivery.subscriptionId);
+            } catch (error) {
+                if (error.statusCode !== 404) throw error;
+            }
+            if (!subscription || subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+                console.log(`Webhook delivery ${deliveryId} cancelled: subscription ${delivery.subscriptionId} is ${subscription ? subscription.status : 'gone'}`);
+                return deliveries.settle(deliveryId, STATUS.CANCELLED);
+            }
+
+            const result = await post(subscription, delivery);
+            const attempts = (delivery.attempts || 0) + 1;
+
+            if (result.ok) {
+                console.log(`Webhook delivery ${deliveryId} (${delivery.eventType}) delivered to ${subscription.url} on attempt ${attempts}`);
+                return deliveries.recordAttempt(delivery, { status: STATUS.DELIVERED, ...result });
+            }
+
+            if (isRetryable(result.statusCode) && attempts < maxAttempts) {
+                const delay = retryDelaySeconds(attempts, retryBaseSeconds);
+                const updated = await deliveries.recordAttempt(delivery, {
+                    status: STATUS.RETRYING,
+                    ...result,
+                    nextAttemptAt: new Date(Date.now() + delay * 1000).toISOString()
+                });
+                await queue.send(deliveryId, delay);
+                console.warn(`Webhook delivery ${deliveryId} attempt ${attempts} failed (${result.error}); retrying in ${delay}s`);
+                return updated;
+            }
+
+            console.error(`Webhook delivery ${deliveryId} dead-lettered after ${attempts} attempt(s): ${result.error}`);
+            return deliveries.recordAttempt(delivery, { status: STATUS.DEAD_LETTER, ...result });
+        },
+
+        // Queues the delivery's event again as a new delivery
+        async replay(deliveryId) {
+            const original = await deliveries.get(deliveryId);
+            if ([STATUS.PENDING, STATUS.RETRYING].includes(original.status)) {
+                throw deliveryError(`Webhook delivery ${deliveryId} is still ${original.status}`, 409);
+            }
+            const subscription = await subscriptions.get(original.subscriptionId);
+            if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+                throw deliveryError(`Webhook subscription ${subscription.subscriptionId} is ${subscription.status}`, 409);
+            }
+
+            const replay = await deliveries.create(subscription, original.event, { replayOf: deliveryId });
+            await queue.send(replay.deliveryId);
+            if (original.status === STATUS.DEAD_LETTER) {
+                await deliveries.settle(deliveryId, STATUS.REPLAYED, { replayedBy: replay.deliveryId });
+            }
+            console.log(`Webhook delivery ${deliveryId} replayed as ${replay.deliveryId}`);
+            return replay;
+        },
+
+        // Replays up to limit dead letters, optionally for one subscription
+        async replayDeadLetters({ subscriptionId, limit = DEFAULT_PAGE_SIZE } = {}) {
+            const replayed = [];
+            let nextToken;
+            do {
+                const page = await deliveries.listByStatus(STATUS.DEAD_LETTER, { subscriptionId, nextToken, limit });
+                for (const delivery of page.items) {
+                    if (replayed.length >= limit) break;
+                    replayed.push(await dispatcher.replay(delivery.deliveryId));
+                }
+                nextToken = page.nextToken;
+            } while (nextToken && replayed.length < limit);
+            return replayed;
+        }
+    };
+
+    return dispatcher;
+}
+
+module.exports = {
+    STATUS,
+    retryDelaySeconds,
+    isRetryable,
+    createDeliveryStore,
+    createDeliveryQueue,
+    createWebhookPublisher,
+    createWebhookDispatcher
+};
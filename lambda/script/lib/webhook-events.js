@@ -0,0 +1,157 @@
+// Webhook events and signatures
+//
+// Invoice lifecycle events are delivered to webhook subscribers as versioned
+// JSON payloads:
+//
+//     {
+//         id: 'evt_...',                   // same for every delivery and retry of the event
+//         type: 'invoice.stored',
+//         version: 1,                      // payload schema, chosen per subscription
+//         createdAt: '2026-10-19T10:00:00.000Z',
+//         source: 'store-extracted-data',
+//         data: {
+//             invoice: { customerId, invoiceNumber, invoiceId, vendorId, vendorName,
+//                        amount, amountMinor, currency, invoiceDate, dueDate,
+//                        poNumber, status },
+//             reason, errors, duplicateOf   // depending on the type
+//         }
+//     }
+//
+// A payload version is never changed once published; a breaking change gets a
+// new entry in PAYLOAD_VERSIONS and subscribers move to it when they are ready.
+//
+// Every request is signed with the subscription's secret:
+//
+//     X-Invoice-Webhook-Timestamp: 1792407945
+//     X-Invoice-Webhook-Signature: v1=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//
+// While a secret is being rotated the header carries one v1= value per
+// secret. Receivers check any of them with verifySignature() and reject
+// timestamps outside the tolerance to stop replays.
+
+const crypto = require('crypto');
+
+const EVENT_TYPES = {
+    STORED: 'invoice.stored',
+    VALIDATED: 'invoice.validated',
+    REJECTED: 'invoice.rejected',
+    DUPLICATE: 'invoice.duplicate',
+    // Sent by manage-webhooks.js test; never published by the pipeline
+    PING: 'webhook.ping'
+};
+
+const SIGNATURE_HEADER = 'x-invoice-webhook-signature';
+const TIMESTAMP_HEADER = 'x-invoice-webhook-timestamp';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const INVOICE_FIELDS = [
+    'customerId', 'invoiceNumber', 'invoiceId', 'vendorId', 'vendorName',
+    'amount', 'amountMinor', 'currency', 'invoiceDate', 'dueDate', 'poNumber', 'status'
+];
+
+function pick(source, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined && source[field] !== null) picked[field] = source[field];
+    });
+    return picked;
+}
+
+// Extracted invoices keep their values under invoiceData and call the amount totalAmount
+function invoiceView(invoice = {}) {
+    const data = invoice.invoiceData || {};
+    return pick({
+        ...data,
+        ...invoice,
+        amount: invoice.amount !== undefined ? invoice.amount : (invoice.totalAmount !== undefined ? invoice.totalAmount : data.totalAmount),
+        amountMinor: invoice.amountMinor !== undefined ? invoice.amountMinor : (invoice.totalAmountMinor !== undefined ? invoice.totalAmountMinor : data.totalAmountMinor),
+        poNumber: invoice.poNumber || data.poNumber
+    }, INVOICE_FIELDS);
+}
+
+function buildEvent(type, { invoice, ...details } = {}, { source } = {}) {
+    if (!Object.values(EVENT_TYPES).includes(type)) {
+        throw new Error(`Unknown webhook event type ${type}`);
+    }
+    return {
+        id: `evt_${crypto.randomUUID().replace(/-/g, '')}`,
+        type,
+        createdAt: new Date().toISOString(),
+        source: source || process.env.AWS_LAMBDA_FUNCTION_NAME || 'invoice-automation',
+        invoice: invoice ? invoiceView(invoice) : null,
+        details
+    };
+}
+
+// Payload renderers by version, from the stored event
+const PAYLOAD_VERSIONS = {
+    1: event => ({
+        id: event.id,
+        type: event.type,
+        version: 1,
+        createdAt: event.createdAt,
+        source: event.source,
+        data: {
+            ...(event.invoice ? { invoice: event.invoice } : {}),
+            ...event.details
+        }
+    })
+};
+
+const LATEST_VERSION = Math.max(...Object.keys(PAYLOAD_VERSIONS).map(Number));
+
+function renderPayload(event, version = LATEST_VERSION) {
+    const render = PAYLOAD_VERSIONS[version];
+    if (!render) throw new Error(`Unknown webhook payload version ${version}`);
+    return JSON.stringify(render(event));
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function computeSignature(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Headers for one request; secrets is the current secret, then any that are
+// still valid during a rotation
+function signatureHeaders(secrets, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signatures = secrets.filter(Boolean).map(secret => `v1=${computeSignature(secret, timestamp, body)}`);
+    return {
+        'X-Invoice-Webhook-Timestamp': String(timestamp),
+        'X-Invoice-Webhook-Signature': signatures.join(',')
+    };
+}
+
+// For receivers. headers may use any case; returns { valid, reason }.
+function verifySignature(secret, body, headers, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+    const lower = Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+    const timestamp = parseInt(lower[TIMESTAMP_HEADER], 10);
+    const header = lower[SIGNATURE_HEADER];
+
+    if (!header || isNaN(timestamp)) return { valid: false, reason: 'missing signature headers' };
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return { valid: false, reason: 'timestamp outside tolerance' };
+
+    const expected = Buffer.from(computeSignature(secret, timestamp, Buffer.isBuffer(body) ? body.toString('utf8') : body), 'hex');
+    const matched = String(header).split(',')
+        .map(part => part.trim())
+        .filter(part => part.startsWith('v1='))
+        .some(part => {
+            const given = Buffer.from(part.substring(3), 'hex');
+            return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+        });
+    return matched ? { valid: true } : { valid: false, reason: 'signature mismatch' };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    PAYLOAD_VERSIONS,
+    LATEST_VERSION,
+    invoiceView,
+    buildEvent,
+    renderPayload,
+    generateSecret,
+    signatureHeaders,
+    verifySignature
+};
@@ -0,0 +1,230 @@
+// Webhook subscription registry
+//
+// Who gets which invoice lifecycle events. Subscriptions live in
+// WEBHOOK_SUBSCRIPTIONS_TABLE (hash key subscriptionId):
+//
+//     {
+//         subscriptionId: 'whs_3f2a9c01b7d4e6f8',
+//         url: 'https://erp.example.com/hooks/invoices',
+//         events: ['invoice.stored', 'invoice.rejected'],   // or ['*']
+//         version: 1,                                       // payload version, see webhook-events.js
+//         status: 'active' | 'disabled',
+//         description: 'ERP accounts payable',
+//         secret: 'whsec_...',                              // signs every delivery
+//         previousSecret, previousSecretExpiresAt,          // still signed with during a rotation
+//         createdAt, updatedAt
+//     }
+//
+// URLs must be https; plain http is accepted for localhost so the local
+// receiver (webhook-receiver.js) can subscribe.
+
+const crypto = require('crypto');
+const { EVENT_TYPES, PAYLOAD_VERSIONS, LATEST_VERSION, generateSecret } = require('./webhook-events');
+
+const DEFAULT_CACHE_TTL = 60 * 1000;
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+
+const STATUS = {
+    ACTIVE: 'active',
+    DISABLED: 'disabled'
+};
+
+function subscriptionError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function validateUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw subscriptionError(`Invalid webhook URL ${url}`, 400);
+    }
+    const local = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+    if (parsed.protocol !== 'https:' && !(local && parsed.protocol === 'http:')) {
+        throw subscriptionError('Webhook URLs must use https', 400);
+    }
+    return parsed.toString();
+}
+
+function validateEvents(events) {
+    const list = Array.isArray(events) ? events : String(events || '').split(',').map(event => event.trim()).filter(Boolean);
+    if (list.length === 0) throw subscriptionError('A subscription needs at least one event type', 400);
+
+    const known = Object.values(EVENT_TYPES).filter(type => type !== EVENT_TYPES.PING);
+    const unknown = list.filter(event => event !== '*' && !known.includes(event));
+    if (unknown.length > 0) {
+        throw subscriptionError(`Unknown event type ${unknown.join(', ')} (one of ${known.join(', ')} or *)`, 400);
+    }
+    return list;
+}
+
+function validateVersion(version) {
+    const value = version === undefined || version === null ? LATEST_VERSION : parseInt(version, 10);
+    if (!PAYLOAD_VERSIONS[value]) throw subscriptionError(`Unknown payload version ${version}`, 400);
+    return value;
+}
+
+function wantsEvent(subscription, type) {
+    if (subscription.status !== STATUS.ACTIVE) return false;
+    // Pings go to whoever asked for them, whatever they subscribe to
+    if (type === EVENT_TYPES.PING) return true;
+    return subscription.events.includes('*') || subscription.events.includes(type);
+}
+
+// Secrets a delivery is signed with: the current one, plus the previous one
+// until its grace period ends
+function signingSecrets(subscription, now = new Date()) {
+    const previousValid = subscription.previousSecret
+        && subscription.previousSecretExpiresAt
+        && new Date(subscription.previousSecretExpiresAt) > now;
+    return previousValid ? [subscription.secret, subscription.previousSecret] : [subscription.secret];
+}
+
+// What the CLI shows; the secret is only returned by create and rotateSecret
+function redact(subscription) {
+    const { secret, previousSecret, ...rest } = subscription;
+    return { ...rest, secret: secret ? `${secret.substring(0, 10)}...` : null };
+}
+
+function createWebhookSubscriptions({
+    dynamodb,
+    tableName = process.env.WEBHOOK_SUBSCRIPTIONS_TABLE,
+    cacheTtl = DEFAULT_CACHE_TTL
+} = {}) {
+    if (!tableName) {
+        throw new Error('WEBHOOK_SUBSCRIPTIONS_TABLE is not configured');
+    }
+
+    let cache = null;
+    let cachedAt = 0;
+
+    async function scanSubscriptions() {
+        const items = [];
+        let lastKey;
+
+        do {
+            const result = await dynamodb.scan({
+                TableName: tableName,
+                ExclusiveStartKey: lastKey
+            }).promise();
+            items.push(...(result.Items || []));
+            lastKey = result.LastEvaluatedKey;
+        } while (lastKey);
+
+        return items;
+    }
+
+    async function update(subscriptionId, expression, names, values) {
+        const result = await dynamodb.update({
+            TableName: tableName,
+            Key: { subscriptionId },
+            UpdateExpression: `${expression}, updatedAt = :updatedAt`,
+            ConditionExpression: 'attribute_exists(subscriptionId)',
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: { ...values, ':updatedAt': new Date().toISOString() },
+            ReturnValues: 'ALL_NEW'
+        }).promise().catch(error => {
+            if (error.code === 'ConditionalCheckFailedException') {
+                throw subscriptionError(`Webhook subscription ${subscriptionId} not found`, 404);
+            }
+            throw error;
+        });
+        cache = null;
+        return result.Attributes;
+    }
+
+    const subscriptions = {
+        async create({ url, events, version, description = null }) {
+            const now = new Date().toISOString();
+            const subscription = {
+                subscriptionId: `whs_${crypto.randomBytes(8).toString('hex')}`,
+                url: validateUrl(url),
+                events: validateEvents(events),
+                version: validateVersion(version),
+                status: STATUS.ACTIVE,
+                description,
+                secret: generateSecret(),
+                createdAt: now,
+                updatedAt: now
+            };
+
+            await dynamodb.put({
+                TableName: tableName,
+                Item: subscription,
+                ConditionExpression: 'attribute_not_exists(subscriptionId)'
+            }).promise();
+            cache = null;
+            return subscription;
+        },
+
+        async get(subscriptionId) {
+            const result = await dynamodb.get({ TableName: tableName, Key: { subscriptionId } }).promise();
+            if (!result.Item) throw subscriptionError(`Webhook subscription ${subscriptionId} not found`, 404);
+            return result.Item;
+        },
+
+        // Cached per Lambda container
+        async list() {
+            if (cache && Date.now() - cachedAt < cacheTtl) return cache;
+            cache = await scanSubscriptions();
+            cachedAt = Date.now();
+            return cache;
+        },
+
+        async forEvent(type) {
+            return (await subscriptions.list()).filter(subscription => wantsEvent(subscription, type));
+        },
+
+        async change(subscriptionId, { url, events, version, description }) {
+            const sets = [];
+            const names = {};
+            const values = {};
+            const set = (field, value) => {
+                sets.push(`#${field} = :${field}`);
+                names[`#${field}`] = field;
+                values[`:${field}`] = value;
+            };
+
+            if (url !== undefined) set('url', validateUrl(url));
+            if (events !== undefined) set('events', validateEvents(events));
+            if (version !== undefined) set('version', validateVersion(version));
+            if (description !== undefined) set('description', description);
+            if (sets.length === 0) throw subscriptionError('Nothing to change', 400);
+
+            return update(subscriptionId, `SET ${sets.join(', ')}`, names, values);
+        },
+
+        async setStatus(subscriptionId, status) {
+            if (!Object.values(STATUS).includes(status)) {
+                throw subscriptionError(`Unknown subscription status ${status}`, 400);
+            }
+            return update(subscriptionId, 'SET #status = :status', { '#status': 'status' }, { ':status': status });
+        },
+
+        // The old secret keeps signing deliveries for graceHours, so the
+        // receiver can switch over without rejecting anything
+        async rotateSecret(subscriptionId, { graceHours = DEFAULT_ROTATION_GRACE_HOURS } = {}) {
+            const current = await subscriptions.get(subscriptionId);
+            const expiresAt = new Date(Date.now() + graceHours * 60 * 60 * 1000).toISOString();
+            return update(
+                subscriptionId,
+                'SET #secret = :secret, previousSecret = :previousSecret, previousSecretExpiresAt = :expiresAt',
+                { '#secret': 'secret' },
+                { ':secret': generateSecret(), ':previousSecret': current.secret, ':expiresAt': expiresAt }
+            );
+        }
+    };
+
+    return subscriptions;
+}
+
+module.exports = {
+    STATUS,
+    wantsEvent,
+    signingSecrets,
+    redact,
+    createWebhookSubscriptions
+};
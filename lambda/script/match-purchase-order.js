@@ -0,0 +1,17 @@
+const AWS = require('aws-sdk');
+const { createPurchaseOrderStore } = require('./lib/purchase-orders');
+const { createPurchaseOrderMatcher } = require('./lib/po-matching');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const matcher = createPurchaseOrderMatcher({ store: createPurchaseOrderStore({ dynamodb }) });
+
+// Step Functions task between validation and processing. Takes { invoice }
+// and returns the match result, which the workflow keeps as $.poMatch and
+// branches on (see lib/po-matching.js for its shape).
+exports.handler = async (event) => {
+    console.log('Purchase Order Matching Lambda triggered:', JSON.stringify(event, null, 2));
+
+    const invoice = event.invoice || {};
+    return matcher.match(invoice);
+};
@@ -1,37 +1,82 @@
 const AWS = require('aws-sdk');
+const { createInvoiceDatabase } = require('./lib/invoice-db');
+const { createInvoiceRepository, ERROR_CODES } = require('./lib/invoice-repository');
+const lifecycle = require('./lib/invoice-lifecycle');
+const { MATCH_STATUS } = require('./lib/po-matching');
+const { EVENT_TYPES, buildEvent } = require('./lib/webhook-events');
+const { createWebhookPublisher } = require('./lib/webhook-delivery');
+
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 
+// DynamoDB unless INVOICE_REPOSITORY says otherwise (memory for offline runs)
+const invoiceRepository = createInvoiceRepository(process.env.INVOICE_REPOSITORY || 'dynamodb', { dynamodb });
+
+// Invoices are mirrored to Aurora MySQL for reporting when INVOICE_DB_CLUSTER_ARN is set
+const invoiceDb = process.env.INVOICE_DB_CLUSTER_ARN
+    ? createInvoiceDatabase({ rdsData: new AWS.RDSDataService() })
+    : null;
+
+// Lifecycle events go to webhook subscribers when WEBHOOK_QUEUE_URL is set
+const webhookPublisher = process.env.WEBHOOK_QUEUE_URL
+    ? createWebhookPublisher({ dynamodb, sqs: new AWS.SQS() })
+    : null;
+
+// A matched purchase order approves the invoice; one that cites a PO but
+// doesn't match waits for review. Invoices without a PO stay validated.
+function purchaseOrderStep(poMatch) {
+    if (!poMatch || !poMatch.poNumber) return null;
+
+    if (poMatch.status === MATCH_STATUS.MATCHED) {
+        return {
+            status: lifecycle.STATUS.APPROVED,
+            actor: 'match-purchase-order',
+            at: poMatch.checkedAt,
+            reason: `Matched purchase order ${poMatch.poNumber}`
+        };
+    }
+    return {
+        status: lifecycle.STATUS.PENDING_REVIEW,
+        actor: 'match-purchase-order',
+        at: poMatch.checkedAt,
+        reason: `Purchase order ${poMatch.poNumber} ${poMatch.status}: ${poMatch.reasons.map(reason => reason.code).join(', ')}`
+    };
+}
+
 exports.handler = async (event) => {
     console.log('Invoice Processing Lambda triggered:', JSON.stringify(event, null, 2));
     
     try {
         const invoice = event.invoice;
-        const tableName = process.env.DYNAMODB_TABLE_NAME || 'lambda_invoice_dynamoDB';
-        
-        // Calculate processing details
-        const processingDate = new Date().toISOString();
-        const invoiceNumber = `INV-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const poMatch = event.poMatch || null;
         
-        // Prepare invoice for storage
-        const processedInvoice = {
+        // The repository assigns the numeric invoiceNumber key and version.
+        // Invoices reach this step through validate-invoice and, when they
+        // cite a purchase order, match-purchase-order.
+        const processedInvoice = await invoiceRepository.create({
             ...invoice,
-            invoiceNumber: invoiceNumber,
-            processedAt: processingDate,
-            status: 'processed',
-            createdAt: processingDate,
-            updatedAt: processingDate
-        };
+            ...(poMatch ? { poMatch } : {}),
+            processedAt: new Date().toISOString(),
+            processingMethod: 'manual',
+            ...lifecycle.begin([
+                { status: lifecycle.STATUS.RECEIVED, actor: 'step-functions', at: event.receivedAt || invoice.validatedAt },
+                { status: lifecycle.STATUS.VALIDATED, actor: 'validate-invoice', at: invoice.validatedAt },
+                purchaseOrderStep(poMatch)
+            ])
+        });
+        const invoiceNumber = processedInvoice.invoiceNumber;
         
-        // Store in DynamoDB
-        const params = {
-            TableName: tableName,
-            Item: processedInvoice,
-            ConditionExpression: 'attribute_not_exists(invoiceId)'
-        };
+        console.log('Invoice processed and stored successfully:', invoiceNumber);
         
-        await dynamodb.put(params).promise();
+        // Reporting copy; DynamoDB remains the record, so a failure is only logged
+        if (invoiceDb) {
+            try {
+                await invoiceDb.recordInvoice(processedInvoice, { eventType: 'processed' });
+            } catch (error) {
+                console.error('Error writing invoice to reporting database:', error);
+            }
+        }
         
-        console.log('Invoice processed and stored successfully:', invoiceNumber);
+        await publishWebhookEvent(EVENT_TYPES.STORED, { invoice: processedInvoice });
         
         return {
             statusCode: 200,
@@ -43,7 +88,8 @@ exports.handler = async (event) => {
     } catch (error) {
         console.error('Error processing invoice:', error);
         
-        if (error.code === 'ConditionalCheckFailedException') {
+        if (error.code === ERROR_CODES.CONFLICT) {
+            await publishWebhookEvent(EVENT_TYPES.DUPLICATE, { invoice: event.invoice, suspected: false, matchedOn: 'invoice_key' });
             return {
                 statusCode: 409,
                 error: 'Invoice with this ID already exists',
@@ -59,3 +105,8 @@ exports.handler = async (event) => {
         };
     }
 };
+
+async function publishWebhookEvent(type, payload) {
+    if (!webhookPublisher) return;
+    await webhookPublisher.publish(buildEvent(type, payload, { source: 'process-invoice' }));
+}
@@ -0,0 +1,107 @@
+const AWS = require('aws-sdk');
+const { createPurchaseOrderStore, buildPurchaseOrder, buildReceipt } = require('./lib/purchase-orders');
+const { createPurchaseOrderMatcher } = require('./lib/po-matching');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const purchaseOrders = createPurchaseOrderStore({ dynamodb });
+const matcher = createPurchaseOrderMatcher({ store: purchaseOrders });
+
+// Purchase order API, served through a Lambda function URL:
+//     GET  /purchase-orders/{poNumber}
+//     PUT  /purchase-orders/{poNumber}            { vendorName, currency, lines: [{ lineNumber, description, quantity, unitPrice }] }
+//     POST /purchase-orders/{poNumber}/receipts   { receiptId, receivedAt, lines: [{ lineNumber, quantity }] }
+//     POST /purchase-orders/{poNumber}/match      { invoice }   (dry run, nothing is stored)
+// or invoked directly with { action: 'get' | 'put' | 'receipt' | 'match', poNumber, ... }.
+exports.handler = async (event) => {
+    console.log('Purchase Order API triggered:', JSON.stringify(event, null, 2));
+
+    try {
+        const request = parseRequest(event);
+        const result = await route(request);
+        return respond(200, result);
+    } catch (error) {
+        console.error('Error handling purchase order request:', error);
+        return respond(error.statusCode || 500, { error: error.message });
+    }
+};
+
+function parseRequest(event) {
+    // Direct invocation
+    if (event.action) {
+        return {
+            action: event.action,
+            poNumber: event.poNumber,
+            body: event
+        };
+    }
+
+    const http = (event.requestContext && event.requestContext.http) || {};
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body;
+    let body = {};
+    try {
+        body = rawBody ? JSON.parse(rawBody) : {};
+    } catch (error) {
+        throw httpError('Request body must be JSON', 400);
+    }
+    const [, resource, poNumber, verb] = (event.rawPath || '').split('/');
+
+    if (resource !== 'purchase-orders' || !poNumber) {
+        throw httpError(`Unknown path ${event.rawPath}`, 404);
+    }
+
+    let action;
+    if (http.method === 'GET' && !verb) {
+        action = 'get';
+    } else if (http.method === 'PUT' && !verb) {
+        action = 'put';
+    } else if (http.method === 'POST' && verb === 'receipts') {
+        action = 'receipt';
+    } else if (http.method === 'POST' && verb === 'match') {
+        action = 'match';
+    } else {
+        throw httpError(`Unsupported request ${http.method} ${event.rawPath}`, 405);
+    }
+
+    return {
+        action,
+        poNumber: decodeURIComponent(poNumber),
+        body
+    };
+}
+
+async function route({ action, poNumber, body }) {
+    if (!poNumber) {
+        throw httpError('A poNumber is required', 400);
+    }
+
+    switch (action) {
+        case 'get': {
+            const purchaseOrder = await purchaseOrders.get(poNumber);
+            if (!purchaseOrder) throw httpError(`Purchase order ${poNumber} not found`, 404);
+            return purchaseOrder;
+        }
+        case 'put':
+            return purchaseOrders.put(buildPurchaseOrder({ ...body, poNumber }, { source: 'api' }));
+        case 'receipt':
+            return purchaseOrders.addReceipt(poNumber, buildReceipt(body));
+        case 'match':
+            return matcher.match({ ...(body.invoice || {}), poNumber });
+        default:
+            throw httpError(`Unknown action ${action}`, 400);
+    }
+}
+
+function respond(statusCode, body) {
+    return {
+        statusCode: statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
@@ -0,0 +1,201 @@
+const AWS = require('aws-sdk');
+const { createReviewQueue, applyCorrections, STATUS } = require('./lib/review-queue');
+const { createNotifier } = require('./lib/notification-router');
+const { EVENT_TYPES, buildEvent } = require('./lib/webhook-events');
+const { createWebhookPublisher } = require('./lib/webhook-delivery');
+const { storeExtractedData } = require('./lib/invoice-storage');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const s3 = new AWS.S3();
+const sns = new AWS.SNS();
+const lambda = new AWS.Lambda();
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const reviewQueue = createReviewQueue({ dynamodb, s3 });
+const notifier = createNotifier({ source: 'Invoice Review', sns, ses: new AWS.SES() });
+
+// Lifecycle events go to webhook subscribers when WEBHOOK_QUEUE_URL is set
+const webhookPublisher = process.env.WEBHOOK_QUEUE_URL
+    ? createWebhookPublisher({ dynamodb, sqs: new AWS.SQS() })
+    : null;
+
+// Review queue API, served through a Lambda function URL:
+//     GET  /reviews?status=pending_review&limit=25&nextToken=...
+//     GET  /reviews/{reviewId}
+//     POST /reviews/{reviewId}/claim
+//     POST /reviews/{reviewId}/corrections   { "corrections": { "totalAmount": "190.00" } }
+//     POST /reviews/{reviewId}/approve       { "note": "..." }
+//     POST /reviews/{reviewId}/reject        { "note": "..." }
+// The reviewer is the IAM caller of the function URL, or body.reviewer when
+// invoked directly with { action, reviewId, reviewer, ... }.
+exports.handler = async (event) => {
+    console.log('Review Queue API triggered:', JSON.stringify(event, null, 2));
+
+    try {
+        const request = parseRequest(event);
+        const result = await route(request);
+        return respond(200, result);
+    } catch (error) {
+        console.error('Error handling review request:', error);
+        return respond(error.statusCode || 500, { error: error.message });
+    }
+};
+
+function parseRequest(event) {
+    // Direct invocation
+    if (event.action) {
+        return {
+            action: event.action,
+            reviewId: event.reviewId,
+            reviewer: event.reviewer,
+            body: event,
+            query: event
+        };
+    }
+
+    const http = (event.requestContext && event.requestContext.http) || {};
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body;
+    let body = {};
+    try {
+        body = rawBody ? JSON.parse(rawBody) : {};
+    } catch (error) {
+        throw httpError('Request body must be JSON', 400);
+    }
+    const iam = event.requestContext && event.requestContext.authorizer && event.requestContext.authorizer.iam;
+    const [, resource, reviewId, verb] = (event.rawPath || '').split('/');
+
+    if (resource !== 'reviews') {
+        throw httpError(`Unknown path ${event.rawPath}`, 404);
+    }
+
+    let action;
+    if (http.method === 'GET') {
+        action = reviewId ? 'get' : 'list';
+    } else if (http.method === 'POST' && reviewId && verb) {
+        action = verb === 'corrections' ? 'correct' : verb;
+    } else {
+        throw httpError(`Unsupported request ${http.method} ${event.rawPath}`, 405);
+    }
+
+    return {
+        action,
+        reviewId,
+        reviewer: (iam && (iam.userArn || iam.userId)) || body.reviewer,
+        body,
+        query: event.queryStringParameters || {}
+    };
+}
+
+async function route({ action, reviewId, reviewer, body, query }) {
+    if (['claim', 'correct', 'approve', 'reject'].includes(action) && !reviewer) {
+        throw httpError('A reviewer is required', 400);
+    }
+
+    switch (action) {
+        case 'list':
+            return reviewQueue.list({
+                status: query.status || STATUS.PENDING,
+                limit: limitFrom(query.limit),
+                nextToken: query.nextToken
+            });
+        case 'get':
+            return reviewQueue.get(reviewId);
+        case 'claim':
+            return reviewQueue.claim(reviewId, reviewer);
+        case 'correct':
+            return reviewQueue.correct(reviewId, reviewer, body.corrections || {});
+        case 'approve':
+            return approve(reviewId, reviewer, body.note);
+        case 'reject':
+            return reject(reviewId, reviewer, body.note);
+        default:
+            throw httpError(`Unknown action ${action}`, 400);
+    }
+}
+
+// Approval resumes the normal path: the corrected extraction goes through
+// store-extracted-data, which stores it and sends the usual notifications.
+// The review is decided once the invoice is stored, or found to be stored
+// already, so a failed storage leaves it pending for the reviewer to approve
+// again.
+async function approve(reviewId, reviewer, note) {
+    const item = await reviewQueue.get(reviewId);
+    const now = new Date().toISOString();
+    if (item.status !== STATUS.PENDING || item.claimedBy !== reviewer || item.claimExpiresAt < now) {
+        throw httpError(`Claim review ${reviewId} before deciding on it`, 409);
+    }
+
+    const original = await reviewQueue.loadExtraction(item);
+    const storage = await storeExtractedData(lambda, {
+        extractedData: applyCorrections(original, item.corrections),
+        objectKey: item.sourceFile,
+        bucketName: item.sourceBucket,
+        review: {
+            reviewId: item.reviewId,
+            decidedBy: reviewer,
+            decidedAt: now,
+            corrections: item.corrections
+        }
+    });
+    console.log(`Approved review ${reviewId} ended as ${storage.status}`);
+
+    if (storage.status !== 'stored' && storage.status !== 'duplicate') {
+        throw httpError(`Review ${reviewId} could not be stored (${storage.error || storage.status}); approve it again to retry`, 502);
+    }
+
+    await reviewQueue.decide(reviewId, reviewer, STATUS.APPROVED, note || null);
+    return reviewQueue.recordStorage(reviewId, {
+        status: storage.status,
+        invoiceId: storage.invoiceId || null,
+        duplicateOf: storage.duplicateOf || null
+    });
+}
+
+async function reject(reviewId, reviewer, note) {
+    const item = await reviewQueue.decide(reviewId, reviewer, STATUS.REJECTED, note || null);
+
+    await sendNotification('review_rejected', 'Invoice rejected during review', {
+        reviewId: item.reviewId,
+        sourceFile: item.sourceFile,
+        invoiceNumber: item.invoiceData.invoiceNumber,
+        reviewer: reviewer,
+        note: note || null
+    });
+    if (webhookPublisher) {
+        await webhookPublisher.publish(buildEvent(EVENT_TYPES.REJECTED, {
+            invoice: item.invoiceData,
+            reason: 'review_rejected',
+            reviewId: item.reviewId,
+            note: note || null
+        }, { source: 'review-queue-api' }));
+    }
+
+    return item;
+}
+
+// ?limit, up to MAX_PAGE_SIZE, or DEFAULT_PAGE_SIZE unless it is a positive
+// integer; DynamoDB rejects anything else
+function limitFrom(value) {
+    const limit = Number(value);
+    return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+}
+
+function respond(statusCode, body) {
+    return {
+        statusCode: statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+async function sendNotification(type, message, data) {
+    await notifier.notify(type, message, data);
+}
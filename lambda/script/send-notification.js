@@ -1,56 +1,141 @@
 const AWS = require('aws-sdk');
+const { renderNotification, audienceFor } = require('./lib/notification-templates');
+const { createEmailTransport } = require('./lib/email-transport');
+const { createPartyRegistry } = require('./lib/party-registry');
+const { createNotifier } = require('./lib/notification-router');
+
 const ses = new AWS.SES();
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// SES unless EMAIL_TRANSPORT says otherwise (smtp, or file for offline runs)
+const transport = createEmailTransport(process.env.EMAIL_TRANSPORT || 'ses', { ses });
+
+// Customer emails and locales come from the registry when PARTY_REGISTRY_TABLE is set
+const partyRegistry = process.env.PARTY_REGISTRY_TABLE ? createPartyRegistry({ dynamodb }) : null;
 
+// Workflow events also go to the NOTIFICATION_SUBSCRIBERS (Slack, Teams, webhooks, ...)
+const notifier = createNotifier({ source: 'Invoice Workflow', ses });
+
+// Step Functions task. Returns the delivery status for the workflow to keep:
+//     delivery: { status: 'sent' | 'skipped' | 'failed', transport, messageId, recipients, error }
+//     routes:   [{ subscriberId, channel, status: 'delivered' | 'failed', attempts, error }]
+// A failed delivery is reported, not thrown, so it never fails the invoice.
 exports.handler = async (event) => {
     console.log('Notification Lambda triggered:', JSON.stringify(event, null, 2));
     
+    const invoice = event.invoice || {};
+    const notificationType = event.notificationType || 'success';
+    const routes = await notifier.notify(notificationType, `Invoice ${invoice.invoiceId || '-'}: ${notificationType}`, invoiceSummary(invoice, event));
+    
     try {
-        const invoice = event.invoice;
-        const notificationType = event.notificationType || 'success';
+        const customer = await loadCustomer(invoice);
+        const recipients = resolveRecipients(event, invoice, customer);
+        // Internal notifications are written in the team's locale, not the customer's
+        const locale = audienceFor(notificationType) === 'customer'
+            ? event.locale || invoice.locale || (customer && customer.locale) || process.env.NOTIFICATION_DEFAULT_LOCALE
+            : event.locale || process.env.NOTIFICATION_DEFAULT_LOCALE;
+        const email = renderNotification(notificationType, locale, {
+            invoice: invoice,
+            error: event.error,
+            poMatch: event.poMatch
+        });
         
-        // Simulate notification sending (replace with actual email/SMS service)
         const notification = {
-            to: invoice.customerEmail || 'customer@example.com',
-            subject: `Invoice ${invoice.invoiceNumber || invoice.invoiceId} - ${notificationType.toUpperCase()}`,
-            body: generateNotificationBody(invoice, notificationType),
-            sentAt: new Date().toISOString()
+            type: notificationType,
+            template: email.type,
+            audience: email.audience,
+            locale: email.locale,
+            to: recipients,
+            subject: email.subject
         };
         
-        // In a real implementation, you would send actual notifications here
-        // For now, we'll just log and return success
-        console.log('Notification prepared:', notification);
+        if (recipients.length === 0) {
+            console.log(`No recipient for ${notificationType} notification of invoice ${invoice.invoiceId}`);
+            return result(200, `${notificationType} notification skipped: no recipient`, notification,
+                { status: 'skipped', transport: transport.name, recipients: [], reason: 'no_recipient' }, invoice, routes);
+        }
         
-        // Simulate processing delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        const sent = await transport.send({
+            from: process.env.NOTIFICATION_FROM_ADDRESS,
+            replyTo: process.env.NOTIFICATION_REPLY_TO || undefined,
+            to: recipients,
+            subject: email.subject,
+            text: email.text,
+            html: email.html
+        });
+        console.log(`${notificationType} notification sent via ${sent.transport} to ${recipients.join(', ')}: ${sent.messageId}`);
         
-        return {
-            statusCode: 200,
-            message: `${notificationType} notification sent successfully`,
-            notification: notification,
-            invoice: invoice
-        };
+        return result(200, `${notificationType} notification sent successfully`, { ...notification, sentAt: new Date().toISOString() },
+            { status: 'sent', transport: sent.transport, messageId: sent.messageId, recipients: recipients }, invoice, routes);
         
     } catch (error) {
         console.error('Error sending notification:', error);
         
         return {
-            statusCode: 500,
+            ...result(502, 'Failed to send notification', { type: notificationType },
+                { status: 'failed', transport: transport.name, error: error.message }, invoice, routes),
             error: 'Failed to send notification',
-            details: error.message,
-            invoice: event.invoice
+            details: error.message
         };
     }
 };
 
-function generateNotificationBody(invoice, type) {
-    switch (type) {
-        case 'success':
-            return `Your invoice ${invoice.invoiceNumber || invoice.invoiceId} has been processed successfully. Amount: $${invoice.amount}. Due date: ${invoice.dueDate}.`;
-        case 'error':
-            return `There was an error processing your invoice ${invoice.invoiceId}. Please contact support.`;
-        case 'validation_failed':
-            return `Your invoice ${invoice.invoiceId} failed validation. Please review and resubmit.`;
-        default:
-            return `Invoice ${invoice.invoiceId} status update: ${type}`;
+function result(statusCode, message, notification, delivery, invoice, routes) {
+    return {
+        statusCode: statusCode,
+        message: message,
+        notification: notification,
+        delivery: delivery,
+        routes: routes,
+        invoice: invoice
+    };
+}
+
+// What subscribers see of the invoice; minAmount filters on amount / currency
+function invoiceSummary(invoice, event) {
+    return {
+        invoiceId: invoice.invoiceId,
+        invoiceNumber: invoice.invoiceNumber,
+        vendorName: invoice.vendorName,
+        customerId: invoice.customerId,
+        amount: invoice.amount !== undefined ? invoice.amount : invoice.totalAmount,
+        currency: invoice.currency,
+        status: invoice.status,
+        poNumber: (event.poMatch && event.poMatch.poNumber) || invoice.poNumber,
+        poMatchStatus: event.poMatch ? event.poMatch.status : undefined,
+        error: typeof event.error === 'object' && event.error !== null ? JSON.stringify(event.error) : event.error
+    };
+}
+
+// The customer's registry entry, if there is one. A registry outage only
+// costs the customer's stored contacts, not the notification.
+async function loadCustomer(invoice) {
+    if (!partyRegistry || !invoice.customerId) return null;
+    try {
+        return await partyRegistry.find(invoice.customerId);
+    } catch (error) {
+        console.error('Error loading customer record:', invoice.customerId, error);
+        return null;
     }
 }
+
+// Explicit recipients win. Customer notifications then go to the address on
+// the invoice, else the customer record; internal ones and any without a
+// customer address go to NOTIFICATION_OPS_RECIPIENTS.
+function resolveRecipients(event, invoice, customer) {
+    const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(address => address.trim())
+        .filter(Boolean);
+    
+    const explicit = list(event.recipients);
+    if (explicit.length > 0) return explicit;
+    
+    if (audienceFor(event.notificationType || 'success') === 'customer') {
+        const customerRecipients = list(invoice.customerEmail).length > 0
+            ? list(invoice.customerEmail)
+            : list(customer && customer.emails);
+        if (customerRecipients.length > 0) return customerRecipients;
+    }
+    
+    return list(process.env.NOTIFICATION_OPS_RECIPIENTS);
+}
@@ -1,28 +1,154 @@
 const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { SCHEMA_VERSION, extractCustomerId } = require('./lib/textract-parser');
+const { assessConfidence, createReviewQueue } = require('./lib/review-queue');
+const idempotency = require('./lib/idempotency');
+const { createDuplicateDetector } = require('./lib/duplicate-detector');
+const { createPartyRegistry, partyIdFor } = require('./lib/party-registry');
+const { createInvoiceDatabase, invoiceKey } = require('./lib/invoice-db');
+const { createInvoiceRepository } = require('./lib/invoice-repository');
+const lifecycle = require('./lib/invoice-lifecycle');
+const { createPurchaseOrderStore } = require('./lib/purchase-orders');
+const { createPurchaseOrderMatcher } = require('./lib/po-matching');
+const { createNotifier } = require('./lib/notification-router');
+const { EVENT_TYPES, buildEvent } = require('./lib/webhook-events');
+const { createWebhookPublisher } = require('./lib/webhook-delivery');
+const { createDeadLetterRecorder } = require('./lib/dead-letters');
 
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 const s3 = new AWS.S3();
 const sns = new AWS.SNS();
 
+const notifier = createNotifier({ source: 'Invoice Storage', sns, ses: new AWS.SES() });
+
+// Recorded as the actor of the status changes this function makes
+const FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'store-extracted-data';
+
+// DynamoDB unless INVOICE_REPOSITORY says otherwise (memory for offline runs)
+const invoiceRepository = createInvoiceRepository(process.env.INVOICE_REPOSITORY || 'dynamodb', { dynamodb });
+
+// Low-confidence invoices wait for a reviewer when REVIEW_QUEUE_TABLE is set
+const reviewQueue = process.env.REVIEW_QUEUE_TABLE ? createReviewQueue({ dynamodb, s3 }) : null;
+
+// Redelivered and re-uploaded documents are detected when IDEMPOTENCY_TABLE is set
+const idempotencyStore = process.env.IDEMPOTENCY_TABLE ? idempotency.createIdempotencyStore({ dynamodb }) : null;
+
+// Near-duplicates (rescans, OCR variations) are flagged when DUPLICATE_CHECK_INDEX is set
+const duplicateDetector = process.env.DUPLICATE_CHECK_INDEX ? createDuplicateDetector({ dynamodb }) : null;
+
+// Vendors resolve to stable master IDs when PARTY_REGISTRY_TABLE is set
+const partyRegistry = process.env.PARTY_REGISTRY_TABLE ? createPartyRegistry({ dynamodb }) : null;
+
+// Invoices citing a purchase order are matched against it when PURCHASE_ORDER_TABLE is set
+const poMatcher = process.env.PURCHASE_ORDER_TABLE
+    ? createPurchaseOrderMatcher({ store: createPurchaseOrderStore({ dynamodb }) })
+    : null;
+
+// Invoices are mirrored to Aurora MySQL for reporting when INVOICE_DB_CLUSTER_ARN is set
+const invoiceDb = process.env.INVOICE_DB_CLUSTER_ARN
+    ? createInvoiceDatabase({ rdsData: new AWS.RDSDataService() })
+    : null;
+
+// Documents that can't be stored are kept for redrive when DEAD_LETTER_TABLE is set
+const deadLetters = createDeadLetterRecorder({ dynamodb, source: FUNCTION_NAME });
+
+// Lifecycle events go to webhook subscribers when WEBHOOK_QUEUE_URL is set
+const webhookPublisher = process.env.WEBHOOK_QUEUE_URL
+    ? createWebhookPublisher({ dynamodb, sqs: new AWS.SQS() })
+    : null;
+
+// Invoked by the processors and the review API with the extraction, or as
+// the StoreInvoice step of the extraction workflow with
+//     { orchestrated: true, extractionLocation: { bucket, key }, sourceFile, sourceBucket,
+//       contentHash, reviewReasons }
+// The workflow reports the outcome and records failures itself, so an
+// orchestrated invocation sends no notifications and records no dead letter;
+// it answers with the status code the workflow branches on.
 exports.handler = async (event) => {
     console.log('Store Extracted Data Lambda triggered:', JSON.stringify(event, null, 2));
     
+    // Idempotency keys claimed by this invocation, released again on failure
+    const owner = crypto.randomUUID();
+    const claims = [];
+    let contentHash = null;
+    const orchestrated = Boolean(event.orchestrated);
+    let extractedData = event.extractedData;
+    
     try {
-        const { extractedData, sourceFile, sourceBucket } = event;
+        const { sourceFile, sourceBucket, review } = event;
+        extractedData = extractedData || await loadExtraction(event.extractionLocation);
         
         if (!extractedData) {
             throw new Error('No extracted data provided');
         }
         
+        // The same file, whether redelivered or uploaded again under another key
+        if (idempotencyStore && sourceBucket && sourceFile) {
+            contentHash = event.contentHash || await idempotency.hashS3Object(s3, sourceBucket, sourceFile);
+            const key = idempotency.contentKey(contentHash);
+            const content = await idempotencyStore.claim(key, owner, {
+                reviewId: review ? review.reviewId : null,
+                contentHash: contentHash,
+                sourceFile: sourceFile,
+                sourceBucket: sourceBucket
+            });
+            
+            if (!content.claimed) {
+                return await handleDuplicate('content', content.existing, { ...event, extractedData });
+            }
+            claims.push(key);
+        }
+        
+        // Approved reviews come back here with the corrected extraction and
+        // skip the confidence check. The workflow adds the validation rules
+        // the extraction broke.
+        if (reviewQueue && !review) {
+            const assessment = assessConfidence(extractedData);
+            const reasons = assessment.reasons.concat((event.reviewReasons || [])
+                .filter(reason => !assessment.reasons.some(existing => existing.field === reason.field)));
+            if (reasons.length > 0) {
+                const response = await queueForReview(extractedData, sourceFile, sourceBucket, reasons, { notify: !orchestrated });
+                const reviewId = JSON.parse(response.body).reviewId;
+                await settleClaims(claims, owner, idempotency.STATUS.PENDING_REVIEW, { reviewId });
+                await recordProcessingEvent({
+                    type: 'review_queued',
+                    sourceFile: sourceFile,
+                    detail: { reviewId, reasons: reasons }
+                });
+                return response;
+            }
+        }
+        
+        // The same invoice, rescanned or exported to a different file. Checked
+        // after review so the fingerprint uses the corrected values.
+        const fingerprint = idempotency.invoiceFingerprint(extractedData.invoiceData);
+        if (idempotencyStore && fingerprint) {
+            const key = idempotency.fingerprintKey(fingerprint.fingerprint);
+            const existing = await idempotencyStore.claim(key, owner, {
+                fingerprintParts: fingerprint.parts,
+                sourceFile: sourceFile || null,
+                sourceBucket: sourceBucket || null
+            });
+            
+            if (!existing.claimed) {
+                await settleClaims(claims, owner, idempotency.STATUS.DUPLICATE, {
+                    duplicateOf: existing.existing ? existing.existing.invoiceId || null : null
+                });
+                return await handleDuplicate('fingerprint', existing.existing, { ...event, extractedData });
+            }
+            claims.push(key);
+        }
+        
         // Generate unique invoice ID
         const invoiceId = extractedData.invoiceData.invoiceNumber || `AUTO-${Date.now()}`;
-        const customerId = extractInvoiceCustomerId(extractedData);
+        const vendor = await resolveVendor(extractedData.invoiceData);
+        const customerId = extractCustomerId(extractedData) || (vendor ? vendor.partyId : 'CUST-UNRESOLVED');
         
-        // Prepare invoice record for DynamoDB
+        // Prepare invoice record; the repository assigns the numeric invoiceNumber key
         const invoiceRecord = {
             customerId: customerId,
-            invoiceNumber: parseInt(Date.now()), // Using timestamp as numeric invoice number
             invoiceId: invoiceId,
+            schemaVersion: extractedData.schemaVersion || SCHEMA_VERSION,
             originalFileName: sourceFile,
             sourceBucket: sourceBucket,
             extractedAt: extractedData.extractedAt,
@@ -32,35 +158,85 @@ exports.handler = async (event) => {
             invoiceDate: extractedData.invoiceData.invoiceDate,
             dueDate: extractedData.invoiceData.dueDate,
             totalAmount: extractedData.invoiceData.totalAmount,
+            totalAmountMinor: extractedData.invoiceData.minorUnits ? extractedData.invoiceData.minorUnits.totalAmount : null,
+            currency: extractedData.invoiceData.currency,
             vendorName: extractedData.invoiceData.vendorName,
+            vendorKey: idempotency.normalizeVendorName(extractedData.invoiceData.vendorName) || undefined,
+            vendorId: vendor ? vendor.partyId : null,
+            vendorResolution: vendor,
             vendorAddress: extractedData.invoiceData.vendorAddress,
+            poNumber: extractedData.invoiceData.poNumber || null,
+            lineItems: extractedData.invoiceData.lineItems || [],
+            
+            // Line-item arithmetic check against the extracted total
+            reconciliationStatus: extractedData.reconciliation ? extractedData.reconciliation.status : 'skipped',
+            amountDiscrepancy: extractedData.reconciliation ? extractedData.reconciliation.discrepancy : null,
+            reconciliation: extractedData.reconciliation || null,
+            
+            // Human review, when the extraction needed one
+            reviewId: review ? review.reviewId : null,
+            reviewedBy: review ? review.decidedBy : null,
+            reviewedAt: review ? review.decidedAt : null,
+            corrections: review ? review.corrections || {} : {},
+            
+            // Duplicate detection keys
+            contentHash: contentHash,
+            // Left out rather than null: it is the FingerprintIndex key
+            fingerprint: fingerprint ? fingerprint.fingerprint : undefined,
             
             // Raw extracted data
             rawText: extractedData.rawText,
             keyValuePairs: extractedData.keyValuePairs,
             
-            // Processing status
-            status: 'processed',
-            processingMethod: 'textract-automated'
+            processingMethod: review ? 'textract-reviewed' : 'textract-automated'
         };
         
-        // Store in DynamoDB
-        const dynamoParams = {
-            TableName: process.env.DYNAMODB_TABLE_NAME || 'lambda_invoice_dynamoDB',
-            Item: invoiceRecord,
-            ConditionExpression: 'attribute_not_exists(invoiceId)'
-        };
+        // Suspected duplicates are stored, flagged and linked to the original
+        // so someone can decide; they are neither dropped nor rejected
+        const suspectedDuplicate = duplicateDetector ? await duplicateDetector.findSuspectedDuplicate(invoiceRecord) : null;
+        if (suspectedDuplicate) {
+            console.log('Suspected duplicate of', suspectedDuplicate.invoiceId, JSON.stringify(suspectedDuplicate.signals));
+            invoiceRecord.suspectedDuplicateOf = suspectedDuplicate;
+        }
         
-        await dynamodb.put(dynamoParams).promise();
-        console.log('Invoice stored in DynamoDB successfully:', invoiceId);
+        // Three-way match result for whoever approves the invoice
+        invoiceRecord.poMatch = await matchPurchaseOrder({
+            ...extractedData.invoiceData,
+            invoiceId: invoiceId,
+            vendorId: invoiceRecord.vendorId
+        });
         
-        // Store processed data in S3
+        // Status and the history of how the invoice got there
+        Object.assign(invoiceRecord, lifecycle.begin([
+            {
+                status: lifecycle.STATUS.RECEIVED,
+                actor: FUNCTION_NAME,
+                at: event.receivedAt || extractedData.extractedAt,
+                reason: sourceFile ? `Uploaded as ${sourceFile}` : null
+            },
+            {
+                status: lifecycle.STATUS.EXTRACTED,
+                actor: review ? review.decidedBy : FUNCTION_NAME,
+                at: review ? review.decidedAt : extractedData.extractedAt,
+                reason: review ? `Extraction approved in review ${review.reviewId}` : null
+            },
+            suspectedDuplicate && {
+                status: lifecycle.STATUS.SUSPECTED_DUPLICATE,
+                actor: FUNCTION_NAME,
+                reason: `Suspected duplicate of ${suspectedDuplicate.invoiceId}`
+            }
+        ]));
+        
+        // Store processed data in S3 first: a failure there leaves no invoice
+        // record behind, so the redrive stores the invoice once. The copy has
+        // no invoiceNumber or version; the repository assigns those.
+        const s3Key = `processed/${new Date().getFullYear()}/${new Date().getMonth() + 1}/${invoiceId}.json`;
+        invoiceRecord.s3Location = s3Key;
         const processedData = {
             ...invoiceRecord,
             fullExtractedData: extractedData
         };
         
-        const s3Key = `processed/${new Date().getFullYear()}/${new Date().getMonth() + 1}/${invoiceId}.json`;
         const s3Params = {
             Bucket: process.env.PROCESSED_BUCKET_NAME,
             Key: s3Key,
@@ -72,21 +248,62 @@ exports.handler = async (event) => {
         await s3.putObject(s3Params).promise();
         console.log('Processed data stored in S3:', s3Key);
         
-        // Send success notification
-        await sendNotification('storage_success', 'Invoice data stored successfully', {
+        // Store in DynamoDB
+        const storedInvoice = await invoiceRepository.create(invoiceRecord);
+        console.log('Invoice stored in DynamoDB successfully:', invoiceId, storedInvoice.invoiceNumber);
+        
+        await settleClaims(claims, owner, idempotency.STATUS.COMPLETED, {
             invoiceId: invoiceId,
             customerId: customerId,
-            amount: extractedData.invoiceData.totalAmount,
-            vendor: extractedData.invoiceData.vendorName,
+            invoiceNumber: storedInvoice.invoiceNumber,
             s3Location: s3Key
         });
         
+        await mirrorToDatabase(storedInvoice);
+        
+        await publishWebhookEvent(EVENT_TYPES.STORED, { invoice: storedInvoice, sourceFile: sourceFile });
+        if (suspectedDuplicate) {
+            await publishWebhookEvent(EVENT_TYPES.DUPLICATE, {
+                invoice: storedInvoice,
+                suspected: true,
+                duplicateOf: suspectedDuplicate
+            });
+        }
+        
+        // Send success notification; the workflow reports orchestrated invocations
+        if (!orchestrated) {
+            if (suspectedDuplicate) {
+                await sendNotification('suspected_duplicate', 'Invoice stored as a suspected duplicate', {
+                    invoiceId: invoiceId,
+                    customerId: customerId,
+                    amount: extractedData.invoiceData.totalAmount,
+                    vendor: extractedData.invoiceData.vendorName,
+                    sourceFile: sourceFile,
+                    s3Location: s3Key,
+                    suspectedDuplicateOf: suspectedDuplicate
+                });
+            } else {
+                await sendNotification('storage_success', 'Invoice data stored successfully', {
+                    invoiceId: invoiceId,
+                    customerId: customerId,
+                    amount: extractedData.invoiceData.totalAmount,
+                    vendor: extractedData.invoiceData.vendorName,
+                    reconciliationStatus: invoiceRecord.reconciliationStatus,
+                    amountDiscrepancy: invoiceRecord.amountDiscrepancy,
+                    s3Location: s3Key
+                });
+            }
+        }
+        
         return {
             statusCode: 200,
             body: JSON.stringify({
                 message: 'Invoice data stored successfully',
                 invoiceId: invoiceId,
                 customerId: customerId,
+                invoiceNumber: storedInvoice.invoiceNumber,
+                status: storedInvoice.status,
+                suspectedDuplicateOf: suspectedDuplicate,
                 s3Location: s3Key
             })
         };
@@ -94,28 +311,28 @@ exports.handler = async (event) => {
     } catch (error) {
         console.error('Error storing extracted data:', error);
         
-        // Handle duplicate invoice
-        if (error.code === 'ConditionalCheckFailedException') {
-            console.log('Duplicate invoice detected');
-            await sendNotification('duplicate', 'Duplicate invoice detected', {
+        // Let the retry claim the document again
+        await Promise.all(claims.map(key => idempotencyStore.release(key, owner).catch(releaseError => {
+            console.error('Error releasing idempotency claim:', key, releaseError);
+        })));
+        
+        // Send error notification
+        if (!orchestrated) {
+            await sendNotification('storage_error', error.message, {
                 sourceFile: event.sourceFile,
-                error: 'Invoice already exists in database'
+                error: error.message
             });
-            
-            return {
-                statusCode: 409,
-                body: JSON.stringify({
-                    message: 'Duplicate invoice detected',
-                    error: 'Invoice already exists in database'
-                })
-            };
         }
         
-        // Send error notification
-        await sendNotification('storage_error', error.message, {
-            sourceFile: event.sourceFile,
-            error: error.message
-        });
+        // Invoked asynchronously and answering 500, so nothing retries this
+        if (deadLetters && !orchestrated && event.sourceBucket && event.sourceFile) {
+            await deadLetters.record({
+                bucketName: event.sourceBucket,
+                objectKey: event.sourceFile,
+                stage: 'storage',
+                error
+            });
+        }
         
         return {
             statusCode: 500,
@@ -127,60 +344,194 @@ exports.handler = async (event) => {
     }
 };
 
-function extractInvoiceCustomerId(extractedData) {
-    // Try to extract customer ID from various sources
-    const keyValuePairs = extractedData.keyValuePairs || {};
+async function queueForReview(extractedData, sourceFile, sourceBucket, reasons, { notify = true } = {}) {
+    const item = await reviewQueue.enqueue({ extractedData, sourceFile, sourceBucket, reasons });
+    console.log('Invoice queued for review:', item.reviewId, JSON.stringify(reasons));
     
-    // Look for customer ID in key-value pairs
-    const customerKeys = ['customer id', 'customer number', 'client id', 'account number'];
-    for (const key of customerKeys) {
-        for (const [extractedKey, value] of Object.entries(keyValuePairs)) {
-            if (extractedKey.toLowerCase().includes(key)) {
-                return value;
-            }
-        }
+    if (notify) {
+        await sendNotification('review_required', 'Invoice extraction needs human review', {
+            reviewId: item.reviewId,
+            sourceFile: sourceFile,
+            invoiceNumber: extractedData.invoiceData.invoiceNumber,
+            vendor: extractedData.invoiceData.vendorName,
+            amount: extractedData.invoiceData.totalAmount,
+            reasons: reasons
+        });
     }
     
-    // Try to extract from raw text
-    const customerIdPatterns = [
-        /customer\s*id\s*:?\s*([a-zA-Z0-9\-]+)/i,
-        /client\s*id\s*:?\s*([a-zA-Z0-9\-]+)/i,
-        /account\s*#?\s*:?\s*([a-zA-Z0-9\-]+)/i
-    ];
+    return {
+        statusCode: 202,
+        body: JSON.stringify({
+            message: 'Invoice queued for review',
+            reviewId: item.reviewId,
+            status: item.status,
+            reasons: reasons
+        })
+    };
+}
+
+// The workflow passes the location of the extraction instead of the
+// extraction, which can exceed the Step Functions state limit
+async function loadExtraction(location) {
+    if (!location) return null;
+    const object = await s3.getObject({ Bucket: location.bucket, Key: location.key }).promise();
+    return JSON.parse(object.Body.toString('utf8'));
+}
+
+async function settleClaims(claims, owner, status, attributes) {
+    for (const key of claims) {
+        await idempotencyStore.settle(key, owner, status, attributes);
+    }
+    // Settled claims are no longer released on failure
+    claims.length = 0;
+}
+
+// A replay of the same S3 object answers with the outcome of the first
+// delivery and sends nothing; anything else is a duplicate and is reported
+async function handleDuplicate(matchedOn, existing, event) {
+    const original = existing || {};
+    const details = {
+        matchedOn: matchedOn,
+        status: original.status || null,
+        duplicateOf: original.invoiceId || original.duplicateOf || null,
+        reviewId: original.reviewId || null,
+        originalSourceFile: original.sourceFile || null
+    };
+    const isRedelivery = matchedOn === 'content' &&
+        original.sourceBucket === event.sourceBucket &&
+        original.sourceFile === event.sourceFile;
     
-    for (const pattern of customerIdPatterns) {
-        const match = extractedData.rawText.match(pattern);
-        if (match) {
-            return match[1];
-        }
+    if (isRedelivery && original.status === idempotency.STATUS.COMPLETED) {
+        console.log('Event redelivered for an invoice already stored:', original.invoiceId);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Invoice data already stored',
+                invoiceId: original.invoiceId,
+                customerId: original.customerId,
+                invoiceNumber: original.invoiceNumber,
+                s3Location: original.s3Location,
+                idempotentReplay: true
+            })
+        };
+    }
+    
+    if (isRedelivery && original.status === idempotency.STATUS.PENDING_REVIEW) {
+        console.log('Event redelivered for an invoice awaiting review:', original.reviewId);
+        return {
+            statusCode: 202,
+            body: JSON.stringify({ message: 'Invoice queued for review', idempotentReplay: true, ...details })
+        };
     }
     
-    // Generate a customer ID based on vendor name if available
-    if (extractedData.invoiceData.vendorName) {
-        const vendorName = extractedData.invoiceData.vendorName.replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
-        return `CUST-${vendorName.substring(0, 6)}-${Date.now().toString().slice(-4)}`;
+    console.log('Duplicate invoice detected:', JSON.stringify(details));
+    await recordProcessingEvent({ type: 'duplicate', sourceFile: event.sourceFile, detail: details });
+    
+    // Concurrent deliveries and replays of an already reported duplicate
+    if (original.status === idempotency.STATUS.IN_PROGRESS || isRedelivery) {
+        return {
+            statusCode: 409,
+            body: JSON.stringify({
+                message: isRedelivery ? 'Duplicate invoice detected' : 'Invoice is already being processed',
+                ...details
+            })
+        };
     }
     
-    // Fallback to generated customer ID
-    return `CUST-AUTO-${Date.now().toString().slice(-6)}`;
+    if (!event.orchestrated) {
+        await sendNotification('duplicate', 'Duplicate invoice detected', {
+            sourceFile: event.sourceFile,
+            invoiceNumber: event.extractedData.invoiceData.invoiceNumber,
+            vendor: event.extractedData.invoiceData.vendorName,
+            amount: event.extractedData.invoiceData.totalAmount,
+            ...details
+        });
+    }
+    await publishWebhookEvent(EVENT_TYPES.DUPLICATE, {
+        invoice: event.extractedData.invoiceData,
+        suspected: false,
+        matchedOn: matchedOn,
+        duplicateOf: details.duplicateOf,
+        sourceFile: event.sourceFile
+    });
+    
+    return {
+        statusCode: 409,
+        body: JSON.stringify({ message: 'Duplicate invoice detected', ...details })
+    };
 }
 
-async function sendNotification(type, message, data) {
+// The reporting database is a copy; a failure there is logged and must not
+// undo or retry a storage that already succeeded
+async function mirrorToDatabase(invoiceRecord) {
+    if (!invoiceDb) return;
     try {
-        const snsParams = {
-            TopicArn: process.env.SNS_TOPIC_ARN,
-            Subject: `Invoice Storage ${type.toUpperCase()}`,
-            Message: JSON.stringify({
-                type: type,
-                message: message,
-                timestamp: new Date().toISOString(),
-                data: data
-            }, null, 2)
-        };
-        
-        await sns.publish(snsParams).promise();
-        console.log(`SNS notification sent: ${type}`);
+        const { invoiceKey: key } = await invoiceDb.recordInvoice(invoiceRecord, {
+            detail: { reviewId: invoiceRecord.reviewId, suspectedDuplicateOf: invoiceRecord.suspectedDuplicateOf ? invoiceKey(invoiceRecord.suspectedDuplicateOf) : null }
+        });
+        console.log('Invoice mirrored to reporting database:', key);
+    } catch (error) {
+        console.error('Error writing invoice to reporting database:', error);
+    }
+}
+
+async function recordProcessingEvent(event) {
+    if (!invoiceDb) return;
+    try {
+        await invoiceDb.recordEvent(event);
+    } catch (error) {
+        console.error('Error recording processing event:', error);
+    }
+}
+
+// Resolves the vendor to its master registry entry (exact, alias, fuzzy or a
+// new provisional entry). Without a registry the ID is derived from the
+// normalized name, which is the same ID a provisional entry would get.
+async function resolveVendor(invoiceData) {
+    const name = invoiceData.vendorName;
+    const normalizedName = idempotency.normalizeVendorName(name);
+    
+    if (partyRegistry) {
+        const vendor = await partyRegistry.resolve({
+            type: 'vendor',
+            name: name,
+            taxId: invoiceData.vendorTaxId,
+            address: invoiceData.vendorAddress
+        });
+        if (vendor) {
+            console.log(`Vendor "${name}" resolved to ${vendor.partyId} (${vendor.method})`);
+            return vendor;
+        }
+    }
+    
+    if (!normalizedName) return null;
+    return {
+        partyId: partyIdFor('vendor', normalizedName),
+        name: name,
+        status: 'unregistered',
+        method: 'derived',
+        similarity: null,
+        provisional: false
+    };
+}
+
+// Matching informs approval and must not block storage, so a failure is only
+// logged. Invoices without a PO number are not matched.
+async function matchPurchaseOrder(invoiceData) {
+    if (!poMatcher || !invoiceData.poNumber) return null;
+    try {
+        return await poMatcher.match(invoiceData);
     } catch (error) {
-        console.error('Error sending SNS notification:', error);
+        console.error('Error matching purchase order:', error);
+        return null;
     }
 }
+
+async function publishWebhookEvent(type, payload) {
+    if (!webhookPublisher) return;
+    await webhookPublisher.publish(buildEvent(type, payload, { source: FUNCTION_NAME }));
+}
+
+async function sendNotification(type, message, data) {
+    await notifier.notify(type, message, data);
+}
@@ -0,0 +1,106 @@
+const AWS = require('aws-sdk');
+const { parseTextractResult } = require('./lib/textract-parser');
+const textractAsync = require('./lib/textract-async');
+const { createTemplateStore } = require('./lib/vendor-templates');
+const { createNotifier } = require('./lib/notification-router');
+const { isFinalAttempt } = require('./lib/ingestion-batch');
+const { createDeadLetterRecorder } = require('./lib/dead-letters');
+const { storeExtractedData } = require('./lib/invoice-storage');
+
+const textract = new AWS.Textract();
+const sns = new AWS.SNS();
+const lambda = new AWS.Lambda();
+const s3 = new AWS.S3();
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const notifier = createNotifier({ source: 'Invoice Processing', sns, ses: new AWS.SES() });
+
+const templateStore = createTemplateStore({ dynamodb, s3 });
+
+// Failed jobs and completions out of retries go to DEAD_LETTER_TABLE when it is set
+const deadLetters = createDeadLetterRecorder({
+    dynamodb,
+    source: process.env.AWS_LAMBDA_FUNCTION_NAME || 'textract-async-complete'
+});
+
+// Triggered by the Textract job-completion queue. Each message names a
+// finished StartDocumentAnalysis job; the blocks of every page are collected
+// and handed to the same storage path as synchronous extraction, which
+// reports the outcome.
+exports.handler = async (event) => {
+    console.log('Textract async completion Lambda triggered:', JSON.stringify(event, null, 2));
+
+    const batchItemFailures = [];
+
+    for (const record of event.Records || []) {
+        let completion = null;
+        try {
+            completion = textractAsync.parseCompletionMessage(record);
+            await processCompletion(completion);
+        } catch (error) {
+            console.error('Error processing Textract job completion:', error);
+            
+            const receiveCount = parseInt((record.attributes && record.attributes.ApproximateReceiveCount) || '1', 10);
+            if (deadLetters && completion && completion.objectKey &&
+                isFinalAttempt({ itemIdentifier: record.messageId, receiveCount }, error)) {
+                await deadLetters.record({
+                    bucketName: completion.bucketName,
+                    objectKey: completion.objectKey,
+                    stage: 'extraction',
+                    error,
+                    attempts: receiveCount
+                });
+            }
+
+            // SNS-delivered records have no messageId; the whole invocation is retried
+            if (!record.messageId) throw error;
+            batchItemFailures.push({ itemIdentifier: record.messageId });
+        }
+    }
+
+    return { batchItemFailures };
+};
+
+async function processCompletion(completion) {
+    const { jobId, status, bucketName, objectKey } = completion;
+    console.log(`Textract job ${jobId} finished with status ${status} for ${objectKey}`);
+
+    if (status !== 'SUCCEEDED' && status !== 'PARTIAL_SUCCESS') {
+        await sendNotification('error', `Textract job ${jobId} ended with status ${status}`, objectKey);
+        if (deadLetters && objectKey) {
+            await deadLetters.record({
+                bucketName,
+                objectKey,
+                stage: 'extraction',
+                error: `Textract job ${jobId} ended with status ${status}`
+            });
+        }
+        return;
+    }
+
+    const textractResult = await textractAsync.getDocumentAnalysis(textract, jobId);
+
+    if (textractResult.JobStatus === 'IN_PROGRESS') {
+        // Completion messages are only published for finished jobs; retry later
+        throw new Error(`Textract job ${jobId} is still in progress`);
+    }
+
+    const extractedData = parseTextractResult(textractResult, objectKey, undefined, {
+        templates: await templateStore.listTemplates()
+    });
+    extractedData.textractJobId = jobId;
+    if (textractResult.Warnings && textractResult.Warnings.length > 0) {
+        extractedData.textractWarnings = textractResult.Warnings;
+    }
+
+    console.log(`Parsed ${extractedData.pageCount} pages from ${objectKey}`);
+
+    // store-extracted-data reports stored, review, duplicate and failed
+    // invoices itself; a storage_failed is kept there as a dead letter
+    const storage = await storeExtractedData(lambda, { extractedData, objectKey, bucketName });
+    console.log(`Textract job ${jobId} for ${objectKey} ended as ${storage.status}`);
+}
+
+async function sendNotification(type, message, fileName, data = null) {
+    await notifier.notify(type, message, data, { fileName });
+}
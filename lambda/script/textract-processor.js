@@ -1,223 +1,124 @@
 const AWS = require('aws-sdk');
+const { parseTextractResult } = require('./lib/textract-parser');
+const { createOcrProvider } = require('./lib/ocr-providers');
+const { createTemplateStore } = require('./lib/vendor-templates');
+const { createNotifier } = require('./lib/notification-router');
+const { processDocuments, batchResponse, isFinalAttempt } = require('./lib/ingestion-batch');
+const { createDeadLetterRecorder } = require('./lib/dead-letters');
+const { createWorkflowStarter } = require('./lib/extraction-workflow');
+const { storeExtractedData } = require('./lib/invoice-storage');
 
 const textract = new AWS.Textract();
 const s3 = new AWS.S3();
 const sns = new AWS.SNS();
 const lambda = new AWS.Lambda();
+const dynamodb = new AWS.DynamoDB.DocumentClient();
 
+// Routed to the NOTIFICATION_SUBSCRIBERS, or to SNS_TOPIC_ARN when there are none
+const notifier = createNotifier({ source: 'Invoice Processing', sns, ses: new AWS.SES() });
+
+const ocrProvider = createOcrProvider(process.env.OCR_PROVIDER, {
+    textract,
+    featureTypes: ['TABLES', 'FORMS']
+});
+
+// Vendor templates from DynamoDB or S3 (VENDOR_TEMPLATES_SOURCE)
+const templateStore = createTemplateStore({ dynamodb, s3 });
+
+// Documents are extracted, validated, deduplicated and stored by the
+// extraction workflow when EXTRACTION_STATE_MACHINE_ARN is set
+const workflow = process.env.EXTRACTION_STATE_MACHINE_ARN
+    ? createWorkflowStarter({ stepfunctions: new AWS.StepFunctions() })
+    : null;
+
+// Documents out of retries go to DEAD_LETTER_TABLE when it is set
+const deadLetters = createDeadLetterRecorder({
+    dynamodb,
+    source: process.env.AWS_LAMBDA_FUNCTION_NAME || 'textract-processor'
+});
+
+// Triggered by the invoice ingestion queue, or straight from S3. Every
+// document in the batch is processed, INGESTION_CONCURRENCY at a time; queue
+// messages whose documents failed are returned as batchItemFailures.
 exports.handler = async (event) => {
     console.log('Textract Processor Lambda triggered:', JSON.stringify(event, null, 2));
     
+    const outcome = await processDocuments(event, processDocument);
+    console.log('Textract Processor batch finished:', JSON.stringify({
+        summary: outcome.summary,
+        results: outcome.results.map(({ extractedData, ...result }) => result)
+    }));
+    
+    return batchResponse(event, outcome);
+};
+
+async function processDocument(document) {
+    const { bucketName, objectKey, eTag } = document;
+    
     try {
-        // Parse S3 event
-        const s3Event = event.Records[0].s3;
-        const bucketName = s3Event.bucket.name;
-        const objectKey = decodeURIComponent(s3Event.object.key.replace(/\+/g, ' '));
-        
         console.log(`Processing file: ${objectKey} from bucket: ${bucketName}`);
         
         // Check if file is a supported format
         const supportedFormats = ['.pdf', '.png', '.jpg', '.jpeg', '.tiff', '.tif'];
         const fileExtension = objectKey.toLowerCase().substring(objectKey.lastIndexOf('.'));
         
+        // Retrying won't change the format, so this is reported but not failed
         if (!supportedFormats.includes(fileExtension)) {
             console.log(`Unsupported file format: ${fileExtension}`);
             await sendNotification('error', `Unsupported file format: ${fileExtension}`, objectKey);
-            return {
-                statusCode: 400,
-                body: JSON.stringify({ message: 'Unsupported file format' })
-            };
+            return { status: 'unsupported', message: `Unsupported file format: ${fileExtension}` };
         }
         
-        // Start Textract document analysis
-        const textractParams = {
-            Document: {
-                S3Object: {
-                    Bucket: bucketName,
-                    Name: objectKey
-                }
-            },
-            FeatureTypes: ['TABLES', 'FORMS']
-        };
-        
-        console.log('Starting Textract analysis...');
-        const textractResult = await textract.analyzeDocument(textractParams).promise();
+        // The workflow reports the outcome once the invoice is stored
+        if (workflow) {
+            const execution = await workflow.start({ bucketName, objectKey, eTag });
+            console.log(`Extraction workflow ${execution.status}: ${execution.executionName}`);
+            return execution;
+        }
         
-        // Extract text and key-value pairs
-        const extractedData = parseTextractResult(textractResult, objectKey);
+        // Start document analysis
+        console.log(`Starting ${ocrProvider.name} analysis...`);
+        const outcome = await ocrProvider.analyze({ bucketName, objectKey, eTag });
         
-        // Invoke data storage Lambda
-        const storageParams = {
-            FunctionName: process.env.STORAGE_LAMBDA_NAME || 'store-extracted-data',
-            InvocationType: 'Event',
-            Payload: JSON.stringify({
-                extractedData: extractedData,
-                sourceFile: objectKey,
-                sourceBucket: bucketName
-            })
-        };
+        // Multi-page documents go through StartDocumentAnalysis; the
+        // textract-async-complete Lambda picks up the result
+        if (outcome.status === 'submitted') {
+            console.log(`Started async Textract job ${outcome.jobId}`);
+            return { status: 'submitted', jobId: outcome.jobId };
+        }
         
-        await lambda.invoke(storageParams).promise();
-        console.log('Invoked storage Lambda successfully');
+        // Extract text and key-value pairs, using a vendor template when one matches
+        const extractedData = parseTextractResult(outcome.textractResult, objectKey, undefined, {
+            templates: await templateStore.listTemplates()
+        });
+        console.log(`Vendor template: ${extractedData.template ? extractedData.template.templateId : 'none'}`);
         
-        // Send success notification
-        await sendNotification('success', 'Invoice processed successfully', objectKey, extractedData);
+        // store-extracted-data reports stored, review, duplicate and failed
+        // invoices itself; a storage_failed is kept there as a dead letter
+        const storage = await storeExtractedData(lambda, { extractedData, objectKey, bucketName });
+        console.log(`Stored ${objectKey} as ${storage.status}`);
         
-        return {
-            statusCode: 200,
-            body: JSON.stringify({
-                message: 'Invoice processed successfully',
-                extractedData: extractedData
-            })
-        };
+        return { status: storage.status, storageError: storage.error, extractedData };
         
     } catch (error) {
-        console.error('Error processing invoice:', error);
+        console.error(`Error processing invoice ${objectKey}:`, error);
         
-        // Send error notification
-        await sendNotification('error', error.message, event.Records?.[0]?.s3?.object?.key || 'unknown');
+        // Send error notification; the document is failed so the queue retries it
+        await sendNotification('error', error.message, objectKey);
         
-        return {
-            statusCode: 500,
-            body: JSON.stringify({
-                message: 'Error processing invoice',
-                error: error.message
-            })
-        };
-    }
-};
-
-function parseTextractResult(textractResult, fileName) {
-    const blocks = textractResult.Blocks;
-    const extractedData = {
-        fileName: fileName,
-        extractedAt: new Date().toISOString(),
-        rawText: '',
-        keyValuePairs: {},
-        tables: [],
-        invoiceData: {
-            invoiceNumber: null,
-            invoiceDate: null,
-            totalAmount: null,
-            vendorName: null,
-            vendorAddress: null,
-            dueDate: null
-        }
-    };
-    
-    // Extract raw text
-    const textBlocks = blocks.filter(block => block.BlockType === 'LINE');
-    extractedData.rawText = textBlocks.map(block => block.Text).join('\n');
-    
-    // Extract key-value pairs
-    const keyValueBlocks = blocks.filter(block => block.BlockType === 'KEY_VALUE_SET');
-    keyValueBlocks.forEach(block => {
-        if (block.EntityTypes && block.EntityTypes.includes('KEY')) {
-            const keyText = getTextFromBlock(block, blocks);
-            const valueBlock = findValueBlock(block, blocks);
-            if (valueBlock) {
-                const valueText = getTextFromBlock(valueBlock, blocks);
-                extractedData.keyValuePairs[keyText] = valueText;
-            }
-        }
-    });
-    
-    // Extract invoice-specific data using patterns
-    extractInvoiceData(extractedData);
-    
-    return extractedData;
-}
-
-function getTextFromBlock(block, allBlocks) {
-    if (!block.Relationships) return '';
-    
-    const childRelationship = block.Relationships.find(rel => rel.Type === 'CHILD');
-    if (!childRelationship) return '';
-    
-    return childRelationship.Ids
-        .map(id => allBlocks.find(b => b.Id === id))
-        .filter(b => b && b.BlockType === 'WORD')
-        .map(b => b.Text)
-        .join(' ');
-}
-
-function findValueBlock(keyBlock, allBlocks) {
-    if (!keyBlock.Relationships) return null;
-    
-    const valueRelationship = keyBlock.Relationships.find(rel => rel.Type === 'VALUE');
-    if (!valueRelationship) return null;
-    
-    return allBlocks.find(block => block.Id === valueRelationship.Ids[0]);
-}
-
-function extractInvoiceData(extractedData) {
-    const text = extractedData.rawText.toLowerCase();
-    const keyValuePairs = extractedData.keyValuePairs;
-    
-    // Extract invoice number
-    const invoiceNumberPatterns = [
-        /invoice\s*#?\s*:?\s*([a-zA-Z0-9\-]+)/i,
-        /inv\s*#?\s*:?\s*([a-zA-Z0-9\-]+)/i,
-        /invoice\s*number\s*:?\s*([a-zA-Z0-9\-]+)/i
-    ];
-    
-    for (const pattern of invoiceNumberPatterns) {
-        const match = extractedData.rawText.match(pattern);
-        if (match) {
-            extractedData.invoiceData.invoiceNumber = match[1];
-            break;
+        if (deadLetters && isFinalAttempt(document, error)) {
+            await deadLetters.record({
+                bucketName,
+                objectKey,
+                stage: 'extraction',
+                error,
+                attempts: document.receiveCount
+            });
         }
-    }
-    
-    // Extract total amount
-    const amountPatterns = [
-        /total\s*:?\s*\$?([0-9,]+\.?[0-9]*)/i,
-        /amount\s*due\s*:?\s*\$?([0-9,]+\.?[0-9]*)/i,
-        /balance\s*due\s*:?\s*\$?([0-9,]+\.?[0-9]*)/i
-    ];
-    
-    for (const pattern of amountPatterns) {
-        const match = extractedData.rawText.match(pattern);
-        if (match) {
-            extractedData.invoiceData.totalAmount = parseFloat(match[1].replace(/,/g, ''));
-            break;
-        }
-    }
-    
-    // Extract dates
-    const datePattern = /(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/g;
-    const dates = extractedData.rawText.match(datePattern);
-    if (dates && dates.length > 0) {
-        extractedData.invoiceData.invoiceDate = dates[0];
-        if (dates.length > 1) {
-            extractedData.invoiceData.dueDate = dates[1];
-        }
-    }
-    
-    // Try to extract vendor name (usually at the top of the document)
-    const lines = extractedData.rawText.split('\n');
-    if (lines.length > 0) {
-        extractedData.invoiceData.vendorName = lines[0].trim();
+        throw error;
     }
 }
 
 async function sendNotification(type, message, fileName, data = null) {
-    try {
-        const snsParams = {
-            TopicArn: process.env.SNS_TOPIC_ARN,
-            Subject: `Invoice Processing ${type.toUpperCase()}: ${fileName}`,
-            Message: JSON.stringify({
-                type: type,
-                message: message,
-                fileName: fileName,
-                timestamp: new Date().toISOString(),
-                data: data
-            }, null, 2)
-        };
-        
-        await sns.publish(snsParams).promise();
-        console.log(`SNS notification sent: ${type}`);
-    } catch (error) {
-        console.error('Error sending SNS notification:', error);
-    }
+    await notifier.notify(type, message, data, { fileName });
 }
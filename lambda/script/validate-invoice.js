@@ -1,59 +1,75 @@
 const AWS = require('aws-sdk');
-const dynamodb = new AWS.DynamoDB.DocumentClient();
+const normalize = require('./lib/normalize');
+const validationRules = require('./lib/validation-rules');
+const { STATUS } = require('./lib/invoice-lifecycle');
+const { EVENT_TYPES, buildEvent } = require('./lib/webhook-events');
+const { createWebhookPublisher } = require('./lib/webhook-delivery');
+const s3 = new AWS.S3();
+
+// Built-in rules, plus per-customer and per-vendor rule sets from
+// VALIDATION_RULES_SOURCE (s3, local or none)
+const ruleStore = validationRules.createRuleStore({ s3 });
+
+// Lifecycle events go to webhook subscribers when WEBHOOK_QUEUE_URL is set
+const webhookPublisher = process.env.WEBHOOK_QUEUE_URL
+    ? createWebhookPublisher({ dynamodb: new AWS.DynamoDB.DocumentClient(), sqs: new AWS.SQS() })
+    : null;
+
+// Money fields that are normalized to minor units when present
+const AMOUNT_FIELDS = ['amount', 'subtotal', 'taxAmount', 'shippingAmount', 'discountAmount'];
 
 exports.handler = async (event) => {
     console.log('Invoice Validation Lambda triggered:', JSON.stringify(event, null, 2));
     
     try {
-        const invoice = event.invoice;
+        const received = event.invoice;
         
-        // Validate required fields
-        const requiredFields = ['invoiceId', 'customerId', 'amount', 'dueDate'];
-        const missingFields = requiredFields.filter(field => !invoice[field]);
+        // Amounts and dates may arrive as printed ("1.234,56 €", "03/04/25")
+        const invoice = normalizeInvoice(received);
         
-        if (missingFields.length > 0) {
-            return {
-                statusCode: 400,
-                isValid: false,
-                error: `Missing required fields: ${missingFields.join(', ')}`,
-                invoice: invoice
-            };
-        }
+        const unreadable = formatViolations(received, invoice);
+        const result = validationRules.validateInvoice(await ruleStore.listRuleSets(), invoice);
+        // An unreadable value is reported once, not also as missing
+        const errors = [
+            ...unreadable,
+            ...result.errors.filter(violation => !unreadable.some(format => format.field === violation.field))
+        ];
         
-        // Validate amount is positive
-        if (invoice.amount <= 0) {
+        if (errors.length > 0) {
+            console.log('Invoice validation failed:', JSON.stringify(errors));
+            await publishWebhookEvent(EVENT_TYPES.REJECTED, {
+                invoice: received,
+                reason: 'validation_failed',
+                errors: errors.map(violation => ({ ruleId: violation.ruleId, field: violation.field, message: violation.message }))
+            });
             return {
                 statusCode: 400,
                 isValid: false,
-                error: 'Invoice amount must be positive',
-                invoice: invoice
+                error: errors.map(violation => violation.message).join('; '),
+                errors: errors,
+                warnings: result.warnings,
+                ruleSets: result.ruleSetIds,
+                invoice: unreadable.length > 0 ? received : invoice
             };
         }
         
-        // Validate due date is in the future
-        const dueDate = new Date(invoice.dueDate);
-        const today = new Date();
-        
-        if (dueDate <= today) {
-            return {
-                statusCode: 400,
-                isValid: false,
-                error: 'Due date must be in the future',
-                invoice: invoice
-            };
-        }
+        console.log('Invoice validation successful', result.warnings.length > 0 ? JSON.stringify(result.warnings) : '');
         
-        console.log('Invoice validation successful');
+        const validated = {
+            ...invoice,
+            validationWarnings: result.warnings,
+            validatedAt: new Date().toISOString(),
+            status: STATUS.VALIDATED
+        };
+        await publishWebhookEvent(EVENT_TYPES.VALIDATED, { invoice: validated, warnings: result.warnings.map(warning => warning.message) });
         
         return {
             statusCode: 200,
             isValid: true,
             message: 'Invoice validation successful',
-            invoice: {
-                ...invoice,
-                validatedAt: new Date().toISOString(),
-                status: 'validated'
-            }
+            warnings: result.warnings,
+            ruleSets: result.ruleSetIds,
+            invoice: validated
         };
         
     } catch (error) {
@@ -67,3 +83,68 @@ exports.handler = async (event) => {
         };
     }
 };
+
+// Resolves the vendor's locale, then converts the amounts to exact minor
+// units and the dates to ISO-8601
+function normalizeInvoice(invoice) {
+    const settings = normalize.resolveLocaleSettings({
+        vendorName: invoice.vendorName,
+        locale: invoice.locale
+    });
+    // A declared code that isn't recognised is kept so the currency rule can reject it
+    const declared = invoice.currency ? String(invoice.currency).toUpperCase().trim() : null;
+    const currency = normalize.detectCurrency(declared) || declared ||
+        normalize.detectCurrency(String(invoice.amount), 'USD');
+    
+    const minorUnits = {};
+    AMOUNT_FIELDS.filter(field => invoice[field] !== undefined && invoice[field] !== null && invoice[field] !== '')
+        .forEach(field => {
+            minorUnits[field] = normalize.toMinorUnits(invoice[field], {
+                currency,
+                decimalSeparator: settings.decimalSeparator
+            });
+        });
+    const amountMinor = minorUnits.amount === undefined ? null : minorUnits.amount;
+    
+    return {
+        ...invoice,
+        amount: amountMinor === null ? invoice.amount : normalize.fromMinorUnits(amountMinor, currency),
+        amountMinor,
+        minorUnits,
+        currency,
+        dueDate: invoice.dueDate ? normalize.normalizeDate(invoice.dueDate, settings) : invoice.dueDate,
+        invoiceDate: invoice.invoiceDate ? normalize.normalizeDate(invoice.invoiceDate, settings) : invoice.invoiceDate
+    };
+}
+
+// Values that were given but could not be read; the rules only see
+// normalized values
+function formatViolations(received, invoice) {
+    const violations = [];
+    
+    Object.entries(invoice.minorUnits)
+        .filter(([, minor]) => minor === null)
+        .forEach(([field]) => violations.push(formatViolation(field, `Invoice ${field} could not be parsed: ${received[field]}`)));
+    
+    ['invoiceDate', 'dueDate']
+        .filter(field => received[field] && !invoice[field])
+        .forEach(field => violations.push(formatViolation(field, `${field} could not be parsed: ${received[field]}`)));
+    
+    return violations;
+}
+
+function formatViolation(field, message) {
+    return {
+        ruleId: `${field}-format`,
+        ruleSetId: null,
+        type: 'format',
+        severity: validationRules.SEVERITY.ERROR,
+        field: field,
+        message: message
+    };
+}
+
+async function publishWebhookEvent(type, payload) {
+    if (!webhookPublisher) return;
+    await webhookPublisher.publish(buildEvent(type, payload, { source: 'validate-invoice' }));
+}
@@ -0,0 +1,67 @@
+const AWS = require('aws-sdk');
+const { createWebhookDispatcher } = require('./lib/webhook-delivery');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const sqs = new AWS.SQS();
+
+// Subscriptions, deliveries and the queue from WEBHOOK_SUBSCRIPTIONS_TABLE,
+// WEBHOOK_DELIVERIES_TABLE and WEBHOOK_QUEUE_URL
+const dispatcher = createWebhookDispatcher({ dynamodb, sqs });
+
+// Triggered by the webhook delivery queue; each message is { deliveryId }.
+// Failed attempts are retried by queueing the delivery again with a delay,
+// so a message only fails when the delivery record itself can't be read or
+// written, and SQS redelivers just that message.
+//
+// Also invoked directly to replay:
+//     { action: 'replay', deliveryId }
+//     { action: 'replay-dead-letters', subscriptionId, limit }
+exports.handler = async (event) => {
+    console.log('Webhook dispatcher triggered:', JSON.stringify(event, null, 2));
+
+    if (event.action) {
+        return replay(event);
+    }
+
+    const batchItemFailures = [];
+
+    for (const record of event.Records || []) {
+        try {
+            const { deliveryId } = JSON.parse(record.body);
+            await dispatcher.attempt(deliveryId);
+        } catch (error) {
+            // A second copy of an already settled delivery needs no retry
+            if (error.statusCode === 409 || error.statusCode === 404) {
+                console.warn(`Skipping webhook message ${record.messageId}: ${error.message}`);
+                continue;
+            }
+            console.error('Error dispatching webhook delivery:', error);
+            batchItemFailures.push({ itemIdentifier: record.messageId });
+        }
+    }
+
+    return { batchItemFailures };
+};
+
+async function replay(event) {
+    try {
+        switch (event.action) {
+            case 'replay': {
+                const delivery = await dispatcher.replay(event.deliveryId);
+                return { statusCode: 200, replayed: [delivery.deliveryId] };
+            }
+            case 'replay-dead-letters': {
+                const deliveries = await dispatcher.replayDeadLetters({
+                    subscriptionId: event.subscriptionId,
+                    limit: event.limit
+                });
+                return { statusCode: 200, replayed: deliveries.map(delivery => delivery.deliveryId) };
+            }
+            default:
+                return { statusCode: 400, error: `Unknown action ${event.action}` };
+        }
+    } catch (error) {
+        console.error('Error replaying webhook deliveries:', error);
+        return { statusCode: error.statusCode || 500, error: error.message };
+    }
+}
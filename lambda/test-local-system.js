@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+
+/**
+ * Local System Tests
+ * Runs the invoice pipeline end to end without AWS: every Lambda handler in
+ * script/ against in-memory S3, DynamoDB, SQS, SNS, Step Functions and
+ * Textract (recorded responses from fixtures/textract), wired the way the
+ * Terraform files deploy them (see test/harness.js). Needs no account,
+ * credentials or npm install, so it runs in CI as is.
+ *
+ * Usage:
+ *   node test-local-system.js [--only <text>] [--verbose]
+ *
+ * --only runs the scenarios whose name contains the text; --verbose shows
+ * every invocation and state transition and what the handlers log. Exits 1
+ * when a scenario fails.
+ */
+
+const assert = require('assert').strict;
+const { createHarness } = require('./test/harness');
+
+const SAMPLE_KEY = 'invoices/2024/sample-invoice.pdf';
+const SAMPLE_PDF = '%PDF-1.4 Northwind NW-2024-0042';
+
+// The invoice fixtures/textract/sample-invoice.json holds
+const SAMPLE = {
+    invoiceId: 'NW-2024-0042',
+    vendorName: 'Northwind Office Supplies',
+    totalAmount: 190
+};
+
+// An extraction of the sample, as the processors hand it to store-extracted-data
+function sampleExtraction(invoiceData = {}) {
+    return {
+        extractedAt: new Date().toISOString(),
+        invoiceData: {
+            invoiceNumber: SAMPLE.invoiceId,
+            invoiceDate: '2024-03-04',
+            totalAmount: SAMPLE.totalAmount,
+            currency: 'USD',
+            vendorName: SAMPLE.vendorName,
+            lineItems: [],
+            ...invoiceData
+        },
+        confidence: { invoiceNumber: 99, totalAmount: 99, vendorName: 99, invoiceDate: 99 }
+    };
+}
+
+function parseArgs(argv) {
+    const options = { only: null, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--only': options.only = argv[++i]; break;
+            case '--verbose': options.verbose = true; break;
+            default: throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+const log = {
+    info: (msg) => console.log(`ℹ️  ${msg}`),
+    success: (msg) => console.log(`✅ ${msg}`),
+    error: (msg) => console.log(`❌ ${msg}`),
+    test: (msg) => console.log(`🧪 ${msg}`)
+};
+
+function notificationTypes(harness) {
+    return harness.notifications().map(message => message.type);
+}
+
+function onlyExecution(harness, stateMachine) {
+    const executions = harness.executions(stateMachine);
+    assert.equal(executions.length, 1, `expected one ${stateMachine} execution, got ${executions.length}`);
+    return executions[0];
+}
+
+function assertSettledCleanly(harness) {
+    assert.deepEqual(harness.state.failures.map(failure => `${failure.functionName}: ${failure.error.message}`), []);
+    Object.values(harness.queues).forEach(queue => {
+        assert.equal(queue.deadLetters.length, 0, `${queue.name} has dead letters`);
+    });
+}
+
+function assertSampleStored(harness) {
+    const invoices = harness.invoices();
+    assert.equal(invoices.length, 1, `expected one stored invoice, got ${invoices.length}`);
+    const [invoice] = invoices;
+    assert.equal(invoice.invoiceId, SAMPLE.invoiceId);
+    assert.equal(invoice.vendorName, SAMPLE.vendorName);
+    assert.equal(invoice.totalAmount, SAMPLE.totalAmount);
+    assert.equal(invoice.originalFileName, SAMPLE_KEY);
+    return invoice;
+}
+
+// ---- Scenarios ----
+
+const scenarios = [
+    ['Upload is extracted, stored and notified through the extraction workflow', {}, async (harness) => {
+        const webhook = await harness.startWebhookReceiver({ events: ['invoice.stored'] });
+
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF);
+        await harness.drain();
+
+        assertSettledCleanly(harness);
+        const execution = onlyExecution(harness, 'invoice-extraction-workflow');
+        assert.equal(execution.status, 'SUCCEEDED');
+        assert.equal(execution.history[execution.history.length - 1], 'InvoiceStored');
+
+        const invoice = assertSampleStored(harness);
+        assert.equal(invoice.vendorId, invoice.vendorResolution.partyId, 'vendor resolved against the party registry');
+
+        const stored = harness.processedObjects('processed/');
+        assert.equal(stored.length, 1);
+        assert.equal(harness.readProcessed(stored[0]).invoiceId, SAMPLE.invoiceId);
+
+        // One key for the content, one for the invoice's fingerprint
+        const keys = harness.items('idempotency');
+        assert.deepEqual(keys.map(key => key.idempotencyKey.split('#')[0]).sort(), ['content', 'fingerprint']);
+        assert.ok(keys.every(key => key.status === 'completed'));
+
+        assert.deepEqual(notificationTypes(harness), ['storage_success']);
+        assert.equal(harness.emails().length, 1, 'send-notification emails the outcome');
+
+        assert.deepEqual(webhook.rejected, []);
+        assert.deepEqual(webhook.received.map(delivery => delivery.payload.type), ['invoice.stored']);
+        const deliveries = harness.items('webhookDeliveries');
+        assert.deepEqual(deliveries.map(delivery => delivery.status), ['delivered']);
+    }],
+
+    ['Redelivered and re-uploaded invoices are stored once', {}, async (harness) => {
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF);
+        await harness.drain();
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF);
+        await harness.drain();
+        await harness.upload('invoices/resent/sample-invoice.pdf', SAMPLE_PDF);
+        await harness.drain();
+
+        assertSettledCleanly(harness);
+        assertSampleStored(harness);
+        assert.equal(harness.processedObjects('processed/').length, 1);
+        assert.deepEqual(notificationTypes(harness), ['storage_success', 'duplicate']);
+    }],
+
+    ['An invoice without an invoice number is stored without a fingerprint', {
+        workflow: false,
+        env: { REVIEW_CONFIDENCE_THRESHOLDS: JSON.stringify({ invoiceNumber: 0 }) }
+    }, async (harness) => {
+        const response = await harness.invoke('store-extracted-data', {
+            extractedData: sampleExtraction({ invoiceNumber: null })
+        });
+        await harness.drain();
+
+        assert.equal(response.statusCode, 200, JSON.stringify(response));
+        assertSettledCleanly(harness);
+        const [invoice] = harness.invoices();
+        assert.match(invoice.invoiceId, /^AUTO-/);
+        assert.equal('fingerprint' in invoice, false, 'no null FingerprintIndex key');
+        assert.deepEqual(notificationTypes(harness), ['storage_success']);
+    }],
+
+    ['A failed S3 write leaves no invoice record for the redrive to duplicate', {
+        workflow: false,
+        env: { PROCESSED_BUCKET_NAME: 'processed-invoices-missing' }
+    }, async (harness) => {
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF, { notify: false });
+        const response = await harness.invoke('store-extracted-data', {
+            extractedData: sampleExtraction(), sourceFile: SAMPLE_KEY, sourceBucket: harness.buckets.raw
+        });
+        await harness.drain();
+
+        assert.equal(response.statusCode, 500, JSON.stringify(response));
+        assert.equal(harness.invoices().length, 0);
+        assert.deepEqual(harness.items('idempotency'), [], 'claims released for the redrive');
+        assert.deepEqual(harness.items('deadLetters').map(deadLetter => deadLetter.stage), ['storage']);
+        assert.deepEqual(notificationTypes(harness), ['storage_error']);
+    }],
+
+    ['Broken validation rules send the invoice to review; approval stores it', {}, async (harness) => {
+        // Northwind now has to invoice in euros
+        await harness.ready();
+        const rules = harness.readProcessed('validation-rules/northwind-office-supplies.json');
+        rules.rules = rules.rules.map(rule => rule.id === 'currency' ? { ...rule, allowed: ['EUR'] } : rule);
+        harness.localAws.putObject(harness.buckets.processed, 'validation-rules/northwind-office-supplies.json', JSON.stringify(rules));
+
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF);
+        await harness.drain();
+
+        assertSettledCleanly(harness);
+        assert.equal(harness.invoices().length, 0, 'nothing is stored before review');
+        assert.equal(onlyExecution(harness, 'invoice-extraction-workflow').status, 'SUCCEEDED');
+
+        const pending = await harness.request('review-queue-api', 'GET', '/reviews');
+        assert.equal(pending.statusCode, 200);
+        assert.equal(pending.body.items.length, 1);
+        const { reviewId } = pending.body.items[0];
+        const unreadableLimit = await harness.request('review-queue-api', 'GET', '/reviews', { query: { limit: 'abc' } });
+        assert.equal(unreadableLimit.statusCode, 200, JSON.stringify(unreadableLimit.body));
+        assert.equal(unreadableLimit.body.items.length, 1);
+
+        const reviewer = 'arn:aws:iam::000000000000:user/reviewer';
+        const claim = await harness.request('review-queue-api', 'POST', `/reviews/${reviewId}/claim`, { reviewer });
+        assert.equal(claim.statusCode, 200, JSON.stringify(claim.body));
+        const approval = await harness.request('review-queue-api', 'POST', `/reviews/${reviewId}/approve`, { reviewer });
+        assert.equal(approval.statusCode, 200, JSON.stringify(approval.body));
+        await harness.drain();
+
+        assertSettledCleanly(harness);
+        assertSampleStored(harness);
+        const [review] = harness.items('reviewQueue');
+        assert.equal(review.status, 'approved');
+    }],
+
+    ['An approval whose storage fails keeps the review pending for another approve', {}, async (harness) => {
+        await harness.ready();
+        const rules = harness.readProcessed('validation-rules/northwind-office-supplies.json');
+        rules.rules = rules.rules.map(rule => rule.id === 'currency' ? { ...rule, allowed: ['EUR'] } : rule);
+        harness.localAws.putObject(harness.buckets.processed, 'validation-rules/northwind-office-supplies.json', JSON.stringify(rules));
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF);
+        await harness.drain();
+
+        const [{ reviewId }] = harness.items('reviewQueue');
+        const reviewer = 'arn:aws:iam::000000000000:user/reviewer';
+        await harness.request('review-queue-api', 'POST', `/reviews/${reviewId}/claim`, { reviewer });
+
+        // store-extracted-data crashes, then answers with a failure
+        const storeExtractedData = harness.state.functions['store-extracted-data'];
+        harness.localAws.registerFunction('store-extracted-data', () => async () => { throw new Error('Runtime exited'); });
+        const crashed = await harness.request('review-queue-api', 'POST', `/reviews/${reviewId}/approve`, { reviewer });
+        assert.equal(crashed.statusCode, 500, JSON.stringify(crashed.body));
+        assert.match(crashed.body.error, /Runtime exited/);
+
+        harness.localAws.registerFunction('store-extracted-data', () => async () => ({ statusCode: 500, body: JSON.stringify({ error: 'S3 unavailable' }) }));
+        const failed = await harness.request('review-queue-api', 'POST', `/reviews/${reviewId}/approve`, { reviewer });
+        assert.equal(failed.statusCode, 502, JSON.stringify(failed.body));
+        assert.match(failed.body.error, /S3 unavailable/);
+
+        assert.equal(harness.invoices().length, 0);
+        assert.equal(harness.items('reviewQueue')[0].status, 'pending_review');
+
+        harness.localAws.registerFunction('store-extracted-data', storeExtractedData);
+        const approval = await harness.request('review-queue-api', 'POST', `/reviews/${reviewId}/approve`, { reviewer });
+        assert.equal(approval.statusCode, 200, JSON.stringify(approval.body));
+        await harness.drain();
+
+        assertSettledCleanly(harness);
+        const invoice = assertSampleStored(harness);
+        const [review] = harness.items('reviewQueue');
+        assert.equal(review.status, 'approved');
+        assert.deepEqual(review.storage, { status: 'stored', invoiceId: invoice.invoiceId, duplicateOf: null });
+    }],
+
+    ['Failed extraction is dead-lettered and redriven', {}, async (harness) => {
+        // The object is gone by the time the notification is processed
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF);
+        harness.removeUpload(SAMPLE_KEY);
+        await harness.drain();
+
+        assert.equal(harness.invoices().length, 0);
+        assert.equal(onlyExecution(harness, 'invoice-extraction-workflow').status, 'SUCCEEDED');
+        assert.deepEqual(notificationTypes(harness), ['error']);
+
+        const open = await harness.request('dead-letter-api', 'GET', '/dead-letters');
+        assert.equal(open.statusCode, 200);
+        assert.equal(open.body.items.length, 1);
+        const [deadLetter] = open.body.items;
+        assert.equal(deadLetter.objectKey, SAMPLE_KEY);
+
+        // Back in place (without a new S3 event); the redrive succeeds
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF, { notify: false });
+        const redrive = await harness.request('dead-letter-api', 'POST', `/dead-letters/${deadLetter.deadLetterId}/redrive`, { body: { actor: 'ops' } });
+        assert.equal(redrive.statusCode, 200, JSON.stringify(redrive.body));
+        await harness.drain();
+
+        assertSettledCleanly(harness);
+        assertSampleStored(harness);
+        const [resolved] = harness.items('deadLetters');
+        assert.equal(resolved.status, 'resolved');
+    }],
+
+    ['Webhook deliveries are retried until the subscriber accepts', {}, async (harness) => {
+        const webhook = await harness.startWebhookReceiver({ events: ['invoice.stored'], fail: 2 });
+
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF);
+        await harness.drain();
+
+        assertSettledCleanly(harness);
+        assert.deepEqual(webhook.received.map(delivery => delivery.payload.type), ['invoice.stored']);
+        const [delivery] = harness.items('webhookDeliveries');
+        assert.equal(delivery.status, 'delivered');
+        assert.equal(delivery.attempts, 3);
+    }],
+
+    ['Without the workflow, processors extract asynchronously and store in-process', { workflow: false, env: { TEXTRACT_MODE: 'async' } }, async (harness) => {
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF);
+        await harness.drain();
+
+        assertSettledCleanly(harness);
+        assert.equal(harness.executions().length, 0);
+        assert.ok(harness.state.invocations.some(invocation => invocation.functionName === 'textract-async-complete'),
+            'the Textract completion went through textract-async-complete');
+        assertSampleStored(harness);
+        // textract-async-complete waits for storage, which reports the outcome
+        assert.deepEqual(notificationTypes(harness), ['storage_success']);
+
+        await harness.upload('invoices/resent/sample-invoice.pdf', SAMPLE_PDF);
+        await harness.drain();
+
+        assertSettledCleanly(harness);
+        assert.equal(harness.invoices().length, 1);
+        assert.deepEqual(notificationTypes(harness), ['storage_success', 'duplicate']);
+    }],
+
+    ['Without the workflow, the processor waits for storage and leaves the report to it', { workflow: false, env: { TEXTRACT_MODE: 'sync' } }, async (harness) => {
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF);
+        await harness.drain();
+
+        assertSettledCleanly(harness);
+        assert.equal(harness.executions().length, 0);
+        assertSampleStored(harness);
+        // store-extracted-data reports the outcome; textract-processor adds nothing
+        assert.deepEqual(notificationTypes(harness), ['storage_success']);
+
+        await harness.upload('invoices/resent/sample-invoice.pdf', SAMPLE_PDF);
+        await harness.drain();
+
+        assertSettledCleanly(harness);
+        assert.equal(harness.invoices().length, 1);
+        assert.deepEqual(notificationTypes(harness), ['storage_success', 'duplicate']);
+    }],
+
+    ['Enhanced processor stores a direct S3 event', { workflow: false }, async (harness) => {
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF, { notify: false });
+
+        const response = await harness.invoke('enhanced-textract-processor', {
+            Records: [{ eventSource: 'aws:s3', s3: { bucket: { name: harness.buckets.raw }, object: { key: SAMPLE_KEY } } }]
+        });
+        await harness.drain();
+
+        assert.equal(response.statusCode, 200, JSON.stringify(response));
+        assertSettledCleanly(harness);
+        assertSampleStored(harness);
+    }],
+
+    ['Invoice automation workflow validates, matches the PO, stores and notifies', {}, async (harness) => {
+        const invoice = {
+            invoiceId: 'NW-2024-0050',
+            customerId: 'CUST-CONTOSO',
+            customerEmail: 'ap@contoso.example',
+            vendorName: 'Northwind Office Supplies',
+            poNumber: 'PO-4471',
+            amount: 182.52,
+            subtotal: 169.00,
+            taxAmount: 13.52,
+            currency: 'USD',
+            dueDate: '2024-04-03',
+            lineItems: [
+                { description: 'Printer paper A4', quantity: 10, unitPrice: 4.50, lineTotal: 45.00 },
+                { description: 'Toner cartridge', quantity: 2, unitPrice: 62.00, lineTotal: 124.00 }
+            ]
+        };
+        const invalid = { invoiceId: 'INV-002', customerId: 'CUST-456', description: 'Missing amount and due date' };
+
+        const started = await harness.startExecution('invoice-automation-workflow', { invoice }, 'valid-invoice');
+        const rejected = await harness.startExecution('invoice-automation-workflow', { invoice: invalid }, 'invalid-invoice');
+        await harness.drain();
+
+        assertSettledCleanly(harness);
+        const valid = harness.execution(started.executionArn);
+        assert.equal(valid.status, 'SUCCEEDED', valid.cause);
+        assert.ok(valid.history.includes('MatchPurchaseOrder'));
+        const { invoice: processed, result } = JSON.parse(valid.output);
+        assert.equal(processed.poMatch.status, 'matched');
+        assert.equal(processed.status, 'approved');
+        assert.equal(result.status, 'SUCCESS');
+        assert.deepEqual(harness.invoices().map(item => item.invoiceId), [invoice.invoiceId]);
+
+        const failed = harness.execution(rejected.executionArn);
+        assert.equal(failed.status, 'SUCCEEDED', failed.cause);
+        assert.equal(JSON.parse(failed.output).result.status, 'VALIDATION_FAILED');
+        assert.equal(harness.emails().length, 2, 'one email per outcome');
+    }],
+
+    ['Functions outside Terraform still run', { workflow: false }, async (harness) => {
+        await harness.upload(SAMPLE_KEY, SAMPLE_PDF, { notify: false });
+
+        const costOptimized = await harness.invoke('cost-optimized-textract', {
+            Records: [{ eventSource: 'aws:s3', s3: { bucket: { name: harness.buckets.raw }, object: { key: SAMPLE_KEY } } }]
+        });
+        assert.equal(costOptimized.statusCode, 200, JSON.stringify(costOptimized));
+        assert.equal(harness.invoices().length, 1);
+
+        const backup = await harness.invoke('minimal-backup', {});
+        assert.equal(backup.statusCode, 200, JSON.stringify(backup));
+        assert.equal(harness.localAws.listObjects(harness.buckets.backup).length, 1);
+
+        const hello = await harness.invoke('hello-world', {});
+        assert.equal(hello.statusCode, 200);
+        assertSettledCleanly(harness);
+    }]
+];
+
+// ---- Runner ----
+
+const testResults = { passed: 0, failed: 0, tests: [] };
+
+async function runTest(testName, harnessOptions, testFunction, { verbose }) {
+    log.test(`Running test: ${testName}`);
+    const startTime = Date.now();
+    const harness = createHarness({
+        ...harnessOptions,
+        quiet: !verbose,
+        log: verbose ? (line) => console.log(`    ${line}`) : undefined
+    });
+
+    try {
+        await testFunction(harness);
+        const duration = Date.now() - startTime;
+        log.success(`✓ ${testName} (${duration}ms)`);
+        testResults.passed++;
+        testResults.tests.push({ name: testName, status: 'PASSED', duration, error: null });
+    } catch (error) {
+        const duration = Date.now() - startTime;
+        log.error(`✗ ${testName} (${duration}ms): ${error.message}`);
+        if (verbose) console.log(error.stack);
+        testResults.failed++;
+        testResults.tests.push({ name: testName, status: 'FAILED', duration, error: error.message });
+    } finally {
+        await harness.dispose();
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const selected = scenarios.filter(([name]) => !options.only || name.toLowerCase().includes(options.only.toLowerCase()));
+    if (selected.length === 0) {
+        throw new Error(`No scenario matches "${options.only}"`);
+    }
+
+    console.log('🚀 Starting Local Invoice Processing System Tests');
+    console.log('='.repeat(60));
+
+    for (const [name, harnessOptions, testFunction] of selected) {
+        await runTest(name, harnessOptions, testFunction, options);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`Total Tests: ${testResults.passed + testResults.failed}`);
+    console.log(`✅ Passed: ${testResults.passed}`);
+    console.log(`❌ Failed: ${testResults.failed}`);
+    console.log('='.repeat(60));
+
+    if (testResults.failed > 0) {
+        testResults.tests
+            .filter(test => test.status === 'FAILED')
+            .forEach(test => console.log(`  • ${test.name}: ${test.error}`));
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        log.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { scenarios };
@@ -0,0 +1,404 @@
+// DynamoDB expressions for the local DocumentClient
+//
+// Parses and evaluates the expression language the handlers use against
+// plain JavaScript items, so conditional writes, updates and key conditions
+// behave offline the way they do against the real table:
+//
+//     conditions    = <> < <= > >=, BETWEEN, IN, AND, OR, NOT, parentheses,
+//                   attribute_exists, attribute_not_exists, begins_with,
+//                   contains, size
+//     updates       SET (with +, -, if_not_exists, list_append), REMOVE, ADD
+//     projections   comma-separated paths
+//
+// #names and :values are resolved from ExpressionAttributeNames and
+// ExpressionAttributeValues; an unresolved one throws a ValidationException
+// like DynamoDB does. Anything outside this subset throws too, so a handler
+// that starts using it fails loudly here instead of passing by accident.
+
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+function validationError(message) {
+    const error = new Error(message);
+    error.code = 'ValidationException';
+    error.statusCode = 400;
+    return error;
+}
+
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(<>|<=|>=|[=<>(),.[\]+-])|([#:]?[A-Za-z0-9_]+))/y;
+    let match;
+
+    pattern.lastIndex = 0;
+    while (pattern.lastIndex < expression.length) {
+        const start = pattern.lastIndex;
+        if (/^\s*$/.test(expression.slice(start))) break;
+        match = pattern.exec(expression);
+        if (!match) {
+            throw validationError(`Invalid expression near "${expression.slice(start)}"`);
+        }
+        tokens.push(match[1] || match[2]);
+    }
+    return tokens;
+}
+
+function createParser(expression, names = {}, values = {}) {
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = (offset = 0) => tokens[position + offset];
+    const next = () => tokens[position++];
+    const keyword = (word) => typeof peek() === 'string' && peek().toUpperCase() === word;
+    const expect = (token) => {
+        const found = next();
+        if (found !== token) {
+            throw validationError(`Expected "${token}" but found "${found}" in: ${expression}`);
+        }
+    };
+
+    function name(token) {
+        if (token.startsWith('#')) {
+            if (!(token in names)) throw validationError(`Unresolved attribute name ${token} in: ${expression}`);
+            return names[token];
+        }
+        return token;
+    }
+
+    function path() {
+        const first = next();
+        if (!first || /^[:(),.[\]]/.test(first)) {
+            throw validationError(`Expected an attribute in: ${expression}`);
+        }
+        const segments = [name(first)];
+        while (peek() === '.' || peek() === '[') {
+            if (next() === '.') {
+                segments.push(name(next()));
+            } else {
+                segments.push(parseInt(next(), 10));
+                expect(']');
+            }
+        }
+        return { type: 'path', segments };
+    }
+
+    function value() {
+        const token = next();
+        if (!(token in values)) throw validationError(`Unresolved attribute value ${token} in: ${expression}`);
+        return { type: 'value', value: values[token] };
+    }
+
+    function call(fn, arity) {
+        next();
+        expect('(');
+        const args = [];
+        for (let i = 0; i < arity; i++) {
+            if (i > 0) expect(',');
+            args.push(i === 0 ? path() : operand());
+        }
+        expect(')');
+        return { type: 'call', fn, args };
+    }
+
+    function operand() {
+        const token = peek();
+        if (token && token.startsWith(':')) return value();
+        if (token === 'size' && peek(1) === '(') return call('size', 1);
+        return path();
+    }
+
+    function updateValue() {
+        const token = peek();
+        if ((token === 'if_not_exists' || token === 'list_append') && peek(1) === '(') {
+            next();
+            expect('(');
+            const args = [token === 'if_not_exists' ? path() : updateValue()];
+            expect(',');
+            args.push(updateValue());
+            expect(')');
+            return { type: 'call', fn: token, args };
+        }
+        return operand();
+    }
+
+    function arithmetic() {
+        let left = updateValue();
+        while (peek() === '+' || peek() === '-') {
+            const operator = next();
+            left = { type: 'arithmetic', operator, left, right: updateValue() };
+        }
+        return left;
+    }
+
+    function primary() {
+        if (peek() === '(') {
+            next();
+            const inner = or();
+            expect(')');
+            return inner;
+        }
+
+        const token = peek();
+        const functions = { attribute_exists: 1, attribute_not_exists: 1, begins_with: 2, contains: 2 };
+        if (functions[token] && peek(1) === '(') {
+            return call(token, functions[token]);
+        }
+
+        const left = operand();
+        if (COMPARATORS.includes(peek())) {
+            return { type: 'compare', operator: next(), left, right: operand() };
+        }
+        if (keyword('BETWEEN')) {
+            next();
+            const low = operand();
+            if (!keyword('AND')) throw validationError(`Expected AND in BETWEEN in: ${expression}`);
+            next();
+            return { type: 'between', subject: left, low, high: operand() };
+        }
+        if (keyword('IN')) {
+            next();
+            expect('(');
+            const options = [operand()];
+            while (peek() === ',') {
+                next();
+                options.push(operand());
+            }
+            expect(')');
+            return { type: 'in', subject: left, options };
+        }
+        throw validationError(`Expected a comparison in: ${expression}`);
+    }
+
+    function not() {
+        if (keyword('NOT')) {
+            next();
+            return { type: 'not', operand: not() };
+        }
+        return primary();
+    }
+
+    function and() {
+        let left = not();
+        while (keyword('AND')) {
+            next();
+            left = { type: 'and', left, right: not() };
+        }
+        return left;
+    }
+
+    function or() {
+        let left = and();
+        while (keyword('OR')) {
+            next();
+            left = { type: 'or', left, right: and() };
+        }
+        return left;
+    }
+
+    function done() {
+        if (position < tokens.length) {
+            throw validationError(`Unexpected "${peek()}" in: ${expression}`);
+        }
+    }
+
+    return { peek, next, keyword, expect, path, arithmetic, or, done };
+}
+
+function resolvePath(item, segments) {
+    let current = item;
+    for (const segment of segments) {
+        if (current === null || typeof current !== 'object' || !(segment in current)) return undefined;
+        current = current[segment];
+    }
+    return current;
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'list';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function equals(a, b) {
+    if (a === undefined || b === undefined) return false;
+    if (typeOf(a) !== typeOf(b)) return false;
+    if (typeof a === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return a === b;
+}
+
+function evaluateOperand(node, item) {
+    if (node.type === 'value') return node.value;
+    if (node.type === 'path') return resolvePath(item, node.segments);
+    if (node.type === 'call' && node.fn === 'size') {
+        const target = evaluateOperand(node.args[0], item);
+        if (typeof target === 'string' || Array.isArray(target)) return target.length;
+        if (target && typeof target === 'object') return Object.keys(target).length;
+        return undefined;
+    }
+    throw validationError(`Unsupported operand ${node.fn || node.type}`);
+}
+
+function compare(operator, left, right) {
+    if (operator === '=') return equals(left, right);
+    if (operator === '<>') return !equals(left, right);
+    // Ordering only applies between two numbers or two strings
+    if (left === undefined || right === undefined || typeOf(left) !== typeOf(right)) return false;
+    if (typeof left !== 'number' && typeof left !== 'string') return false;
+    switch (operator) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        default: throw validationError(`Unsupported comparator ${operator}`);
+    }
+}
+
+function evaluateCondition(node, item) {
+    switch (node.type) {
+        case 'and': return evaluateCondition(node.left, item) && evaluateCondition(node.right, item);
+        case 'or': return evaluateCondition(node.left, item) || evaluateCondition(node.right, item);
+        case 'not': return !evaluateCondition(node.operand, item);
+        case 'compare':
+            return compare(node.operator, evaluateOperand(node.left, item), evaluateOperand(node.right, item));
+        case 'between': {
+            const subject = evaluateOperand(node.subject, item);
+            return compare('>=', subject, evaluateOperand(node.low, item)) &&
+                compare('<=', subject, evaluateOperand(node.high, item));
+        }
+        case 'in': {
+            const subject = evaluateOperand(node.subject, item);
+            return node.options.some(option => equals(subject, evaluateOperand(option, item)));
+        }
+        case 'call': {
+            const target = evaluateOperand(node.args[0], item);
+            switch (node.fn) {
+                case 'attribute_exists': return target !== undefined;
+                case 'attribute_not_exists': return target === undefined;
+                case 'begins_with': {
+                    const prefix = evaluateOperand(node.args[1], item);
+                    return typeof target === 'string' && typeof prefix === 'string' && target.startsWith(prefix);
+                }
+                case 'contains': {
+                    const needle = evaluateOperand(node.args[1], item);
+                    if (typeof target === 'string') return typeof needle === 'string' && target.includes(needle);
+                    if (Array.isArray(target)) return target.some(element => equals(element, needle));
+                    return false;
+                }
+                default: throw validationError(`${node.fn} is not a condition`);
+            }
+        }
+        default:
+            throw validationError(`A ${node.type} is not a condition`);
+    }
+}
+
+// True when the item (undefined when there is none) satisfies the condition;
+// an empty expression always holds
+function matchesCondition(expression, item, names, values) {
+    if (!expression) return true;
+    const parser = createParser(expression, names, values);
+    const tree = parser.or();
+    parser.done();
+    return evaluateCondition(tree, item);
+}
+
+function evaluateUpdateValue(node, item) {
+    if (node.type === 'arithmetic') {
+        const left = evaluateUpdateValue(node.left, item);
+        const right = evaluateUpdateValue(node.right, item);
+        if (typeof left !== 'number' || typeof right !== 'number') {
+            throw validationError('An operand in the update expression has an incorrect data type');
+        }
+        return node.operator === '+' ? left + right : left - right;
+    }
+    if (node.type === 'call' && node.fn === 'if_not_exists') {
+        const existing = evaluateOperand(node.args[0], item);
+        return existing !== undefined ? existing : evaluateUpdateValue(node.args[1], item);
+    }
+    if (node.type === 'call' && node.fn === 'list_append') {
+        const [first, second] = node.args.map(arg => evaluateUpdateValue(arg, item));
+        if (!Array.isArray(first) || !Array.isArray(second)) {
+            throw validationError('list_append needs two lists');
+        }
+        return first.concat(second);
+    }
+    const result = evaluateOperand(node, item);
+    if (result === undefined) {
+        throw validationError('The provided expression refers to an attribute that does not exist in the item');
+    }
+    return result;
+}
+
+function parentOf(item, segments) {
+    const parent = resolvePath(item, segments.slice(0, -1));
+    if (parent === null || typeof parent !== 'object') {
+        throw validationError('The document path provided in the update expression is invalid for update');
+    }
+    return parent;
+}
+
+// Applies an UpdateExpression to a copy of the item and returns the copy.
+// Values on the right-hand side are read from the item as it was before the
+// update, as in DynamoDB.
+function applyUpdate(expression, item, names, values) {
+    const before = JSON.parse(JSON.stringify(item));
+    const updated = JSON.parse(JSON.stringify(item));
+    const parser = createParser(expression, names, values);
+    const clauses = ['SET', 'REMOVE', 'ADD'];
+
+    while (parser.peek() !== undefined) {
+        const clause = String(parser.next()).toUpperCase();
+        if (!clauses.includes(clause)) {
+            throw validationError(`Unsupported update clause ${clause} in: ${expression}`);
+        }
+
+        do {
+            const target = parser.path();
+            const parent = parentOf(updated, target.segments);
+            const key = target.segments[target.segments.length - 1];
+
+            if (clause === 'SET') {
+                parser.expect('=');
+                parent[key] = evaluateUpdateValue(parser.arithmetic(), before);
+            } else if (clause === 'REMOVE') {
+                if (Array.isArray(parent)) parent.splice(key, 1);
+                else delete parent[key];
+            } else {
+                const addend = evaluateUpdateValue(parser.arithmetic(), before);
+                const current = parent[key] === undefined ? 0 : parent[key];
+                if (typeof addend !== 'number' || typeof current !== 'number') {
+                    throw validationError('ADD only supports numbers here');
+                }
+                parent[key] = current + addend;
+            }
+        } while (parser.peek() === ',' && parser.next());
+
+        if (parser.peek() !== undefined && !clauses.includes(String(parser.peek()).toUpperCase())) {
+            throw validationError(`Unexpected "${parser.peek()}" in: ${expression}`);
+        }
+    }
+
+    return updated;
+}
+
+// The item reduced to the projected top-level paths
+function project(expression, item, names) {
+    if (!expression || !item) return item;
+    const parser = createParser(expression, names, {});
+    const projected = {};
+
+    do {
+        const { segments } = parser.path();
+        const value = resolvePath(item, segments);
+        if (value !== undefined) projected[segments[0]] = item[segments[0]];
+    } while (parser.peek() === ',' && parser.next());
+    parser.done();
+
+    return JSON.parse(JSON.stringify(projected));
+}
+
+module.exports = {
+    matchesCondition,
+    applyUpdate,
+    project,
+    resolvePath
+};
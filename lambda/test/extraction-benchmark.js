@@ -0,0 +1,475 @@
+// Extraction Benchmark
+//
+// Scores the parsers against hand-labelled invoices. Each case in
+// fixtures/golden/cases names a recorded Textract response (found in
+// fixtures/textract the way the local OCR provider finds it) and the fields
+// a person reads off that document:
+//
+//     { "document": "sample-invoice.pdf",
+//       "expected": { "invoiceNumber": "NW-2024-0042", "poNumber": null, ... } }
+//
+// A labelled value must be extracted exactly (amounts to the cent, dates as
+// ISO days, text ignoring case, spacing and trailing punctuation); null means
+// the document has no such field, so extracting anything is a false
+// positive; fields left out of "expected" are not scored.
+//
+// Per field the benchmark counts
+//   tp  the labelled value was extracted
+//   fp  a value was extracted that is not the labelled one (wrong or spurious)
+//   fn  the labelled value was not extracted (missed or wrong)
+//   tn  nothing was extracted for a field the document does not have
+// so a wrong value costs both precision and recall. Line items are paired by
+// line total and description. Confidence calibration compares the
+// confidence the parser reports for invoiceNumber, invoiceDate, totalAmount
+// and vendorName with how often those values are actually right.
+//
+// A baseline (fixtures/golden/baseline.json) records which case/field pairs
+// were right; compareToBaseline reports every one that no longer is.
+
+const fs = require('fs');
+const path = require('path');
+const { createOcrProvider } = require('../script/lib/ocr-providers');
+const { parseTextractResult } = require('../script/lib/textract-parser');
+
+const SCORED_FIELDS = [
+    'invoiceNumber', 'poNumber', 'invoiceDate', 'dueDate', 'totalAmount', 'currency',
+    'vendorName', 'vendorAddress', 'vendorTaxId', 'subtotal', 'taxAmount',
+    'shippingAmount', 'discountAmount'
+];
+
+const AMOUNT_FIELDS = ['totalAmount', 'subtotal', 'taxAmount', 'shippingAmount', 'discountAmount'];
+const DATE_FIELDS = ['invoiceDate', 'dueDate'];
+// Compared without any whitespace: "GB 284 1739 56" is "GB284173956"
+const IDENTIFIER_FIELDS = ['invoiceNumber', 'poNumber', 'vendorTaxId', 'currency'];
+
+// Fields the parser reports a confidence for (extractedData.confidence)
+const CONFIDENCE_FIELDS = ['invoiceNumber', 'invoiceDate', 'totalAmount', 'vendorName'];
+const CALIBRATION_BUCKETS = [[0, 50], [50, 70], [70, 80], [80, 90], [90, 100]];
+
+const AMOUNT_TOLERANCE = 0.005;
+const MIN_DESCRIPTION_SIMILARITY = 0.5;
+
+function benchmarkError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// ---- Corpus ----
+
+function loadCorpus(dir) {
+    if (!fs.existsSync(dir)) {
+        throw benchmarkError(`Corpus directory ${dir} does not exist`, 404);
+    }
+
+    const cases = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const name = path.basename(file, '.json');
+            let label;
+            try {
+                label = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            } catch (error) {
+                throw benchmarkError(`Case ${name}: ${error.message}`);
+            }
+            return { name, ...validateCase(name, label) };
+        });
+
+    if (cases.length === 0) {
+        throw benchmarkError(`No cases in ${dir}`, 404);
+    }
+    return cases;
+}
+
+function validateCase(name, label) {
+    if (!label || typeof label.document !== 'string' || !label.document) {
+        throw benchmarkError(`Case ${name}: "document" is required`);
+    }
+    if (!label.expected || typeof label.expected !== 'object') {
+        throw benchmarkError(`Case ${name}: "expected" is required`);
+    }
+
+    const unknown = Object.keys(label.expected)
+        .filter(field => field !== 'lineItems' && !SCORED_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw benchmarkError(`Case ${name}: unknown field(s) ${unknown.join(', ')}`);
+    }
+    if (label.expected.lineItems !== undefined && !Array.isArray(label.expected.lineItems)) {
+        throw benchmarkError(`Case ${name}: "lineItems" must be an array`);
+    }
+
+    return {
+        document: label.document,
+        description: label.description || null,
+        expected: label.expected
+    };
+}
+
+// ---- Running ----
+
+async function runCorpus(cases, { fixturesDir, templates = [] }) {
+    const provider = createOcrProvider('local', { fixturesDir, engine: 'fixture' });
+    const results = [];
+
+    for (const testCase of cases) {
+        let invoiceData = null;
+        let confidence = {};
+        let template = null;
+        let error = null;
+
+        try {
+            const { textractResult } = await provider.analyze({ bucketName: 'benchmark', objectKey: testCase.document });
+            const extractedData = parseTextractResult(textractResult, testCase.document, undefined, { templates });
+            invoiceData = extractedData.invoiceData;
+            confidence = extractedData.confidence || {};
+            template = extractedData.template ? extractedData.template.templateId : null;
+        } catch (err) {
+            // A document the pipeline cannot read scores as nothing extracted
+            error = err.message;
+        }
+
+        results.push(scoreCase(testCase, invoiceData || {}, confidence, { template, error }));
+    }
+
+    return results;
+}
+
+// ---- Scoring a case ----
+
+function scoreCase(testCase, invoiceData, confidence, { template = null, error = null } = {}) {
+    const fields = {};
+
+    for (const field of SCORED_FIELDS) {
+        if (!(field in testCase.expected)) continue;
+
+        const expected = testCase.expected[field];
+        const actual = invoiceData[field] === undefined ? null : invoiceData[field];
+        fields[field] = {
+            expected,
+            actual,
+            outcome: fieldOutcome(field, expected, actual),
+            confidence: CONFIDENCE_FIELDS.includes(field) && typeof confidence[field] === 'number'
+                ? confidence[field]
+                : null
+        };
+    }
+
+    const lineItems = testCase.expected.lineItems
+        ? matchLineItems(testCase.expected.lineItems, invoiceData.lineItems || [])
+        : null;
+
+    return { name: testCase.name, document: testCase.document, template, error, fields, lineItems };
+}
+
+// correct | missed | wrong | spurious | absent
+function fieldOutcome(field, expected, actual) {
+    const extracted = !isBlank(actual);
+    if (expected === null) {
+        return extracted ? 'spurious' : 'absent';
+    }
+    if (!extracted) {
+        return 'missed';
+    }
+    return valuesEqual(field, expected, actual) ? 'correct' : 'wrong';
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function valuesEqual(field, expected, actual) {
+    if (AMOUNT_FIELDS.includes(field)) {
+        return amountsEqual(expected, actual);
+    }
+    if (DATE_FIELDS.includes(field)) {
+        return String(actual).slice(0, 10) === String(expected);
+    }
+    if (IDENTIFIER_FIELDS.includes(field)) {
+        return normalizeIdentifier(actual) === normalizeIdentifier(expected);
+    }
+    return normalizeText(actual) === normalizeText(expected);
+}
+
+function amountsEqual(expected, actual) {
+    const value = typeof actual === 'number' ? actual : Number(actual);
+    return Number.isFinite(value) && Math.abs(value - expected) < AMOUNT_TOLERANCE;
+}
+
+function normalizeText(value) {
+    return String(value).toLowerCase().replace(/\s+/g, ' ').trim().replace(/[.,;:]+$/, '');
+}
+
+function normalizeIdentifier(value) {
+    return String(value).toUpperCase().replace(/\s+/g, '');
+}
+
+// Pairs each labelled item with an unclaimed extracted item of the same line
+// total whose description shares at least half its words; an item is exact
+// when its quantity and unit price match too.
+function matchLineItems(expectedItems, actualItems) {
+    const claimed = new Set();
+    let matched = 0;
+    let exact = 0;
+    const unmatched = [];
+
+    for (const expectedItem of expectedItems) {
+        let best = -1;
+        let bestSimilarity = MIN_DESCRIPTION_SIMILARITY;
+
+        actualItems.forEach((actualItem, index) => {
+            if (claimed.has(index) || !amountsEqual(expectedItem.lineTotal, actualItem.lineTotal)) return;
+            const similarity = descriptionSimilarity(expectedItem.description, actualItem.description);
+            if (similarity >= bestSimilarity) {
+                best = index;
+                bestSimilarity = similarity;
+            }
+        });
+
+        if (best === -1) {
+            unmatched.push(expectedItem.description);
+            continue;
+        }
+
+        claimed.add(best);
+        matched++;
+        const actualItem = actualItems[best];
+        if (optionalAmountEqual(expectedItem.quantity, actualItem.quantity)
+            && optionalAmountEqual(expectedItem.unitPrice, actualItem.unitPrice)) {
+            exact++;
+        }
+    }
+
+    return {
+        expected: expectedItems.length,
+        extracted: actualItems.length,
+        matched,
+        exact,
+        unmatched
+    };
+}
+
+function optionalAmountEqual(expected, actual) {
+    return expected === undefined || expected === null
+        ? isBlank(actual)
+        : !isBlank(actual) && amountsEqual(expected, actual);
+}
+
+function descriptionSimilarity(a, b) {
+    const words = value => new Set(normalizeText(value || '').split(/[^a-z0-9]+/).filter(Boolean));
+    const left = words(a);
+    const right = words(b);
+    if (left.size === 0 && right.size === 0) return 1;
+
+    let shared = 0;
+    left.forEach(word => { if (right.has(word)) shared++; });
+    return shared / new Set([...left, ...right]).size;
+}
+
+// ---- Aggregate metrics ----
+
+function summarize(results) {
+    const fields = {};
+
+    for (const field of SCORED_FIELDS) {
+        const counts = { labelled: 0, tp: 0, fp: 0, fn: 0, tn: 0 };
+
+        for (const result of results) {
+            const scored = result.fields[field];
+            if (!scored) continue;
+
+            counts.labelled++;
+            switch (scored.outcome) {
+                case 'correct': counts.tp++; break;
+                case 'wrong': counts.fp++; counts.fn++; break;
+                case 'missed': counts.fn++; break;
+                case 'spurious': counts.fp++; break;
+                case 'absent': counts.tn++; break;
+            }
+        }
+
+        if (counts.labelled === 0) continue;
+        fields[field] = {
+            ...counts,
+            precision: ratio(counts.tp, counts.tp + counts.fp),
+            recall: ratio(counts.tp, counts.tp + counts.fn),
+            exactMatch: ratio(counts.tp + counts.tn, counts.labelled)
+        };
+    }
+
+    const lineItemTotals = results
+        .filter(result => result.lineItems)
+        .reduce((totals, { lineItems }) => ({
+            expected: totals.expected + lineItems.expected,
+            extracted: totals.extracted + lineItems.extracted,
+            matched: totals.matched + lineItems.matched,
+            exact: totals.exact + lineItems.exact
+        }), { expected: 0, extracted: 0, matched: 0, exact: 0 });
+
+    const labelled = Object.values(fields).reduce((sum, counts) => sum + counts.labelled, 0);
+    const right = Object.values(fields).reduce((sum, counts) => sum + counts.tp + counts.tn, 0);
+
+    return {
+        cases: results.length,
+        failedCases: results.filter(result => result.error).length,
+        exactMatch: ratio(right, labelled),
+        fields,
+        lineItems: {
+            ...lineItemTotals,
+            precision: ratio(lineItemTotals.matched, lineItemTotals.extracted),
+            recall: ratio(lineItemTotals.matched, lineItemTotals.expected),
+            exactMatch: ratio(lineItemTotals.exact, lineItemTotals.expected)
+        },
+        calibration: calibrate(results)
+    };
+}
+
+// Every extracted value with a reported confidence is one sample: right or
+// not. ECE is the sample-weighted gap between mean confidence and accuracy
+// per bucket; 0 means the parser is exactly as sure as it should be.
+function calibrate(results) {
+    const samples = [];
+    for (const result of results) {
+        for (const field of CONFIDENCE_FIELDS) {
+            const scored = result.fields[field];
+            if (!scored || scored.confidence === null || isBlank(scored.actual)) continue;
+            samples.push({ confidence: scored.confidence, correct: scored.outcome === 'correct' });
+        }
+    }
+
+    const buckets = CALIBRATION_BUCKETS.map(([low, high]) => {
+        const inBucket = samples.filter(sample => sample.confidence >= low
+            && (sample.confidence < high || (high === 100 && sample.confidence <= 100)));
+        return {
+            range: `${low}-${high}`,
+            samples: inBucket.length,
+            meanConfidence: inBucket.length ? round(mean(inBucket.map(sample => sample.confidence))) : null,
+            accuracy: inBucket.length ? ratio(inBucket.filter(sample => sample.correct).length, inBucket.length) : null
+        };
+    });
+
+    const ece = samples.length === 0 ? null : round(buckets
+        .filter(bucket => bucket.samples > 0)
+        .reduce((sum, bucket) => sum
+            + (bucket.samples / samples.length) * Math.abs(bucket.accuracy - bucket.meanConfidence / 100), 0));
+
+    return { samples: samples.length, ece, buckets };
+}
+
+function ratio(numerator, denominator) {
+    return denominator === 0 ? null : round(numerator / denominator);
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// ---- Baseline ----
+
+function toBaseline(results, summary) {
+    const cases = {};
+    for (const result of results) {
+        const fields = {};
+        Object.entries(result.fields).forEach(([field, scored]) => {
+            fields[field] = scored.outcome === 'correct' || scored.outcome === 'absent';
+        });
+        cases[result.name] = {
+            fields,
+            lineItems: result.lineItems
+                ? { matched: result.lineItems.matched, exact: result.lineItems.exact }
+                : null
+        };
+    }
+
+    return {
+        exactMatch: summary.exactMatch,
+        fields: Object.fromEntries(Object.entries(summary.fields).map(([field, metrics]) => [field, {
+            precision: metrics.precision,
+            recall: metrics.recall,
+            exactMatch: metrics.exactMatch
+        }])),
+        lineItems: {
+            precision: summary.lineItems.precision,
+            recall: summary.lineItems.recall,
+            exactMatch: summary.lineItems.exactMatch
+        },
+        calibration: { ece: summary.calibration.ece },
+        cases
+    };
+}
+
+// A regression is anything the baseline got right that the current run does
+// not: a case/field pair, line items matched or exact, a case that is gone,
+// or calibration error grown by more than the tolerance.
+function compareToBaseline(results, summary, baseline, { eceTolerance = 0.02 } = {}) {
+    const regressions = [];
+    const improvements = [];
+    const current = toBaseline(results, summary);
+
+    for (const [name, before] of Object.entries(baseline.cases || {})) {
+        const after = current.cases[name];
+        if (!after) {
+            regressions.push({ case: name, field: null, message: `${name}: case removed from the corpus` });
+            continue;
+        }
+
+        for (const [field, wasRight] of Object.entries(before.fields || {})) {
+            if (!(field in after.fields)) continue;
+            const isRight = after.fields[field];
+            if (wasRight && !isRight) {
+                regressions.push({ case: name, field, message: `${name}.${field}: ${describeOutcome(results, name, field)}` });
+            } else if (!wasRight && isRight) {
+                improvements.push({ case: name, field, message: `${name}.${field}: now correct` });
+            }
+        }
+
+        if (before.lineItems && after.lineItems) {
+            for (const measure of ['matched', 'exact']) {
+                const delta = after.lineItems[measure] - before.lineItems[measure];
+                const entry = {
+                    case: name,
+                    field: `lineItems.${measure}`,
+                    message: `${name}.lineItems: ${measure} ${before.lineItems[measure]} → ${after.lineItems[measure]}`
+                };
+                if (delta < 0) regressions.push(entry);
+                if (delta > 0) improvements.push(entry);
+            }
+        }
+    }
+
+    const newCases = Object.keys(current.cases).filter(name => !(baseline.cases || {})[name]);
+
+    const eceBefore = baseline.calibration ? baseline.calibration.ece : null;
+    const eceAfter = current.calibration.ece;
+    if (eceBefore !== null && eceAfter !== null && eceAfter - eceBefore > eceTolerance) {
+        regressions.push({
+            case: null,
+            field: 'calibration',
+            message: `calibration error ${eceBefore} → ${eceAfter} (tolerance ${eceTolerance})`
+        });
+    }
+
+    return { passed: regressions.length === 0, regressions, improvements, newCases };
+}
+
+function describeOutcome(results, name, field) {
+    const scored = results.find(result => result.name === name).fields[field];
+    const show = value => (value === null ? 'nothing' : JSON.stringify(value));
+    return `expected ${show(scored.expected)}, extracted ${show(scored.actual)} (${scored.outcome})`;
+}
+
+module.exports = {
+    SCORED_FIELDS,
+    CONFIDENCE_FIELDS,
+    loadCorpus,
+    runCorpus,
+    scoreCase,
+    matchLineItems,
+    summarize,
+    toBaseline,
+    compareToBaseline
+};
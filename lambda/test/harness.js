@@ -0,0 +1,467 @@
+// Local Harness
+//
+// The deployed system, wired together in one process: every handler in
+// script/ runs unchanged against the stand-ins in local-aws.js, with the
+// buckets, tables, queues, topics, event source mappings and state machines
+// the Terraform files declare, and the environment each function gets there
+// (local names instead of ARNs from the account).
+//
+// require('aws-sdk') and require('aws-xray-sdk-core') resolve to the
+// stand-ins while a harness exists, so neither package nor credentials are
+// needed. Each function loads its own copy of script/ and script/lib/, as
+// separate Lambdas would, the first time it is invoked.
+//
+//     const harness = createHarness();
+//     await harness.upload('invoices/sample-invoice.pdf', pdf);
+//     await harness.drain();
+//     harness.invoices();    // items in lambda_invoice_dynamoDB
+//     harness.dispose();
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Module = require('module');
+const { createLocalAws } = require('./local-aws');
+const { loadStateMachine, createStateMachine } = require('./step-functions');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPT_DIR = path.join(ROOT, 'script');
+const FIXTURES_DIR = path.join(ROOT, 'fixtures');
+
+const RAW_BUCKET = 'invoice-uploads-local';
+const PROCESSED_BUCKET = 'processed-invoices-local';
+const BACKUP_BUCKET = 'invoice-backup-local';
+
+const TABLES = {
+    invoices: { name: 'lambda_invoice_dynamoDB', key: ['customerId', 'invoiceNumber'], indexes: {
+        InvoiceTitleIndex: ['invoiceNumber', 'customerName'],
+        VendorIndex: ['vendorKey', 'processedAt'],
+        FingerprintIndex: ['fingerprint'],
+        StatusIndex: ['status', 'createdAt']
+    } },
+    vendorTemplates: { name: 'invoice-vendor-templates', key: ['templateId'] },
+    reviewQueue: { name: 'invoice-review-queue', key: ['reviewId'], indexes: { 'status-index': ['status', 'createdAt'] } },
+    idempotency: { name: 'invoice-idempotency', key: ['idempotencyKey'] },
+    partyRegistry: { name: 'invoice-party-registry', key: ['partyId'] },
+    purchaseOrders: { name: 'invoice-purchase-orders', key: ['poKey'] },
+    webhookSubscriptions: { name: 'invoice-webhook-subscriptions', key: ['subscriptionId'] },
+    webhookDeliveries: { name: 'invoice-webhook-deliveries', key: ['deliveryId'], indexes: { StatusIndex: ['status', 'updatedAt'] } },
+    deadLetters: { name: 'invoice-dead-letters', key: ['deadLetterId'], indexes: { StatusIndex: ['status', 'lastFailedAt'] } }
+};
+
+// Queue names and redrive limits from 19-textract-async.tf,
+// 29-webhooks.tf and 30-ingestion-queue.tf
+const QUEUES = {
+    ingestion: { name: 'invoice-ingestion', maxReceives: 3, consumer: 'textract-processor', batchSize: 10 },
+    textractCompletion: { name: 'textract-job-completion', maxReceives: 3, consumer: 'textract-async-complete', batchSize: 5 },
+    webhookDeliveries: { name: 'invoice-webhook-deliveries', maxReceives: 5, consumer: 'webhook-dispatcher', batchSize: 10 }
+};
+
+const TOPICS = {
+    notifications: 'invoice-processing-notifications',
+    textractCompletion: 'AmazonTextract-invoice-job-completion'
+};
+
+// jsonencode() of the variable defaults in 02-variables.tf
+const NORMALIZATION_CONFIG = JSON.stringify({ defaultLocale: 'en-US', vendors: {} });
+const REVIEW_CONFIDENCE_THRESHOLDS = JSON.stringify({ invoiceNumber: 80, totalAmount: 80, vendorName: 60, invoiceDate: 50 });
+
+const OPS_ADDRESS = 'ops@example.com';
+const SENDER_ADDRESS = 'invoices@example.com';
+
+// The variables block of each aws_lambda_function, by the names in
+// shared() below; the three scripts no Terraform file deploys get what
+// their code reads
+const FUNCTIONS = {
+    'validate-invoice': { script: 'validate-invoice.js', env: ['normalization', 'validationRules', 'webhooks'] },
+    'process-invoice': { script: 'process-invoice.js', env: ['invoiceTable', 'webhooks'] },
+    'send-notification': { script: 'send-notification.js', env: ['email', 'partyRegistry'] },
+    'textract-processor': { script: 'textract-processor.js', env: ['notifications', 'storage', 'workflow', 'ingestion', 'reconciliation', 'ocr', 'textractAsync', 'templates', 'sender', 'deadLetters'] },
+    'store-extracted-data': { script: 'store-extracted-data.js', env: ['invoiceTable', 'processedBucket', 'notifications', 'reviewQueue', 'idempotency', 'duplicates', 'partyRegistry', 'purchaseOrders', 'sender', 'webhooks', 'deadLetters'] },
+    'textract-async-complete': { script: 'textract-async-complete.js', env: ['notifications', 'storage', 'normalization', 'templates', 'sender', 'deadLetters', 'completionReceives'] },
+    'review-queue-api': { script: 'review-queue-api.js', env: ['reviewQueue', 'processedBucket', 'notifications', 'storage', 'sender', 'webhooks'] },
+    'match-purchase-order': { script: 'match-purchase-order.js', env: ['purchaseOrders'] },
+    'purchase-order-api': { script: 'purchase-order-api.js', env: ['purchaseOrders'] },
+    'webhook-dispatcher': { script: 'webhook-dispatcher.js', env: ['webhooks', 'webhookDelivery'] },
+    'enhanced-textract-processor': { script: 'enhanced-textract-processor.js', env: ['notifications', 'storage', 'workflow', 'normalization', 'review', 'ocr', 'textractAsync', 'templates', 'sender', 'deadLetters'] },
+    'dead-letter-api': { script: 'dead-letter-api.js', env: ['deadLetters', 'redrive'] },
+    'extraction-workflow': { script: 'extraction-workflow.js', env: ['notifications', 'processedBucket', 'reconciliation', 'review', 'ocr', 'templates', 'validationRules', 'idempotency', 'sender', 'webhooks', 'deadLetters'] },
+    'cost-optimized-textract': { script: 'cost-optimized-textract.js', env: ['invoiceTable'] },
+    'minimal-backup': { script: 'minimal-backup.js', env: ['backup'] },
+    'hello-world': { script: 'function.js', env: [] }
+};
+
+function shared(localAws) {
+    const queueUrl = name => localAws.queueUrlFor(QUEUES[name].name);
+    const topicArn = name => localAws.topicArnFor(TOPICS[name]);
+
+    return {
+        notifications: { SNS_TOPIC_ARN: topicArn('notifications') },
+        storage: { STORAGE_LAMBDA_NAME: 'store-extracted-data' },
+        workflow: { EXTRACTION_STATE_MACHINE_ARN: stateMachineArn(localAws, 'invoice-extraction-workflow') },
+        // One document at a time keeps nested invocations strictly nested,
+        // so each function sees its own environment
+        ingestion: { INGESTION_CONCURRENCY: '1', INGESTION_MAX_RECEIVES: String(QUEUES.ingestion.maxReceives) },
+        completionReceives: { INGESTION_MAX_RECEIVES: String(QUEUES.textractCompletion.maxReceives) },
+        normalization: { NORMALIZATION_CONFIG: NORMALIZATION_CONFIG },
+        reconciliation: { RECONCILIATION_TOLERANCE: '0.05', RECONCILIATION_TOLERANCE_PERCENT: '0.5', NORMALIZATION_CONFIG: NORMALIZATION_CONFIG },
+        review: { REVIEW_CONFIDENCE_THRESHOLDS: REVIEW_CONFIDENCE_THRESHOLDS },
+        ocr: { OCR_PROVIDER: 'textract', TEXTRACT_MODE: 'auto' },
+        textractAsync: {
+            TEXTRACT_SNS_TOPIC_ARN: topicArn('textractCompletion'),
+            TEXTRACT_ROLE_ARN: `arn:aws:iam::${localAws.accountId}:role/textract-publish-role`
+        },
+        templates: {
+            VENDOR_TEMPLATES_SOURCE: 'dynamodb',
+            VENDOR_TEMPLATES_TABLE: TABLES.vendorTemplates.name,
+            VENDOR_TEMPLATES_BUCKET: PROCESSED_BUCKET,
+            VENDOR_TEMPLATES_PREFIX: 'templates/'
+        },
+        validationRules: {
+            VALIDATION_RULES_SOURCE: 's3',
+            VALIDATION_RULES_BUCKET: PROCESSED_BUCKET,
+            VALIDATION_RULES_PREFIX: 'validation-rules/'
+        },
+        invoiceTable: { DYNAMODB_TABLE_NAME: TABLES.invoices.name },
+        processedBucket: { PROCESSED_BUCKET_NAME: PROCESSED_BUCKET },
+        reviewQueue: { REVIEW_QUEUE_TABLE: TABLES.reviewQueue.name },
+        idempotency: { IDEMPOTENCY_TABLE: TABLES.idempotency.name },
+        duplicates: { DUPLICATE_CHECK_INDEX: 'VendorIndex' },
+        partyRegistry: { PARTY_REGISTRY_TABLE: TABLES.partyRegistry.name },
+        purchaseOrders: { PURCHASE_ORDER_TABLE: TABLES.purchaseOrders.name, PO_MATCH_TOLERANCES: '{}' },
+        email: { EMAIL_TRANSPORT: 'ses', NOTIFICATION_FROM_ADDRESS: SENDER_ADDRESS, NOTIFICATION_OPS_RECIPIENTS: OPS_ADDRESS },
+        sender: { NOTIFICATION_FROM_ADDRESS: SENDER_ADDRESS },
+        webhooks: {
+            WEBHOOK_QUEUE_URL: queueUrl('webhookDeliveries'),
+            WEBHOOK_SUBSCRIPTIONS_TABLE: TABLES.webhookSubscriptions.name,
+            WEBHOOK_DELIVERIES_TABLE: TABLES.webhookDeliveries.name
+        },
+        webhookDelivery: { WEBHOOK_MAX_ATTEMPTS: '8' },
+        deadLetters: { DEAD_LETTER_TABLE: TABLES.deadLetters.name },
+        redrive: { REDRIVE_LAMBDA_NAME: 'enhanced-textract-processor' },
+        backup: { RAW_INVOICE_BUCKET: RAW_BUCKET, BACKUP_BUCKET: BACKUP_BUCKET }
+    };
+}
+
+function functionArn(localAws, name) {
+    return `arn:aws:lambda:${localAws.region}:${localAws.accountId}:function:${name}`;
+}
+
+function stateMachineArn(localAws, name) {
+    return `arn:aws:states:${localAws.region}:${localAws.accountId}:stateMachine:${name}`;
+}
+
+// Every variable any function sets, so switching functions clears the
+// previous one's
+function managedKeys(environments) {
+    const keys = new Set(['AWS_LAMBDA_FUNCTION_NAME']);
+    Object.values(environments).forEach(env => Object.keys(env).forEach(key => keys.add(key)));
+    return [...keys];
+}
+
+let activeHarness = null;
+const originalLoad = Module._load;
+
+function installRequireHook() {
+    Module._load = function load(request, parent, isMain) {
+        if (activeHarness && request === 'aws-sdk') return activeHarness.localAws.sdk;
+        if (activeHarness && request === 'aws-xray-sdk-core') return activeHarness.localAws.xray;
+        return originalLoad.call(this, request, parent, isMain);
+    };
+}
+
+function purgeScriptModules() {
+    Object.keys(require.cache)
+        .filter(file => file.startsWith(SCRIPT_DIR + path.sep))
+        .forEach(file => { delete require.cache[file]; });
+}
+
+/**
+ * workflow       start invoice-extraction-workflow from the processors, as
+ *                deployed; false leaves EXTRACTION_STATE_MACHINE_ARN unset
+ *                so they extract and store in-process
+ * env            extra variables for every function (TEXTRACT_MODE: 'async')
+ * textractPolls  IN_PROGRESS answers before a polled Textract job completes
+ * quiet          hide what the handlers log
+ * seed           load fixtures/ (templates, parties, purchase orders) and
+ *                validation-rules/ before the first test
+ */
+function createHarness({ workflow = true, env = {}, textractPolls = 1, quiet = true, seed = true, log = () => {} } = {}) {
+    if (activeHarness) {
+        throw new Error('Only one harness can exist at a time; dispose() the previous one');
+    }
+
+    const localAws = createLocalAws({
+        tables: Object.values(TABLES),
+        fixturesDir: path.join(FIXTURES_DIR, 'textract'),
+        textractPolls,
+        log
+    });
+
+    const groups = shared(localAws);
+    if (!workflow) delete groups.workflow.EXTRACTION_STATE_MACHINE_ARN;
+
+    const environments = {};
+    Object.entries(FUNCTIONS).forEach(([name, { env: names }]) => {
+        environments[name] = Object.assign({ AWS_REGION: localAws.region, ENVIRONMENT: 'local', LOG_LEVEL: 'info' }, ...names.map(group => groups[group]), env);
+    });
+    const keys = managedKeys(environments);
+
+    // Runs fn with the function's variables in process.env and puts the
+    // caller's back afterwards; invocations nest (a processor invoking
+    // store-extracted-data) but never interleave
+    async function withEnvironment(name, fn) {
+        const saved = {};
+        keys.forEach(key => { saved[key] = process.env[key]; delete process.env[key]; });
+        Object.assign(process.env, environments[name], { AWS_LAMBDA_FUNCTION_NAME: name });
+
+        const consoleMethods = quiet ? ['log', 'info', 'warn', 'error', 'debug'].map(method => [method, console[method]]) : [];
+        consoleMethods.forEach(([method]) => { console[method] = () => {}; });
+        try {
+            return await fn();
+        } finally {
+            consoleMethods.forEach(([method, original]) => { console[method] = original; });
+            keys.forEach(key => {
+                if (saved[key] === undefined) delete process.env[key];
+                else process.env[key] = saved[key];
+            });
+        }
+    }
+
+    const handlers = {};
+
+    // Loaded inside the function's environment, so module-level
+    // configuration reads its variables
+    function loadHandler(name) {
+        if (!handlers[name]) {
+            purgeScriptModules();
+            try {
+                handlers[name] = require(path.join(SCRIPT_DIR, FUNCTIONS[name].script)).handler;
+            } finally {
+                purgeScriptModules();
+            }
+        }
+        return handlers[name];
+    }
+
+    Object.keys(FUNCTIONS).forEach(name => {
+        localAws.registerFunction(name, () => (event, context) => withEnvironment(name, () => loadHandler(name)(event, context)));
+    });
+
+    // ---- Infrastructure ----
+
+    Object.values(QUEUES).forEach(({ name, maxReceives, consumer, batchSize }) => {
+        const url = localAws.createQueue(name, { maxReceives });
+        localAws.consumeQueue(url, consumer, { batchSize });
+    });
+
+    localAws.createBucket(RAW_BUCKET, { notify: { queueUrl: localAws.queueUrlFor(QUEUES.ingestion.name) } });
+    localAws.createBucket(PROCESSED_BUCKET);
+    localAws.createBucket(BACKUP_BUCKET);
+
+    localAws.subscribe(localAws.topicArnFor(TOPICS.notifications), { functionName: 'send-notification' });
+    localAws.subscribe(localAws.topicArnFor(TOPICS.textractCompletion), { queueUrl: localAws.queueUrlFor(QUEUES.textractCompletion.name) });
+
+    const references = {
+        'var.extraction_poll_seconds': 10
+    };
+    Object.keys(FUNCTIONS).forEach(name => {
+        references[`aws_lambda_function.${name.replace(/-/g, '_')}.arn`] = functionArn(localAws, name);
+    });
+
+    [['09-step.tf', 'invoice_automation'], ['32-extraction-workflow.tf', 'invoice_extraction']].forEach(([file, resource]) => {
+        const { name, definition } = loadStateMachine(path.join(ROOT, file), resource, references);
+        localAws.registerStateMachine(createStateMachine({
+            arn: stateMachineArn(localAws, name),
+            name,
+            definition,
+            functionOf: arn => arn.split(':function:')[1]
+        }));
+    });
+
+    activeHarness = { localAws };
+    installRequireHook();
+
+    // ---- Seed data ----
+
+    const dynamodb = new localAws.sdk.DynamoDB.DocumentClient();
+    const lib = name => require(path.join(SCRIPT_DIR, 'lib', name));
+
+    const seeding = seed ? seedFixtures() : Promise.resolve();
+
+    async function seedFixtures() {
+        const jsonFiles = dir => fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+
+        for (const template of jsonFiles(path.join(FIXTURES_DIR, 'templates'))) {
+            await dynamodb.put({ TableName: TABLES.vendorTemplates.name, Item: template }).promise();
+        }
+
+        const registry = lib('party-registry').createPartyRegistry({ dynamodb, tableName: TABLES.partyRegistry.name });
+        for (const party of jsonFiles(path.join(FIXTURES_DIR, 'parties'))) {
+            await registry.upsert(party);
+        }
+
+        const { createPurchaseOrderStore, purchaseOrdersFromCsv, receiptsFromCsv } = lib('purchase-orders');
+        const orders = createPurchaseOrderStore({ dynamodb, tableName: TABLES.purchaseOrders.name });
+        const csv = file => fs.readFileSync(path.join(FIXTURES_DIR, 'purchase-orders', file), 'utf8');
+        for (const order of purchaseOrdersFromCsv(csv('purchase-orders.csv'))) {
+            await orders.put(order);
+        }
+        for (const { poNumber, receipt } of receiptsFromCsv(csv('goods-receipts.csv'))) {
+            await orders.addReceipt(poNumber, receipt);
+        }
+
+        const rulesDir = path.join(ROOT, 'validation-rules');
+        fs.readdirSync(rulesDir).filter(file => file.endsWith('.json')).forEach(file => {
+            localAws.putObject(PROCESSED_BUCKET, `validation-rules/${file}`, fs.readFileSync(path.join(rulesDir, file)),
+                { contentType: 'application/json' });
+        });
+    }
+
+    // ---- Webhooks ----
+
+    const receivers = [];
+
+    // A receiver on a free localhost port, subscribed to events; deliveries
+    // are checked against the subscription's secret and collected in order
+    async function startWebhookReceiver({ events = ['*'], fail = 0, status = 503 } = {}) {
+        const { createReceiver } = require(path.join(ROOT, 'webhook-receiver'));
+        const subscriptions = lib('webhook-subscriptions').createWebhookSubscriptions({
+            dynamodb,
+            tableName: TABLES.webhookSubscriptions.name
+        });
+
+        // The subscription needs the URL and the receiver needs the
+        // subscription's secret, so requests are handed to the receiver
+        // once both exist
+        let receiver = null;
+        const server = http.createServer((req, res) => receiver.emit('request', req, res));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        receivers.push(server);
+
+        const subscription = await subscriptions.create({
+            url: `http://localhost:${server.address().port}/`,
+            events,
+            description: 'local harness receiver'
+        });
+
+        const received = [];
+        const rejected = [];
+        receiver = createReceiver({
+            secret: subscription.secret,
+            fail,
+            status,
+            onEvent: (payload, headers) => received.push({ payload, headers }),
+            log: line => { if (line.startsWith('❌')) rejected.push(line); }
+        });
+        return { subscription, received, rejected };
+    }
+
+    // ---- Driving the system ----
+
+    // An object in the raw bucket; its event goes to the ingestion queue
+    // unless options.notify is false
+    async function upload(key, body, options) {
+        await seeding;
+        localAws.putObject(RAW_BUCKET, key, body, options);
+    }
+
+    async function invoke(name, event) {
+        await seeding;
+        return localAws.invoke(name, event);
+    }
+
+    // An HTTP API (payload v2) request to one of the API functions; the
+    // JSON body is parsed
+    async function request(name, method, rawPath, { body, query, reviewer } = {}) {
+        const response = await invoke(name, {
+            version: '2.0',
+            rawPath,
+            queryStringParameters: query,
+            requestContext: {
+                http: { method, path: rawPath },
+                authorizer: reviewer ? { iam: { userArn: reviewer } } : undefined
+            },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            isBase64Encoded: false
+        });
+        let parsed = response.body;
+        try {
+            parsed = JSON.parse(response.body);
+        } catch (error) {
+            // Not JSON; keep the text
+        }
+        return { statusCode: response.statusCode, body: parsed };
+    }
+
+    async function startExecution(name, input, executionName) {
+        await seeding;
+        const stepfunctions = new localAws.sdk.StepFunctions();
+        return stepfunctions.startExecution({
+            stateMachineArn: stateMachineArn(localAws, name),
+            name: executionName,
+            input: JSON.stringify(input)
+        }).promise();
+    }
+
+    async function drain(options) {
+        await seeding;
+        return localAws.drain(options);
+    }
+
+    function execution(executionArn) {
+        return localAws.state.executions[executionArn];
+    }
+
+    function executions(name) {
+        return Object.values(localAws.state.executions)
+            .filter(candidate => !name || candidate.stateMachineArn === stateMachineArn(localAws, name));
+    }
+
+    async function dispose() {
+        await Promise.all(receivers.map(server => new Promise(resolve => server.close(resolve))));
+        purgeScriptModules();
+        activeHarness = null;
+        Module._load = originalLoad;
+    }
+
+    return {
+        localAws,
+        state: localAws.state,
+        buckets: { raw: RAW_BUCKET, processed: PROCESSED_BUCKET, backup: BACKUP_BUCKET },
+        tables: Object.fromEntries(Object.entries(TABLES).map(([key, { name }]) => [key, name])),
+        topics: {
+            notifications: localAws.topicArnFor(TOPICS.notifications),
+            textractCompletion: localAws.topicArnFor(TOPICS.textractCompletion)
+        },
+        queues: Object.fromEntries(Object.entries(QUEUES).map(([key, { name }]) => [key, localAws.state.queues[localAws.queueUrlFor(name)]])),
+        ready: () => seeding,
+        upload,
+        removeUpload: key => localAws.deleteObject(RAW_BUCKET, key),
+        invoke,
+        request,
+        startExecution,
+        drain,
+        execution,
+        executions,
+        startWebhookReceiver,
+        invoices: () => localAws.items(TABLES.invoices.name),
+        items: table => localAws.items(TABLES[table] ? TABLES[table].name : table),
+        notifications: () => localAws.messages(localAws.topicArnFor(TOPICS.notifications)),
+        emails: () => localAws.state.emails,
+        processedObjects: prefix => localAws.listObjects(PROCESSED_BUCKET, prefix),
+        readProcessed: key => {
+            const body = localAws.getObject(PROCESSED_BUCKET, key);
+            return body && JSON.parse(body.toString('utf8'));
+        },
+        dispose
+    };
+}
+
+module.exports = {
+    createHarness,
+    FUNCTIONS,
+    TABLES
+};
@@ -0,0 +1,909 @@
+// Local AWS
+//
+// In-memory stand-ins for the parts of the AWS SDK (v2) the handlers use,
+// shaped like the SDK so handler code runs unchanged:
+//
+//     S3                objects per bucket; putObject and copyObject emit the
+//                       bucket's event notifications
+//     DynamoDB          DocumentClient over the tables passed in, with key
+//                       schemas, indexes, conditional writes and updates
+//                       (see dynamodb-expressions.js)
+//     SNS               published messages; topics fan out to subscribed
+//                       functions and queues
+//     SQS               queues with receive counts and a redrive limit;
+//                       event source mappings deliver them to functions
+//     Lambda            invoke: RequestResponse runs the function, Event
+//                       queues it
+//     StepFunctions     startExecution with the service's naming rules; the
+//                       state machines come from step-functions.js
+//     Textract          recorded responses from the fixtures directory
+//                       (the same lookup as the local OCR provider), sync,
+//                       async with paging, and AnalyzeExpense
+//     SES, CloudWatch   recorded
+//
+// Nothing here runs in the background. Everything the services would do
+// later (async invocations, queue deliveries, executions, Textract job
+// completions) is queued and run by drain(), in order, so a test decides
+// when the system settles and can assert on every intermediate state.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { findFixture } = require('../script/lib/ocr-providers');
+const expressions = require('./dynamodb-expressions');
+
+const REGION = 'us-east-1';
+const ACCOUNT_ID = '000000000000';
+
+// Textract returns at most MaxResults blocks per GetDocumentAnalysis page
+const DEFAULT_PAGE_SIZE = 1000;
+
+function serviceError(code, message, statusCode = 400) {
+    const error = new Error(message || code);
+    error.name = code;
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+}
+
+function request(run) {
+    let result;
+    return {
+        promise() {
+            result = result || Promise.resolve().then(run);
+            return result;
+        }
+    };
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function randomId(bytes = 16) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Function names, partial and full ARNs all name the same function
+function functionNameOf(nameOrArn) {
+    const match = String(nameOrArn).match(/:function:([^:]+)/);
+    return match ? match[1] : nameOrArn;
+}
+
+function createLocalAws({
+    tables = [],
+    fixturesDir,
+    textractPolls = 1,
+    textractPageSize = DEFAULT_PAGE_SIZE,
+    log = () => {}
+} = {}) {
+    const state = {
+        buckets: {},
+        notifications: {},
+        tables: {},
+        published: [],
+        topicSubscriptions: {},
+        queues: {},
+        queueConsumers: {},
+        functions: {},
+        invocations: [],
+        failures: [],
+        stateMachines: {},
+        executions: {},
+        textractJobs: {},
+        emails: [],
+        metrics: []
+    };
+    const pending = [];
+
+    tables.forEach(({ name, key, indexes = {} }) => {
+        state.tables[name] = { key, indexes, items: {} };
+    });
+
+    function defer(description, run) {
+        pending.push({ description, run });
+    }
+
+    // ---- Lambda ----
+
+    function registerFunction(name, loadHandler) {
+        state.functions[name] = loadHandler;
+    }
+
+    async function runFunction(nameOrArn, event) {
+        const name = functionNameOf(nameOrArn);
+        const load = state.functions[name];
+        if (!load) {
+            throw serviceError('ResourceNotFoundException', `Function not found: ${name}`, 404);
+        }
+        state.invocations.push({ functionName: name, event: clone(event) });
+        log(`λ ${name}`);
+        return load()(clone(event), {
+            functionName: name,
+            awsRequestId: randomId(8),
+            getRemainingTimeInMillis: () => 900000
+        });
+    }
+
+    // Async invocations are not retried here; their errors are kept in
+    // failures for the test to assert on
+    function invokeLater(name, event) {
+        defer(`invoke ${name}`, async () => {
+            try {
+                await runFunction(name, event);
+            } catch (error) {
+                state.failures.push({ functionName: functionNameOf(name), error });
+            }
+        });
+    }
+
+    class Lambda {
+        invoke({ FunctionName, InvocationType = 'RequestResponse', Payload }) {
+            return request(async () => {
+                const event = Payload ? JSON.parse(Payload) : {};
+                const name = functionNameOf(FunctionName);
+                if (!state.functions[name]) {
+                    throw serviceError('ResourceNotFoundException', `Function not found: ${name}`, 404);
+                }
+                if (InvocationType === 'Event') {
+                    invokeLater(name, event);
+                    return { StatusCode: 202, Payload: '' };
+                }
+                try {
+                    const result = await runFunction(name, event);
+                    return { StatusCode: 200, Payload: result === undefined ? 'null' : JSON.stringify(result) };
+                } catch (error) {
+                    return {
+                        StatusCode: 200,
+                        FunctionError: 'Unhandled',
+                        Payload: JSON.stringify({ errorType: error.name, errorMessage: error.message })
+                    };
+                }
+            });
+        }
+    }
+
+    // ---- S3 ----
+
+    function bucket(name) {
+        if (!state.buckets[name]) {
+            throw serviceError('NoSuchBucket', `The specified bucket does not exist: ${name}`, 404);
+        }
+        return state.buckets[name];
+    }
+
+    function createBucket(name, { notify = null } = {}) {
+        state.buckets[name] = state.buckets[name] || {};
+        if (notify) state.notifications[name] = notify;
+    }
+
+    // notify: false stores the object without an event, like an object
+    // that was there before the notification was configured
+    function putObject(bucketName, key, body, { contentType, metadata, notify = true } = {}) {
+        const buffer = Buffer.isBuffer(body) ? Buffer.from(body) : Buffer.from(String(body));
+        const object = {
+            body: buffer,
+            contentType: contentType || 'binary/octet-stream',
+            metadata: metadata || {},
+            eTag: crypto.createHash('md5').update(buffer).digest('hex'),
+            lastModified: new Date()
+        };
+        bucket(bucketName)[key] = object;
+        if (notify) notifyObjectCreated(bucketName, key, object);
+        return object;
+    }
+
+    function getObject(bucketName, key) {
+        const object = bucket(bucketName)[key];
+        if (!object) {
+            throw serviceError('NoSuchKey', 'The specified key does not exist.', 404);
+        }
+        return object;
+    }
+
+    function notifyObjectCreated(bucketName, key, object) {
+        const target = state.notifications[bucketName];
+        if (!target) return;
+
+        const event = {
+            Records: [{
+                eventVersion: '2.1',
+                eventSource: 'aws:s3',
+                awsRegion: REGION,
+                eventTime: object.lastModified.toISOString(),
+                eventName: 'ObjectCreated:Put',
+                s3: {
+                    bucket: { name: bucketName, arn: `arn:aws:s3:::${bucketName}` },
+                    object: { key: encodeURIComponent(key).replace(/%20/g, '+'), size: object.body.length, eTag: object.eTag }
+                }
+            }]
+        };
+        if (target.queueUrl) {
+            sendMessage(target.queueUrl, JSON.stringify(event));
+        } else {
+            invokeLater(target.functionName, event);
+        }
+    }
+
+    class S3 {
+        getObject({ Bucket, Key }) {
+            const read = () => getObject(Bucket, Key);
+            return {
+                promise: async () => {
+                    const object = read();
+                    return {
+                        Body: Buffer.from(object.body),
+                        ContentType: object.contentType,
+                        ContentLength: object.body.length,
+                        ETag: `"${object.eTag}"`,
+                        Metadata: { ...object.metadata },
+                        LastModified: object.lastModified
+                    };
+                },
+                createReadStream() {
+                    try {
+                        return Readable.from([Buffer.from(read().body)]);
+                    } catch (error) {
+                        return new Readable({ read() { this.destroy(error); } });
+                    }
+                }
+            };
+        }
+
+        putObject({ Bucket, Key, Body, ContentType, Metadata }) {
+            return request(() => {
+                const object = putObject(Bucket, Key, Body, { contentType: ContentType, metadata: Metadata });
+                return { ETag: `"${object.eTag}"` };
+            });
+        }
+
+        headObject({ Bucket, Key }) {
+            return request(() => {
+                const object = getObject(Bucket, Key);
+                return {
+                    ContentType: object.contentType,
+                    ContentLength: object.body.length,
+                    ETag: `"${object.eTag}"`,
+                    Metadata: { ...object.metadata },
+                    LastModified: object.lastModified
+                };
+            });
+        }
+
+        copyObject({ Bucket, Key, CopySource }) {
+            return request(() => {
+                const source = decodeURIComponent(CopySource.replace(/^\//, ''));
+                const separator = source.indexOf('/');
+                const original = getObject(source.slice(0, separator), source.slice(separator + 1));
+                const object = putObject(Bucket, Key, original.body, {
+                    contentType: original.contentType,
+                    metadata: original.metadata
+                });
+                return { CopyObjectResult: { ETag: `"${object.eTag}"`, LastModified: object.lastModified } };
+            });
+        }
+
+        listObjectsV2({ Bucket, Prefix = '', MaxKeys = 1000, ContinuationToken }) {
+            return request(() => {
+                const keys = Object.keys(bucket(Bucket)).filter(key => key.startsWith(Prefix)).sort();
+                const start = ContinuationToken ? parseInt(ContinuationToken, 10) : 0;
+                const page = keys.slice(start, start + MaxKeys);
+                const truncated = start + MaxKeys < keys.length;
+                return {
+                    Contents: page.map(key => {
+                        const object = state.buckets[Bucket][key];
+                        return { Key: key, Size: object.body.length, ETag: `"${object.eTag}"`, LastModified: object.lastModified };
+                    }),
+                    KeyCount: page.length,
+                    IsTruncated: truncated,
+                    NextContinuationToken: truncated ? String(start + MaxKeys) : undefined
+                };
+            });
+        }
+    }
+
+    // ---- DynamoDB ----
+
+    function table(name) {
+        if (!state.tables[name]) {
+            throw serviceError('ResourceNotFoundException', `Requested resource not found: Table: ${name} not found`);
+        }
+        return state.tables[name];
+    }
+
+    function keyOf(definition, item) {
+        return definition.map(attribute => {
+            const value = item[attribute];
+            if (value === undefined || value === null) {
+                throw serviceError('ValidationException', `One of the required keys was not given a value: ${attribute}`);
+            }
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                throw serviceError('ValidationException', `Key ${attribute} must be a string or a number`);
+            }
+            return JSON.stringify(value);
+        }).join('|');
+    }
+
+    // An item may leave out a GSI key attribute (it is then not in the
+    // index), but one it has must be a string or a number
+    function checkIndexKeys(definition, item) {
+        Object.entries(definition.indexes).forEach(([indexName, key]) => key.forEach(attribute => {
+            const value = item[attribute];
+            if (value !== undefined && typeof value !== 'string' && typeof value !== 'number') {
+                throw serviceError('ValidationException',
+                    `One or more parameter values were invalid: Type mismatch for Index Key ${attribute} IndexName: ${indexName}`);
+            }
+        }));
+    }
+
+    function checkCondition(params, item) {
+        const holds = expressions.matchesCondition(
+            params.ConditionExpression,
+            item,
+            params.ExpressionAttributeNames,
+            params.ExpressionAttributeValues
+        );
+        if (!holds) {
+            throw serviceError('ConditionalCheckFailedException', 'The conditional request failed');
+        }
+    }
+
+    function sortValue(a, b) {
+        if (a === b) return 0;
+        if (a === undefined) return -1;
+        if (b === undefined) return 1;
+        return a < b ? -1 : 1;
+    }
+
+    // Items of the table or of a GSI, in key order; a GSI only holds the
+    // items that have its key attributes
+    function indexItems(tableName, indexName) {
+        const definition = table(tableName);
+        const key = indexName ? definition.indexes[indexName] : definition.key;
+        if (!key) {
+            throw serviceError('ValidationException', `The table does not have the specified index: ${indexName}`);
+        }
+        const items = Object.values(definition.items)
+            .filter(item => key.every(attribute => item[attribute] !== undefined))
+            .sort((a, b) => sortValue(a[key[0]], b[key[0]]) || sortValue(a[key[1]], b[key[1]]) ||
+                sortValue(keyOf(definition.key, a), keyOf(definition.key, b)));
+        return { definition, key, items };
+    }
+
+    // Limit counts items read, before the filter, as in DynamoDB
+    function page(params, definition, key, items) {
+        if (params.Limit !== undefined && !(Number.isInteger(params.Limit) && params.Limit > 0)) {
+            throw serviceError('ValidationException',
+                `1 validation error detected: Value '${params.Limit}' at 'limit' failed to satisfy constraint: Member must have value greater than or equal to 1`);
+        }
+        let start = 0;
+        if (params.ExclusiveStartKey) {
+            const after = keyOf(definition.key, params.ExclusiveStartKey);
+            start = items.findIndex(item => keyOf(definition.key, item) === after) + 1;
+        }
+        const read = params.Limit ? items.slice(start, start + params.Limit) : items.slice(start);
+        const more = params.Limit && start + params.Limit < items.length;
+        const last = read[read.length - 1];
+        const matching = read.filter(item => expressions.matchesCondition(
+            params.FilterExpression,
+            item,
+            params.ExpressionAttributeNames,
+            params.ExpressionAttributeValues
+        ));
+
+        return {
+            Items: matching.map(item => expressions.project(params.ProjectionExpression, clone(item), params.ExpressionAttributeNames)),
+            Count: matching.length,
+            ScannedCount: read.length,
+            LastEvaluatedKey: more && last
+                ? Object.fromEntries([...new Set([...definition.key, ...key])].map(attribute => [attribute, last[attribute]]))
+                : undefined
+        };
+    }
+
+    class DocumentClient {
+        get({ TableName, Key, ProjectionExpression, ExpressionAttributeNames }) {
+            return request(() => {
+                const definition = table(TableName);
+                const item = definition.items[keyOf(definition.key, Key)];
+                return item ? { Item: expressions.project(ProjectionExpression, clone(item), ExpressionAttributeNames) } : {};
+            });
+        }
+
+        put(params) {
+            return request(() => {
+                const definition = table(params.TableName);
+                const id = keyOf(definition.key, params.Item);
+                checkIndexKeys(definition, params.Item);
+                checkCondition(params, definition.items[id]);
+                const previous = definition.items[id];
+                definition.items[id] = clone(params.Item);
+                return params.ReturnValues === 'ALL_OLD' && previous ? { Attributes: clone(previous) } : {};
+            });
+        }
+
+        update(params) {
+            return request(() => {
+                const definition = table(params.TableName);
+                const id = keyOf(definition.key, params.Key);
+                const existing = definition.items[id];
+                checkCondition(params, existing);
+
+                const updated = expressions.applyUpdate(
+                    params.UpdateExpression,
+                    existing || clone(params.Key),
+                    params.ExpressionAttributeNames,
+                    params.ExpressionAttributeValues
+                );
+                if (keyOf(definition.key, updated) !== id) {
+                    throw serviceError('ValidationException', 'Cannot update attribute that is part of the key');
+                }
+                checkIndexKeys(definition, updated);
+                definition.items[id] = updated;
+
+                if (params.ReturnValues === 'ALL_NEW') return { Attributes: clone(updated) };
+                if (params.ReturnValues === 'ALL_OLD') return existing ? { Attributes: clone(existing) } : {};
+                return {};
+            });
+        }
+
+        delete(params) {
+            return request(() => {
+                const definition = table(params.TableName);
+                const id = keyOf(definition.key, params.Key);
+                checkCondition(params, definition.items[id]);
+                const previous = definition.items[id];
+                delete definition.items[id];
+                return params.ReturnValues === 'ALL_OLD' && previous ? { Attributes: clone(previous) } : {};
+            });
+        }
+
+        query(params) {
+            return request(() => {
+                if (!params.KeyConditionExpression) {
+                    throw serviceError('ValidationException', 'KeyConditionExpression is required');
+                }
+                const { definition, key, items } = indexItems(params.TableName, params.IndexName);
+                let matching = items.filter(item => expressions.matchesCondition(
+                    params.KeyConditionExpression,
+                    item,
+                    params.ExpressionAttributeNames,
+                    params.ExpressionAttributeValues
+                ));
+                if (params.ScanIndexForward === false) matching = matching.reverse();
+                return page(params, definition, key, matching);
+            });
+        }
+
+        scan(params) {
+            return request(() => {
+                const { definition, key, items } = indexItems(params.TableName, params.IndexName);
+                return page(params, definition, key, items);
+            });
+        }
+    }
+
+    // Only the DocumentClient is used; the low-level client exists to be wrapped
+    function DynamoDB() {}
+    DynamoDB.DocumentClient = DocumentClient;
+
+    function items(tableName) {
+        return Object.values(table(tableName).items).map(clone);
+    }
+
+    // ---- SQS ----
+
+    function queueUrlFor(name) {
+        return `https://sqs.${REGION}.amazonaws.com/${ACCOUNT_ID}/${name}`;
+    }
+
+    function createQueue(name, { maxReceives = null } = {}) {
+        const url = queueUrlFor(name);
+        state.queues[url] = { name, maxReceives, messages: [], deadLetters: [] };
+        return url;
+    }
+
+    function queue(url) {
+        if (!state.queues[url]) {
+            throw serviceError('AWS.SimpleQueueService.NonExistentQueue', `The specified queue does not exist: ${url}`);
+        }
+        return state.queues[url];
+    }
+
+    function sendMessage(url, body, { delaySeconds = 0, attributes = {} } = {}) {
+        const message = {
+            messageId: crypto.randomUUID(),
+            body,
+            delaySeconds,
+            messageAttributes: attributes,
+            receiveCount: 0
+        };
+        queue(url).messages.push(message);
+        scheduleDelivery(url);
+        return message;
+    }
+
+    // The event source mapping: messages go to the consumer in batches;
+    // the ones it reports as batchItemFailures (or all of them, when it
+    // throws) come back until maxReceives, then move to the dead letters
+    function consumeQueue(url, functionName, { batchSize = 10 } = {}) {
+        queue(url);
+        state.queueConsumers[url] = { functionName, batchSize };
+        scheduleDelivery(url);
+    }
+
+    function scheduleDelivery(url) {
+        const consumer = state.queueConsumers[url];
+        const target = state.queues[url];
+        if (!consumer || target.scheduled || target.messages.length === 0) return;
+
+        target.scheduled = true;
+        defer(`deliver ${target.name}`, async () => {
+            target.scheduled = false;
+            const batch = target.messages.splice(0, consumer.batchSize);
+            batch.forEach(message => { message.receiveCount++; });
+
+            let failed;
+            try {
+                const response = await runFunction(consumer.functionName, {
+                    Records: batch.map(message => ({
+                        messageId: message.messageId,
+                        receiptHandle: randomId(),
+                        body: message.body,
+                        attributes: { ApproximateReceiveCount: String(message.receiveCount) },
+                        messageAttributes: message.messageAttributes,
+                        eventSource: 'aws:sqs',
+                        eventSourceARN: `arn:aws:sqs:${REGION}:${ACCOUNT_ID}:${target.name}`,
+                        awsRegion: REGION
+                    }))
+                });
+                const failures = new Set(((response && response.batchItemFailures) || []).map(failure => failure.itemIdentifier));
+                failed = batch.filter(message => failures.has(message.messageId));
+            } catch (error) {
+                state.failures.push({ functionName: consumer.functionName, error });
+                failed = batch;
+            }
+
+            failed.forEach(message => {
+                if (target.maxReceives && message.receiveCount >= target.maxReceives) {
+                    target.deadLetters.push(message);
+                } else {
+                    target.messages.push(message);
+                }
+            });
+            scheduleDelivery(url);
+        });
+    }
+
+    class SQS {
+        sendMessage({ QueueUrl, MessageBody, DelaySeconds, MessageAttributes }) {
+            return request(() => {
+                const message = sendMessage(QueueUrl, MessageBody, { delaySeconds: DelaySeconds || 0, attributes: MessageAttributes });
+                return { MessageId: message.messageId };
+            });
+        }
+    }
+
+    // ---- SNS ----
+
+    function topicArnFor(name) {
+        return `arn:aws:sns:${REGION}:${ACCOUNT_ID}:${name}`;
+    }
+
+    function subscribe(topicArn, target) {
+        (state.topicSubscriptions[topicArn] = state.topicSubscriptions[topicArn] || []).push(target);
+    }
+
+    function publish({ TopicArn, Subject, Message, MessageAttributes }) {
+        if (!TopicArn) {
+            throw serviceError('InvalidParameter', 'Invalid parameter: TopicArn');
+        }
+        const messageId = crypto.randomUUID();
+        const timestamp = new Date().toISOString();
+        state.published.push({ topicArn: TopicArn, subject: Subject, message: Message, attributes: MessageAttributes });
+
+        (state.topicSubscriptions[TopicArn] || []).forEach(target => {
+            const notification = { Type: 'Notification', MessageId: messageId, TopicArn, Subject, Message, Timestamp: timestamp };
+            if (target.queueUrl) {
+                sendMessage(target.queueUrl, JSON.stringify(notification));
+            } else {
+                invokeLater(target.functionName, {
+                    Records: [{ EventSource: 'aws:sns', EventVersion: '1.0', Sns: notification }]
+                });
+            }
+        });
+        return { MessageId: messageId };
+    }
+
+    class SNS {
+        publish(params) {
+            return request(() => publish(params));
+        }
+    }
+
+    // Published messages as sent, with JSON bodies parsed
+    function messages(topicArn) {
+        return state.published
+            .filter(entry => !topicArn || entry.topicArn === topicArn)
+            .map(entry => {
+                try {
+                    return JSON.parse(entry.message);
+                } catch (error) {
+                    return entry.message;
+                }
+            });
+    }
+
+    // ---- Step Functions ----
+
+    function registerStateMachine(stateMachine) {
+        state.stateMachines[stateMachine.arn] = stateMachine;
+    }
+
+    class StepFunctions {
+        // Names are unique per state machine: a second start with the same
+        // name returns the running execution when the input is the same and
+        // fails with ExecutionAlreadyExists otherwise
+        startExecution({ stateMachineArn, name = randomId(), input = '{}' }) {
+            return request(() => {
+                const stateMachine = state.stateMachines[stateMachineArn];
+                if (!stateMachine) {
+                    throw serviceError('StateMachineDoesNotExist', `State Machine Does Not Exist: '${stateMachineArn}'`);
+                }
+                if (!/^[A-Za-z0-9_-]{1,80}$/.test(name)) {
+                    throw serviceError('InvalidName', `Invalid Name: '${name}'`);
+                }
+
+                const executionArn = `${stateMachineArn.replace(':stateMachine:', ':execution:')}:${name}`;
+                const existing = state.executions[executionArn];
+                if (existing) {
+                    if (existing.status === 'RUNNING' && existing.input === input) {
+                        return { executionArn, startDate: existing.startDate };
+                    }
+                    throw serviceError('ExecutionAlreadyExists', `Execution Already Exists: '${executionArn}'`);
+                }
+
+                const execution = { executionArn, stateMachineArn, name, input, status: 'RUNNING', startDate: new Date(), output: null, history: [] };
+                state.executions[executionArn] = execution;
+                defer(`execute ${name}`, () => stateMachine.run(execution, { invoke: runFunction, log }));
+                return { executionArn, startDate: execution.startDate };
+            });
+        }
+
+        describeExecution({ executionArn }) {
+            return request(() => {
+                const execution = state.executions[executionArn];
+                if (!execution) {
+                    throw serviceError('ExecutionDoesNotExist', `Execution Does Not Exist: '${executionArn}'`);
+                }
+                return {
+                    executionArn,
+                    stateMachineArn: execution.stateMachineArn,
+                    name: execution.name,
+                    status: execution.status,
+                    input: execution.input,
+                    output: execution.output,
+                    startDate: execution.startDate,
+                    stopDate: execution.stopDate
+                };
+            });
+        }
+    }
+
+    // ---- Textract ----
+
+    function recordedResponse(bucketName, objectKey) {
+        getObject(bucketName, objectKey);
+        const fixturePath = fixturesDir && findFixture(fixturesDir, objectKey);
+        if (!fixturePath) return null;
+        return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    }
+
+    function documentLocation(Document) {
+        const s3Object = Document && Document.S3Object;
+        if (!s3Object || !s3Object.Bucket || !s3Object.Name) {
+            throw serviceError('InvalidParameterException', 'Request has invalid parameters');
+        }
+        return { bucketName: s3Object.Bucket, objectKey: s3Object.Name };
+    }
+
+    function unreadable(objectKey) {
+        return serviceError('UnsupportedDocumentException', `Request has unsupported document format: ${objectKey}`);
+    }
+
+    function readObject(location) {
+        try {
+            return recordedResponse(location.bucketName, location.objectKey);
+        } catch (error) {
+            if (error.code === 'NoSuchKey' || error.code === 'NoSuchBucket') {
+                throw serviceError('InvalidS3ObjectException', 'Unable to get object metadata from S3. Check object key, region and/or access permissions.');
+            }
+            throw error;
+        }
+    }
+
+    class Textract {
+        analyzeDocument({ Document }) {
+            return request(() => {
+                const location = documentLocation(Document);
+                const recorded = readObject(location);
+                if (!recorded || !recorded.Blocks) throw unreadable(location.objectKey);
+                // AnalyzeDocument only takes single-page documents
+                if (recorded.DocumentMetadata && recorded.DocumentMetadata.Pages > 1) throw unreadable(location.objectKey);
+                return clone(recorded);
+            });
+        }
+
+        analyzeExpense({ Document }) {
+            return request(() => {
+                const location = documentLocation(Document);
+                const recorded = readObject(location);
+                if (!recorded || !recorded.ExpenseDocuments) throw unreadable(location.objectKey);
+                return clone(recorded);
+            });
+        }
+
+        // The job completes after textractPolls IN_PROGRESS answers or, with
+        // a NotificationChannel, when drain() gets to its completion
+        startDocumentAnalysis({ DocumentLocation, ClientRequestToken, JobTag, NotificationChannel }) {
+            return request(() => {
+                const location = documentLocation(DocumentLocation);
+                readObject(location);
+
+                const existing = ClientRequestToken &&
+                    Object.values(state.textractJobs).find(job => job.clientRequestToken === ClientRequestToken);
+                if (existing) return { JobId: existing.jobId };
+
+                const job = {
+                    jobId: randomId(32),
+                    clientRequestToken: ClientRequestToken || null,
+                    jobTag: JobTag,
+                    location,
+                    remainingPolls: NotificationChannel ? Infinity : textractPolls,
+                    notificationChannel: NotificationChannel || null
+                };
+                state.textractJobs[job.jobId] = job;
+
+                if (NotificationChannel) {
+                    defer(`complete Textract job ${job.jobId}`, () => {
+                        job.remainingPolls = 0;
+                        publish({
+                            TopicArn: NotificationChannel.SNSTopicArn,
+                            Message: JSON.stringify({
+                                JobId: job.jobId,
+                                Status: readObject(location) ? 'SUCCEEDED' : 'FAILED',
+                                API: 'StartDocumentAnalysis',
+                                JobTag: job.jobTag,
+                                Timestamp: Date.now(),
+                                DocumentLocation: { S3ObjectName: location.objectKey, S3Bucket: location.bucketName }
+                            })
+                        });
+                    });
+                }
+                return { JobId: job.jobId };
+            });
+        }
+
+        getDocumentAnalysis({ JobId, MaxResults = textractPageSize, NextToken }) {
+            return request(() => {
+                const job = state.textractJobs[JobId];
+                if (!job) {
+                    throw serviceError('InvalidJobIdException', `Request has invalid Job Id: ${JobId}`);
+                }
+                if (job.remainingPolls > 0) {
+                    job.remainingPolls--;
+                    return { JobStatus: 'IN_PROGRESS' };
+                }
+
+                const recorded = readObject(job.location);
+                if (!recorded || !recorded.Blocks) {
+                    return { JobStatus: 'FAILED', StatusMessage: 'Request has unsupported document format' };
+                }
+                const start = NextToken ? parseInt(NextToken, 10) : 0;
+                const pageSize = Math.min(MaxResults, textractPageSize);
+                const end = start + pageSize;
+                return {
+                    JobStatus: 'SUCCEEDED',
+                    DocumentMetadata: clone(recorded.DocumentMetadata),
+                    Blocks: clone(recorded.Blocks.slice(start, end)),
+                    NextToken: end < recorded.Blocks.length ? String(end) : undefined
+                };
+            });
+        }
+    }
+
+    // ---- SES, CloudWatch ----
+
+    class SES {
+        sendEmail(params) {
+            return request(() => {
+                const messageId = randomId(16);
+                state.emails.push({ messageId, ...clone(params) });
+                return { MessageId: messageId };
+            });
+        }
+    }
+
+    class CloudWatch {
+        putMetricData(params) {
+            return request(() => {
+                state.metrics.push(...clone(params.MetricData).map(metric => ({ namespace: params.Namespace, ...metric })));
+                return {};
+            });
+        }
+    }
+
+    // Aurora is not emulated; INVOICE_DB_CLUSTER_ARN stays unset offline
+    class RDSDataService {
+        constructor() {
+            throw new Error('RDSDataService has no local stand-in; leave INVOICE_DB_CLUSTER_ARN unset');
+        }
+    }
+
+    const sdk = {
+        S3,
+        DynamoDB,
+        SNS,
+        SQS,
+        SES,
+        Lambda,
+        StepFunctions,
+        Textract,
+        CloudWatch,
+        RDSDataService,
+        config: { region: REGION, update() {} }
+    };
+
+    // aws-xray-sdk-core: clients are used as they are
+    const xray = {
+        captureAWS: awsSdk => awsSdk,
+        captureAWSClient: client => client
+    };
+
+    // Runs everything queued until nothing is left. maxSteps stops a loop
+    // (a function that keeps re-queueing work) with an error instead of
+    // hanging the test run.
+    async function drain({ maxSteps = 1000 } = {}) {
+        let steps = 0;
+        while (pending.length > 0) {
+            if (++steps > maxSteps) {
+                throw new Error(`Local AWS did not settle after ${maxSteps} steps; next: ${pending[0].description}`);
+            }
+            const work = pending.shift();
+            await work.run();
+        }
+        return steps;
+    }
+
+    return {
+        sdk,
+        xray,
+        state,
+        region: REGION,
+        accountId: ACCOUNT_ID,
+        registerFunction,
+        invoke: runFunction,
+        createBucket,
+        putObject: (bucketName, key, body, options) => putObject(bucketName, key, body, options),
+        deleteObject: (bucketName, key) => { delete bucket(bucketName)[key]; },
+        getObject: (bucketName, key) => {
+            const object = state.buckets[bucketName] && state.buckets[bucketName][key];
+            return object ? Buffer.from(object.body) : null;
+        },
+        listObjects: (bucketName, prefix = '') => Object.keys(bucket(bucketName)).filter(key => key.startsWith(prefix)).sort(),
+        items,
+        createQueue,
+        consumeQueue,
+        queueUrlFor,
+        topicArnFor,
+        subscribe,
+        messages,
+        registerStateMachine,
+        drain
+    };
+}
+
+module.exports = {
+    createLocalAws,
+    functionNameOf
+};
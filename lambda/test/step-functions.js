@@ -0,0 +1,534 @@
+// Local Step Functions
+//
+// Runs the state machines the way they are deployed: the definition is read
+// from the jsonencode({...}) of an aws_sfn_state_machine resource in the
+// Terraform files, with its references (aws_lambda_function.x.arn,
+// var.y) resolved by the caller, so a test exercises the same states,
+// choices and catchers as production.
+//
+// Supported: Task (Lambda function ARNs), Choice, Wait (not waited for),
+// Pass, Succeed and Fail states; InputPath, Parameters, ResultSelector,
+// ResultPath and OutputPath; Retry and Catch; $$.Execution context paths and
+// the States.StringToJson, States.JsonToString and States.Format
+// intrinsics. Anything else fails the execution with States.Runtime.
+
+const fs = require('fs');
+
+const MAX_TRANSITIONS = 500;
+
+// ---- Terraform ----
+
+function tokenizeHcl(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+        if (char === '\n') {
+            tokens.push({ type: 'newline' });
+            i++;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (char === '#' || source.startsWith('//', i)) {
+            while (i < source.length && source[i] !== '\n') i++;
+        } else if (source.startsWith('/*', i)) {
+            i = source.indexOf('*/', i) + 2;
+        } else if (char === '"') {
+            let value = '';
+            i++;
+            while (source[i] !== '"') {
+                if (source[i] === '\\') {
+                    const escaped = source[++i];
+                    value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+                } else {
+                    value += source[i];
+                }
+                i++;
+            }
+            i++;
+            tokens.push({ type: 'string', value });
+        } else if (/[-0-9]/.test(char)) {
+            const match = source.slice(i).match(/^-?\d+(\.\d+)?/);
+            tokens.push({ type: 'number', value: parseFloat(match[0]) });
+            i += match[0].length;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_-]*(\.[A-Za-z_][A-Za-z0-9_-]*)*/);
+            tokens.push({ type: 'identifier', value: match[0] });
+            i += match[0].length;
+        } else if ('{}[]=,:()'.includes(char)) {
+            tokens.push({ type: char });
+            i++;
+        } else {
+            throw new Error(`Unexpected "${char}" in Terraform expression`);
+        }
+    }
+    return tokens;
+}
+
+// Parses an HCL object/list/literal expression; identifiers are resolved
+// with resolve(reference)
+function parseHclExpression(source, resolve) {
+    const tokens = tokenizeHcl(source);
+    let position = 0;
+
+    const skipNewlines = () => {
+        while (tokens[position] && tokens[position].type === 'newline') position++;
+    };
+    const next = () => tokens[position++];
+    const expect = (type) => {
+        const token = next();
+        if (!token || token.type !== type) {
+            throw new Error(`Expected ${type} but found ${token ? token.type : 'the end'} in Terraform expression`);
+        }
+        return token;
+    };
+
+    function value() {
+        skipNewlines();
+        const token = next();
+        switch (token.type) {
+            case 'string': return interpolate(token.value);
+            case 'number': return token.value;
+            case '{': return object();
+            case '[': return list();
+            case 'identifier':
+                if (token.value === 'true') return true;
+                if (token.value === 'false') return false;
+                if (token.value === 'null') return null;
+                return resolve(token.value);
+            default:
+                throw new Error(`Unexpected ${token.type} in Terraform expression`);
+        }
+    }
+
+    function interpolate(text) {
+        const whole = text.match(/^\$\{([^}]+)\}$/);
+        if (whole) return resolve(whole[1].trim());
+        return text.replace(/\$\{([^}]+)\}/g, (match, reference) => String(resolve(reference.trim())));
+    }
+
+    function object() {
+        const result = {};
+        for (;;) {
+            skipNewlines();
+            if (tokens[position].type === '}') {
+                position++;
+                return result;
+            }
+            const key = next();
+            if (key.type !== 'identifier' && key.type !== 'string') {
+                throw new Error(`Unexpected ${key.type} as an object key in Terraform expression`);
+            }
+            const separator = next();
+            if (separator.type !== '=' && separator.type !== ':') {
+                throw new Error(`Expected = after ${key.value} in Terraform expression`);
+            }
+            result[key.value] = value();
+            if (tokens[position].type === ',') position++;
+        }
+    }
+
+    function list() {
+        const result = [];
+        for (;;) {
+            skipNewlines();
+            if (tokens[position].type === ']') {
+                position++;
+                return result;
+            }
+            result.push(value());
+            skipNewlines();
+            if (tokens[position].type === ',') position++;
+        }
+    }
+
+    expect('(');
+    const result = value();
+    skipNewlines();
+    expect(')');
+    return result;
+}
+
+// The balanced (...) after "definition = jsonencode" in the resource block
+function definitionSource(source, resourceName) {
+    const start = source.indexOf(`resource "aws_sfn_state_machine" "${resourceName}"`);
+    if (start < 0) {
+        throw new Error(`aws_sfn_state_machine.${resourceName} not found`);
+    }
+    const definition = source.slice(start).match(/definition\s*=\s*jsonencode\s*\(/);
+    if (!definition) {
+        throw new Error(`aws_sfn_state_machine.${resourceName} has no jsonencode definition`);
+    }
+
+    const open = start + definition.index + definition[0].length - 1;
+    let depth = 0;
+    let inString = false;
+    for (let i = open; i < source.length; i++) {
+        const char = source[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '#') {
+            i = source.indexOf('\n', i);
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')' && --depth === 0) {
+            return {
+                block: source.slice(start, i),
+                expression: source.slice(open, i + 1)
+            };
+        }
+    }
+    throw new Error(`Unbalanced definition of aws_sfn_state_machine.${resourceName}`);
+}
+
+// Reads aws_sfn_state_machine.<resourceName> from a .tf file. references
+// maps each Terraform reference in the definition to its value; one that is
+// missing throws, so a new reference can't be silently ignored.
+function loadStateMachine(tfFile, resourceName, references) {
+    const source = fs.readFileSync(tfFile, 'utf8');
+    const { block, expression } = definitionSource(source, resourceName);
+    const nameMatch = block.match(/^\s*name\s*=\s*"([^"]+)"/m);
+
+    const definition = parseHclExpression(expression, (reference) => {
+        if (!(reference in references)) {
+            throw new Error(`No local value for ${reference} in aws_sfn_state_machine.${resourceName}`);
+        }
+        return references[reference];
+    });
+
+    return { name: nameMatch ? nameMatch[1] : resourceName, definition };
+}
+
+// ---- Execution ----
+
+function statesError(error, cause) {
+    const failure = new Error(cause);
+    failure.stepFunctionsError = error;
+    failure.cause = cause;
+    return failure;
+}
+
+function pathSegments(path) {
+    if (path === '$') return [];
+    const segments = [];
+    const pattern = /\.([A-Za-z0-9_$-]+)|\[(\d+)\]|\['([^']+)'\]/g;
+    let match;
+    let consumed = 1;
+
+    while ((match = pattern.exec(path)) !== null) {
+        if (match.index !== consumed) break;
+        segments.push(match[1] !== undefined ? match[1] : (match[2] !== undefined ? parseInt(match[2], 10) : match[3]));
+        consumed = match.index + match[0].length;
+    }
+    if (consumed !== path.length) {
+        throw statesError('States.Runtime', `Unsupported JSONPath ${path}`);
+    }
+    return segments;
+}
+
+// Reads a reference path; undefined when it does not exist
+function readPath(data, path, context) {
+    if (!path.startsWith('$')) {
+        throw statesError('States.Runtime', `Invalid path ${path}`);
+    }
+    let current = path.startsWith('$$') ? context : data;
+    for (const segment of pathSegments(path.startsWith('$$') ? path.slice(1) : path)) {
+        if (current === null || typeof current !== 'object' || !(segment in current)) return undefined;
+        current = current[segment];
+    }
+    return current;
+}
+
+function requirePath(data, path, context, field) {
+    const value = readPath(data, path, context);
+    if (value === undefined) {
+        throw statesError('States.Runtime', `The JSONPath '${path}' specified for the field '${field}' could not be found in the input`);
+    }
+    return value;
+}
+
+function splitArguments(text) {
+    const args = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '\\') {
+                current += char + text[++i];
+                continue;
+            }
+            if (char === '\'') quoted = false;
+        } else if (char === '\'') {
+            quoted = true;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            args.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    if (current.trim()) args.push(current.trim());
+    return args;
+}
+
+function evaluateArgument(argument, data, context, field) {
+    if (argument.startsWith('\'')) {
+        return argument.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    if (argument.startsWith('$')) return requirePath(data, argument, context, field);
+    if (argument.startsWith('States.')) return evaluateIntrinsic(argument, data, context, field);
+    if (/^-?\d+(\.\d+)?$/.test(argument)) return parseFloat(argument);
+    if (argument === 'true' || argument === 'false') return argument === 'true';
+    if (argument === 'null') return null;
+    throw statesError('States.Runtime', `Unsupported argument ${argument} for the field '${field}'`);
+}
+
+function evaluateIntrinsic(expression, data, context, field) {
+    const match = expression.match(/^(States\.[A-Za-z]+)\((.*)\)$/s);
+    if (!match) {
+        throw statesError('States.Runtime', `Invalid intrinsic function ${expression}`);
+    }
+    const args = splitArguments(match[2]).map(argument => evaluateArgument(argument, data, context, field));
+
+    switch (match[1]) {
+        case 'States.StringToJson':
+            try {
+                return JSON.parse(args[0]);
+            } catch (error) {
+                throw statesError('States.Runtime', `States.StringToJson could not parse the field '${field}'`);
+            }
+        case 'States.JsonToString':
+            return JSON.stringify(args[0]);
+        case 'States.Format': {
+            let index = 1;
+            return String(args[0]).replace(/\{\}/g, () => {
+                const value = args[index++];
+                return typeof value === 'string' ? value : JSON.stringify(value);
+            });
+        }
+        default:
+            throw statesError('States.Runtime', `${match[1]} is not supported locally`);
+    }
+}
+
+// Parameters and ResultSelector: "key.$" fields are paths or intrinsics
+function applyTemplate(template, data, context) {
+    if (Array.isArray(template)) return template.map(value => applyTemplate(value, data, context));
+    if (template === null || typeof template !== 'object') return template;
+
+    const result = {};
+    Object.entries(template).forEach(([key, value]) => {
+        if (key.endsWith('.$')) {
+            const field = key.slice(0, -2);
+            result[field] = value.startsWith('States.')
+                ? evaluateIntrinsic(value, data, context, field)
+                : requirePath(data, value, context, field);
+        } else {
+            result[key] = applyTemplate(value, data, context);
+        }
+    });
+    return result;
+}
+
+function selectPath(data, path, context) {
+    if (path === undefined) return data;
+    if (path === null) return {};
+    return requirePath(data, path, context, 'InputPath/OutputPath');
+}
+
+function applyResultPath(input, result, resultPath) {
+    if (resultPath === undefined || resultPath === '$') return result;
+    if (resultPath === null) return input;
+
+    const output = input !== null && typeof input === 'object' ? JSON.parse(JSON.stringify(input)) : {};
+    const segments = pathSegments(resultPath);
+    let target = output;
+    segments.slice(0, -1).forEach(segment => {
+        if (target[segment] === null || typeof target[segment] !== 'object') target[segment] = {};
+        target = target[segment];
+    });
+    target[segments[segments.length - 1]] = result;
+    return output;
+}
+
+function errorMatches(errorEquals, error) {
+    return errorEquals.some(name =>
+        name === 'States.ALL' ||
+        name === error ||
+        (name === 'States.TaskFailed' && !['States.Runtime', 'States.Timeout'].includes(error)));
+}
+
+const COMPARISONS = {
+    StringEquals: (a, b) => typeof a === 'string' && a === b,
+    StringLessThan: (a, b) => typeof a === 'string' && a < b,
+    StringGreaterThan: (a, b) => typeof a === 'string' && a > b,
+    StringLessThanEquals: (a, b) => typeof a === 'string' && a <= b,
+    StringGreaterThanEquals: (a, b) => typeof a === 'string' && a >= b,
+    StringMatches: (a, b) => typeof a === 'string' &&
+        new RegExp(`^${b.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`).test(a),
+    NumericEquals: (a, b) => typeof a === 'number' && a === b,
+    NumericLessThan: (a, b) => typeof a === 'number' && a < b,
+    NumericGreaterThan: (a, b) => typeof a === 'number' && a > b,
+    NumericLessThanEquals: (a, b) => typeof a === 'number' && a <= b,
+    NumericGreaterThanEquals: (a, b) => typeof a === 'number' && a >= b,
+    BooleanEquals: (a, b) => typeof a === 'boolean' && a === b,
+    IsNull: (a, b) => (a === null) === b,
+    IsPresent: (a, b) => (a !== undefined) === b,
+    IsString: (a, b) => (typeof a === 'string') === b,
+    IsNumeric: (a, b) => (typeof a === 'number') === b,
+    IsBoolean: (a, b) => (typeof a === 'boolean') === b
+};
+
+function matchesRule(rule, data, context) {
+    if (rule.And) return rule.And.every(inner => matchesRule(inner, data, context));
+    if (rule.Or) return rule.Or.some(inner => matchesRule(inner, data, context));
+    if (rule.Not) return !matchesRule(rule.Not, data, context);
+
+    const operator = Object.keys(rule).find(key => key !== 'Variable' && key !== 'Next');
+    const compare = COMPARISONS[operator.replace(/Path$/, '')];
+    if (!compare) {
+        throw statesError('States.Runtime', `Choice operator ${operator} is not supported locally`);
+    }
+
+    const subject = readPath(data, rule.Variable, context);
+    if (subject === undefined && operator !== 'IsPresent') {
+        if (operator === 'IsNull') return false;
+        throw statesError('States.Runtime', `Invalid path '${rule.Variable}': The choice state's condition path references an invalid value.`);
+    }
+    const expected = operator.endsWith('Path') ? readPath(data, rule[operator], context) : rule[operator];
+    return compare(subject, expected);
+}
+
+// functionOf(resourceArn) names the function a Task resource invokes
+function createStateMachine({ arn, name, definition, functionOf }) {
+    async function runTask(state, input, context, invoke) {
+        const payload = state.Parameters ? applyTemplate(state.Parameters, input, context) : input;
+        const retriers = (state.Retry || []).map(retrier => ({ ...retrier, attempts: 0 }));
+
+        for (;;) {
+            try {
+                return await invoke(functionOf(state.Resource), payload);
+            } catch (thrown) {
+                const error = thrown.stepFunctionsError || thrown.name || 'Error';
+                const retrier = retriers.find(candidate => errorMatches(candidate.ErrorEquals, error));
+                if (retrier && retrier.attempts < (retrier.MaxAttempts === undefined ? 3 : retrier.MaxAttempts)) {
+                    retrier.attempts++;
+                    continue;
+                }
+                throw statesError(error, JSON.stringify({ errorType: thrown.name || 'Error', errorMessage: thrown.message }));
+            }
+        }
+    }
+
+    async function run(execution, { invoke, log = () => {} }) {
+        const context = {
+            Execution: {
+                Id: execution.executionArn,
+                Name: execution.name,
+                Input: JSON.parse(execution.input),
+                StartTime: execution.startDate.toISOString()
+            },
+            StateMachine: { Id: arn, Name: name }
+        };
+
+        let data = JSON.parse(execution.input);
+        let current = definition.StartAt;
+
+        try {
+            for (let transitions = 0; ; transitions++) {
+                if (transitions >= MAX_TRANSITIONS) {
+                    throw statesError('States.Runtime', `More than ${MAX_TRANSITIONS} transitions; is a loop stuck?`);
+                }
+                const state = definition.States[current];
+                if (!state) {
+                    throw statesError('States.Runtime', `State ${current} does not exist`);
+                }
+                context.State = { Name: current, EnteredTime: new Date().toISOString() };
+                execution.history.push(current);
+                log(`⇢ ${execution.name}: ${current}`);
+
+                const input = selectPath(data, state.InputPath, context);
+                let next = state.Next;
+                let output;
+
+                switch (state.Type) {
+                    case 'Task':
+                        try {
+                            let result = await runTask(state, input, context, invoke);
+                            if (state.ResultSelector) result = applyTemplate(state.ResultSelector, result, context);
+                            output = applyResultPath(input, result, state.ResultPath);
+                        } catch (failure) {
+                            const error = failure.stepFunctionsError;
+                            const catcher = (state.Catch || []).find(candidate => errorMatches(candidate.ErrorEquals, error));
+                            if (!catcher) throw failure;
+                            data = applyResultPath(input, { Error: error, Cause: failure.cause }, catcher.ResultPath);
+                            current = catcher.Next;
+                            continue;
+                        }
+                        break;
+                    case 'Pass': {
+                        const result = state.Result !== undefined
+                            ? state.Result
+                            : (state.Parameters ? applyTemplate(state.Parameters, input, context) : input);
+                        output = applyResultPath(input, result, state.ResultPath);
+                        break;
+                    }
+                    case 'Choice': {
+                        const choice = state.Choices.find(rule => matchesRule(rule, input, context));
+                        next = choice ? choice.Next : state.Default;
+                        if (!next) {
+                            throw statesError('States.NoChoiceMatched', `No Matches! in state ${current}`);
+                        }
+                        output = input;
+                        break;
+                    }
+                    case 'Wait':
+                        output = input;
+                        break;
+                    case 'Succeed':
+                        output = input;
+                        next = undefined;
+                        break;
+                    case 'Fail':
+                        throw statesError(state.Error || 'States.Fail', state.Cause || '');
+                    default:
+                        throw statesError('States.Runtime', `${state.Type} states are not supported locally`);
+                }
+
+                data = state.OutputPath !== undefined ? selectPath(output, state.OutputPath, context) : output;
+                if (state.End || state.Type === 'Succeed' || !next) {
+                    execution.status = 'SUCCEEDED';
+                    execution.output = JSON.stringify(data);
+                    return data;
+                }
+                current = next;
+            }
+        } catch (failure) {
+            execution.status = 'FAILED';
+            execution.error = failure.stepFunctionsError || 'States.Runtime';
+            execution.cause = failure.cause || failure.message;
+            log(`✗ ${execution.name}: ${execution.error} ${execution.cause}`);
+            return null;
+        } finally {
+            execution.stopDate = new Date();
+        }
+    }
+
+    return { arn, name, definition, run };
+}
+
+module.exports = {
+    loadStateMachine,
+    createStateMachine,
+    parseHclExpression
+};
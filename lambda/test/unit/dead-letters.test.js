@@ -0,0 +1,177 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const { createLocalAws } = require('../local-aws');
+const {
+    STATUS, deadLetterIdFor, validateOverrides, createDeadLetterStore, createRedriver, createDeadLetterRecorder
+} = require('../../script/lib/dead-letters');
+
+const BUCKET = 'invoice-uploads';
+
+function createDynamo() {
+    const localAws = createLocalAws({
+        tables: [{ name: 'dead-letters', key: ['deadLetterId'], indexes: { StatusIndex: ['status', 'lastFailedAt'] } }]
+    });
+    return new localAws.sdk.DynamoDB.DocumentClient();
+}
+
+// The store in the local DynamoDB stand-in; the extraction Lambda is recorded
+// in memory and fails when told to
+function createSystem({ invokeError = null } = {}) {
+    const store = createDeadLetterStore({ dynamodb: createDynamo(), tableName: 'dead-letters' });
+    const invoked = [];
+    const lambda = {
+        invoke: params => ({
+            promise: async () => {
+                if (invokeError) throw invokeError;
+                invoked.push({ ...params, Payload: JSON.parse(params.Payload) });
+                return { StatusCode: 202 };
+            }
+        })
+    };
+    return { store, invoked, redriver: createRedriver({ store, lambda, functionName: 'enhanced-textract-processor' }) };
+}
+
+function failure(objectKey, overrides = {}) {
+    return { bucketName: BUCKET, objectKey, stage: 'extraction', error: new Error('Textract throttled'), ...overrides };
+}
+
+describe('dead-letters', () => {
+    it('keeps one dead letter per document and counts every failed attempt', async () => {
+        const { store } = createSystem();
+        const first = await store.record(failure('invoices/a.pdf', { attempts: 3 }));
+        assert.equal(first.deadLetterId, deadLetterIdFor(BUCKET, 'invoices/a.pdf'));
+        assert.equal(first.status, STATUS.OPEN);
+
+        const storageError = Object.assign(new Error('Storage Lambda failed'), { statusCode: 500 });
+        const second = await store.record(failure('invoices/a.pdf', { stage: 'storage', error: storageError }));
+        assert.equal(second.attempts, 4);
+        assert.deepEqual([second.stage, second.error, second.errorCode], ['storage', 'Storage Lambda failed', 500]);
+        assert.equal(second.firstFailedAt, first.firstFailedAt);
+        assert.deepEqual(second.failures.map(entry => entry.stage), ['extraction', 'storage']);
+
+        assert.deepEqual(await store.find(BUCKET, 'invoices/a.pdf'), second);
+        assert.equal(await store.find(BUCKET, 'invoices/b.pdf'), null);
+        await assert.rejects(store.record(failure('invoices/a.pdf', { stage: 'approval' })), { statusCode: 400 });
+    });
+
+    it('keeps only the latest failures', async () => {
+        const { store } = createSystem();
+        for (let attempt = 1; attempt <= 12; attempt++) {
+            await store.record(failure('invoices/a.pdf', { error: `failure ${attempt}` }));
+        }
+        const deadLetter = await store.find(BUCKET, 'invoices/a.pdf');
+        assert.equal(deadLetter.attempts, 12);
+        assert.equal(deadLetter.failures.length, 10);
+        assert.equal(deadLetter.failures[0].error, 'failure 3');
+    });
+
+    it('lists by status, newest failure first, with filters and paging', async () => {
+        const { store } = createSystem();
+        await store.record(failure('invoices/a.pdf'));
+        await store.record(failure('invoices/b.pdf', { stage: 'storage', error: 'DynamoDB unavailable' }));
+        await store.record(failure('invoices/c.pdf'));
+
+        const first = await store.listByStatus(STATUS.OPEN, { limit: 2 });
+        assert.deepEqual(first.items.map(item => item.objectKey), ['invoices/c.pdf', 'invoices/b.pdf']);
+        const second = await store.listByStatus(STATUS.OPEN, { limit: 2, nextToken: first.nextToken });
+        assert.deepEqual(second.items.map(item => item.objectKey), ['invoices/a.pdf']);
+        assert.equal(second.nextToken, null);
+
+        const storage = await store.listByStatus(STATUS.OPEN, { filter: { stage: 'storage', errorContains: 'DynamoDB' } });
+        assert.deepEqual(storage.items.map(item => item.objectKey), ['invoices/b.pdf']);
+
+        await assert.rejects(store.listByStatus('lost'), { statusCode: 400 });
+        await assert.rejects(store.listByStatus(STATUS.OPEN, { filter: { stage: 'approval' } }), { statusCode: 400 });
+        await assert.rejects(store.listByStatus(STATUS.OPEN, { nextToken: 'not base64 json' }), { statusCode: 400 });
+    });
+
+    it('resolves and discards only open or redriving dead letters, and expires them', async () => {
+        const { store } = createSystem();
+        const a = await store.record(failure('invoices/a.pdf'));
+        const b = await store.record(failure('invoices/b.pdf'));
+
+        const resolved = await store.resolve(a.deadLetterId, { outcome: { status: 'stored' } });
+        assert.equal(resolved.status, STATUS.RESOLVED);
+        assert.deepEqual(resolved.resolution, { status: 'stored' });
+        assert.ok(resolved.expiresAt > Date.now() / 1000);
+        await assert.rejects(store.discard(a.deadLetterId, { actor: 'ops' }), { statusCode: 409, message: /is resolved/ });
+
+        const discarded = await store.discard(b.deadLetterId, { actor: 'ops', reason: 'Not an invoice' });
+        assert.deepEqual(discarded.resolution, { discardedBy: 'ops', reason: 'Not an invoice' });
+
+        const reopened = await store.record(failure('invoices/a.pdf'));
+        assert.equal(reopened.status, STATUS.OPEN);
+        assert.equal(reopened.expiresAt, undefined);
+        assert.equal(reopened.resolvedAt, undefined);
+
+        await assert.rejects(store.get('dlq_missing'), { statusCode: 404 });
+        await assert.rejects(store.resolve('dlq_missing'), { statusCode: 404 });
+    });
+
+    describe('redrive', () => {
+        it('sends the document back through the processor with the overrides', async () => {
+            const { store, invoked, redriver } = createSystem();
+            const { deadLetterId } = await store.record(failure('invoices/a.pdf'));
+
+            const deadLetter = await redriver.redrive(deadLetterId, { actor: 'ops', templateId: 'northwind-v2' });
+            assert.equal(deadLetter.status, STATUS.REDRIVING);
+            assert.deepEqual(deadLetter.redrives.map(entry => [entry.actor, entry.templateId, entry.ocrProvider]), [['ops', 'northwind-v2', null]]);
+
+            const [{ FunctionName, InvocationType, Payload }] = invoked;
+            assert.deepEqual([FunctionName, InvocationType], ['enhanced-textract-processor', 'Event']);
+            assert.deepEqual(Payload.Records[0].redrive, { deadLetterId, actor: 'ops', templateId: 'northwind-v2', ocrProvider: null });
+            assert.equal(Payload.Records[0].objectKey, 'invoices/a.pdf');
+
+            await assert.rejects(redriver.redrive(deadLetterId, { actor: 'ops' }), { statusCode: 409, message: /is redriving/ });
+            assert.equal(invoked.length, 1);
+        });
+
+        it('reopens the dead letter when the processor cannot be invoked', async () => {
+            const { store, redriver } = createSystem({ invokeError: new Error('Rate exceeded') });
+            const { deadLetterId } = await store.record(failure('invoices/a.pdf'));
+
+            await assert.rejects(redriver.redrive(deadLetterId, { actor: 'ops' }), /Rate exceeded/);
+            assert.equal((await store.get(deadLetterId)).status, STATUS.OPEN);
+        });
+
+        it('rejects overrides the processor could not apply', async () => {
+            assert.deepEqual(validateOverrides({ ocrProvider: 'textract-expense' }), { templateId: null, ocrProvider: 'textract-expense' });
+            assert.throws(() => validateOverrides({ templateId: 42 }), { statusCode: 400 });
+            assert.throws(() => validateOverrides({ ocrProvider: 'tesseract' }), { statusCode: 400, message: /Unknown OCR provider/ });
+
+            const { store, invoked, redriver } = createSystem();
+            const { deadLetterId } = await store.record(failure('invoices/a.pdf'));
+            await assert.rejects(redriver.redrive(deadLetterId, { ocrProvider: 'tesseract' }), { statusCode: 400 });
+            assert.equal((await store.get(deadLetterId)).status, STATUS.OPEN);
+            assert.equal(invoked.length, 0);
+        });
+
+        it('redrives open dead letters matching a filter up to the limit', async () => {
+            const { store, invoked, redriver } = createSystem();
+            for (const key of ['a', 'b', 'c']) await store.record(failure(`invoices/${key}.pdf`));
+            await store.record(failure('invoices/d.pdf', { stage: 'storage' }));
+
+            const { redriven, failed } = await redriver.redriveMatching({ stage: 'extraction' }, { limit: 2, actor: 'ops' });
+            assert.deepEqual(redriven.map(deadLetter => deadLetter.objectKey), ['invoices/c.pdf', 'invoices/b.pdf']);
+            assert.deepEqual(failed, []);
+            assert.equal(invoked.length, 2);
+        });
+    });
+
+    describe('createDeadLetterRecorder', () => {
+        it('is off without a table', () => {
+            assert.equal(createDeadLetterRecorder({ dynamodb: createDynamo(), tableName: '' }), null);
+        });
+
+        it('records and resolves best effort', async () => {
+            const recorder = createDeadLetterRecorder({ dynamodb: createDynamo(), tableName: 'dead-letters', source: 'textract-processor' });
+            const deadLetter = await recorder.record(failure('invoices/a.pdf'));
+            assert.equal(deadLetter.source, 'textract-processor');
+            assert.equal((await recorder.resolve(deadLetter.deadLetterId, { status: 'stored' })).status, STATUS.RESOLVED);
+
+            const broken = createDeadLetterRecorder({ dynamodb: createDynamo(), tableName: 'missing-table' });
+            assert.equal(await broken.record(failure('invoices/a.pdf')), null);
+            assert.equal(await broken.resolve(deadLetter.deadLetterId), null);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const { createLocalAws } = require('../local-aws');
+const { editDistance, compareInvoices, createDuplicateDetector } = require('../../script/lib/duplicate-detector');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function record(overrides = {}) {
+    return {
+        customerId: 'contoso',
+        invoiceNumber: 'INV-1001-abc',
+        invoiceId: 'INV-1001',
+        vendorKey: 'contoso',
+        totalAmountMinor: 125000,
+        currency: 'USD',
+        invoiceDate: '2024-03-01',
+        processedAt: new Date().toISOString(),
+        ...overrides
+    };
+}
+
+async function createDetector(previous) {
+    const localAws = createLocalAws({
+        tables: [{ name: 'invoices', key: ['customerId', 'invoiceNumber'], indexes: { VendorIndex: ['vendorKey', 'processedAt'] } }]
+    });
+    const dynamodb = new localAws.sdk.DynamoDB.DocumentClient();
+    for (const item of previous) {
+        await dynamodb.put({ TableName: 'invoices', Item: item }).promise();
+    }
+    return createDuplicateDetector({ dynamodb, tableName: 'invoices', indexName: 'VendorIndex', lookbackDays: 30 });
+}
+
+describe('duplicate-detector', () => {
+    describe('editDistance', () => {
+        it('counts insertions, deletions and substitutions', () => {
+            assert.equal(editDistance('INV1001', 'INV1001'), 0);
+            assert.equal(editDistance('INV1001', 'INV1O01'), 1);
+            assert.equal(editDistance('INV1001', 'INV101'), 1);
+            assert.equal(editDistance('kitten', 'sitting'), 3);
+        });
+
+        it('stops once the distance exceeds the maximum', () => {
+            assert.equal(editDistance('A', 'ABCDEFG', 2), 3);
+            assert.equal(editDistance('ABCDEF', 'UVWXYZ', 2), 3);
+        });
+    });
+
+    describe('compareInvoices', () => {
+        it('matches a rescan with a misread invoice number and a nearby date', () => {
+            const signals = compareInvoices(
+                record({ invoiceId: 'INV-1O01', invoiceDate: '2024-03-03' }),
+                record()
+            );
+            assert.deepEqual(signals, { amountMinor: 125000, daysApart: 2, invoiceNumberDistance: 1, score: 3 });
+        });
+
+        it('needs the same amount and currency', () => {
+            assert.equal(compareInvoices(record({ totalAmountMinor: 125001 }), record()), null);
+            assert.equal(compareInvoices(record({ currency: 'EUR' }), record()), null);
+            assert.equal(compareInvoices(record({ totalAmountMinor: null, totalAmount: 1250 }), record()).amountMinor, 125000);
+        });
+
+        it('rejects dates or invoice numbers that are too far apart', () => {
+            assert.equal(compareInvoices(record({ invoiceDate: '2024-03-05' }), record()), null);
+            assert.equal(compareInvoices(record({ invoiceId: 'INV-2099' }), record()), null);
+            assert.equal(compareInvoices(record({ invoiceDate: '2024-03-05' }), record(), { dateToleranceDays: 5 }).daysApart, 4);
+        });
+
+        it('needs the date or the invoice number on both sides', () => {
+            const generated = record({ invoiceId: 'AUTO-1709251200000' });
+            assert.equal(compareInvoices(generated, record()).invoiceNumberDistance, null);
+            assert.equal(compareInvoices({ ...generated, invoiceDate: null }, record()), null);
+        });
+    });
+
+    describe('createDuplicateDetector', () => {
+        it('returns the closest recent invoice of the vendor', async () => {
+            const detector = await createDetector([
+                record({ invoiceNumber: 'far', invoiceId: 'INV-1010', invoiceDate: '2024-03-02' }),
+                record({ invoiceNumber: 'close', invoiceId: 'INV-1001', invoiceDate: '2024-03-01', originalFileName: 'scan.pdf' }),
+                record({ invoiceNumber: 'other-vendor', vendorKey: 'fabrikam' })
+            ]);
+
+            const suspected = await detector.findSuspectedDuplicate(record({ invoiceNumber: 'new', invoiceId: 'INV 1001' }));
+            assert.equal(suspected.invoiceNumber, 'close');
+            assert.equal(suspected.originalFileName, 'scan.pdf');
+            assert.deepEqual(suspected.signals, { amountMinor: 125000, daysApart: 0, invoiceNumberDistance: 0 });
+        });
+
+        it('ignores the record itself and invoices older than the lookback', async () => {
+            const detector = await createDetector([
+                record({ invoiceNumber: 'new' }),
+                record({ invoiceNumber: 'old', processedAt: new Date(Date.now() - 45 * DAY_MS).toISOString() })
+            ]);
+            assert.equal(await detector.findSuspectedDuplicate(record({ invoiceNumber: 'new' })), null);
+        });
+
+        it('reads the vendor key from the vendor name when the record has none', async () => {
+            const detector = await createDetector([record({ invoiceNumber: 'first' })]);
+            const suspected = await detector.findSuspectedDuplicate(record({ invoiceNumber: 'new', vendorKey: undefined, vendorName: 'CONTOSO' }));
+            assert.equal(suspected.invoiceNumber, 'first');
+            assert.equal(await detector.findSuspectedDuplicate(record({ vendorKey: undefined, vendorName: null })), null);
+        });
+
+        it('needs a table and an index', () => {
+            assert.throws(() => createDuplicateDetector({ dynamodb: {}, tableName: 'invoices', indexName: '' }), /DUPLICATE_CHECK_INDEX/);
+        });
+    });
+});
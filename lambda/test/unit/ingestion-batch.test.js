@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const {
+    STATUS, DEFAULT_CONCURRENCY, documentsFrom, isFinalAttempt, concurrencyFrom, processDocuments, batchResponse
+} = require('../../script/lib/ingestion-batch');
+
+function s3Record(key) {
+    return { eventSource: 'aws:s3', s3: { bucket: { name: 'uploads' }, object: { key, eTag: 'e', size: 10 } } };
+}
+
+function sqsRecord(messageId, keys, receiveCount = '1') {
+    return {
+        eventSource: 'aws:sqs',
+        messageId,
+        attributes: { ApproximateReceiveCount: receiveCount },
+        body: JSON.stringify({ Records: keys.map(s3Record) })
+    };
+}
+
+// Runs processDocuments with INGESTION_CONCURRENCY set to value and returns
+// the most documents that were in flight at once
+async function peakConcurrency(value, documents = 8) {
+    const saved = process.env.INGESTION_CONCURRENCY;
+    process.env.INGESTION_CONCURRENCY = value;
+    try {
+        let inFlight = 0;
+        let peak = 0;
+        const keys = Array.from({ length: documents }, (_, index) => `invoices/${index}.pdf`);
+        const outcome = await processDocuments({ Records: keys.map(s3Record) }, async () => {
+            peak = Math.max(peak, ++inFlight);
+            await new Promise(resolve => setImmediate(resolve));
+            inFlight--;
+            return {};
+        });
+        assert.equal(outcome.summary[STATUS.PROCESSED], documents);
+        return peak;
+    } finally {
+        if (saved === undefined) delete process.env.INGESTION_CONCURRENCY;
+        else process.env.INGESTION_CONCURRENCY = saved;
+    }
+}
+
+describe('ingestion-batch', () => {
+    describe('concurrency', () => {
+        it('uses a positive integer INGESTION_CONCURRENCY', async () => {
+            assert.equal(concurrencyFrom('2'), 2);
+            assert.equal(await peakConcurrency('2'), 2);
+        });
+
+        it('falls back to the default for anything else', async () => {
+            ['', 'abc', '0', '-3', '2.5', 'Infinity'].forEach(value => assert.equal(concurrencyFrom(value), DEFAULT_CONCURRENCY, value));
+            assert.equal(concurrencyFrom(undefined), DEFAULT_CONCURRENCY);
+            assert.equal(await peakConcurrency('many'), DEFAULT_CONCURRENCY);
+        });
+    });
+
+    it('flattens S3, SQS and redrive records into documents', () => {
+        const documents = documentsFrom({ Records: [
+            s3Record('invoices/a+b%281%29.pdf'),
+            sqsRecord('m1', ['invoices/c.pdf', 'invoices/d.pdf'], '2'),
+            { eventSource: 'aws:sqs', messageId: 'm2', body: JSON.stringify({ Event: 's3:TestEvent' }) },
+            { eventSource: 'aws:sqs', messageId: 'm3', body: 'not json' },
+            { eventSource: 'invoice:redrive', bucketName: 'uploads', objectKey: 'invoices/e.pdf', redrive: { templateId: 't' } }
+        ] });
+
+        assert.deepEqual(documents.map(document => [document.itemIdentifier, document.objectKey || document.error.split(':')[0]]), [
+            [null, 'invoices/a b(1).pdf'],
+            ['m1', 'invoices/c.pdf'],
+            ['m1', 'invoices/d.pdf'],
+            ['m3', 'Unreadable ingestion message'],
+            [null, 'invoices/e.pdf']
+        ]);
+        assert.equal(documents[1].receiveCount, 2);
+        assert.deepEqual(documents[4].redrive, { templateId: 't' });
+    });
+
+    it('redelivers only the messages of failed documents', async () => {
+        const event = { Records: [sqsRecord('m1', ['ok.pdf']), sqsRecord('m2', ['broken.pdf']), sqsRecord('m3', ['huge.pdf'])] };
+        const outcome = await processDocuments(event, async document => {
+            if (document.objectKey === 'broken.pdf') throw new Error('Textract throttled');
+            if (document.objectKey === 'huge.pdf') throw Object.assign(new Error('File too large'), { statusCode: 413 });
+            return { invoiceId: 'INV-1' };
+        });
+
+        assert.deepEqual(outcome.results.map(result => result.status), [STATUS.PROCESSED, STATUS.FAILED, STATUS.REJECTED]);
+        assert.equal(outcome.results[0].invoiceId, 'INV-1');
+        assert.deepEqual(batchResponse(event, outcome), { batchItemFailures: [{ itemIdentifier: 'm2' }] });
+    });
+
+    it('answers direct invocations with 200, 207 or 500', async () => {
+        const event = { Records: [s3Record('ok.pdf'), s3Record('broken.pdf')] };
+        const fail = name => async document => { if (document.objectKey === name || name === '*') throw new Error('boom'); return {}; };
+
+        assert.equal(batchResponse(event, await processDocuments(event, fail('none'))).statusCode, 200);
+        assert.equal(batchResponse(event, await processDocuments(event, fail('broken.pdf'))).statusCode, 207);
+        assert.equal(batchResponse(event, await processDocuments(event, fail('*'))).statusCode, 500);
+    });
+
+    it('treats direct events, rejections and the last receive as final attempts', () => {
+        assert.equal(isFinalAttempt({ itemIdentifier: null }), true);
+        assert.equal(isFinalAttempt({ itemIdentifier: 'm1', receiveCount: 1 }, { statusCode: 415 }, 3), true);
+        assert.equal(isFinalAttempt({ itemIdentifier: 'm1', receiveCount: 2 }, new Error('throttled'), 3), false);
+        assert.equal(isFinalAttempt({ itemIdentifier: 'm1', receiveCount: 3 }, new Error('throttled'), 3), true);
+    });
+});
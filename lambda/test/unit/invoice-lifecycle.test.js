@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const { createMemoryInvoiceRepository } = require('../../script/lib/invoice-repository');
+const lifecycle = require('../../script/lib/invoice-lifecycle');
+
+const { STATUS } = lifecycle;
+const LAMBDA = 'store-extracted-data';
+const REVIEWER = 'arn:aws:iam::000000000000:user/reviewer';
+
+async function storedInvoice(repository, steps = [STATUS.RECEIVED, STATUS.EXTRACTED]) {
+    return repository.create({
+        customerId: 'VEND-NORTHWIND',
+        invoiceId: 'NW-2024-0042',
+        totalAmount: 190,
+        ...lifecycle.begin(steps.map(status => ({ status, actor: LAMBDA })))
+    });
+}
+
+describe('invoice-lifecycle', () => {
+    describe('transitions', () => {
+        it('allows the documented path and the other ways out', () => {
+            assert.equal(lifecycle.canTransition(STATUS.EXTRACTED, STATUS.VALIDATED), true);
+            assert.equal(lifecycle.canTransition(STATUS.VALIDATED, STATUS.APPROVED), true);
+            assert.equal(lifecycle.canTransition(STATUS.SCHEDULED_FOR_PAYMENT, STATUS.APPROVED), true);
+            assert.equal(lifecycle.canTransition(STATUS.SUSPECTED_DUPLICATE, STATUS.DUPLICATE), true);
+            assert.equal(lifecycle.canTransition(STATUS.RECEIVED, STATUS.PAID), false);
+            assert.equal(lifecycle.canTransition(STATUS.APPROVED, STATUS.PENDING_REVIEW), false);
+        });
+
+        it('treats paid, rejected and duplicate as final', () => {
+            assert.deepEqual(Object.values(STATUS).filter(lifecycle.isFinal), [STATUS.PAID, STATUS.REJECTED, STATUS.DUPLICATE]);
+        });
+
+        it('reads the legacy processed status as extracted', () => {
+            assert.deepEqual(lifecycle.allowedTransitions('processed'), lifecycle.allowedTransitions(STATUS.EXTRACTED));
+            assert.equal(lifecycle.isFinal('processed'), false);
+        });
+
+        it('explains a refused transition', () => {
+            assert.throws(() => lifecycle.assertTransition(STATUS.PAID, STATUS.APPROVED), { statusCode: 409, message: /paid is final/ });
+            assert.throws(() => lifecycle.assertTransition(STATUS.RECEIVED, STATUS.PAID), { statusCode: 409, message: /allowed: extracted/ });
+            assert.throws(() => lifecycle.assertTransition(STATUS.RECEIVED, 'archived'), { statusCode: 400 });
+        });
+    });
+
+    describe('begin', () => {
+        it('builds the status and history from the steps taken', () => {
+            const { status, statusHistory } = lifecycle.begin([
+                { status: STATUS.RECEIVED, actor: LAMBDA, at: '2024-03-04T10:00:00.000Z', reason: 'Uploaded' },
+                { status: STATUS.EXTRACTED, actor: LAMBDA, at: '2024-03-04T10:00:05.000Z' },
+                null
+            ]);
+
+            assert.equal(status, STATUS.EXTRACTED);
+            assert.deepEqual(statusHistory, [
+                { from: null, to: STATUS.RECEIVED, actor: LAMBDA, at: '2024-03-04T10:00:00.000Z', reason: 'Uploaded' },
+                { from: STATUS.RECEIVED, to: STATUS.EXTRACTED, actor: LAMBDA, at: '2024-03-04T10:00:05.000Z', reason: null }
+            ]);
+        });
+
+        it('rejects a history that does not start with received or skips a step', () => {
+            assert.throws(() => lifecycle.begin([{ status: STATUS.EXTRACTED, actor: LAMBDA }]), { statusCode: 400 });
+            assert.throws(() => lifecycle.begin([
+                { status: STATUS.RECEIVED, actor: LAMBDA },
+                { status: STATUS.APPROVED, actor: LAMBDA }
+            ]), { statusCode: 409 });
+            assert.throws(() => lifecycle.begin([{ status: STATUS.RECEIVED }]), { message: /needs an actor/ });
+        });
+    });
+
+    describe('createInvoiceLifecycle', () => {
+        it('moves the invoice, appends to its history and publishes webhook statuses', async () => {
+            const repository = createMemoryInvoiceRepository();
+            const published = [];
+            const invoices = lifecycle.createInvoiceLifecycle({
+                repository,
+                webhookPublisher: { publish: async event => published.push(event) }
+            });
+            const { customerId, invoiceNumber } = await storedInvoice(repository);
+
+            await invoices.transition(customerId, invoiceNumber, STATUS.VALIDATED, { actor: 'validate-invoice' });
+            const approved = await invoices.transition(customerId, invoiceNumber, STATUS.APPROVED, {
+                actor: REVIEWER, reason: 'PO matched'
+            });
+
+            assert.equal(approved.status, STATUS.APPROVED);
+            const history = await invoices.history(customerId, invoiceNumber);
+            assert.deepEqual(history.map(entry => `${entry.from}->${entry.to}`),
+                ['null->received', 'received->extracted', 'extracted->validated', 'validated->approved']);
+            assert.equal(history[3].actor, REVIEWER);
+
+            assert.deepEqual(published.map(event => event.type), ['invoice.validated']);
+            assert.equal(published[0].details.previousStatus, STATUS.EXTRACTED);
+            assert.equal(published[0].invoice.status, STATUS.VALIDATED);
+        });
+
+        it('refuses transitions from a final status and unknown invoices', async () => {
+            const repository = createMemoryInvoiceRepository();
+            const invoices = lifecycle.createInvoiceLifecycle({ repository });
+            const { customerId, invoiceNumber } = await storedInvoice(repository);
+
+            await invoices.transition(customerId, invoiceNumber, STATUS.REJECTED, { actor: REVIEWER });
+            await assert.rejects(invoices.transition(customerId, invoiceNumber, STATUS.VALIDATED, { actor: REVIEWER }), { statusCode: 409 });
+            await assert.rejects(invoices.transition(customerId, 1, STATUS.VALIDATED, { actor: REVIEWER }), { statusCode: 404 });
+            await assert.rejects(invoices.history('VEND-UNKNOWN', 1), { statusCode: 404 });
+        });
+
+        it('needs an actor for every change', async () => {
+            const repository = createMemoryInvoiceRepository();
+            const invoices = lifecycle.createInvoiceLifecycle({ repository });
+            const { customerId, invoiceNumber } = await storedInvoice(repository);
+
+            await assert.rejects(invoices.transition(customerId, invoiceNumber, STATUS.VALIDATED), { statusCode: 400 });
+            assert.equal((await repository.get(customerId, invoiceNumber)).status, STATUS.EXTRACTED);
+        });
+    });
+});
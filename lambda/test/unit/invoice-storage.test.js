@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const { storeExtractedData } = require('../../script/lib/invoice-storage');
+
+const quiet = { info: () => {}, error: () => {} };
+
+function lambdaAnswering(answer) {
+    const calls = [];
+    return {
+        calls,
+        invoke(params) {
+            calls.push(params);
+            return { promise: async () => (typeof answer === 'function' ? answer(params) : answer) };
+        }
+    };
+}
+
+function answer(statusCode, body) {
+    return { StatusCode: 200, Payload: JSON.stringify({ statusCode, body: JSON.stringify(body) }) };
+}
+
+const DOCUMENT = { extractedData: { invoiceData: {} }, objectKey: 'invoices/a.pdf', bucketName: 'uploads' };
+
+describe('invoice-storage', () => {
+    it('waits for the storage Lambda', async () => {
+        const lambda = lambdaAnswering(answer(200, { invoiceId: 'INV-1' }));
+        await storeExtractedData(lambda, DOCUMENT, quiet);
+
+        const [params] = lambda.calls;
+        assert.equal(params.InvocationType, 'RequestResponse');
+        assert.equal(params.FunctionName, 'store-extracted-data');
+        const payload = JSON.parse(params.Payload);
+        assert.equal(payload.sourceFile, 'invoices/a.pdf');
+        assert.equal(payload.sourceBucket, 'uploads');
+        assert.equal('review' in payload, false);
+    });
+
+    it('passes an approved review along', async () => {
+        const lambda = lambdaAnswering(answer(200, { invoiceId: 'INV-1' }));
+        const review = { reviewId: 'rev-1', decidedBy: 'reviewer', decidedAt: '2024-03-04T10:00:00.000Z', corrections: {} };
+        await storeExtractedData(lambda, { ...DOCUMENT, review }, quiet);
+        assert.deepEqual(JSON.parse(lambda.calls[0].Payload).review, review);
+    });
+
+    it('maps the storage answer to the status of the document', async () => {
+        const cases = [
+            [answer(200, { invoiceId: 'INV-1' }), { status: 'stored', invoiceId: 'INV-1' }],
+            [answer(202, { reviewId: 'rev-1' }), { status: 'pending_review', reviewId: 'rev-1' }],
+            [answer(409, { duplicateOf: 'INV-0' }), { status: 'duplicate', duplicateOf: 'INV-0' }],
+            [answer(409, {}), { status: 'duplicate', duplicateOf: null }],
+            [answer(500, { error: 'S3 unavailable' }), { status: 'storage_failed', error: 'S3 unavailable' }],
+            [{ Payload: JSON.stringify({ statusCode: 503 }) }, { status: 'storage_failed', error: 'status 503' }]
+        ];
+
+        for (const [response, expected] of cases) {
+            assert.deepEqual(await storeExtractedData(lambdaAnswering(response), DOCUMENT, quiet), expected);
+        }
+    });
+
+    it('throws when the storage Lambda crashed or could not be invoked', async () => {
+        const crashed = lambdaAnswering({ FunctionError: 'Unhandled', Payload: JSON.stringify({ errorMessage: 'boom' }) });
+        await assert.rejects(storeExtractedData(crashed, DOCUMENT, quiet), /Storage invocation failed: boom/);
+
+        const unreachable = lambdaAnswering(() => { throw new Error('Rate exceeded'); });
+        await assert.rejects(storeExtractedData(unreachable, DOCUMENT, quiet), /Storage invocation failed: Rate exceeded/);
+    });
+});
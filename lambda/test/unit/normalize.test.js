@@ -0,0 +1,149 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const normalize = require('../../script/lib/normalize');
+
+const US = { decimalSeparator: '.' };
+const DE = { decimalSeparator: ',' };
+
+describe('normalize', () => {
+    describe('toMinorUnits', () => {
+        it('reads a lone separator after a leading zero as the decimal point', () => {
+            assert.equal(normalize.toMinorUnits('0.005', { currency: 'USD', ...US }), 1);
+            assert.equal(normalize.toMinorUnits('0.004', { currency: 'USD', ...US }), 0);
+            assert.equal(normalize.toMinorUnits('0,125', { currency: 'EUR', ...DE }), 13);
+            assert.equal(normalize.toMinorUnits('0.005', { currency: 'EUR', ...DE }), 1);
+        });
+
+        it('rejects three decimals the locale reads into a two-decimal currency', () => {
+            assert.equal(normalize.toMinorUnits('12.345', { currency: 'USD', ...US }), null);
+            assert.equal(normalize.toMinorUnits('1.234', { currency: 'USD', ...US }), null);
+            assert.equal(normalize.toMinorUnits('$1.234', { currency: 'USD' }), null);
+            assert.equal(normalize.toMinorUnits('1,234', { currency: 'EUR', ...DE }), null);
+            assert.equal(normalize.toMinorUnits('1.234', { currency: 'JPY', ...US }), null);
+        });
+
+        it('uses the locale separator to read thousands groups', () => {
+            assert.equal(normalize.toMinorUnits('1,234', { currency: 'USD', ...US }), 123400);
+            assert.equal(normalize.toMinorUnits('1.234', { currency: 'EUR', ...DE }), 123400);
+            assert.equal(normalize.toMinorUnits('12.345 €', { currency: 'EUR', ...DE }), 1234500);
+        });
+
+        it('keeps three decimals of a three-decimal currency', () => {
+            assert.equal(normalize.toMinorUnits('1.234', { currency: 'KWD', ...US }), 1234);
+            assert.equal(normalize.toMinorUnits('KWD 12.5', { currency: 'KWD' }), 12500);
+        });
+
+        it('reads unambiguous amounts whatever the locale', () => {
+            assert.equal(normalize.toMinorUnits('$4,250.00', { currency: 'USD', ...US }), 425000);
+            assert.equal(normalize.toMinorUnits('1.234,56 €', { currency: 'EUR', ...DE }), 123456);
+            assert.equal(normalize.toMinorUnits('1,234.56', { currency: 'EUR', ...DE }), 123456);
+            assert.equal(normalize.toMinorUnits('1.234.567', { currency: 'EUR', ...US }), 123456700);
+            assert.equal(normalize.toMinorUnits("CHF 1'234.50", { currency: 'CHF' }), 123450);
+            assert.equal(normalize.toMinorUnits('1 234,50', { currency: 'EUR', ...DE }), 123450);
+            assert.equal(normalize.toMinorUnits('12.5', { currency: 'USD', ...DE }), 1250);
+        });
+
+        it('rounds digits beyond the currency precision half up', () => {
+            assert.equal(normalize.toMinorUnits('12.3456', { currency: 'USD' }), 1235);
+            assert.equal(normalize.toMinorUnits('12.3449', { currency: 'USD' }), 1234);
+            assert.equal(normalize.toMinorUnits('1500.5', { currency: 'JPY' }), 1501);
+        });
+
+        it('treats a number as decimal in any locale', () => {
+            assert.equal(normalize.toMinorUnits(12.345, { currency: 'USD', ...US }), 1235);
+            assert.equal(normalize.toMinorUnits(1.234, { currency: 'EUR', ...DE }), 123);
+            assert.equal(normalize.toMinorUnits(0.1 + 0.2, { currency: 'USD' }), 30);
+            assert.equal(normalize.toMinorUnits(190, { currency: 'USD' }), 19000);
+            assert.equal(normalize.toMinorUnits(NaN, { currency: 'USD' }), null);
+        });
+
+        it('reads negative amounts', () => {
+            assert.equal(normalize.toMinorUnits('(12.00)', { currency: 'USD' }), -1200);
+            assert.equal(normalize.toMinorUnits('-£25.00', { currency: 'GBP' }), -2500);
+            assert.equal(normalize.toMinorUnits('25.00 CR', { currency: 'USD' }), -2500);
+        });
+
+        it('returns null without a number', () => {
+            assert.equal(normalize.toMinorUnits('n/a', { currency: 'USD' }), null);
+            assert.equal(normalize.toMinorUnits(null), null);
+        });
+    });
+
+    describe('parseAmount', () => {
+        it('reads a leading zero amount as a fraction', () => {
+            assert.equal(normalize.parseAmount('0.005'), 0.005);
+            assert.equal(normalize.parseAmount('0,250', DE), 0.25);
+        });
+
+        it('follows the locale for a lone three-digit group', () => {
+            assert.equal(normalize.parseAmount('1,234', US), 1234);
+            assert.equal(normalize.parseAmount('1,234', DE), 1.234);
+        });
+    });
+
+    describe('minor units', () => {
+        it('converts back with the currency exponent', () => {
+            assert.equal(normalize.fromMinorUnits(123456, 'EUR'), 1234.56);
+            assert.equal(normalize.fromMinorUnits(1500, 'JPY'), 1500);
+            assert.equal(normalize.fromMinorUnits(1234, 'KWD'), 1.234);
+            assert.equal(normalize.formatMinorUnits(-5, 'USD'), '-0.05');
+            assert.equal(normalize.formatMinorUnits(1500, 'JPY'), '1500');
+        });
+    });
+
+    describe('resolveLocaleSettings', () => {
+        const config = {
+            defaultLocale: 'en-GB',
+            vendors: { 'fabrikam consulting gmbh': { locale: 'de-DE' }, 'tailspin toys': { dateOrder: 'MDY' } }
+        };
+
+        it('prefers the vendor, then the given locale, then the default', () => {
+            assert.deepEqual(
+                normalize.resolveLocaleSettings({ vendorName: 'Fabrikam Consulting GmbH ', locale: 'en-US', config }),
+                { locale: 'de-DE', dateOrder: 'DMY', decimalSeparator: ',' }
+            );
+            assert.equal(normalize.resolveLocaleSettings({ locale: 'fr-CA', config }).dateOrder, 'YMD');
+            assert.equal(normalize.resolveLocaleSettings({ config }).locale, 'en-GB');
+            assert.equal(normalize.resolveLocaleSettings({ vendorName: 'Tailspin Toys', config }).dateOrder, 'MDY');
+        });
+
+        it('falls back to a locale of the same language', () => {
+            assert.equal(normalize.resolveLocaleSettings({ locale: 'de-AT', config: {} }).decimalSeparator, ',');
+        });
+    });
+
+    describe('normalizeDate', () => {
+        it('reads numeric dates in the given order unless a part settles it', () => {
+            assert.equal(normalize.normalizeDate('03/04/2024', { dateOrder: 'MDY' }), '2024-03-04');
+            assert.equal(normalize.normalizeDate('03/04/2024', { dateOrder: 'DMY' }), '2024-04-03');
+            assert.equal(normalize.normalizeDate('25/12/24', { dateOrder: 'MDY' }), '2024-12-25');
+            assert.equal(normalize.normalizeDate('2024-01-22'), '2024-01-22');
+        });
+
+        it('reads month names in several languages', () => {
+            assert.equal(normalize.normalizeDate('March 15, 2024'), '2024-03-15');
+            assert.equal(normalize.normalizeDate('12 Feb 2024'), '2024-02-12');
+            assert.equal(normalize.normalizeDate('4. März 2025'), '2025-03-04');
+            assert.equal(normalize.normalizeDate('1st janvier 2024'), '2024-01-01');
+        });
+
+        it('rejects impossible dates', () => {
+            assert.equal(normalize.normalizeDate('02/30/2024'), null);
+            assert.equal(normalize.normalizeDate('soon'), null);
+        });
+    });
+
+    describe('detectCurrency', () => {
+        it('reads codes next to numbers, symbols and words', () => {
+            assert.equal(normalize.detectCurrency('EUR 2,427.60'), 'EUR');
+            assert.equal(normalize.detectCurrency('£284.40'), 'GBP');
+            assert.equal(normalize.detectCurrency('CA$ 12.00'), 'CAD');
+            assert.equal(normalize.detectCurrency('120 kr'), 'SEK');
+            assert.equal(normalize.detectCurrency('payable in euros'), 'EUR');
+        });
+
+        it('ignores words that only look like codes', () => {
+            assert.equal(normalize.detectCurrency('PLEASE TRY AGAIN', 'USD'), 'USD');
+        });
+    });
+});
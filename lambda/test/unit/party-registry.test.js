@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const { createLocalAws } = require('../local-aws');
+const {
+    STATUS, partyIdFor, nameSimilarity, buildParty, matchParty, createPartyRegistry
+} = require('../../script/lib/party-registry');
+
+const NORTHWIND = buildParty({
+    partyId: 'VEND-NORTHWIND',
+    name: 'Northwind Office Supplies',
+    aliases: ['NW Office Supplies'],
+    taxIds: ['12-3456789']
+});
+
+function createRegistry() {
+    const localAws = createLocalAws({ tables: [{ name: 'parties', key: ['partyId'] }] });
+    const registry = createPartyRegistry({
+        dynamodb: new localAws.sdk.DynamoDB.DocumentClient(),
+        tableName: 'parties',
+        cacheTtl: 0
+    });
+    return { localAws, registry };
+}
+
+describe('party-registry', () => {
+    describe('buildParty', () => {
+        it('normalizes names, aliases, tax IDs and emails', () => {
+            const party = buildParty({
+                name: ' Contoso, Ltd. ',
+                aliases: ['CONTOSO LTD', 'Contoso Pharma'],
+                taxIds: ['de 123 456 789', 'DE123456789'],
+                emails: [' AP@Contoso.example ']
+            });
+
+            assert.equal(party.partyId, partyIdFor('vendor', 'contoso'));
+            assert.equal(party.name, 'Contoso, Ltd.');
+            assert.deepEqual(party.aliases, ['contoso pharma']);
+            assert.deepEqual(party.taxIds, ['DE123456789']);
+            assert.deepEqual(party.emails, ['ap@contoso.example']);
+        });
+
+        it('rejects entries without a name or with an unknown type', () => {
+            assert.throws(() => buildParty({ name: '  ' }), { statusCode: 400 });
+            assert.throws(() => buildParty({ name: 'Contoso', type: 'carrier' }), { statusCode: 400 });
+        });
+    });
+
+    describe('matchParty', () => {
+        const parties = [NORTHWIND, buildParty({ name: 'Fabrikam Consulting', type: 'customer' })];
+
+        it('matches by tax ID, exact name, alias, then similarity', () => {
+            assert.equal(matchParty(parties, { name: 'Someone Else', taxId: '12 3456789' }).method, 'tax_id');
+            assert.equal(matchParty(parties, { name: 'NORTHWIND OFFICE SUPPLIES INC' }).method, 'exact');
+            assert.equal(matchParty(parties, { name: 'nw office supplies' }).method, 'alias');
+
+            const fuzzy = matchParty(parties, { name: 'Northwind 0ffice Supplies' });
+            assert.equal(fuzzy.method, 'fuzzy');
+            assert.equal(fuzzy.party.partyId, 'VEND-NORTHWIND');
+        });
+
+        it('only matches parties of the same type', () => {
+            assert.equal(matchParty(parties, { name: 'Fabrikam Consulting' }).party, null);
+            assert.equal(matchParty(parties, { type: 'customer', name: 'Fabrikam Consulting' }).method, 'exact');
+        });
+
+        it('does not trust a fuzzy match that barely beats the runner-up', () => {
+            const close = [
+                buildParty({ name: 'Alpine Ski House East' }),
+                buildParty({ name: 'Alpine Ski House West' })
+            ];
+            const match = matchParty(close, { name: 'Alpine Ski House Est' });
+            assert.equal(match.party, null);
+            assert.equal(match.candidates.length, 2);
+        });
+    });
+
+    it('scores name similarity between 0 and 1', () => {
+        assert.equal(nameSimilarity('contoso', 'contoso'), 1);
+        assert.equal(nameSimilarity('contoso', ''), 0);
+        assert.equal(nameSimilarity('abcd', 'abce'), 0.75);
+    });
+
+    describe('createPartyRegistry', () => {
+        it('creates a provisional party for an unknown name and finds it again', async () => {
+            const { registry } = createRegistry();
+            await registry.upsert(NORTHWIND);
+
+            const first = await registry.resolve({ name: 'Tailspin Toys', taxId: 'TT-99' });
+            assert.equal(first.method, 'provisional');
+            assert.equal(first.provisional, true);
+            assert.equal(first.partyId, partyIdFor('vendor', 'tailspin toys'));
+
+            const again = await registry.resolve({ name: 'Tailspin Toys' });
+            assert.equal(again.method, 'exact');
+            assert.equal(again.partyId, first.partyId);
+        });
+
+        it('activates a provisional party and drops its possible matches', async () => {
+            const { registry } = createRegistry();
+            const provisional = await registry.createProvisional({
+                name: 'Northwind Supplies',
+                possibleMatches: [{ partyId: 'VEND-NORTHWIND', similarity: 0.86 }]
+            });
+
+            const active = await registry.activate(provisional.partyId);
+            assert.equal(active.status, STATUS.ACTIVE);
+            assert.equal(active.possibleMatches, undefined);
+            assert.ok(active.updatedAt >= provisional.updatedAt);
+
+            await assert.rejects(registry.activate(provisional.partyId), { statusCode: 409, message: /not provisional/ });
+        });
+
+        it('merges a party into another and resolves the old name there', async () => {
+            const { registry } = createRegistry();
+            await registry.upsert(NORTHWIND);
+            const provisional = await registry.createProvisional({ name: 'Northwind Depot', taxIds: ['NW-77'], emails: ['ap@northwind.example'] });
+
+            const merged = await registry.merge(provisional.partyId, 'VEND-NORTHWIND');
+            assert.deepEqual(merged.aliases, ['nw office supplies', 'northwind depot']);
+            assert.deepEqual(merged.taxIds, ['123456789', 'NW77']);
+            assert.deepEqual(merged.emails, ['ap@northwind.example']);
+
+            assert.equal((await registry.get(provisional.partyId)).mergedInto, 'VEND-NORTHWIND');
+            assert.equal((await registry.find(provisional.partyId)).partyId, 'VEND-NORTHWIND');
+            assert.equal((await registry.resolve({ name: 'Northwind Depot' })).partyId, 'VEND-NORTHWIND');
+        });
+
+        it('adds an alias once', async () => {
+            const { registry } = createRegistry();
+            await registry.upsert(NORTHWIND);
+
+            await registry.addAlias('VEND-NORTHWIND', 'Northwind Seattle');
+            const party = await registry.addAlias('VEND-NORTHWIND', 'NORTHWIND SEATTLE');
+            assert.deepEqual(party.aliases, ['nw office supplies', 'northwind seattle']);
+            await assert.rejects(registry.addAlias('VEND-MISSING', 'x'), { statusCode: 404 });
+        });
+    });
+});
@@ -0,0 +1,144 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const { buildPurchaseOrder, buildReceipt } = require('../../script/lib/purchase-orders');
+const { MATCH_STATUS, DEFAULT_TOLERANCES, descriptionSimilarity, matchInvoice, createPurchaseOrderMatcher } = require('../../script/lib/po-matching');
+
+function purchaseOrder({ received = [10, 2], ...overrides } = {}) {
+    const order = buildPurchaseOrder({
+        poNumber: 'PO-4471',
+        vendorName: 'Northwind Office Supplies',
+        lines: [
+            { lineNumber: 1, sku: null, description: 'A4 printer paper, 500 sheets', quantity: 10, unitPrice: '4.50' },
+            { lineNumber: 2, sku: null, description: 'Toner cartridge black', quantity: 2, unitPrice: '62.00' }
+        ],
+        ...overrides
+    });
+    const lines = received.map((quantity, index) => ({ lineNumber: index + 1, quantity })).filter(line => line.quantity > 0);
+    if (lines.length > 0) order.receipts = { 'GR-1': buildReceipt({ receiptId: 'GR-1', lines }) };
+    return order;
+}
+
+function invoice(overrides = {}) {
+    return {
+        invoiceId: 'NW-2024-0050',
+        poNumber: 'po 4471',
+        vendorName: 'Northwind Office Supplies Inc',
+        currency: 'USD',
+        subtotal: 169,
+        totalAmount: 182.52,
+        lineItems: [
+            { description: 'Printer paper A4', quantity: 10, unitPrice: 4.5, lineTotal: 45 },
+            { description: 'Toner cartridge', quantity: 2, unitPrice: 62, lineTotal: 124 }
+        ],
+        ...overrides
+    };
+}
+
+function codes(result) {
+    return result.reasons.map(reason => reason.code);
+}
+
+describe('po-matching', () => {
+    it('matches an invoice that bills what was ordered and received', () => {
+        const result = matchInvoice(invoice(), purchaseOrder(), DEFAULT_TOLERANCES);
+
+        assert.equal(result.status, MATCH_STATUS.MATCHED);
+        assert.equal(result.poNumber, 'PO-4471');
+        assert.deepEqual(result.amounts, { currency: 'USD', invoiceMinor: 16900, orderedMinor: 16900, receivedMinor: 16900 });
+        assert.deepEqual(result.lines.map(line => [line.invoiceLine, line.poLine]), [[1, 1], [2, 2]]);
+    });
+
+    it('cannot tie an invoice without a known, open order from its vendor', () => {
+        assert.deepEqual(codes(matchInvoice(invoice({ poNumber: null }), null, DEFAULT_TOLERANCES)), ['po_missing']);
+        assert.deepEqual(codes(matchInvoice(invoice(), null, DEFAULT_TOLERANCES)), ['po_not_found']);
+
+        const closed = matchInvoice(invoice(), purchaseOrder({ status: 'closed' }), DEFAULT_TOLERANCES);
+        assert.equal(closed.status, MATCH_STATUS.UNMATCHED);
+        assert.deepEqual(codes(closed), ['po_closed']);
+
+        assert.deepEqual(codes(matchInvoice(invoice({ vendorName: 'Contoso Ltd' }), purchaseOrder(), DEFAULT_TOLERANCES)), ['vendor_mismatch']);
+        assert.deepEqual(codes(matchInvoice(invoice({ currency: 'EUR' }), purchaseOrder(), DEFAULT_TOLERANCES)), ['currency_mismatch']);
+    });
+
+    it('prefers registry IDs over vendor names', () => {
+        const order = purchaseOrder({ vendorId: 'VEND-NORTHWIND' });
+        assert.equal(matchInvoice(invoice({ vendorId: 'VEND-NORTHWIND', vendorName: 'NW' }), order, DEFAULT_TOLERANCES).status, MATCH_STATUS.MATCHED);
+        assert.deepEqual(codes(matchInvoice(invoice({ vendorId: 'VEND-OTHER' }), order, DEFAULT_TOLERANCES)), ['vendor_mismatch']);
+    });
+
+    it('is partial when prices or quantities are off', () => {
+        const result = matchInvoice(invoice({
+            subtotal: 177.6,
+            lineItems: [
+                { description: 'Printer paper A4', quantity: 12, unitPrice: 4.5 },
+                { description: 'Toner cartridge', quantity: 2, unitPrice: 61.8 }
+            ]
+        }), purchaseOrder(), DEFAULT_TOLERANCES);
+
+        assert.equal(result.status, MATCH_STATUS.PARTIAL);
+        assert.deepEqual(codes(result), ['amount_over_ordered', 'quantity_over_ordered']);
+
+        const pricey = matchInvoice(invoice({
+            lineItems: [{ description: 'Toner cartridge', quantity: 2, unitPrice: 64 }]
+        }), purchaseOrder(), DEFAULT_TOLERANCES);
+        assert.deepEqual(codes(pricey), ['price_variance']);
+    });
+
+    it('checks what was received as well as what was ordered', () => {
+        const partly = matchInvoice(invoice(), purchaseOrder({ received: [10, 1] }), DEFAULT_TOLERANCES);
+        assert.deepEqual(codes(partly), ['amount_over_received', 'quantity_over_received']);
+        assert.equal(partly.amounts.receivedMinor, 10700);
+
+        const nothing = matchInvoice(invoice(), purchaseOrder({ received: [] }), DEFAULT_TOLERANCES);
+        assert.equal(nothing.status, MATCH_STATUS.UNMATCHED);
+        assert.deepEqual(codes(nothing), ['nothing_received']);
+    });
+
+    it('accepts an invoice for part of the order', () => {
+        const result = matchInvoice(invoice({
+            subtotal: 45,
+            lineItems: [{ description: 'Printer paper A4', quantity: 10, unitPrice: 4.5 }]
+        }), purchaseOrder({ received: [10, 0] }), DEFAULT_TOLERANCES);
+        assert.equal(result.status, MATCH_STATUS.MATCHED);
+    });
+
+    it('reports lines that are not on the order', () => {
+        const extra = invoice({ lineItems: [...invoice().lineItems, { description: 'Stapler', quantity: 1, unitPrice: 9 }] });
+        assert.deepEqual(codes(matchInvoice(extra, purchaseOrder(), DEFAULT_TOLERANCES)), ['line_unmatched']);
+
+        const unrelated = invoice({ lineItems: [{ description: 'Consulting hours', quantity: 3, unitPrice: 10 }], subtotal: 30 });
+        assert.deepEqual(codes(matchInvoice(unrelated, purchaseOrder(), DEFAULT_TOLERANCES)), ['no_lines_matched']);
+    });
+
+    it('pairs lines by SKU before description', () => {
+        const order = purchaseOrder({
+            lines: [
+                { lineNumber: 1, sku: 'PAP-A4', description: 'Paper', quantity: 10, unitPrice: '4.50' },
+                { lineNumber: 2, sku: 'TON-BK', description: 'Paper toner', quantity: 2, unitPrice: '62.00' }
+            ]
+        });
+        const result = matchInvoice(invoice({
+            lineItems: [{ sku: 'TON-BK', description: 'Paper', quantity: 2, unitPrice: 62 }],
+            subtotal: 124
+        }), order, DEFAULT_TOLERANCES);
+        assert.equal(result.lines[0].poLine, 2);
+    });
+
+    it('scores descriptions by shared words or edit distance', () => {
+        assert.equal(descriptionSimilarity('Printer paper A4', 'A4 printer paper, 500 sheets'), 1);
+        assert.ok(descriptionSimilarity('Toner cartrige', 'Toner cartridge') > 0.9);
+        assert.equal(descriptionSimilarity('', 'Toner'), 0);
+    });
+
+    it('looks the order up by the invoice PO number', async () => {
+        const lookedUp = [];
+        const matcher = createPurchaseOrderMatcher({
+            store: { get: async poNumber => { lookedUp.push(poNumber); return purchaseOrder(); } },
+            tolerances: DEFAULT_TOLERANCES
+        });
+
+        assert.equal((await matcher.match(invoice())).status, MATCH_STATUS.MATCHED);
+        assert.equal((await matcher.match(invoice({ poNumber: '' }))).status, MATCH_STATUS.UNMATCHED);
+        assert.deepEqual(lookedUp, ['po 4471']);
+    });
+});
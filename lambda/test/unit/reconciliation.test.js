@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const { reconcileInvoice } = require('../../script/lib/reconciliation');
+
+function invoice(invoiceData) {
+    return { invoiceData };
+}
+
+const LINES = [
+    { description: 'Printer paper A4', lineTotal: 45 },
+    { description: 'Toner cartridge', lineTotal: 124 }
+];
+
+describe('reconciliation', () => {
+    it('matches when line items, tax and shipping add up to the total', () => {
+        const result = reconcileInvoice(invoice({
+            lineItems: LINES, taxAmount: 13.52, shippingAmount: 7.48, totalAmount: 190
+        }));
+
+        assert.equal(result.status, 'matched');
+        assert.equal(result.lineItemsTotal, 169);
+        assert.equal(result.expectedTotal, 190);
+        assert.equal(result.discrepancy, 0);
+    });
+
+    it('subtracts discounts whichever sign they were extracted with', () => {
+        for (const discountAmount of [25, -25]) {
+            const result = reconcileInvoice(invoice({
+                lineItems: [{ lineTotal: 130 }, { lineTotal: 120 }],
+                discountAmount, shippingAmount: 12, taxAmount: 47.4, totalAmount: 284.4
+            }));
+            assert.equal(result.status, 'matched');
+        }
+    });
+
+    it('explains a total that is really the subtotal', () => {
+        const result = reconcileInvoice(invoice({
+            lineItems: LINES, subtotal: 169, taxAmount: 13.52, shippingAmount: 7.48, totalAmount: 169
+        }));
+
+        assert.equal(result.status, 'mismatch');
+        assert.equal(result.discrepancy, -21);
+        assert.match(result.reasons[1], /grand total was probably missed/);
+    });
+
+    it('explains a total that is the sum of the line items before tax', () => {
+        const result = reconcileInvoice(invoice({ lineItems: LINES, taxAmount: 13.52, totalAmount: 169 }));
+        assert.match(result.reasons[1], /sum of line items before tax/);
+    });
+
+    it('allows the larger of the absolute and relative tolerance', () => {
+        const lineItems = [{ lineTotal: 10000 }];
+        assert.equal(reconcileInvoice(invoice({ lineItems, totalAmount: 10040 })).status, 'matched');
+        assert.equal(reconcileInvoice(invoice({ lineItems, totalAmount: 10060 })).status, 'mismatch');
+        assert.equal(reconcileInvoice(invoice({ lineItems: [{ lineTotal: 10 }], totalAmount: 10.05 })).status, 'matched');
+        assert.equal(reconcileInvoice(invoice({ lineItems: [{ lineTotal: 10 }], totalAmount: 10.06 })).status, 'mismatch');
+    });
+
+    it('estimates tax from line item tax amounts or rates when there is no tax line', () => {
+        const byAmount = reconcileInvoice(invoice({
+            lineItems: [{ lineTotal: 100, taxAmount: 19 }, { lineTotal: 50, taxAmount: 9.5 }], totalAmount: 178.5
+        }));
+        assert.equal(byAmount.status, 'matched');
+        assert.equal(byAmount.components.taxAmount, 28.5);
+
+        const byRate = reconcileInvoice(invoice({
+            lineItems: [{ lineTotal: 100, taxRate: 0.2 }, { lineTotal: 50, taxRate: 0 }], totalAmount: 170
+        }));
+        assert.equal(byRate.status, 'matched');
+        assert.equal(byRate.components.taxAmount, 20);
+    });
+
+    it('skips invoices without line item amounts or a total', () => {
+        assert.equal(reconcileInvoice(invoice({ lineItems: [{ description: 'Notes' }], totalAmount: 10 })).status, 'skipped');
+        assert.equal(reconcileInvoice(invoice({ lineItems: LINES, totalAmount: null })).status, 'skipped');
+        assert.equal(reconcileInvoice({}).status, 'skipped');
+    });
+});
@@ -0,0 +1,164 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const { createLocalAws } = require('../local-aws');
+const {
+    STATUS, assessConfidence, applyCorrections, normalizeCorrection, createReviewQueue
+} = require('../../script/lib/review-queue');
+
+const THRESHOLDS = { invoiceNumber: 80, totalAmount: 80, vendorName: 60 };
+
+function extraction(invoiceData, confidence = {}, normalization = null) {
+    return { invoiceData, confidence, normalization, fieldSources: {} };
+}
+
+function createQueue({ claimSeconds = 60 } = {}) {
+    const localAws = createLocalAws({
+        tables: [{ name: 'reviews', key: ['reviewId'], indexes: { 'status-index': ['status', 'createdAt'] } }]
+    });
+    localAws.createBucket('processed');
+    const queue = createReviewQueue({
+        dynamodb: new localAws.sdk.DynamoDB.DocumentClient(),
+        s3: new localAws.sdk.S3(),
+        tableName: 'reviews',
+        bucketName: 'processed',
+        claimSeconds
+    });
+    return { localAws, queue };
+}
+
+describe('review-queue', () => {
+    describe('assessConfidence', () => {
+        it('flags missing and low-confidence fields against their thresholds', () => {
+            const result = assessConfidence(extraction(
+                { invoiceNumber: 'INV-1', totalAmount: 100, vendorName: '' },
+                { invoiceNumber: 95, totalAmount: 70 }
+            ), THRESHOLDS);
+
+            assert.equal(result.reviewRequired, true);
+            assert.deepEqual(result.reasons, [
+                { field: 'totalAmount', reason: 'low_confidence', confidence: 70, threshold: 80 },
+                { field: 'vendorName', reason: 'missing', confidence: 0, threshold: 60 }
+            ]);
+        });
+
+        it('adds fields normalization could not read once', () => {
+            const result = assessConfidence(extraction(
+                { invoiceNumber: 'INV-1', totalAmount: 100, vendorName: 'Contoso', invoiceDate: '32/13/2024' },
+                { invoiceNumber: 95, totalAmount: 95, vendorName: 95, invoiceDate: 90 },
+                { unparsed: ['invoiceDate', 'totalAmount'] }
+            ), THRESHOLDS);
+
+            assert.deepEqual(result.reasons.map(reason => [reason.field, reason.reason]), [
+                ['invoiceDate', 'unparsed'],
+                ['totalAmount', 'unparsed']
+            ]);
+        });
+
+        it('skips fields whose threshold is zero', () => {
+            const result = assessConfidence(extraction({ invoiceNumber: 'INV-1' }, { invoiceNumber: 90 }), {
+                invoiceNumber: 80, vendorName: 0
+            });
+            assert.equal(result.reviewRequired, false);
+        });
+    });
+
+    describe('normalizeCorrection', () => {
+        it('normalizes dates, amounts and currencies', () => {
+            assert.equal(normalizeCorrection('invoiceDate', '03/04/2024', { dateOrder: 'DMY' }), '2024-04-03');
+            assert.equal(normalizeCorrection('totalAmount', '1.234,50', { decimalSeparator: ',' }, 'EUR'), 1234.5);
+            assert.equal(normalizeCorrection('currency', 'eur'), 'EUR');
+            assert.equal(normalizeCorrection('vendorName', '  Contoso Ltd '), 'Contoso Ltd');
+            assert.equal(normalizeCorrection('dueDate', ''), null);
+        });
+
+        it('rejects fields that cannot be corrected and values it cannot read', () => {
+            assert.throws(() => normalizeCorrection('lineItems', []), { statusCode: 400 });
+            assert.throws(() => normalizeCorrection('invoiceDate', 'soon'), { statusCode: 400 });
+            assert.throws(() => normalizeCorrection('totalAmount', 'n/a', {}, 'USD'), { statusCode: 400 });
+            assert.throws(() => normalizeCorrection('currency', 'XYZ'), { statusCode: 400 });
+        });
+    });
+
+    describe('applyCorrections', () => {
+        it('applies the currency before amounts and marks corrected fields as reviewed', () => {
+            const original = extraction(
+                { currency: 'USD', totalAmount: 1500, minorUnits: { totalAmount: 150000 } },
+                { totalAmount: 40, currency: 50 },
+                { decimalSeparator: '.' }
+            );
+            const corrected = applyCorrections(original, {
+                totalAmount: { corrected: 1500.5 },
+                currency: { corrected: 'JPY' }
+            });
+
+            assert.equal(corrected.invoiceData.currency, 'JPY');
+            assert.equal(corrected.invoiceData.minorUnits.totalAmount, 1501);
+            assert.equal(corrected.invoiceData.totalAmount, 1501);
+            assert.equal(corrected.confidence.totalAmount, 100);
+            assert.equal(corrected.fieldSources.currency, 'review');
+            assert.equal(original.invoiceData.currency, 'USD');
+        });
+    });
+
+    describe('createReviewQueue', () => {
+        const EXTRACTION = extraction(
+            { invoiceNumber: 'INV-9', totalAmount: 99, currency: 'USD', lineItems: [{ description: 'Paper' }] },
+            { invoiceNumber: 60, totalAmount: 95 },
+            { decimalSeparator: '.', dateOrder: 'MDY' }
+        );
+
+        it('parks the extraction in S3 and a summary in the table', async () => {
+            const { localAws, queue } = createQueue();
+            const item = await queue.enqueue({
+                extractedData: EXTRACTION,
+                sourceFile: 'invoices/inv-9.pdf',
+                sourceBucket: 'uploads',
+                reasons: [{ field: 'invoiceNumber', reason: 'low_confidence', confidence: 60, threshold: 80 }]
+            });
+
+            assert.equal(item.status, STATUS.PENDING);
+            assert.equal(item.invoiceData.lineItemsCount, 1);
+            assert.equal(item.invoiceData.lineItems, undefined);
+            assert.deepEqual(await queue.loadExtraction(item), EXTRACTION);
+            assert.deepEqual((await queue.list()).items.map(listed => listed.reviewId), [item.reviewId]);
+            assert.deepEqual(localAws.listObjects('processed'), [`review/${item.reviewId}/extracted-data.json`]);
+        });
+
+        it('keeps the first extracted value through repeated corrections and records the decision', async () => {
+            const { queue } = createQueue();
+            const { reviewId } = await queue.enqueue({ extractedData: EXTRACTION, sourceFile: 'a.pdf', sourceBucket: 'uploads', reasons: [] });
+
+            await queue.claim(reviewId, 'alex');
+            await queue.correct(reviewId, 'alex', { invoiceNumber: 'INV-90' });
+            const corrected = await queue.correct(reviewId, 'alex', { invoiceNumber: 'INV-99' });
+            assert.equal(corrected.corrections.invoiceNumber.original, 'INV-9');
+            assert.equal(corrected.corrections.invoiceNumber.corrected, 'INV-99');
+
+            const decided = await queue.decide(reviewId, 'alex', STATUS.APPROVED, 'checked against the PDF');
+            assert.equal(decided.status, STATUS.APPROVED);
+            assert.equal(decided.claimedBy, undefined);
+            assert.deepEqual(decided.history.map(entry => entry.action), ['queued', 'claimed', 'corrected', 'corrected', 'approved']);
+        });
+
+        it('refuses a claim held by another reviewer and changes without a claim', async () => {
+            const { queue } = createQueue();
+            const { reviewId } = await queue.enqueue({ extractedData: EXTRACTION, sourceFile: 'a.pdf', sourceBucket: 'uploads', reasons: [] });
+
+            await assert.rejects(queue.correct(reviewId, 'sam', { invoiceNumber: 'INV-1' }), { statusCode: 409 });
+            await queue.claim(reviewId, 'alex');
+            await assert.rejects(queue.claim(reviewId, 'sam'), { statusCode: 409 });
+            await assert.rejects(queue.decide(reviewId, 'sam', STATUS.REJECTED), { statusCode: 409 });
+            await assert.rejects(queue.decide(reviewId, 'alex', 'maybe'), { statusCode: 400 });
+            await assert.rejects(queue.get('missing'), { statusCode: 404 });
+        });
+
+        it('lets another reviewer take over a lapsed claim', async () => {
+            const { queue } = createQueue({ claimSeconds: -1 });
+            const { reviewId } = await queue.enqueue({ extractedData: EXTRACTION, sourceFile: 'a.pdf', sourceBucket: 'uploads', reasons: [] });
+
+            await queue.claim(reviewId, 'alex');
+            await assert.rejects(queue.correct(reviewId, 'alex', { invoiceNumber: 'INV-1' }), { statusCode: 409 });
+            assert.equal((await queue.claim(reviewId, 'sam')).claimedBy, 'sam');
+        });
+    });
+});
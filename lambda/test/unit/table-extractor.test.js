@@ -0,0 +1,172 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const { extractTables, mapLineItems, mapColumns, detectHeaderRow } = require('../../script/lib/table-extractor');
+
+function table(headers, rows, page = 1) {
+    return { headers, rows, page };
+}
+
+// CELL blocks with one WORD each, as Textract returns them
+function tableBlocks(grid, { headerRow = true, merged = [] } = {}) {
+    const blocks = [];
+    const cellIds = [];
+    let n = 0;
+
+    grid.forEach((row, r) => row.forEach((text, c) => {
+        const cell = { BlockType: 'CELL', Id: `cell-${n++}`, RowIndex: r + 1, ColumnIndex: c + 1 };
+        if (headerRow && r === 0) cell.EntityTypes = ['COLUMN_HEADER'];
+        if (text) {
+            const word = { BlockType: 'WORD', Id: `word-${n++}`, Text: text };
+            cell.Relationships = [{ Type: 'CHILD', Ids: [word.Id] }];
+            blocks.push(word);
+        }
+        blocks.push(cell);
+        cellIds.push(cell.Id);
+    }));
+
+    const mergedIds = merged.map(({ row, column, rowSpan = 1, columnSpan = 1, cells }) => {
+        const block = {
+            BlockType: 'MERGED_CELL', Id: `merged-${n++}`, RowIndex: row, ColumnIndex: column,
+            RowSpan: rowSpan, ColumnSpan: columnSpan,
+            Relationships: [{ Type: 'CHILD', Ids: cells.map(([r, c]) => cellIds[(r - 1) * grid[0].length + (c - 1)]) }]
+        };
+        blocks.push(block);
+        return block.Id;
+    });
+
+    const relationships = [{ Type: 'CHILD', Ids: cellIds }];
+    if (mergedIds.length > 0) relationships.push({ Type: 'MERGED_CELL', Ids: mergedIds });
+    blocks.unshift({ BlockType: 'TABLE', Id: 'table-1', Page: 2, Confidence: 97, Relationships: relationships });
+    return blocks;
+}
+
+describe('table-extractor', () => {
+    describe('mapColumns', () => {
+        it('maps a "Tax Amount" header to taxAmount rather than the line total', () => {
+            assert.deepEqual(
+                mapColumns(['Description', 'Qty', 'Unit Price', 'Tax Amount', 'Amount']),
+                { description: 0, quantity: 1, unitPrice: 2, taxAmount: 3, lineTotal: 4 }
+            );
+        });
+
+        it('keeps tax rate and tax amount columns apart', () => {
+            assert.deepEqual(
+                mapColumns(['Item', 'VAT %', 'VAT Amount (EUR)', 'Total']),
+                { description: 0, taxRate: 1, taxAmount: 2, lineTotal: 3 }
+            );
+        });
+
+        it('prefers an exact synonym over a substring match', () => {
+            assert.deepEqual(mapColumns(['Description', 'Unit Price', 'Price']), { description: 0, unitPrice: 1 });
+        });
+
+        it('lets an exact match in a later column win over an earlier substring match', () => {
+            assert.deepEqual(
+                mapColumns(['Item #', 'Description', 'Qty', 'Unit Price', 'Amount']),
+                { description: 1, quantity: 2, unitPrice: 3, lineTotal: 4 }
+            );
+        });
+
+        it('never reads a tax column as the line total', () => {
+            assert.deepEqual(
+                mapColumns(['Description', 'Qty', 'Price', 'Total Tax', 'Line Total']),
+                { description: 0, quantity: 1, unitPrice: 2, taxAmount: 3, lineTotal: 4 }
+            );
+            assert.deepEqual(mapColumns(['Description', 'Qty', 'Price', 'Tax Total']), { description: 0, quantity: 1, unitPrice: 2, taxAmount: 3 });
+        });
+
+        it('does not read a unit of measure column as the unit price', () => {
+            assert.deepEqual(
+                mapColumns(['Description', 'Qty', 'Unit', 'Unit Price', 'Amount']),
+                { description: 0, quantity: 1, unitPrice: 3, lineTotal: 4 }
+            );
+        });
+    });
+
+    describe('mapLineItems', () => {
+        it('reads tax amounts as money and tax rates as fractions', () => {
+            const items = mapLineItems([table(
+                ['Description', 'Qty', 'Unit Price', 'Tax', 'Tax Amount', 'Amount'],
+                [['Widget', '2', '$10.00', '8%', '$1.60', '$20.00']]
+            )]);
+
+            assert.deepEqual(items, [{
+                description: 'Widget',
+                quantity: 2,
+                unitPrice: 10,
+                lineTotal: 20,
+                taxRate: 0.08,
+                taxAmount: 1.6,
+                page: 1
+            }]);
+        });
+
+        it('does not take the tax amount column for the line total when there is no amount column', () => {
+            const [item] = mapLineItems([table(
+                ['Description', 'Qty', 'Rate', 'Tax Amount'],
+                [['Consulting', '3', '100.00', '57.00']]
+            )]);
+
+            assert.equal(item.lineTotal, 300);
+            assert.equal(item.taxAmount, 57);
+            assert.equal(item.taxRate, null);
+        });
+
+        it('computes the line total from quantity and unit price', () => {
+            const [item] = mapLineItems([table(['Item', 'Qty', 'Price'], [['Paper', '3', '4.15']])]);
+            assert.equal(item.lineTotal, 12.45);
+        });
+
+        it('skips summary rows and rows without a description', () => {
+            const items = mapLineItems([table(
+                ['Description', 'Amount'],
+                [['Paper', '10.00'], ['', '5.00'], ['Subtotal', '10.00'], ['Tax', '0.80'], ['Total', '10.80']]
+            )]);
+
+            assert.deepEqual(items.map(item => item.description), ['Paper']);
+        });
+
+        it('ignores tables without a description and an amount column', () => {
+            assert.deepEqual(mapLineItems([table(['Name', 'Phone'], [['Jane', '555-0100']])]), []);
+        });
+
+        it('parses amounts in the locale it is given', () => {
+            const [item] = mapLineItems(
+                [table(['Item', 'Qty', 'Unit Price', 'Total'], [['Wrench', '4', '189,90 €', '759,60 €']])],
+                { locale: 'de-DE' }
+            );
+            assert.equal(item.unitPrice, 189.9);
+            assert.equal(item.lineTotal, 759.6);
+        });
+    });
+
+    describe('extractTables', () => {
+        it('rebuilds the grid and takes the COLUMN_HEADER row as the headers', () => {
+            const [result] = extractTables(tableBlocks([
+                ['Description', 'Amount'],
+                ['Paper', '$4.50']
+            ]));
+
+            assert.equal(result.page, 2);
+            assert.deepEqual(result.headers, ['Description', 'Amount']);
+            assert.deepEqual(result.rows, [['Paper', '$4.50']]);
+        });
+
+        it('spreads merged cell text over its span', () => {
+            const [result] = extractTables(tableBlocks([
+                ['Description', 'Qty', 'Amount'],
+                ['Freight', '', '$20.00']
+            ], { merged: [{ row: 2, column: 1, columnSpan: 2, cells: [[2, 1], [2, 2]] }] }));
+
+            assert.deepEqual(result.rows, [['Freight', 'Freight', '$20.00']]);
+        });
+
+        it('finds the header row from column names without COLUMN_HEADER hints', () => {
+            const grid = [['Order 42', 'March 2024'], ['Description', 'Amount'], ['Paper', '4.50']];
+            assert.equal(detectHeaderRow(grid), 1);
+
+            const [result] = extractTables(tableBlocks(grid, { headerRow: false }));
+            assert.deepEqual(result.rows, [['Paper', '4.50']]);
+        });
+    });
+});
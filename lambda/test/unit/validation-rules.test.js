@@ -0,0 +1,156 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rules = require('../../script/lib/validation-rules');
+
+function invoice(overrides = {}) {
+    return {
+        invoiceId: 'NW-2024-0042',
+        customerId: 'CUST-123',
+        vendorName: 'Northwind Office Supplies',
+        amount: 190,
+        subtotal: 169,
+        taxAmount: 13.52,
+        shippingAmount: 7.48,
+        currency: 'USD',
+        invoiceDate: '2999-03-04',
+        dueDate: '2999-04-03',
+        ...overrides
+    };
+}
+
+function ruleIds(result) {
+    return result.errors.map(error => error.ruleId);
+}
+
+describe('validation-rules', () => {
+    describe('built-in rules', () => {
+        it('accepts an invoice whose amounts add up', () => {
+            const result = rules.validateInvoice([], invoice());
+            assert.equal(result.isValid, true);
+            assert.deepEqual(result.ruleSetIds, ['builtin']);
+            assert.deepEqual(result.warnings, []);
+        });
+
+        it('reports every violation, not just the first', () => {
+            const result = rules.validateInvoice([], invoice({
+                invoiceId: ' ', currency: 'XYZ', dueDate: '2999-03-01', amount: 150
+            }));
+            assert.deepEqual(ruleIds(result), ['required-fields', 'due-after-invoice-date', 'currency', 'tax-math']);
+            assert.equal(result.errors[0].message, 'invoiceId is required');
+        });
+
+        it('flags an overdue invoice as a warning', () => {
+            const result = rules.validateInvoice([], invoice({ invoiceDate: '2024-01-01', dueDate: '2024-01-31' }));
+            assert.equal(result.isValid, true);
+            assert.deepEqual(result.warnings.map(warning => warning.message), ['Invoice is past its due date']);
+        });
+
+        it('reads amounts in the vendor locale when there are no minor units', () => {
+            const german = invoice({ currency: 'EUR', locale: 'de-DE', amount: '1.190,00', subtotal: '1.000,00', taxAmount: '190,00', shippingAmount: null });
+            assert.equal(rules.validateInvoice([], german).isValid, true);
+        });
+
+        it('checks the tax against the tax rate within the tolerance', () => {
+            const taxed = invoice({ subtotal: 100, taxAmount: 19, shippingAmount: 0, amount: 119 });
+            assert.equal(rules.validateInvoice([], { ...taxed, taxRate: 19 }).isValid, true);
+
+            const result = rules.validateInvoice([], { ...taxed, taxRate: 20 });
+            assert.deepEqual(result.errors.map(error => error.field), ['taxAmount']);
+            assert.match(result.errors[0].message, /is not 20% of subtotal \(20\.00\)/);
+        });
+    });
+
+    describe('rule types', () => {
+        const evaluate = (rule, values) => rules.evaluateRules([{ ruleSetId: 'test', ...rule }], values);
+
+        it('range compares numbers and ISO dates inclusively', () => {
+            assert.equal(evaluate({ id: 'r', type: 'range', field: 'amount', min: 10, max: 100 }, { amount: 100 }).isValid, true);
+            assert.equal(evaluate({ id: 'r', type: 'range', field: 'amount', max: 100 }, { amount: 100.01 }).isValid, false);
+            assert.equal(evaluate({ id: 'r', type: 'range', field: 'dueDate', min: '2024-01-01' }, { dueDate: '2023-12-31' }).isValid, false);
+        });
+
+        it('pattern tests the value as a string', () => {
+            const rule = { id: 'p', type: 'pattern', field: 'invoiceId', pattern: '^nw-\\d+', flags: 'i' };
+            assert.equal(evaluate(rule, { invoiceId: 'NW-2024' }).isValid, true);
+            assert.equal(evaluate(rule, { invoiceId: 'INV-1' }).isValid, false);
+        });
+
+        it('compare resolves relative dates and dotted fields', () => {
+            const rule = { id: 'c', type: 'compare', field: 'dates.due', operator: '<=', value: '$today+30' };
+            assert.equal(evaluate(rule, { dates: { due: new Date().toISOString().substring(0, 10) } }).isValid, true);
+            assert.equal(evaluate(rule, { dates: { due: '2999-01-01' } }).isValid, false);
+        });
+
+        it('skips rules whose values are missing', () => {
+            assert.equal(evaluate({ id: 'c', type: 'compare', field: 'dueDate', operator: '>', other: 'invoiceDate' }, { dueDate: '2024-01-01' }).isValid, true);
+            assert.equal(evaluate({ id: 'p', type: 'pattern', field: 'poNumber', pattern: '^PO-' }, {}).isValid, true);
+        });
+
+        it('uses the configured message and severity', () => {
+            const result = evaluate({ id: 'c', type: 'currency', allowed: ['eur'], severity: 'warning', message: 'Euros only' }, { currency: 'USD' });
+            assert.equal(result.isValid, true);
+            assert.deepEqual(result.warnings.map(warning => [warning.field, warning.message]), [['currency', 'Euros only']]);
+        });
+    });
+
+    describe('rule sets', () => {
+        const customerSet = rules.compileRuleSet({
+            ruleSetId: 'cust-123',
+            appliesTo: { customerIds: ['CUST-123'] },
+            rules: [{ id: 'currency', type: 'currency', allowed: ['USD', 'CAD'] }, { id: 'po', type: 'required', fields: ['poNumber'] }]
+        });
+        const vendorSet = rules.compileRuleSet({
+            ruleSetId: 'northwind',
+            appliesTo: { vendorNames: ['NORTHWIND OFFICE SUPPLIES INC'] },
+            rules: [{ id: 'currency', type: 'currency', allowed: ['EUR'] }, { id: 'overdue', enabled: false }]
+        });
+        const otherSet = rules.compileRuleSet({ ruleSetId: 'other', appliesTo: { customerIds: ['CUST-999'] }, rules: [] });
+
+        it('layers default, customer and vendor sets, the most specific last', () => {
+            const { ruleSetIds, rules: resolved } = rules.resolveRules([vendorSet, otherSet, customerSet], invoice());
+            assert.deepEqual(ruleSetIds, ['builtin', 'cust-123', 'northwind']);
+
+            const currency = resolved.find(rule => rule.id === 'currency');
+            assert.deepEqual([currency.ruleSetId, currency.allowed], ['northwind', ['EUR']]);
+            assert.equal(resolved.some(rule => rule.id === 'overdue'), false, 'switched off by the vendor set');
+            assert.equal(resolved.some(rule => rule.id === 'po'), true);
+        });
+
+        it('reports problems in a rule set and skips it', () => {
+            assert.deepEqual(rules.validateRuleSet({ ruleSetId: 'bad', rules: [
+                { id: 'a', type: 'range', field: 'amount' },
+                { id: 'b', type: 'pattern', field: 'invoiceId', pattern: '(' },
+                { id: 'c', type: 'magic' },
+                { type: 'required', fields: ['x'] }
+            ] }).map(error => error.split(' ').slice(0, 3).join(' ')), [
+                'rule a needs', 'rule b pattern', 'rule c has', 'every rule needs'
+            ]);
+            assert.equal(rules.compileRuleSet({ rules: [] }), null);
+        });
+    });
+
+    describe('createRuleStore', () => {
+        it('reads enabled, valid rule sets from a local directory', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-rules-'));
+            try {
+                fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify({ ruleSetId: 'a', rules: [] }));
+                fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify({ ruleSetId: 'b', enabled: false, rules: [] }));
+                fs.writeFileSync(path.join(dir, 'c.json'), JSON.stringify({ ruleSetId: 'c', rules: [{ id: 'x', type: 'magic' }] }));
+                fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a rule set');
+
+                const store = rules.createRuleStore({ source: 'local', dir });
+                assert.deepEqual((await store.listRuleSets()).map(ruleSet => ruleSet.ruleSetId), ['a']);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('has no rule sets without a source and rejects an unknown one', async () => {
+            assert.deepEqual(await rules.createRuleStore({ source: 'none' }).listRuleSets(), []);
+            await assert.rejects(rules.createRuleStore({ source: 'ftp' }).listRuleSets(), /Unknown validation rules source/);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('assert').strict;
+const { createLocalAws } = require('../local-aws');
+const { buildEvent, verifySignature } = require('../../script/lib/webhook-events');
+const {
+    STATUS, retryDelaySeconds, isRetryable, createDeliveryStore, createWebhookPublisher, createWebhookDispatcher
+} = require('../../script/lib/webhook-delivery');
+
+const SUBSCRIPTION = {
+    subscriptionId: 'whs_erp',
+    url: 'https://erp.example/webhooks',
+    events: ['invoice.stored'],
+    status: 'active',
+    version: 1,
+    secret: 'whsec_test'
+};
+
+function event() {
+    return buildEvent('invoice.stored', { invoice: { customerId: 'VEND-NORTHWIND', invoiceNumber: 1, totalAmount: 190 } }, { source: 'test' });
+}
+
+// Deliveries in the local DynamoDB stand-in; subscriptions, the queue and
+// the receiver are recorded in memory
+function createSystem({ responses = [], subscription = SUBSCRIPTION, maxAttempts = 3 } = {}) {
+    const localAws = createLocalAws({
+        tables: [{ name: 'deliveries', key: ['deliveryId'], indexes: { StatusIndex: ['status', 'updatedAt'] } }]
+    });
+    const deliveries = createDeliveryStore({ dynamodb: new localAws.sdk.DynamoDB.DocumentClient(), tableName: 'deliveries' });
+    const subscriptions = {
+        forEvent: async type => (subscription.events.includes(type) ? [subscription] : []),
+        get: async () => subscription
+    };
+    const sent = [];
+    const queue = { send: async (deliveryId, delaySeconds = 0) => sent.push({ deliveryId, delaySeconds }) };
+    const requests = [];
+    const fetch = async (url, options) => {
+        requests.push({ url, ...options });
+        const response = responses.shift() || 200;
+        if (response instanceof Error) throw response;
+        return { status: response, text: async () => 'receiver says no' };
+    };
+
+    return {
+        deliveries,
+        sent,
+        requests,
+        publisher: createWebhookPublisher({ subscriptions, deliveries, queue }),
+        dispatcher: createWebhookDispatcher({ fetch, maxAttempts, retryBaseSeconds: 10, subscriptions, deliveries, queue })
+    };
+}
+
+describe('webhook-delivery', () => {
+    it('retries network errors, timeouts, 408, 429 and 5xx only', () => {
+        [undefined, 408, 429, 500, 503].forEach(statusCode => assert.equal(isRetryable(statusCode), true));
+        [400, 401, 404, 410].forEach(statusCode => assert.equal(isRetryable(statusCode), false));
+    });
+
+    it('doubles the retry delay, with jitter, up to the SQS maximum', () => {
+        for (let i = 0; i < 20; i++) {
+            const delay = retryDelaySeconds(3, 30);
+            assert.ok(delay >= 108 && delay <= 132, `${delay}`);
+        }
+        assert.equal(retryDelaySeconds(20, 30), 900);
+    });
+
+    it('queues one delivery per subscription that wants the event', async () => {
+        const system = createSystem();
+        const queued = await system.publisher.publish(event());
+        assert.equal(queued.length, 1);
+        assert.deepEqual(system.sent, [{ deliveryId: queued[0], delaySeconds: 0 }]);
+        assert.equal((await system.deliveries.get(queued[0])).status, STATUS.PENDING);
+
+        const ping = buildEvent('webhook.ping', {}, { source: 'test' });
+        assert.deepEqual(await system.publisher.publish(ping), []);
+    });
+
+    it('never fails the caller when publishing fails', async () => {
+        const publisher = createWebhookPublisher({
+            subscriptions: { forEvent: async () => { throw new Error('table unavailable'); } },
+            deliveries: {},
+            queue: {}
+        });
+        assert.deepEqual(await publisher.publish(event()), []);
+    });
+
+    it('posts a signed payload and records the delivery', async () => {
+        const system = createSystem();
+        const [deliveryId] = await system.publisher.publish(event());
+
+        const delivered = await system.dispatcher.attempt(deliveryId);
+        assert.equal(delivered.status, STATUS.DELIVERED);
+        assert.equal(delivered.attempts, 1);
+        assert.ok(delivered.expiresAt > Date.now() / 1000);
+
+        const [request] = system.requests;
+        assert.equal(request.url, SUBSCRIPTION.url);
+        assert.equal(request.headers['X-Invoice-Webhook-Attempt'], '1');
+        const headers = Object.fromEntries(Object.entries(request.headers).map(([name, value]) => [name.toLowerCase(), value]));
+        assert.equal(verifySignature(SUBSCRIPTION.secret, request.body, headers).valid, true);
+        assert.equal(JSON.parse(request.body).data.invoice.amount, 190);
+
+        assert.equal((await system.dispatcher.attempt(deliveryId)).status, STATUS.DELIVERED);
+        assert.equal(system.requests.length, 1, 'a settled delivery is not posted again');
+    });
+
+    it('retries with a delay until the attempts run out, then dead-letters', async () => {
+        const system = createSystem({ responses: [503, new Error('fetch failed'), 500] });
+        const [deliveryId] = await system.publisher.publish(event());
+
+        const first = await system.dispatcher.attempt(deliveryId);
+        assert.equal(first.status, STATUS.RETRYING);
+        assert.equal(first.lastError, 'HTTP 503: receiver says no');
+        assert.ok(system.sent[1].delaySeconds >= 9 && system.sent[1].delaySeconds <= 11);
+
+        assert.equal((await system.dispatcher.attempt(deliveryId)).lastError, 'fetch failed');
+        const dead = await system.dispatcher.attempt(deliveryId);
+        assert.equal(dead.status, STATUS.DEAD_LETTER);
+        assert.equal(dead.attempts, 3);
+        assert.equal(dead.attemptLog.length, 3);
+        assert.equal(dead.expiresAt, undefined, 'dead letters are kept');
+    });
+
+    it('dead-letters a response that is not worth retrying at once', async () => {
+        const system = createSystem({ responses: [410] });
+        const [deliveryId] = await system.publisher.publish(event());
+        assert.equal((await system.dispatcher.attempt(deliveryId)).status, STATUS.DEAD_LETTER);
+        assert.equal(system.sent.length, 1);
+    });
+
+    it('cancels deliveries for a disabled subscription', async () => {
+        const subscription = { ...SUBSCRIPTION };
+        const system = createSystem({ subscription });
+        const [deliveryId] = await system.publisher.publish(event());
+
+        subscription.status = 'disabled';
+        assert.equal((await system.dispatcher.attempt(deliveryId)).status, STATUS.CANCELLED);
+        assert.equal(system.requests.length, 0);
+    });
+
+    it('replays dead letters as new deliveries of the same event', async () => {
+        const system = createSystem({ responses: [404] });
+        const [deliveryId] = await system.publisher.publish(event());
+        await system.dispatcher.attempt(deliveryId);
+
+        const [replay] = await system.dispatcher.replayDeadLetters();
+        assert.equal(replay.replayOf, deliveryId);
+        assert.equal(replay.eventId, (await system.deliveries.get(deliveryId)).eventId);
+        assert.equal((await system.deliveries.get(deliveryId)).status, STATUS.REPLAYED);
+        assert.equal((await system.dispatcher.attempt(replay.deliveryId)).status, STATUS.DELIVERED);
+    });
+
+    it('does not replay a delivery that is still open', async () => {
+        const system = createSystem();
+        const [deliveryId] = await system.publisher.publish(event());
+        await assert.rejects(system.dispatcher.replay(deliveryId), { statusCode: 409, message: /still pending/ });
+    });
+});
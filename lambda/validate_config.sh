@@ -85,6 +85,37 @@ lambda_scripts=(
     "script/send-notification.js"
     "script/textract-processor.js"
     "script/store-extracted-data.js"
+    "script/textract-async-complete.js"
+    "script/lib/textract-parser.js"
+    "script/lib/ocr-providers.js"
+    "script/lib/normalize.js"
+    "script/lib/vendor-templates.js"
+    "script/lib/review-queue.js"
+    "script/lib/idempotency.js"
+    "script/lib/duplicate-detector.js"
+    "script/lib/party-registry.js"
+    "script/lib/invoice-db.js"
+    "script/lib/invoice-db-migrations.js"
+    "script/lib/invoice-repository.js"
+    "script/lib/invoice-lifecycle.js"
+    "script/lib/validation-rules.js"
+    "script/lib/purchase-orders.js"
+    "script/lib/po-matching.js"
+    "script/lib/notification-templates.js"
+    "script/lib/email-transport.js"
+    "script/lib/notification-router.js"
+    "script/lib/webhook-events.js"
+    "script/lib/webhook-subscriptions.js"
+    "script/lib/webhook-delivery.js"
+    "script/lib/ingestion-batch.js"
+    "script/lib/dead-letters.js"
+    "script/lib/extraction-workflow.js"
+    "script/review-queue-api.js"
+    "script/match-purchase-order.js"
+    "script/purchase-order-api.js"
+    "script/webhook-dispatcher.js"
+    "script/dead-letter-api.js"
+    "script/extraction-workflow.js"
 )
 
 for script in "${lambda_scripts[@]}"; do
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Local Webhook Receiver
+ * Accepts webhook deliveries on localhost, checks their signatures and prints
+ * each event, for trying out subscriptions and testing consumers.
+ *
+ * Usage:
+ *   node webhook-receiver.js [--port 8787] [--secret whsec_...] [--fail 2] [--status 503]
+ *
+ * Subscribe http://localhost:8787/ with manage-webhooks.js and pass the
+ * subscription's secret (or set WEBHOOK_SECRET); without one, signatures are
+ * not checked. --fail answers the first N deliveries with --status (default
+ * 503) to exercise retries. Events already seen are acknowledged but reported
+ * as duplicates. Stop it with Ctrl+C.
+ */
+
+const http = require('http');
+const { verifySignature } = require('./script/lib/webhook-events');
+
+function parseArgs(argv) {
+    const options = { port: 8787, secret: process.env.WEBHOOK_SECRET || null, fail: 0, status: 503 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--port': options.port = parseInt(value, 10); break;
+            case '--secret': options.secret = value; break;
+            case '--fail': options.fail = parseInt(value, 10); break;
+            case '--status': options.status = parseInt(value, 10); break;
+            default: throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+// Returns an http.Server that is not listening yet. onEvent(payload, headers)
+// is called once per accepted, first-seen event.
+function createReceiver({ secret = null, fail = 0, status = 503, onEvent = () => {}, log = console.log } = {}) {
+    const seen = new Set();
+    let toFail = fail;
+
+    return http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const deliveryId = request.headers['x-invoice-webhook-id'] || '-';
+            const attempt = request.headers['x-invoice-webhook-attempt'] || '-';
+            const reply = (code, text) => {
+                response.writeHead(code, { 'Content-Type': 'text/plain' });
+                response.end(text);
+            };
+
+            if (request.method !== 'POST') return reply(405, 'POST only');
+
+            if (secret) {
+                const verification = verifySignature(secret, body, request.headers);
+                if (!verification.valid) {
+                    log(`❌ ${deliveryId} attempt ${attempt}: ${verification.reason}`);
+                    return reply(401, verification.reason);
+                }
+            }
+
+            if (toFail > 0) {
+                toFail--;
+                log(`⚠️  ${deliveryId} attempt ${attempt}: answering ${status} (${toFail} more to fail)`);
+                return reply(status, 'Failing on purpose');
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(body);
+            } catch (error) {
+                log(`❌ ${deliveryId}: body is not JSON`);
+                return reply(400, 'Invalid JSON');
+            }
+
+            if (seen.has(payload.id)) {
+                log(`🔁 ${deliveryId} attempt ${attempt}: ${payload.type} ${payload.id} already received`);
+                return reply(200, 'Duplicate');
+            }
+            seen.add(payload.id);
+
+            const invoice = (payload.data && payload.data.invoice) || {};
+            log(`✅ ${deliveryId} attempt ${attempt}: ${payload.type} v${payload.version} ${payload.id}${invoice.invoiceId ? ` invoice ${invoice.invoiceId}` : ''}${secret ? ' (signature valid)' : ''}`);
+            onEvent(payload, request.headers);
+            reply(200, 'OK');
+        });
+    });
+}
+
+if (require.main === module) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (!options.secret) console.warn('⚠️  No --secret given; signatures are not checked');
+
+        createReceiver(options).listen(options.port, '127.0.0.1', () => {
+            console.log(`📥 Listening for webhooks on http://localhost:${options.port}/`);
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { createReceiver };